@@ -5,6 +5,8 @@ import './App.css';
 function App() {
   const [coordinate, setCoordinate] = useState(null);
   const [showEducation, setShowEducation] = useState(false);
+  const [vectorLayer, setVectorLayer] = useState(null);
+  const [geodesic, setGeodesic] = useState(null);
   
   const handleCoordinateChange = useCallback((coord) => {
     setCoordinate(coord);
@@ -42,12 +44,16 @@ function App() {
       <main className="app-main">
         {/* Left Panel - Transformation */}
         <aside className="left-panel">
-          <TransformationPanel onCoordinateChange={handleCoordinateChange} />
+          <TransformationPanel 
+            onCoordinateChange={handleCoordinateChange} 
+            onVectorLayerChange={setVectorLayer} 
+            onGeodesicChange={setGeodesic} 
+          />
         </aside>
         
         {/* Right Panel - Map */}
         <section className="right-panel">
-          <MapView coordinate={coordinate} />
+          <MapView coordinate={coordinate} vectorLayer={vectorLayer} geodesic={geodesic} />
         </section>
       </main>
       
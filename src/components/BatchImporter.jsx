@@ -0,0 +1,232 @@
+import { useState, useMemo } from 'react';
+import {
+  AXIS_CONVENTIONS,
+  COLUMN_ROLES,
+  DELIMITERS,
+  parsePointTable,
+  detectAxisConvention,
+  guessColumnRoles,
+  readPoints,
+  readPointFile
+} from '../utils/pointTable';
+
+const PREVIEW_ROWS = 8;
+
+function BatchImporter({ coordinateOrder, imported, onImport, onClear }) {
+  const [fileName, setFileName] = useState('');
+  const [text, setText] = useState('');
+  const [delimiter, setDelimiter] = useState('');
+  const [decimal, setDecimal] = useState('');
+  const [skipRows, setSkipRows] = useState(0);
+  const [header, setHeader] = useState('auto');
+  const [axes, setAxes] = useState('auto');
+  const [roleOverrides, setRoleOverrides] = useState({});
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+
+  const table = useMemo(() => {
+    if (!text) return null;
+    return parsePointTable(text, {
+      delimiter: delimiter || undefined,
+      decimal: decimal || undefined,
+      skipRows,
+      hasHeader: header === 'auto' ? undefined : header === 'yes'
+    });
+  }, [text, delimiter, decimal, skipRows, header]);
+
+  // Planar X / Y columns: Y = Easting or X = Easting
+  const detectedAxes = useMemo(
+    () => (table ? detectAxisConvention(table, coordinateOrder) : null),
+    [table, coordinateOrder]
+  );
+
+  const roles = useMemo(() => {
+    if (!table) return [];
+    return guessColumnRoles(table, coordinateOrder, axes).map((role, i) => roleOverrides[i] ?? role);
+  }, [table, coordinateOrder, axes, roleOverrides]);
+
+  const loadText = (name, content) => {
+    setFileName(name);
+    setText(content);
+    setRoleOverrides({});
+    setError(null);
+  };
+
+  const loadFile = async (file) => {
+    try {
+      loadText(file.name, await readPointFile(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleFiles = async (e) => {
+    const file = e.target.files?.[0];
+    if (file) await loadFile(file);
+    e.target.value = '';
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setDragging(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) {
+      await loadFile(file);
+    } else {
+      // Cells dragged from a spreadsheet arrive as tab-separated text
+      const content = e.dataTransfer.getData('text/plain');
+      if (content) loadText('Dropped text', content);
+    }
+  };
+
+  const handleImport = () => {
+    try {
+      const result = readPoints(table, roles, coordinateOrder);
+      onImport({
+        ...result,
+        fileName,
+        header: table.hasHeader,
+        delimiter: table.delimiter,
+        decimal: table.decimal
+      });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const invalidRows = imported ? imported.points.filter(point => point.error).length : 0;
+
+  return (
+    <div className="file-loader">
+      <div
+        className={`drop-zone${dragging ? ' dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+      >
+        Drop a CSV / TXT file or spreadsheet cells here
+        <input type="file" accept=".csv,.txt,.tsv,.dat,.xyz,.xlsx,.xls" onChange={handleFiles} />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {table && (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Delimiter</label>
+              <select value={delimiter} onChange={(e) => { setDelimiter(e.target.value); setRoleOverrides({}); }}>
+                <option value="">Auto ({DELIMITERS[table.delimiter]})</option>
+                {Object.entries(DELIMITERS).map(([value, label]) => (
+                  <option key={label} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Decimal</label>
+              <select value={decimal} onChange={(e) => setDecimal(e.target.value)}>
+                <option value="">Auto ({table.decimal})</option>
+                <option value=".">Point (.)</option>
+                <option value=",">Comma (,)</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Skip Lines</label>
+              <input
+                type="number"
+                min="0"
+                value={skipRows}
+                onChange={(e) => setSkipRows(Math.max(0, parseInt(e.target.value) || 0))}
+              />
+            </div>
+            <div className="form-group">
+              <label>Header Row</label>
+              <select value={header} onChange={(e) => setHeader(e.target.value)}>
+                <option value="auto">Auto ({table.hasHeader ? 'yes' : 'no'})</option>
+                <option value="yes">Yes</option>
+                <option value="no">No</option>
+              </select>
+            </div>
+          </div>
+
+          {detectedAxes && (
+            <div className="form-group">
+              <label>Axes</label>
+              <select value={axes} onChange={(e) => { setAxes(e.target.value); setRoleOverrides({}); }}>
+                <option value="auto">Auto ({AXIS_CONVENTIONS[detectedAxes]})</option>
+                {Object.entries(AXIS_CONVENTIONS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="table-preview">
+            <table className="residual-table">
+              <thead>
+                <tr>
+                  {roles.map((role, i) => (
+                    <th key={i}>
+                      <select
+                        value={role}
+                        onChange={(e) => setRoleOverrides(prev => ({ ...prev, [i]: e.target.value }))}
+                      >
+                        {Object.entries(COLUMN_ROLES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </th>
+                  ))}
+                </tr>
+                {table.header && (
+                  <tr>
+                    {roles.map((_, i) => <th key={i}>{table.header[i] ?? ''}</th>)}
+                  </tr>
+                )}
+              </thead>
+              <tbody>
+                {table.rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+                  <tr key={index}>
+                    {roles.map((role, i) => (
+                      <td key={i} className={role === 'skip' ? 'skipped' : ''}>{row[i] ?? ''}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="loader-status">
+            {fileName} · {table.rows.length} rows
+            {table.rows.length > PREVIEW_ROWS && ` (first ${PREVIEW_ROWS} shown)`}
+          </div>
+
+          <button className="auto-zone-btn" onClick={handleImport}>Use These Points</button>
+        </>
+      )}
+
+      {imported && (
+        <div className="loaded-file">
+          <div className="loaded-file-header">
+            <span className="loaded-file-name">{imported.fileName}</span>
+            <span className="loaded-file-meta">
+              {imported.points.length - invalidRows} points
+              {invalidRows > 0 && ` · ${invalidRows} rows without coordinates`}
+            </span>
+            <button className="loaded-file-remove" onClick={onClear} title="Use the text input instead">
+              ×
+            </button>
+          </div>
+          {imported.extraHeader.length > 0 && (
+            <div className="loaded-file-extent">Carried to output: {imported.extraHeader.join(', ')}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchImporter;
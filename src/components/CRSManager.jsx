@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { DATUMS } from '../utils/datums';
+import {
+  EPSG_DEFINITIONS,
+  validateCRSDefinition,
+  registerCRS,
+  unregisterCRS,
+  getCustomCRSList
+} from '../utils/crs';
+
+function CRSManager({ crsList, onCRSChange }) {
+  const [source, setSource] = useState('text');
+  const [definition, setDefinition] = useState('');
+  const [epsgCode, setEpsgCode] = useState(EPSG_DEFINITIONS[0].code);
+  const [code, setCode] = useState('');
+  const [name, setName] = useState('');
+  const [datum, setDatum] = useState('');
+  const [validated, setValidated] = useState(null);
+  const [error, setError] = useState(null);
+
+  const currentDefinition = source === 'epsg' ? epsgCode : definition;
+
+  // Any edit invalidates the previous check
+  const resetValidation = () => {
+    setValidated(null);
+    setError(null);
+  };
+
+  const handleValidate = () => {
+    try {
+      const result = validateCRSDefinition(currentDefinition, datum || null);
+      setValidated(result);
+      setDatum(result.datum);
+      setError(null);
+    } catch (err) {
+      setValidated(null);
+      setError(err.message);
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      registerCRS({
+        code: source === 'epsg' ? epsgCode : code,
+        name,
+        definition: currentDefinition,
+        datum: datum || null
+      });
+      onCRSChange(getCustomCRSList());
+      setDefinition('');
+      setCode('');
+      setName('');
+      setDatum('');
+      resetValidation();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (crsCode) => {
+    unregisterCRS(crsCode);
+    onCRSChange(getCustomCRSList());
+  };
+
+  return (
+    <div className="file-loader">
+      <div className="form-row">
+        <div className="form-group">
+          <label>Definition</label>
+          <select value={source} onChange={(e) => { setSource(e.target.value); resetValidation(); }}>
+            <option value="text">PROJ string / WKT</option>
+            <option value="epsg">EPSG code (offline)</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Datum</label>
+          <select value={datum} onChange={(e) => { setDatum(e.target.value); resetValidation(); }}>
+            <option value="">Detect</option>
+            {Object.entries(DATUMS).map(([key, d]) => (
+              <option key={key} value={key}>{d.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {source === 'epsg' ? (
+        <div className="form-group">
+          <label>EPSG</label>
+          <select value={epsgCode} onChange={(e) => { setEpsgCode(e.target.value); resetValidation(); }}>
+            {EPSG_DEFINITIONS.map(def => (
+              <option key={def.code} value={def.code}>{def.code} - {def.name}</option>
+            ))}
+          </select>
+        </div>
+      ) : (
+        <>
+          <div className="form-group">
+            <textarea
+              className="crs-definition"
+              value={definition}
+              onChange={(e) => { setDefinition(e.target.value); resetValidation(); }}
+              placeholder={'+proj=tmerc +lat_0=0 +lon_0=33 +k=1 +x_0=500000 +y_0=0 +ellps=intl +units=m\nor PROJCS[...] / PROJCRS[...]'}
+              rows={4}
+            />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Code</label>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="e.g. LOCAL:1"
+              />
+            </div>
+            <div className="form-group">
+              <label>Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder={validated?.name || 'Optional'}
+              />
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="form-row">
+        <button className="auto-zone-btn" onClick={handleValidate}>Validate</button>
+        <button className="auto-zone-btn" onClick={handleSave} disabled={!validated}>Save</button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {validated && (
+        <div className="loader-status">
+          {validated.format} · {validated.projName} · {DATUMS[validated.datum].name}
+          {` · a=${validated.a}`}
+          {validated.towgs84 && ' · TOWGS84 ignored (datum parameters are used)'}
+        </div>
+      )}
+
+      {crsList.map(crs => (
+        <div key={crs.code} className="loaded-file">
+          <div className="loaded-file-header">
+            <span className="loaded-file-name">{crs.code}</span>
+            <span className="loaded-file-meta">{crs.name} · {DATUMS[crs.datum]?.name}</span>
+            <button className="loaded-file-remove" onClick={() => handleRemove(crs.code)} title="Remove CRS">
+              ×
+            </button>
+          </div>
+          <div className="loaded-file-extent">{crs.proj4.length > 80 ? `${crs.proj4.slice(0, 80)}...` : crs.proj4}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default CRSManager;
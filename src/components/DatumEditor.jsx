@@ -0,0 +1,337 @@
+import { useState } from 'react';
+import { ELLIPSOIDS } from '../utils/ellipsoids';
+import {
+  geographicToGeocentric,
+  conventionDifference,
+  CONVENTION_WARNING_THRESHOLD
+} from '../utils/transformations';
+import {
+  registerUserDatum,
+  unregisterUserDatum,
+  getUserDatums,
+  exportUserDatums,
+  importUserDatums,
+  DATUMS
+} from '../utils/datums';
+
+const PARAMETERS = [
+  { key: 'tx', label: 'tx (m)' },
+  { key: 'ty', label: 'ty (m)' },
+  { key: 'tz', label: 'tz (m)' },
+  { key: 'rx', label: 'rx (")' },
+  { key: 'ry', label: 'ry (")' },
+  { key: 'rz', label: 'rz (")' },
+  { key: 's', label: 's (ppm)' }
+];
+
+const BOUNDS = ['south', 'north', 'west', 'east'];
+
+const PIVOT = ['x', 'y', 'z'];
+
+const EMPTY_FORM = {
+  key: '',
+  name: '',
+  ellipsoid: 'GRS80',
+  a: '',
+  invF: '',
+  toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+  reference: 'WGS84',
+  convention: 'PV',
+  badekas: false,
+  mbParams: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+  pivot: { x: 0, y: 0, z: 0 },
+  area: '',
+  bounds: { south: '', north: '', west: '', east: '' },
+  accuracy: '',
+  notes: ''
+};
+
+// Editor form ↔ datum definition
+function toDefinition(form) {
+  const hasBounds = BOUNDS.every(side => form.bounds[side] !== '');
+  return {
+    key: form.key,
+    name: form.name,
+    ellipsoid: form.ellipsoid === 'custom'
+      ? { name: `${form.name || form.key} ellipsoid`, a: parseFloat(form.a), invF: parseFloat(form.invF) }
+      : form.ellipsoid,
+    toWGS84: form.toWGS84,
+    reference: form.reference,
+    convention: form.convention,
+    molodenskyBadekas: form.badekas ? { params: form.mbParams, pivot: form.pivot } : null,
+    areaOfUse: form.area || hasBounds
+      ? {
+          description: form.area,
+          ...(hasBounds ? Object.fromEntries(BOUNDS.map(side => [side, parseFloat(form.bounds[side])])) : {})
+        }
+      : null,
+    accuracy: form.accuracy,
+    notes: form.notes
+  };
+}
+
+function toForm(datum) {
+  const custom = typeof datum.ellipsoid === 'object';
+  return {
+    ...EMPTY_FORM,
+    key: datum.key,
+    name: datum.name,
+    ellipsoid: custom ? 'custom' : datum.ellipsoid,
+    a: custom ? datum.ellipsoid.a : '',
+    invF: custom ? datum.ellipsoid.invF : '',
+    toWGS84: { ...datum.toWGS84 },
+    reference: datum.reference || 'WGS84',
+    convention: datum.convention,
+    badekas: !!datum.molodenskyBadekas,
+    mbParams: datum.molodenskyBadekas ? { ...datum.molodenskyBadekas.params } : EMPTY_FORM.mbParams,
+    pivot: datum.molodenskyBadekas ? { ...datum.molodenskyBadekas.pivot } : EMPTY_FORM.pivot,
+    area: datum.areaOfUse?.description || '',
+    bounds: Object.fromEntries(BOUNDS.map(side => [side, datum.areaOfUse?.[side] ?? ''])),
+    accuracy: datum.accuracy === 'Unknown' ? '' : datum.accuracy,
+    notes: datum.notes
+  };
+}
+
+function DatumEditor({ datums, onDatumsChange, point }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState(null);
+
+  // How far apart the two rotation conventions put the last transformed point
+  const difference = point
+    ? conventionDifference(geographicToGeocentric(point.lat, point.lon, point.h || 0, ELLIPSOIDS.WGS84), form.toWGS84)
+    : 0;
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+  const updateParam = (param, value) => setForm(prev => ({
+    ...prev,
+    toWGS84: { ...prev.toWGS84, [param]: parseFloat(value) || 0 }
+  }));
+  const updateNested = (field, key, value) => setForm(prev => ({
+    ...prev,
+    [field]: { ...prev[field], [key]: parseFloat(value) || 0 }
+  }));
+  const updateBound = (side, value) => setForm(prev => ({
+    ...prev,
+    bounds: { ...prev.bounds, [side]: value }
+  }));
+
+  const handleSave = () => {
+    try {
+      registerUserDatum(toDefinition(form));
+      onDatumsChange(getUserDatums());
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (key) => {
+    try {
+      unregisterUserDatum(key);
+      onDatumsChange(getUserDatums());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Download all user datums as a JSON file
+  const handleExport = () => {
+    const blob = new Blob([exportUserDatums()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'datums.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      importUserDatums(await file.text());
+      onDatumsChange(getUserDatums());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <div className="file-loader">
+      <div className="form-row">
+        <div className="form-group">
+          <label>Key</label>
+          <input type="text" value={form.key} onChange={(e) => update('key', e.target.value)} placeholder="e.g. SITE_GRID" />
+        </div>
+        <div className="form-group">
+          <label>Name</label>
+          <input type="text" value={form.name} onChange={(e) => update('name', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Ellipsoid</label>
+          <select value={form.ellipsoid} onChange={(e) => update('ellipsoid', e.target.value)}>
+            {Object.entries(ELLIPSOIDS)
+              .filter(([key]) => !key.endsWith('_ELLIPSOID'))
+              .map(([key, ellipsoid]) => (
+                <option key={key} value={key}>{ellipsoid.name}</option>
+              ))}
+            <option value="custom">Custom (a, 1/f)</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Rotation Convention</label>
+          <select value={form.convention} onChange={(e) => update('convention', e.target.value)}>
+            <option value="PV">Position Vector</option>
+            <option value="CF">Coordinate Frame</option>
+          </select>
+        </div>
+      </div>
+
+      {form.ellipsoid === 'custom' && (
+        <div className="form-row">
+          <div className="form-group">
+            <label>a (m)</label>
+            <input type="number" step="0.001" value={form.a} onChange={(e) => update('a', e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label>1/f</label>
+            <input type="number" step="0.000000001" value={form.invF} onChange={(e) => update('invF', e.target.value)} />
+          </div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>Parameters to</label>
+        <select value={form.reference} onChange={(e) => update('reference', e.target.value)}>
+          {Object.entries(DATUMS)
+            .filter(([key]) => key !== form.key)
+            .map(([key, datum]) => (
+              <option key={key} value={key}>{datum.name}</option>
+            ))}
+        </select>
+      </div>
+      <div className="param-grid">
+        {PARAMETERS.map(param => (
+          <div key={param.key} className="form-group">
+            <label>{param.label}</label>
+            <input
+              type="number"
+              step="0.0001"
+              value={form.toWGS84[param.key]}
+              onChange={(e) => updateParam(param.key, e.target.value)}
+            />
+          </div>
+        ))}
+      </div>
+
+      {difference > CONVENTION_WARNING_THRESHOLD && (
+        <div className="report-warning">
+          ⚠ At the current point the two conventions differ by {difference.toFixed(3)} m
+        </div>
+      )}
+
+      <div className="form-group dms-toggle">
+        <label>
+          <input type="checkbox" checked={form.badekas} onChange={(e) => update('badekas', e.target.checked)} />
+          Molodensky-Badekas set (rotation about a pivot)
+        </label>
+      </div>
+      {form.badekas && (
+        <div className="param-grid">
+          {PARAMETERS.map(param => (
+            <div key={param.key} className="form-group">
+              <label>{param.label}</label>
+              <input
+                type="number"
+                step="0.0001"
+                value={form.mbParams[param.key]}
+                onChange={(e) => updateNested('mbParams', param.key, e.target.value)}
+              />
+            </div>
+          ))}
+          {PIVOT.map(axis => (
+            <div key={axis} className="form-group">
+              <label>Pivot {axis.toUpperCase()} (m)</label>
+              <input
+                type="number"
+                step="0.001"
+                value={form.pivot[axis]}
+                onChange={(e) => updateNested('pivot', axis, e.target.value)}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>Area of Use</label>
+        <input type="text" value={form.area} onChange={(e) => update('area', e.target.value)} placeholder="e.g. Project site, Izmir" />
+      </div>
+      <div className="param-grid">
+        {BOUNDS.map(side => (
+          <div key={side} className="form-group">
+            <label>{side[0].toUpperCase() + side.slice(1)} (°)</label>
+            <input type="number" step="0.01" value={form.bounds[side]} onChange={(e) => updateBound(side, e.target.value)} />
+          </div>
+        ))}
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Accuracy</label>
+          <input type="text" value={form.accuracy} onChange={(e) => update('accuracy', e.target.value)} placeholder="e.g. 0.05 m" />
+        </div>
+        <div className="form-group">
+          <label>Notes</label>
+          <input type="text" value={form.notes} onChange={(e) => update('notes', e.target.value)} />
+        </div>
+      </div>
+
+      <div className="form-row">
+        <button className="auto-zone-btn" onClick={handleSave}>Save Datum</button>
+        <button className="auto-zone-btn" onClick={() => setForm(EMPTY_FORM)}>Clear</button>
+        <button className="auto-zone-btn" onClick={handleExport} disabled={datums.length === 0}>Export JSON</button>
+      </div>
+
+      <div className="form-group">
+        <label>Import JSON</label>
+        <input type="file" accept=".json,application/json" onChange={handleImport} />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {datums.map(datum => (
+        <div key={datum.key} className="loaded-file">
+          <div className="loaded-file-header">
+            <span className="loaded-file-name">{datum.key}</span>
+            <span className="loaded-file-meta">
+              {datum.name} → {DATUMS[datum.reference]?.name || datum.reference}
+              {' · '}{datum.convention === 'CF' ? 'Coordinate Frame' : 'Position Vector'}
+              {datum.molodenskyBadekas && ' · Molodensky-Badekas'} · {datum.accuracy}
+            </span>
+            <button className="loaded-file-remove" onClick={() => setForm(toForm(datum))} title="Edit datum">
+              ✎
+            </button>
+            <button className="loaded-file-remove" onClick={() => handleRemove(datum.key)} title="Remove datum">
+              ×
+            </button>
+          </div>
+          <div className="loaded-file-extent">
+            {PARAMETERS.map(param => `${param.key}=${datum.toWGS84[param.key]}`).join(' ')}
+            {datum.areaOfUse?.description && ` · ${datum.areaOfUse.description}`}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default DatumEditor;
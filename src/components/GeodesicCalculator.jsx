@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { ELLIPSOIDS } from '../utils/ellipsoids';
+import { geodesicInverse, geodesicDirect, geodesicPath } from '../utils/geodesic';
+import { decimalToDMS, formatDMS } from '../utils/transformations';
+
+// Azimuths are shown clockwise from north in [0°, 360°)
+const formatAzimuth = (azimuth) => {
+  const value = (azimuth + 360) % 360;
+  const dms = decimalToDMS(value);
+  return `${value.toFixed(8)}° (${dms.degrees}° ${dms.minutes}' ${dms.seconds.toFixed(4)}")`;
+};
+
+function GeodesicCalculator({ point, onGeodesicChange }) {
+  const [problem, setProblem] = useState('inverse');
+  const [ellipsoid, setEllipsoid] = useState('WGS84');
+  const [start, setStart] = useState({ lat: 41.0082, lon: 28.9784 });
+  const [end, setEnd] = useState({ lat: 39.9334, lon: 32.8597 });
+  const [azimuth, setAzimuth] = useState(135);
+  const [distance, setDistance] = useState(100000);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSolve = () => {
+    try {
+      const reference = ELLIPSOIDS[ellipsoid];
+      let solution;
+      if (problem === 'inverse') {
+        const inverse = geodesicInverse(start.lat, start.lon, end.lat, end.lon, reference);
+        solution = { ...inverse, lat2: end.lat, lon2: end.lon };
+      } else {
+        if (!(distance >= 0)) {
+          throw new Error('Distance must be zero or positive');
+        }
+        const direct = geodesicDirect(start.lat, start.lon, azimuth, distance, reference);
+        solution = { ...direct, distance, azimuth1: azimuth };
+      }
+      if (![solution.distance, solution.azimuth1, solution.lat2, solution.lon2].every(Number.isFinite)) {
+        throw new Error('Enter latitudes within ±90° and finite values');
+      }
+      setResult(solution);
+      setError(null);
+      onGeodesicChange({
+        path: geodesicPath(start.lat, start.lon, solution.azimuth1, solution.distance, reference),
+        start
+      });
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+      onGeodesicChange(null);
+    }
+  };
+
+  const pointInputs = (label, value, onChange) => (
+    <div className="form-row">
+      <div className="form-group">
+        <label>{label} Latitude (°)</label>
+        <input
+          type="number"
+          step="any"
+          value={value.lat}
+          onChange={(e) => onChange({ ...value, lat: parseFloat(e.target.value) })}
+        />
+      </div>
+      <div className="form-group">
+        <label>{label} Longitude (°)</label>
+        <input
+          type="number"
+          step="any"
+          value={value.lon}
+          onChange={(e) => onChange({ ...value, lon: parseFloat(e.target.value) })}
+        />
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="file-loader">
+      <div className="form-row">
+        <div className="form-group">
+          <label>Problem</label>
+          <select value={problem} onChange={(e) => { setProblem(e.target.value); setResult(null); }}>
+            <option value="inverse">Inverse (two points → distance, azimuths)</option>
+            <option value="direct">Direct (point, azimuth, distance → point)</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Ellipsoid</label>
+          <select value={ellipsoid} onChange={(e) => setEllipsoid(e.target.value)}>
+            {Object.entries(ELLIPSOIDS).map(([key, e]) => (
+              <option key={key} value={key}>{e.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {pointInputs('P1', start, setStart)}
+      {point && (
+        <button className="auto-zone-btn" onClick={() => setStart({ lat: point.lat, lon: point.lon })}>
+          Use Transformed Point as P1
+        </button>
+      )}
+
+      {problem === 'inverse' ? pointInputs('P2', end, setEnd) : (
+        <div className="form-row">
+          <div className="form-group">
+            <label>Azimuth (°)</label>
+            <input
+              type="number"
+              step="any"
+              value={azimuth}
+              onChange={(e) => setAzimuth(parseFloat(e.target.value))}
+            />
+          </div>
+          <div className="form-group">
+            <label>Distance (m)</label>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              value={distance}
+              onChange={(e) => setDistance(parseFloat(e.target.value))}
+            />
+          </div>
+        </div>
+      )}
+
+      <button className="auto-zone-btn" onClick={handleSolve}>Solve</button>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {result && (
+        <div className="transformation-report">
+          <span className="label">Karney geodesic on {ELLIPSOIDS[ellipsoid].name}</span>
+          {problem === 'direct' && (
+            <>
+              <div className="report-step">P2 latitude {result.lat2.toFixed(9)}° · {formatDMS(decimalToDMS(result.lat2, true))}</div>
+              <div className="report-step">P2 longitude {result.lon2.toFixed(9)}° · {formatDMS(decimalToDMS(result.lon2, false))}</div>
+            </>
+          )}
+          <div className="report-step">
+            distance {result.distance.toFixed(4)} m ({(result.distance / 1000).toFixed(6)} km)
+          </div>
+          <div className="report-step">forward azimuth at P1 {formatAzimuth(result.azimuth1)}</div>
+          <div className="report-step">forward azimuth at P2 {formatAzimuth(result.azimuth2)}</div>
+          <div className="report-step">back azimuth P2 → P1 {formatAzimuth(result.backAzimuth)}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GeodesicCalculator;
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import {
+  loadGeoidFile,
+  getGeoidModels,
+  unregisterGeoidModel
+} from '../utils/geoid';
+
+function GeoidManager({ models, onModelsChange, onModelLoaded }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load .gtx / .isg / .grd / .pgm files from the file picker
+  const handleFiles = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      let lastModel = null;
+      for (const file of Array.from(files)) {
+        lastModel = await loadGeoidFile(file);
+      }
+      onModelsChange(getGeoidModels());
+      if (onModelLoaded && lastModel) {
+        onModelLoaded(lastModel.name);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleRemove = (name) => {
+    unregisterGeoidModel(name);
+    onModelsChange(getGeoidModels());
+  };
+
+  return (
+    <div className="file-loader">
+      <div className="form-group">
+        <label>Geoid Grid Files (.gtx, .isg, .grd, .pgm)</label>
+        <input
+          type="file"
+          multiple
+          accept=".gtx,.isg,.grd,.pgm"
+          onChange={handleFiles}
+          disabled={loading}
+        />
+      </div>
+
+      {loading && <div className="loader-status">Loading geoid model...</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {models.map(model => (
+        <div key={model.name} className="loaded-file">
+          <div className="loaded-file-header">
+            <span className="loaded-file-name">{model.name}</span>
+            <span className="loaded-file-meta">
+              {model.format}
+              {model.info && ` · ${model.info.fullName}`}
+              {` · ${(model.dLat * 60).toFixed(2)}' grid`}
+            </span>
+            <button className="loaded-file-remove" onClick={() => handleRemove(model.name)} title="Remove model">
+              ×
+            </button>
+          </div>
+          <div className="loaded-file-extent">
+            {model.isGlobal
+              ? 'Global'
+              : `${model.extent.south.toFixed(2)}° to ${model.extent.north.toFixed(2)}° N, ${model.extent.west.toFixed(2)}° to ${model.extent.east.toFixed(2)}° E`}
+            {model.info?.accuracy && ` · ${model.info.accuracy}`}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default GeoidManager;
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import { DATUMS } from '../utils/datums';
+import {
+  loadGridShiftFiles,
+  getGridShifts,
+  registerGridShift,
+  unregisterGridShift
+} from '../utils/gridShift';
+
+function GridShiftManager({ grids, onGridsChange }) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load .gsb / .las + .los files from the file picker
+  const handleFiles = async (e) => {
+    const files = e.target.files;
+    if (!files || files.length === 0) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      await loadGridShiftFiles(files);
+      onGridsChange(getGridShifts());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      e.target.value = '';
+    }
+  };
+
+  // Assign source/target datum to a grid
+  const handleDatumChange = (grid, field, value) => {
+    registerGridShift({ ...grid, [field]: value || null });
+    onGridsChange(getGridShifts());
+  };
+
+  const handleRemove = (name) => {
+    unregisterGridShift(name);
+    onGridsChange(getGridShifts());
+  };
+
+  return (
+    <div className="file-loader">
+      <div className="form-group">
+        <label>Grid Files (NTv2 .gsb, NADCON .las + .los)</label>
+        <input
+          type="file"
+          multiple
+          accept=".gsb,.las,.los"
+          onChange={handleFiles}
+          disabled={loading}
+        />
+      </div>
+
+      {loading && <div className="loader-status">Loading grid...</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {grids.length === 0 && !loading && (
+        <div className="loader-status">
+          No grid loaded - Helmert parameters will be used.
+        </div>
+      )}
+
+      {grids.map(grid => (
+        <div key={grid.name} className="loaded-file">
+          <div className="loaded-file-header">
+            <span className="loaded-file-name">{grid.name}</span>
+            <span className="loaded-file-meta">{grid.format} · {grid.subgrids.length} sub-grid(s)</span>
+            <button className="loaded-file-remove" onClick={() => handleRemove(grid.name)} title="Remove grid">
+              ×
+            </button>
+          </div>
+          <div className="loaded-file-extent">
+            {grid.extent.south.toFixed(2)}° to {grid.extent.north.toFixed(2)}° N,
+            {' '}{grid.extent.west.toFixed(2)}° to {grid.extent.east.toFixed(2)}° E
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>From{grid.systemFrom ? ` (${grid.systemFrom})` : ''}</label>
+              <select
+                value={grid.fromDatum || ''}
+                onChange={(e) => handleDatumChange(grid, 'fromDatum', e.target.value)}
+              >
+                <option value="">-- select --</option>
+                {Object.entries(DATUMS).map(([key, datum]) => (
+                  <option key={key} value={key}>{datum.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>To{grid.systemTo ? ` (${grid.systemTo})` : ''}</label>
+              <select
+                value={grid.toDatum || ''}
+                onChange={(e) => handleDatumChange(grid, 'toDatum', e.target.value)}
+              >
+                <option value="">-- select --</option>
+                {Object.entries(DATUMS).map(([key, datum]) => (
+                  <option key={key} value={key}>{datum.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default GridShiftManager;
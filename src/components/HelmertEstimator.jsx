@@ -0,0 +1,218 @@
+import { useState } from 'react';
+import { DATUMS, registerUserDatum, getUserDatums } from '../utils/datums';
+import {
+  ESTIMATION_MODELS,
+  estimateTransformation,
+  parseControlPoints,
+  toHelmertParams
+} from '../utils/estimation';
+
+// Display units of the estimated parameters
+const PARAM_UNITS = { tx: 'm', ty: 'm', tz: 'm', rx: '"', ry: '"', rz: '"', s: 'ppm' };
+
+function HelmertEstimator({ onDatumsChange }) {
+  const [inputType, setInputType] = useState('geographic');
+  const [sourceDatum, setSourceDatum] = useState('ED50');
+  const [targetDatum, setTargetDatum] = useState('TUREF');
+  const [model, setModel] = useState(7);
+  const [threshold, setThreshold] = useState(3);
+  const [pointsText, setPointsText] = useState('');
+  const [excluded, setExcluded] = useState([]);
+  const [result, setResult] = useState(null);
+  const [datumKey, setDatumKey] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const runEstimation = (excludedIds = excluded) => {
+    try {
+      const points = parseControlPoints(pointsText, inputType)
+        .filter(point => !excludedIds.includes(point.id));
+      setResult(estimateTransformation(points, {
+        model,
+        inputType,
+        sourceDatum,
+        targetDatum,
+        outlierThreshold: threshold
+      }));
+      setError(null);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  // Excluding a point re-runs the adjustment without it
+  const toggleExcluded = (id) => {
+    const next = excluded.includes(id) ? excluded.filter(e => e !== id) : [...excluded, id];
+    setExcluded(next);
+    runEstimation(next);
+  };
+
+  const handleSave = () => {
+    try {
+      registerUserDatum({
+        key: datumKey,
+        name: datumKey,
+        fullName: `${DATUMS[sourceDatum].name} → ${DATUMS[targetDatum].name} (${result.residuals.length} points)`,
+        description: `Estimated ${ESTIMATION_MODELS[result.model].name} from common points`,
+        ellipsoid: DATUMS[sourceDatum].ellipsoid,
+        toWGS84: toHelmertParams(result.params),
+        reference: targetDatum,
+        convention: 'PV',
+        accuracy: `σ₀ = ${result.sigma0.toFixed(3)} m`
+      });
+      onDatumsChange(getUserDatums());
+      setMessage(`Saved as ${datumKey}`);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="file-loader">
+      <div className="form-row">
+        <div className="form-group">
+          <label>Coordinates</label>
+          <select value={inputType} onChange={(e) => setInputType(e.target.value)}>
+            <option value="geographic">Geographic (lat, lon, h)</option>
+            <option value="geocentric">Geocentric (X, Y, Z)</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Model</label>
+          <select value={model} onChange={(e) => setModel(Number(e.target.value))}>
+            {Object.entries(ESTIMATION_MODELS).map(([key, m]) => (
+              <option key={key} value={key}>{m.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>From Datum</label>
+          <select value={sourceDatum} onChange={(e) => setSourceDatum(e.target.value)}>
+            {Object.entries(DATUMS).map(([key, datum]) => (
+              <option key={key} value={key}>{datum.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>To Datum</label>
+          <select value={targetDatum} onChange={(e) => setTargetDatum(e.target.value)}>
+            {Object.entries(DATUMS).map(([key, datum]) => (
+              <option key={key} value={key}>{datum.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Common Points</label>
+        <textarea
+          className="crs-definition"
+          value={pointsText}
+          onChange={(e) => setPointsText(e.target.value)}
+          placeholder={inputType === 'geographic'
+            ? 'id, lat, lon, h (from), lat, lon, h (to)\nP1, 39.9, 32.8, 850, 39.8989, 32.7986, 880'
+            : 'id, X, Y, Z (from), X, Y, Z (to)'}
+          rows={6}
+        />
+      </div>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Outlier Threshold (σ)</label>
+          <input
+            type="number"
+            step="0.5"
+            value={threshold}
+            onChange={(e) => setThreshold(parseFloat(e.target.value) || 3)}
+          />
+        </div>
+        <button className="auto-zone-btn" onClick={() => runEstimation()}>Estimate</button>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {result && (
+        <>
+          <div className="transformation-report">
+            <span className="label">
+              {ESTIMATION_MODELS[result.model].name} · σ₀ {result.sigma0.toFixed(4)} m · RMS {result.rms.toFixed(4)} m
+              {' '}· dof {result.dof}{result.iterations > 1 && ` · ${result.iterations} iterations`}
+            </span>
+            {Object.entries(result.params).map(([name, value]) => (
+              <div key={name} className="report-step">
+                {name} = {value.toFixed(name.startsWith('a') ? 9 : 4)} ± {result.stdDev[name].toExponential(2)} {PARAM_UNITS[name] || ''}
+              </div>
+            ))}
+          </div>
+
+          <table className="residual-table">
+            <thead>
+              <tr>
+                <th>Point</th>
+                <th>vN (m)</th>
+                <th>vE (m)</th>
+                <th>vU (m)</th>
+                <th>w</th>
+                <th>Use</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.residuals.map(residual => (
+                <tr key={residual.id} className={residual.outlier ? 'outlier' : ''}>
+                  <td>{residual.id}</td>
+                  <td>{residual.north.toFixed(4)}</td>
+                  <td>{residual.east.toFixed(4)}</td>
+                  <td>{residual.up.toFixed(4)}</td>
+                  <td>{residual.standardized.toFixed(2)}</td>
+                  <td>
+                    <input type="checkbox" checked onChange={() => toggleExcluded(residual.id)} />
+                  </td>
+                </tr>
+              ))}
+              {excluded.map(id => (
+                <tr key={id} className="excluded">
+                  <td>{id}</td>
+                  <td colSpan={4}>excluded</td>
+                  <td>
+                    <input type="checkbox" checked={false} onChange={() => toggleExcluded(id)} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {result.outliers.length > 0 && (
+            <div className="report-warning">
+              ⚠ Possible outliers (|w| &gt; {threshold}): {result.outliers.join(', ')}
+            </div>
+          )}
+
+          {result.model === 12 ? (
+            <div className="loader-status">Affine parameters cannot be saved as a Helmert datum.</div>
+          ) : (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Save as Datum</label>
+                <input
+                  type="text"
+                  value={datumKey}
+                  onChange={(e) => setDatumKey(e.target.value)}
+                  placeholder="e.g. SITE_ED50"
+                />
+              </div>
+              <button className="auto-zone-btn" onClick={handleSave} disabled={!datumKey}>Save</button>
+            </div>
+          )}
+          {message && <div className="loader-status">{message}</div>}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HelmertEstimator;
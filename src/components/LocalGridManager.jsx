@@ -0,0 +1,248 @@
+import { useState } from 'react';
+import { DATUMS } from '../utils/datums';
+import {
+  PLANE_MODELS,
+  estimatePlaneTransformation,
+  parsePlaneControlPoints
+} from '../utils/estimation';
+import { registerLocalGrid, unregisterLocalGrid, getLocalGridList } from '../utils/localGrid';
+
+function LocalGridManager({ grids, onGridsChange, projectionOptions }) {
+  const [projection, setProjection] = useState('TUREF_TM33');
+  const [zone, setZone] = useState(36);
+  const [hemisphere, setHemisphere] = useState('N');
+  const [datum, setDatum] = useState('WGS84');
+  const [model, setModel] = useState('similarity');
+  const [threshold, setThreshold] = useState(3);
+  const [pointsText, setPointsText] = useState('');
+  const [excluded, setExcluded] = useState([]);
+  const [result, setResult] = useState(null);
+  const [key, setKey] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  // Projections tied to a datum (TM zones, custom CRSs) fix it
+  const fixedDatum = projectionOptions.find(opt => opt.value === projection)?.datum || null;
+  const gridDatum = fixedDatum || datum;
+
+  const runEstimation = (excludedIds = excluded) => {
+    try {
+      const points = parsePlaneControlPoints(pointsText)
+        .filter(point => !excludedIds.includes(point.id));
+      setResult(estimatePlaneTransformation(points, { model, outlierThreshold: threshold }));
+      setError(null);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  // Excluding a point re-runs the adjustment without it
+  const toggleExcluded = (id) => {
+    const next = excluded.includes(id) ? excluded.filter(e => e !== id) : [...excluded, id];
+    setExcluded(next);
+    runEstimation(next);
+  };
+
+  const handleSave = () => {
+    try {
+      registerLocalGrid({
+        key,
+        name,
+        projection,
+        zone,
+        hemisphere,
+        datum: gridDatum,
+        fit: result,
+        sigma0: result.sigma0,
+        rms: result.rms
+      });
+      onGridsChange(getLocalGridList());
+      setKey('');
+      setName('');
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (gridKey) => {
+    unregisterLocalGrid(gridKey);
+    onGridsChange(getLocalGridList());
+  };
+
+  const projectionLabel = (grid) => {
+    const label = projectionOptions.find(opt => opt.value === grid.projection)?.label || grid.projection;
+    return grid.projection === 'UTM' ? `UTM ${grid.zone}${grid.hemisphere}` : label;
+  };
+
+  return (
+    <div className="file-loader">
+      <div className="form-row">
+        <div className="form-group">
+          <label>Tied to</label>
+          <select value={projection} onChange={(e) => setProjection(e.target.value)}>
+            {projectionOptions.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Datum</label>
+          <select value={gridDatum} onChange={(e) => setDatum(e.target.value)} disabled={!!fixedDatum}>
+            {Object.entries(DATUMS).map(([datumKey, d]) => (
+              <option key={datumKey} value={datumKey}>{d.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {projection === 'UTM' && (
+        <div className="form-row">
+          <div className="form-group">
+            <label>Zone</label>
+            <input type="number" min="1" max="60" value={zone} onChange={(e) => setZone(parseInt(e.target.value))} />
+          </div>
+          <div className="form-group">
+            <label>Hemisphere</label>
+            <select value={hemisphere} onChange={(e) => setHemisphere(e.target.value)}>
+              <option value="N">North</option>
+              <option value="S">South</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Model</label>
+          <select value={model} onChange={(e) => setModel(e.target.value)}>
+            {Object.entries(PLANE_MODELS).map(([modelKey, m]) => (
+              <option key={modelKey} value={modelKey}>{m.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label>Outlier Threshold (σ)</label>
+          <input
+            type="number"
+            step="0.5"
+            value={threshold}
+            onChange={(e) => setThreshold(parseFloat(e.target.value) || 3)}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Common Points</label>
+        <textarea
+          className="crs-definition"
+          value={pointsText}
+          onChange={(e) => setPointsText(e.target.value)}
+          placeholder={'id, x, y (local), E, N (grid)\nP1, 1000.000, 5000.000, 487654.210, 4412345.600'}
+          rows={6}
+        />
+      </div>
+
+      <button className="auto-zone-btn" onClick={() => runEstimation()}>Estimate</button>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {result && (
+        <>
+          <div className="transformation-report">
+            <span className="label">
+              {PLANE_MODELS[result.model].name} · σ₀ {result.sigma0.toFixed(4)} m · RMS {result.rms.toFixed(4)} m · dof {result.dof}
+            </span>
+            {result.similarity && (
+              <div className="report-step">
+                scale {result.similarity.scale.toFixed(9)} ({((result.similarity.scale - 1) * 1e6).toFixed(2)} ppm)
+                {' '}· rotation {result.similarity.rotation.toFixed(6)}°
+              </div>
+            )}
+            <div className="report-step">
+              origin x {result.origin.x.toFixed(3)}, y {result.origin.y.toFixed(3)}
+            </div>
+            {Object.entries(result.params).map(([param, value]) => (
+              <div key={param} className="report-step">
+                {param} = {value.toPrecision(12)} ± {result.stdDev[param].toExponential(2)}
+              </div>
+            ))}
+          </div>
+
+          <table className="residual-table">
+            <thead>
+              <tr>
+                <th>Point</th>
+                <th>vE (m)</th>
+                <th>vN (m)</th>
+                <th>w</th>
+                <th>Use</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.residuals.map(residual => (
+                <tr key={residual.id} className={residual.outlier ? 'outlier' : ''}>
+                  <td>{residual.id}</td>
+                  <td>{residual.dE.toFixed(4)}</td>
+                  <td>{residual.dN.toFixed(4)}</td>
+                  <td>{residual.standardized.toFixed(2)}</td>
+                  <td>
+                    <input type="checkbox" checked onChange={() => toggleExcluded(residual.id)} />
+                  </td>
+                </tr>
+              ))}
+              {excluded.map(id => (
+                <tr key={id} className="excluded">
+                  <td>{id}</td>
+                  <td colSpan={3}>excluded</td>
+                  <td>
+                    <input type="checkbox" checked={false} onChange={() => toggleExcluded(id)} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {result.outliers.length > 0 && (
+            <div className="report-warning">
+              ⚠ Possible outliers (|w| &gt; {threshold}): {result.outliers.join(', ')}
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Key</label>
+              <input type="text" value={key} onChange={(e) => setKey(e.target.value)} placeholder="e.g. SITE_A" />
+            </div>
+            <div className="form-group">
+              <label>Name</label>
+              <input type="text" value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <button className="auto-zone-btn" onClick={handleSave} disabled={!key}>Save</button>
+          </div>
+        </>
+      )}
+
+      {grids.map(grid => (
+        <div key={grid.key} className="loaded-file">
+          <div className="loaded-file-header">
+            <span className="loaded-file-name">{grid.key}</span>
+            <span className="loaded-file-meta">
+              {grid.name} → {projectionLabel(grid)} ({DATUMS[grid.datum]?.name})
+            </span>
+            <button className="loaded-file-remove" onClick={() => handleRemove(grid.key)} title="Remove local grid">
+              ×
+            </button>
+          </div>
+          <div className="loaded-file-extent">
+            {PLANE_MODELS[grid.fit.model].name}
+            {grid.sigma0 !== null && ` · σ₀ ${grid.sigma0.toFixed(4)} m`}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default LocalGridManager;
@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMap, LayersControl } from 'react-leaflet';
+import { bbox } from '@turf/turf';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './MapView.css';
@@ -38,6 +39,60 @@ function MapUpdater({ center }) {
   return null;
 }
 
+// Transformed vector file (WGS84), zoomed to when it changes
+function VectorLayer({ layer }) {
+  const map = useMap();
+  
+  useEffect(() => {
+    if (!layer) return undefined;
+    
+    const geoJSON = L.geoJSON(layer.display, {
+      style: { color: '#F4F1DE', weight: 2, fillColor: '#548687', fillOpacity: 0.3 },
+      pointToLayer: (feature, latlng) => L.circleMarker(latlng, {
+        radius: 5, color: '#031926', weight: 1, fillColor: '#F4F1DE', fillOpacity: 0.9
+      })
+    }).addTo(map);
+    
+    const [minX, minY, maxX, maxY] = bbox(layer.display);
+    if ([minX, minY, maxX, maxY].every(Number.isFinite)) {
+      map.fitBounds([[minY, minX], [maxY, maxX]], { padding: [20, 20], maxZoom: 17 });
+    }
+    
+    return () => {
+      map.removeLayer(geoJSON);
+    };
+  }, [layer, map]);
+  
+  return null;
+}
+
+// Geodesic from the calculator with its end points
+function GeodesicLine({ geodesic }) {
+  const map = useMap();
+  
+  useEffect(() => {
+    if (!geodesic) return undefined;
+    
+    const endPoint = (point, label) => L.circleMarker([point.lat, point.lon], {
+      radius: 5, color: '#031926', weight: 1, fillColor: '#F4F1DE', fillOpacity: 0.9
+    }).bindTooltip(label);
+    const end = geodesic.path[geodesic.path.length - 1];
+    const line = L.featureGroup([
+      L.polyline(geodesic.path, { color: '#F4F1DE', weight: 2, dashArray: '6 4' }),
+      endPoint(geodesic.start, 'P1'),
+      endPoint({ lat: end[0], lon: end[1] }, 'P2')
+    ]).addTo(map);
+    
+    map.fitBounds(line.getBounds(), { padding: [20, 20], maxZoom: 17 });
+    
+    return () => {
+      map.removeLayer(line);
+    };
+  }, [geodesic, map]);
+  
+  return null;
+}
+
 // Coordinate display component
 function CoordinateDisplay({ position }) {
   const map = useMap();
@@ -131,7 +186,7 @@ function ScaleInfo() {
   );
 }
 
-function MapView({ coordinate }) {
+function MapView({ coordinate, vectorLayer, geodesic }) {
   const [position, setPosition] = useState([41.0082, 28.9784]); // Default: Istanbul
   
   useEffect(() => {
@@ -212,6 +267,10 @@ function MapView({ coordinate }) {
         <MousePositionDisplay />
         <ScaleInfo />
         
+        {/* Transformed vector file */}
+        <VectorLayer layer={vectorLayer} />
+        <GeodesicLine geodesic={geodesic} />
+        
         {/* Marker for the transformed coordinate */}
         {coordinate && coordinate.lat && coordinate.lon && (
           <Marker position={[coordinate.lat, coordinate.lon]} icon={customIcon}>
@@ -0,0 +1,36 @@
+import { PROJECTION_METHODS, PROJECTION_PARAMETERS } from '../utils/projections';
+
+// Inputs per row of the parameter form
+const ROW_SIZE = 2;
+
+function ProjectionParameters({ method, values, onChange, label = '' }) {
+  const keys = PROJECTION_METHODS[method].parameters;
+  const rows = [];
+  for (let i = 0; i < keys.length; i += ROW_SIZE) {
+    rows.push(keys.slice(i, i + ROW_SIZE));
+  }
+
+  return (
+    <>
+      {rows.map(row => (
+        <div className="form-row" key={row.join()}>
+          {row.map(key => (
+            <div className="form-group" key={key}>
+              <label>{label}{PROJECTION_PARAMETERS[key].label}</label>
+              <input
+                type="number"
+                step="any"
+                min={PROJECTION_PARAMETERS[key].min}
+                max={PROJECTION_PARAMETERS[key].max}
+                value={Number.isNaN(values[key]) ? '' : values[key]}
+                onChange={(e) => onChange({ ...values, [key]: parseFloat(e.target.value) })}
+              />
+            </div>
+          ))}
+        </div>
+      ))}
+    </>
+  );
+}
+
+export default ProjectionParameters;
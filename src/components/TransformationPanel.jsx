@@ -1,7 +1,15 @@
-import { useState, useCallback, useMemo } from 'react';
-import { DATUMS } from '../utils/datums';
+import { useState, useCallback, useMemo, useRef } from 'react';
+import { DATUMS, isFrameDatum, getUserDatums } from '../utils/datums';
 import { ELLIPSOIDS } from '../utils/ellipsoids';
-import { PROJECTIONS, getUTMZone } from '../utils/projections';
+import {
+  PROJECTIONS,
+  TM_ZONE_MERIDIANS,
+  isZonedProjection,
+  getAutoZone,
+  checkZoneExtent
+} from '../utils/projections';
+import { PLATE_MODELS } from '../utils/velocities';
+import { APPROXIMATE_GEOID_MODELS, HeightSystems, getGeoidUndulation } from '../utils/geoid';
 import {
   transformDatum,
   geographicToGeocentric,
@@ -9,46 +17,357 @@ import {
   projectCoordinates,
   unprojectCoordinates,
   transformCRS,
-  getUTMEPSG,
   decimalToDMS,
-  dmsToDecimal,
   formatDMS,
+  toDecimalYear,
+  ellipsoidalToOrthometric,
+  orthometricToEllipsoidal,
+  CONVENTION_WARNING_THRESHOLD,
+  DATUM_METHODS,
+  roundTripResidual,
+  compareDatumMethods,
+  checkFrameEpoch,
   proj4
 } from '../utils/transformations';
+import {
+  getUTMProj4,
+  PROJECTION_METHODS,
+  getParametricProj4,
+  getDefaultProjectionParameters
+} from '../utils/projections';
+import { getCustomCRS, getCustomCRSList } from '../utils/crs';
+import { getLocalGrid, getLocalGridList, localToGrid, gridToLocal } from '../utils/localGrid';
+import {
+  EXPORT_FORMATS,
+  EXPORT_PRECISIONS,
+  formatCoordinates,
+  exportPoints,
+  downloadExport
+} from '../utils/pointExport';
+import { BATCH_STATUS, getBatchContext, getBatchLabels } from '../utils/batchEngine';
+import { getGridFactors, groundToGrid } from '../utils/gridFactors';
+import {
+  TM_ENGINES,
+  getTMEngines,
+  setTMEngine,
+  getTMParameters,
+  toKrugerCRS,
+  compareTMEngines
+} from '../utils/transverseMercator';
+import { runBatchJob } from '../utils/batchRunner';
+import { MGRS_DATUM, MGRS_PRECISIONS, toMGRS, toUSNG, fromMGRS } from '../utils/mgrs';
+import { COORDINATE_EXAMPLES, parseAngle, parseCoordinate } from '../utils/coordinateParser';
+import GridShiftManager from './GridShiftManager';
+import GeoidManager from './GeoidManager';
+import CRSManager from './CRSManager';
+import DatumEditor from './DatumEditor';
+import HelmertEstimator from './HelmertEstimator';
+import LocalGridManager from './LocalGridManager';
+import BatchImporter from './BatchImporter';
+import VectorTransformer from './VectorTransformer';
+import GeodesicCalculator from './GeodesicCalculator';
+import ProjectionParameters from './ProjectionParameters';
+import ZoneTransformer from './ZoneTransformer';
 import './TransformationPanel.css';
 
 // Coordinate type options
 const COORD_TYPES = {
   GEOGRAPHIC: 'geographic',
   PROJECTED: 'projected',
-  GEOCENTRIC: 'geocentric'
+  GEOCENTRIC: 'geocentric',
+  LOCAL: 'local',
+  MGRS: 'mgrs'
+};
+
+// Number typed in a field kept as text; NaN when empty or not a number
+// (never 0, so a cleared field cannot pass as a value)
+const parseField = (value) => (String(value).trim() === '' ? NaN : Number(value));
+
+// Input fields each source type reads (plus h with a height system)
+const INPUT_FIELDS = {
+  [COORD_TYPES.GEOGRAPHIC]: ['lat', 'lon'],
+  [COORD_TYPES.PROJECTED]: ['easting', 'northing'],
+  [COORD_TYPES.GEOCENTRIC]: ['x', 'y', 'z'],
+  [COORD_TYPES.LOCAL]: ['localX', 'localY'],
+  [COORD_TYPES.MGRS]: []
+};
+
+// Height system options
+const HEIGHT_SYSTEMS = {
+  ELLIPSOIDAL: 'ellipsoidal',
+  ORTHOMETRIC: 'orthometric',
+  NONE: 'none'
 };
 
 // Projection options
+// datum: the datum the projection is tied to; UTM and the parameterised
+// projections (parametric) follow the selected datum
 const PROJECTION_OPTIONS = [
   { value: 'UTM', label: 'UTM (Universal Transverse Mercator)' },
-  { value: 'WebMercator', label: 'Web Mercator (EPSG:3857)' },
-  { value: 'TM30', label: 'TM 30°E (ED50)' },
-  { value: 'TM33', label: 'TM 33°E (ED50)' },
-  { value: 'TM36', label: 'TM 36°E (ED50)' },
-  { value: 'TM39', label: 'TM 39°E (ED50)' },
-  { value: 'TM42', label: 'TM 42°E (ED50)' },
-  { value: 'TM45', label: 'TM 45°E (ED50)' },
-  { value: 'TUREF_TM30', label: 'TUREF TM 30°E' },
-  { value: 'TUREF_TM33', label: 'TUREF TM 33°E' },
-  { value: 'TUREF_TM36', label: 'TUREF TM 36°E' },
-  { value: 'TUREF_TM39', label: 'TUREF TM 39°E' },
-  { value: 'TUREF_TM42', label: 'TUREF TM 42°E' },
-  { value: 'TUREF_TM45', label: 'TUREF TM 45°E' },
+  { value: 'WebMercator', label: 'Web Mercator (EPSG:3857)', datum: 'WGS84' },
+  { value: 'TM30', label: 'TM 30°E (ED50)', datum: 'ED50' },
+  { value: 'TM33', label: 'TM 33°E (ED50)', datum: 'ED50' },
+  { value: 'TM36', label: 'TM 36°E (ED50)', datum: 'ED50' },
+  { value: 'TM39', label: 'TM 39°E (ED50)', datum: 'ED50' },
+  { value: 'TM42', label: 'TM 42°E (ED50)', datum: 'ED50' },
+  { value: 'TM45', label: 'TM 45°E (ED50)', datum: 'ED50' },
+  { value: 'TUREF_TM30', label: 'TUREF TM 30°E', datum: 'TUREF' },
+  { value: 'TUREF_TM33', label: 'TUREF TM 33°E', datum: 'TUREF' },
+  { value: 'TUREF_TM36', label: 'TUREF TM 36°E', datum: 'TUREF' },
+  { value: 'TUREF_TM39', label: 'TUREF TM 39°E', datum: 'TUREF' },
+  { value: 'TUREF_TM42', label: 'TUREF TM 42°E', datum: 'TUREF' },
+  { value: 'TUREF_TM45', label: 'TUREF TM 45°E', datum: 'TUREF' },
+  ...Object.entries(PROJECTION_METHODS).map(([value, method]) => ({ value, label: method.name, parametric: true })),
 ];
 
-function TransformationPanel({ onCoordinateChange }) {
+/**
+ * Datum that projected coordinates are referenced to
+ * @param {string} projection - Value from PROJECTION_OPTIONS
+ * @param {string} datum - Selected datum
+ * @returns {string} - Datum key
+ */
+function getProjectedDatum(projection, datum) {
+  return PROJECTION_OPTIONS.find(opt => opt.value === projection)?.datum
+    || getCustomCRS(projection)?.datum
+    || datum;
+}
+
+/**
+ * Local grid selected as source or target
+ * @param {string} key - Local grid key
+ * @returns {Object} - Registered local grid
+ */
+function requireLocalGrid(key) {
+  const grid = getLocalGrid(key);
+  if (!grid) {
+    throw new Error('Select a local grid (fit one under Local Grids)');
+  }
+  return grid;
+}
+
+/**
+ * Unsigned angle as degrees, minutes and seconds
+ * @param {number} angle - Angle in degrees
+ * @returns {string}
+ */
+function formatAngleDMS(angle) {
+  const dms = decimalToDMS(Math.abs(angle));
+  return `${dms.degrees}° ${dms.minutes}' ${dms.seconds.toFixed(3)}"`;
+}
+
+// Lines shown in the batch output box and failed lines listed; Copy
+// and Download always cover every point
+const BATCH_PREVIEW_LINES = 1000;
+const BATCH_ERROR_ROWS = 100;
+
+/**
+ * Transformed points of a batch run, in input order
+ * @param {Object} batch - {records, output, method}
+ * @param {number} limit - Maximum number of points
+ * @returns {Array} - [{record, coords, method, zone, wgs84}]
+ */
+function batchPoints(batch, limit = Infinity) {
+  const { records, output, method } = batch;
+  const { dims } = output;
+  const points = [];
+  for (let i = 0; i < records.length && points.length < limit; i++) {
+    if (output.status[i] !== BATCH_STATUS.OK) continue;
+    points.push({
+      record: records[i],
+      coords: Array.from(output.coords.subarray(i * dims, (i + 1) * dims)),
+      method: output.applied[i] ? method : 'helmert',
+      zone: output.zones[i],
+      wgs84: { lat: output.wgs84[i * 3], lon: output.wgs84[i * 3 + 1], h: output.wgs84[i * 3 + 2] }
+    });
+  }
+  return points;
+}
+
+/**
+ * Number of batch points outside the UTM / TM zone of each side
+ * 
+ * Uses the WGS84 position of each point, so points within the datum
+ * shift of a zone boundary may be counted on either side.
+ * 
+ * @param {Object} output - Batch output
+ * @param {Object} zones - {source, target}: [projection, zone, hemisphere] or false
+ * @returns {Object} - {source, target} counts
+ */
+function countZoneWarnings(output, zones) {
+  const counts = { source: 0, target: 0 };
+  if (!zones.source && !zones.target) return counts;
+  for (let i = 0; i < output.count; i++) {
+    if (output.status[i] !== BATCH_STATUS.OK) continue;
+    const lat = output.wgs84[i * 3];
+    const lon = output.wgs84[i * 3 + 1];
+    for (const side of ['source', 'target']) {
+      if (zones[side] && checkZoneExtent(lat, lon, ...zones[side])) {
+        counts[side]++;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Batch results as text
+ * 
+ * Pasted input gives comma-separated coordinates. Imported files keep
+ * their delimiter and decimal separator, get a header row if they had
+ * one, and carry the ID and non-coordinate columns around the results.
+ * Runs with a zone per point add a zone column after the coordinates.
+ * 
+ * @param {Object} batch - {crs, labels, records, output, table, method, zoned}
+ * @param {number} precision - Decimals for metres
+ * @param {number} limit - Maximum number of points
+ * @returns {string}
+ */
+function formatBatchOutput(batch, precision, limit = Infinity) {
+  const { crs, labels, table, method, zoned } = batch;
+  const points = batchPoints(batch, limit);
+  const values = (point) => [
+    ...formatCoordinates(point.coords, crs.type, precision, crs.digits),
+    ...(zoned ? [point.zone] : []),
+    ...(method ? [point.method] : [])
+  ];
+  
+  if (!table) {
+    return points.map(point => values(point).join(', ')).join('\n');
+  }
+  
+  const number = (value) => (table.decimal === ',' ? value.replace('.', ',') : value);
+  const row = (id, cells, extra) => [
+    ...(table.idHeader ? [id] : []),
+    ...cells,
+    ...extra
+  ].join(table.delimiter);
+  
+  const lines = points.map(point => row(point.record.id, values(point).map(number), point.record.extra));
+  if (table.header && points.length > 0) {
+    lines.unshift(row(
+      table.idHeader,
+      [...labels, ...(zoned ? ['Zone'] : []), ...(method ? ['Method'] : [])],
+      table.extraHeader
+    ));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Batch results as a point set for export (see utils/pointExport)
+ * 
+ * Points without an ID are numbered in input order.
+ * 
+ * @param {Object} batch - {crs, labels, records, output, table, method, zoned}
+ * @returns {Object} - {crs, labels, attributeNames, points}
+ */
+function toPointSet(batch) {
+  const { crs, labels, table, method, zoned } = batch;
+  return {
+    crs,
+    labels,
+    attributeNames: [...(table?.extraHeader || []), ...(zoned ? ['Zone'] : []), ...(method ? ['Method'] : [])],
+    points: batchPoints(batch).map((point, index) => ({
+      id: point.record.id || String(index + 1),
+      coords: point.coords,
+      attributes: [
+        ...(point.record.extra || []),
+        ...(zoned ? [point.zone] : []),
+        ...(method ? [point.method] : [])
+      ],
+      wgs84: point.wgs84
+    }))
+  };
+}
+
+/**
+ * Pasted batch lines as records
+ * 
+ * Values are positional: X, Y, Z for geocentric and easting / x,
+ * northing / y [, h] otherwise. Geographic lines are read with
+ * parseCoordinate (decimal, DMS, DDM, hemisphere letters, ISO 6709). MGRS /
+ * USNG lines hold a reference, optionally followed by a comma, semicolon
+ * or tab and h; they are decoded to longitude / latitude here. Lines
+ * that cannot be read keep an `error` so they are reported.
+ * 
+ * @param {string} text - Pasted input
+ * @param {string} sourceType - Value from COORD_TYPES
+ * @returns {Array} - [{line, raw, x, y, z, error}]
+ */
+function parseBatchLines(text, sourceType) {
+  return text.split('\n').flatMap((raw, index) => {
+    if (!raw.trim()) return [];
+    
+    if (sourceType === COORD_TYPES.MGRS) {
+      return [parseMGRSLine(raw, index + 1)];
+    }
+    if (sourceType === COORD_TYPES.GEOGRAPHIC) {
+      return [parseGeographicLine(raw, index + 1)];
+    }
+    
+    const values = raw.trim().split(/[,;\s]+/).slice(0, 3).map(Number);
+    const record = { line: index + 1, raw, error: null };
+    const required = sourceType === COORD_TYPES.GEOCENTRIC ? 3 : 2;
+    
+    if (values.length < required) {
+      record.error = `Expected ${required} values, got ${values.length}`;
+    } else if (!values.every(Number.isFinite)) {
+      record.error = 'Values must be numbers';
+    } else {
+      [record.x, record.y, record.z] = values;
+    }
+    return [record];
+  });
+}
+
+/**
+ * Pasted geographic batch line as a record
+ * @param {string} raw - Line text
+ * @param {number} line - Line number
+ * @returns {Object} - {line, raw, x, y, z, error}
+ */
+function parseGeographicLine(raw, line) {
+  const record = { line, raw, error: null };
+  try {
+    const { lat, lon, h } = parseCoordinate(raw);
+    Object.assign(record, { x: lon, y: lat, z: h });
+  } catch (err) {
+    record.error = err.message;
+  }
+  return record;
+}
+
+/**
+ * Pasted MGRS / USNG batch line as a record
+ * @param {string} raw - Line text
+ * @param {number} line - Line number
+ * @returns {Object} - {line, raw, x, y, z, error}
+ */
+function parseMGRSLine(raw, line) {
+  const [reference, height, ...rest] = raw.split(/[,;\t]/).map(value => value.trim());
+  const record = { line, raw, error: null };
+  try {
+    const decoded = fromMGRS(reference);
+    const z = height ? Number(height) : undefined;
+    if (rest.length > 0 || (height && !Number.isFinite(z))) {
+      throw new Error('Expected an MGRS reference and an optional height');
+    }
+    Object.assign(record, { x: decoded.lon, y: decoded.lat, z });
+  } catch (err) {
+    record.error = err.message;
+  }
+  return record;
+}
+
+function TransformationPanel({ onCoordinateChange, onVectorLayerChange, onGeodesicChange }) {
   // Source coordinate state
   const [sourceType, setSourceType] = useState(COORD_TYPES.GEOGRAPHIC);
   const [sourceDatum, setSourceDatum] = useState('WGS84');
   const [sourceProjection, setSourceProjection] = useState('UTM');
   const [sourceUTMZone, setSourceUTMZone] = useState(36);
   const [sourceHemisphere, setSourceHemisphere] = useState('N');
+  const [sourceProjParams, setSourceProjParams] = useState(getDefaultProjectionParameters);
+  const [sourceLocalGrid, setSourceLocalGrid] = useState('');
   
   // Target coordinate state
   const [targetType, setTargetType] = useState(COORD_TYPES.PROJECTED);
@@ -56,6 +375,8 @@ function TransformationPanel({ onCoordinateChange }) {
   const [targetProjection, setTargetProjection] = useState('UTM');
   const [targetUTMZone, setTargetUTMZone] = useState(36);
   const [targetHemisphere, setTargetHemisphere] = useState('N');
+  const [targetProjParams, setTargetProjParams] = useState(getDefaultProjectionParameters);
+  const [targetLocalGrid, setTargetLocalGrid] = useState('');
   
   // Input coordinates
   const [inputCoords, setInputCoords] = useState({
@@ -66,74 +387,239 @@ function TransformationPanel({ onCoordinateChange }) {
     y: 0,
     z: 0,
     easting: 500000,
-    northing: 4500000
+    northing: 4500000,
+    localX: 1000,
+    localY: 5000
   });
   
+  // Coordinate epoch (decimal year) for time-dependent frames, as typed
+  const [coordinateEpoch, setCoordinateEpoch] = useState(
+    () => String(Math.round(toDecimalYear() * 1000) / 1000)
+  );
+  
+  // Epoch propagation with station or plate-model velocities
+  const [targetEpoch, setTargetEpoch] = useState('');
+  const [velocityMode, setVelocityMode] = useState('none');
+  const [velocityPlate, setVelocityPlate] = useState('ANAT');
+  const [stationVelocity, setStationVelocity] = useState({ ve: '0', vn: '0', vu: '0' }); // mm/yr, as typed
+  
+  // Datum transformation method and loaded grid shift files
+  const [datumMethod, setDatumMethod] = useState('helmert');
+  const [compareMethods, setCompareMethods] = useState(false);
+  const [gridShifts, setGridShifts] = useState([]);
+  
+  // Height systems and geoid models (H = h - N)
+  const [sourceHeightSystem, setSourceHeightSystem] = useState(HEIGHT_SYSTEMS.ELLIPSOIDAL);
+  const [sourceGeoidModel, setSourceGeoidModel] = useState('');
+  const [targetHeightSystem, setTargetHeightSystem] = useState(HEIGHT_SYSTEMS.ELLIPSOIDAL);
+  const [targetGeoidModel, setTargetGeoidModel] = useState('');
+  const [geoidInterpolation, setGeoidInterpolation] = useState('bilinear');
+  const [geoidModels, setGeoidModels] = useState([]);
+  
+  // Custom CRSs (registered from PROJ / WKT / EPSG, kept in local storage)
+  const [customCRS, setCustomCRS] = useState(getCustomCRSList);
+  const [showCRSManager, setShowCRSManager] = useState(false);
+  
+  // User-defined datums (added to DATUMS, kept in local storage)
+  const [userDatums, setUserDatums] = useState(getUserDatums);
+  const [showDatumEditor, setShowDatumEditor] = useState(false);
+  const [showEstimator, setShowEstimator] = useState(false);
+  
+  // Local engineering grids tied to a projected CRS by a 2D fit
+  const [localGrids, setLocalGrids] = useState(getLocalGridList);
+  const [showLocalGrids, setShowLocalGrids] = useState(false);
+  
+  // Vector files (GeoJSON, Shapefile, KML) reprojected to the target CRS
+  const [showVectorFiles, setShowVectorFiles] = useState(false);
+  
+  // Geodesic direct / inverse problems
+  const [showGeodesic, setShowGeodesic] = useState(false);
+  
+  // UTM / Turkish TM target zone chosen per point
+  const [autoZone, setAutoZone] = useState(false);
+  const [showZoneTool, setShowZoneTool] = useState(false);
+  
+  // Native Krüger / proj4 TM engine per projection option
+  const [tmEngines, setTMEngines] = useState(getTMEngines);
+  
+  // Ground distance reduced with the combined factor of the result
+  const [groundDistance, setGroundDistance] = useState(1000);
+  
+  // WGS84 position of the last transformed point (for the datum editor)
+  const [lastPoint, setLastPoint] = useState(null);
+  
+  const projectionOptions = useMemo(() => [
+    ...PROJECTION_OPTIONS,
+    ...customCRS.map(crs => ({ value: crs.code, label: `${crs.name} (${crs.code})`, datum: crs.datum }))
+  ], [customCRS]);
+  
+  // Local grids and vector sources have no parameter forms
+  const gridProjectionOptions = useMemo(
+    () => projectionOptions.filter(opt => !opt.parametric),
+    [projectionOptions]
+  );
+  
   // Output coordinates
   const [outputCoords, setOutputCoords] = useState(null);
   
   // Batch mode
   const [batchMode, setBatchMode] = useState(false);
   const [batchInput, setBatchInput] = useState('');
-  const [batchOutput, setBatchOutput] = useState('');
+  const [batchResults, setBatchResults] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const cancelBatch = useRef(null);
+  const [batchPrecision, setBatchPrecision] = useState(3);
+  const [exportFormat, setExportFormat] = useState('csv');
   
-  // DMS input mode
-  const [useDMS, setUseDMS] = useState(false);
-  const [dmsInput, setDmsInput] = useState({
-    latDeg: 41, latMin: 0, latSec: 29.52, latDir: 'N',
-    lonDeg: 28, lonMin: 58, lonSec: 42.24, lonDir: 'E'
-  });
+  // Point file imported with a column mapping (replaces the text input)
+  const [batchImport, setBatchImport] = useState(null);
+  
+  // MGRS / USNG input and output precision (digits per coordinate)
+  const [mgrsInput, setMgrsInput] = useState('35TPF6637041552');
+  const [mgrsPrecision, setMgrsPrecision] = useState(5);
+  
+  // Text input mode: one coordinate string in any notation (see parseCoordinate)
+  const [useCoordinateText, setUseCoordinateText] = useState(false);
+  const [coordinateText, setCoordinateText] = useState('41°00\'29.52"N 28°58\'42.24"E');
+  const [coordinateTextError, setCoordinateTextError] = useState(null);
+  
+  // Latitude / longitude fields as typed, in any single-angle notation
+  // (see parseAngle), and the reason each cannot be read
+  const [angleText, setAngleText] = useState({ lat: '41.0082', lon: '28.9784' });
+  const [angleErrors, setAngleErrors] = useState({ lat: null, lon: null });
   
   // Error state
   const [error, setError] = useState(null);
   
+  // Options passed to every datum transformation
+  const datumOptions = useMemo(() => {
+    const options = { epoch: parseField(coordinateEpoch), method: datumMethod };
+    if (velocityMode !== 'none' && targetEpoch !== '') {
+      options.targetEpoch = parseField(targetEpoch);
+      options.velocity = velocityMode === 'plate'
+        ? { plate: velocityPlate }
+        : {
+            ve: parseField(stationVelocity.ve) / 1000,
+            vn: parseField(stationVelocity.vn) / 1000,
+            vu: parseField(stationVelocity.vu) / 1000
+          };
+    }
+    return options;
+  }, [coordinateEpoch, targetEpoch, velocityMode, velocityPlate, stationVelocity, datumMethod]);
+  
+  // Epoch entries that block a transformation with time-dependent frames
+  const epochError = useMemo(() => {
+    if (!isFrameDatum(sourceDatum) && !isFrameDatum(targetDatum)) return null;
+    if (!Number.isFinite(datumOptions.epoch)) return 'Enter the coordinate epoch as a decimal year';
+    if (datumOptions.targetEpoch !== undefined && !Number.isFinite(datumOptions.targetEpoch)) {
+      return 'Enter the target epoch as a decimal year';
+    }
+    if (velocityMode === 'station' && !['ve', 'vn', 'vu'].every(key => Number.isFinite(datumOptions.velocity?.[key]))) {
+      return 'Enter all three station velocity components (mm/yr)';
+    }
+    return null;
+  }, [sourceDatum, targetDatum, datumOptions, velocityMode]);
+  
   // Handle input change
+  // Empty or invalid entries stay NaN (highlighted, rejected on transform)
+  // instead of becoming 0
   const handleInputChange = (field, value) => {
     setInputCoords(prev => ({
       ...prev,
-      [field]: parseFloat(value) || 0
+      [field]: value === '' ? NaN : parseFloat(value)
     }));
   };
   
-  // Handle DMS input change
-  const handleDMSChange = (field, value) => {
-    setDmsInput(prev => ({
-      ...prev,
-      [field]: field.includes('Dir') ? value : (parseFloat(value) || 0)
-    }));
+  const inputValue = (field) => Number.isNaN(inputCoords[field]) ? '' : inputCoords[field];
+  const inputClass = (field) => Number.isNaN(inputCoords[field]) ? 'input-error' : undefined;
+  
+  // Handle a latitude or longitude field (decimal, DMS, DDM, hemisphere letters)
+  const handleAngleChange = (axis, text) => {
+    let value = NaN;
+    let angleError = null;
+    try {
+      value = parseAngle(text, axis);
+    } catch (err) {
+      angleError = err.message;
+    }
+    setAngleText(prev => ({ ...prev, [axis]: text }));
+    setAngleErrors(prev => ({ ...prev, [axis]: angleError }));
+    setInputCoords(prev => ({ ...prev, [axis]: value }));
   };
   
-  // Convert DMS to decimal
-  const convertDMSToDecimal = useCallback(() => {
-    const lat = dmsToDecimal(
-      dmsInput.latDeg,
-      dmsInput.latMin,
-      dmsInput.latSec,
-      dmsInput.latDir
-    );
-    const lon = dmsToDecimal(
-      dmsInput.lonDeg,
-      dmsInput.lonMin,
-      dmsInput.lonSec,
-      dmsInput.lonDir
-    );
-    setInputCoords(prev => ({ ...prev, lat, lon }));
-  }, [dmsInput]);
+  // Handle coordinate text change; a valid string updates lat / lon (and
+  // h when it carries one)
+  const handleCoordinateText = useCallback((text) => {
+    setCoordinateText(text);
+    try {
+      const { lat, lon, h } = parseCoordinate(text);
+      setInputCoords(prev => ({ ...prev, lat, lon, h: h ?? prev.h }));
+      setAngleText({ lat: String(lat), lon: String(lon) });
+      setAngleErrors({ lat: null, lon: null });
+      setCoordinateTextError(null);
+    } catch (err) {
+      setCoordinateTextError(err.message);
+    }
+  }, []);
+  
+  // Paste a coordinate string from the clipboard into the text input
+  const pasteCoordinate = useCallback(async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      setUseCoordinateText(true);
+      handleCoordinateText(text.trim());
+    } catch (err) {
+      setError(`Clipboard not readable: ${err.message}`);
+    }
+  }, [handleCoordinateText]);
   
   // Get projection CRS string
-  const getProjectionCRS = useCallback((projection, utmZone, hemisphere, datum) => {
-    if (projection === 'UTM') {
-      return getUTMEPSG(utmZone, hemisphere === 'N');
+  // The CRS only carries the datum's ellipsoid, so (un)projected latitude and
+  // longitude stay on `datum` and datum shifts go through transformDatum
+  // TM projections set to the native Krüger engine get a +proj=kruger CRS
+  // Parameterised projections are built from `parameters` (see PROJECTION_METHODS)
+  const getProjectionCRS = useCallback((projection, utmZone, hemisphere, datum, parameters) => {
+    let crs = 'EPSG:4326';
+    if (getCustomCRS(projection)) {
+      crs = projection;
+    } else if (projection === 'UTM') {
+      crs = getUTMProj4(utmZone, hemisphere === 'N', datum);
+    } else if (PROJECTION_METHODS[projection]) {
+      crs = getParametricProj4(projection, parameters, datum);
     } else if (projection === 'WebMercator') {
-      return 'EPSG:3857';
+      crs = 'EPSG:3857';
     } else if (projection.startsWith('TM') || projection.startsWith('TUREF')) {
       // Use ED50 TM projections
-      if (projection.startsWith('TUREF')) {
-        return projection;
-      }
-      return `ED50_${projection}`;
+      crs = projection.startsWith('TUREF') ? projection : `ED50_${projection}`;
     }
-    return 'EPSG:4326';
+    return tmEngines[projection] === 'kruger' ? toKrugerCRS(crs) : crs;
+  }, [tmEngines]);
+  
+  // CRS of every zone of a UTM / TM projection, keyed by zone label
+  // (see getAutoZone), for batch runs with a zone per point
+  const getZoneCRSs = useCallback((projection, datum) => {
+    const zones = projection === 'UTM'
+      ? Array.from({ length: 60 }, (_, i) => [1, -1].map(lat => getAutoZone(projection, lat, i * 6 - 177))).flat()
+      : TM_ZONE_MERIDIANS.map(meridian => getAutoZone(projection, 0, meridian));
+    return {
+      projection,
+      crs: Object.fromEntries(zones.map(zone => [
+        zone.label,
+        getProjectionCRS(zone.projection, zone.zone, zone.hemisphere, datum)
+      ]))
+    };
+  }, [getProjectionCRS]);
+  
+  // Projection options that are transverse Mercator (engine selectable)
+  const tmProjections = useMemo(() => new Set(
+    projectionOptions
+      .filter(opt => getTMParameters(getProjectionCRS(opt.value, 31, 'N', opt.datum || 'WGS84')))
+      .map(opt => opt.value)
+  ), [projectionOptions, getProjectionCRS]);
+  
+  const selectTMEngine = useCallback((projection, engine) => {
+    setTMEngine(projection, engine);
+    setTMEngines(getTMEngines());
   }, []);
   
   // Main transformation function
@@ -141,26 +627,67 @@ function TransformationPanel({ onCoordinateChange }) {
     try {
       setError(null);
       let sourceLatLon = null;
+      let sourceGeo = null;
+      let sourceGeoid = null;
+      let sourceZoneWarning = null;
       let result = {};
       
+      // Geoid undulation at a point given on `datum` (models refer to WGS84)
+      const lookupGeoid = (geo, datum, model) => {
+        const wgs84 = datum === 'WGS84'
+          ? geo
+          : transformDatum(geo, datum, 'WGS84', 'geographic', datumOptions);
+        const geoid = getGeoidUndulation(wgs84.lat, wgs84.lon, model, geoidInterpolation);
+        if (!geoid) {
+          throw new Error(`Point is outside the geoid model ${model}`);
+        }
+        return geoid;
+      };
+      
+      // Input height in the source height system → ellipsoidal height
+      const sourceEllipsoidalHeight = (lat, lon, datum) => {
+        if (sourceHeightSystem === HEIGHT_SYSTEMS.NONE) return 0;
+        if (sourceHeightSystem === HEIGHT_SYSTEMS.ELLIPSOIDAL) return inputCoords.h;
+        if (!sourceGeoidModel) {
+          throw new Error('Select a geoid model for the source orthometric height');
+        }
+        sourceGeoid = lookupGeoid({ lat, lon, h: inputCoords.h }, datum, sourceGeoidModel);
+        return orthometricToEllipsoidal(inputCoords.h, sourceGeoid.N);
+      };
+      
+      // Reject empty or unreadable input instead of transforming zeros
+      if (epochError) {
+        throw new Error(epochError);
+      }
+      if (sourceType === COORD_TYPES.GEOGRAPHIC && useCoordinateText && coordinateTextError) {
+        throw new Error(`Coordinate: ${coordinateTextError}`);
+      }
+      if (sourceType === COORD_TYPES.GEOGRAPHIC && !useCoordinateText && (angleErrors.lat || angleErrors.lon)) {
+        throw new Error(angleErrors.lat || angleErrors.lon);
+      }
+      const invalidFields = [
+        ...INPUT_FIELDS[sourceType],
+        ...(sourceType !== COORD_TYPES.GEOCENTRIC && sourceHeightSystem !== HEIGHT_SYSTEMS.NONE ? ['h'] : [])
+      ].filter(field => !Number.isFinite(inputCoords[field]));
+      if (invalidFields.length > 0) {
+        throw new Error(`Enter a number for ${invalidFields.join(', ')}`);
+      }
+      
       // Step 1: Convert source to geographic WGS84 (internal reference)
       if (sourceType === COORD_TYPES.GEOGRAPHIC) {
-        // If using DMS, convert first
-        if (useDMS) {
-          convertDMSToDecimal();
-        }
-        
         const lat = inputCoords.lat;
         const lon = inputCoords.lon;
-        const h = inputCoords.h;
+        const h = sourceEllipsoidalHeight(lat, lon, sourceDatum);
+        sourceGeo = { lat, lon, h };
         
         // If source datum is not WGS84, transform
         if (sourceDatum !== 'WGS84') {
           const transformed = transformDatum(
-            { lat, lon, h },
+            sourceGeo,
             sourceDatum,
             'WGS84',
-            'geographic'
+            'geographic',
+            datumOptions
           );
           sourceLatLon = { lat: transformed.lat, lon: transformed.lon, h: transformed.h };
         } else {
@@ -171,33 +698,75 @@ function TransformationPanel({ onCoordinateChange }) {
         // Convert ECEF to geographic
         const ellipsoid = ELLIPSOIDS[DATUMS[sourceDatum].ellipsoid];
         const geo = geocentricToGeographic(inputCoords.x, inputCoords.y, inputCoords.z, ellipsoid);
+        sourceGeo = geo;
         
         // Transform to WGS84 if needed
         if (sourceDatum !== 'WGS84') {
-          const transformed = transformDatum(geo, sourceDatum, 'WGS84', 'geographic');
-          sourceLatLon = transformed;
+          const transformed = transformDatum(geo, sourceDatum, 'WGS84', 'geographic', datumOptions);
+          sourceLatLon = { lat: transformed.lat, lon: transformed.lon, h: transformed.h };
         } else {
           sourceLatLon = geo;
         }
         
       } else if (sourceType === COORD_TYPES.PROJECTED) {
-        // Unproject to geographic
-        const sourceCRS = getProjectionCRS(sourceProjection, sourceUTMZone, sourceHemisphere, sourceDatum);
+        // Unproject to geographic on the projection's own datum
+        const projectedDatum = getProjectedDatum(sourceProjection, sourceDatum);
+        const sourceCRS = getProjectionCRS(sourceProjection, sourceUTMZone, sourceHemisphere, projectedDatum, sourceProjParams);
         const unprojected = unprojectCoordinates(inputCoords.easting, inputCoords.northing, sourceCRS);
+        sourceZoneWarning = checkZoneExtent(
+          unprojected.lat, unprojected.lon, sourceProjection, sourceUTMZone, sourceHemisphere
+        );
+        
+        const h = sourceEllipsoidalHeight(unprojected.lat, unprojected.lon, projectedDatum);
+        sourceGeo = { lat: unprojected.lat, lon: unprojected.lon, h };
+        
+        // Transform to WGS84 if needed
+        if (projectedDatum !== 'WGS84') {
+          const transformed = transformDatum(sourceGeo, projectedDatum, 'WGS84', 'geographic', datumOptions);
+          sourceLatLon = { lat: transformed.lat, lon: transformed.lon, h: transformed.h };
+        } else {
+          sourceLatLon = sourceGeo;
+        }
+        
+      } else if (sourceType === COORD_TYPES.MGRS) {
+        // MGRS / USNG reference → south-west corner of its square (WGS84)
+        const decoded = fromMGRS(mgrsInput);
+        const h = sourceEllipsoidalHeight(decoded.lat, decoded.lon, MGRS_DATUM);
+        sourceGeo = { lat: decoded.lat, lon: decoded.lon, h };
+        sourceLatLon = sourceGeo;
         
-        // Handle datum transformation
-        // Note: proj4 definitions may already include datum info
-        sourceLatLon = { lat: unprojected.lat, lon: unprojected.lon, h: inputCoords.h || 0 };
+      } else if (sourceType === COORD_TYPES.LOCAL) {
+        // Local grid → eastings / northings of its projection → geographic
+        const grid = requireLocalGrid(sourceLocalGrid);
+        const projected = localToGrid(inputCoords.localX, inputCoords.localY, grid);
+        const sourceCRS = getProjectionCRS(grid.projection, grid.zone, grid.hemisphere, grid.datum);
+        const unprojected = unprojectCoordinates(projected.easting, projected.northing, sourceCRS);
+        
+        const h = sourceEllipsoidalHeight(unprojected.lat, unprojected.lon, grid.datum);
+        sourceGeo = { lat: unprojected.lat, lon: unprojected.lon, h };
+        
+        if (grid.datum !== 'WGS84') {
+          const transformed = transformDatum(sourceGeo, grid.datum, 'WGS84', 'geographic', datumOptions);
+          sourceLatLon = { lat: transformed.lat, lon: transformed.lon, h: transformed.h };
+        } else {
+          sourceLatLon = sourceGeo;
+        }
       }
       
+      // Targets are transformed directly from the source datum so that
+      // frame-to-frame chains are evaluated once
+      const datumSource = sourceType === COORD_TYPES.PROJECTED
+        ? getProjectedDatum(sourceProjection, sourceDatum)
+        : sourceType === COORD_TYPES.LOCAL
+          ? requireLocalGrid(sourceLocalGrid).datum
+          : sourceType === COORD_TYPES.MGRS
+            ? MGRS_DATUM
+            : sourceDatum;
+      
       // Step 2: Convert to target coordinate system
       if (targetType === COORD_TYPES.GEOGRAPHIC) {
         // Transform datum if needed
-        if (targetDatum !== 'WGS84') {
-          result = transformDatum(sourceLatLon, 'WGS84', targetDatum, 'geographic');
-        } else {
-          result = { ...sourceLatLon };
-        }
+        result = transformDatum(sourceGeo, datumSource, targetDatum, 'geographic', datumOptions);
         
         // Add DMS format
         result.latDMS = formatDMS(decimalToDMS(result.lat, true));
@@ -205,28 +774,121 @@ function TransformationPanel({ onCoordinateChange }) {
         
       } else if (targetType === COORD_TYPES.GEOCENTRIC) {
         // Transform datum first if needed
-        let geoForECEF = sourceLatLon;
-        if (targetDatum !== 'WGS84') {
-          geoForECEF = transformDatum(sourceLatLon, 'WGS84', targetDatum, 'geographic');
-        }
+        const geoForECEF = transformDatum(sourceGeo, datumSource, targetDatum, 'geographic', datumOptions);
         
         // Convert to ECEF
         const ellipsoid = ELLIPSOIDS[DATUMS[targetDatum].ellipsoid];
         const ecef = geographicToGeocentric(geoForECEF.lat, geoForECEF.lon, geoForECEF.h || 0, ellipsoid);
-        result = ecef;
+        result = { ...ecef, transformation: geoForECEF.transformation };
         
       } else if (targetType === COORD_TYPES.PROJECTED) {
-        const targetCRS = getProjectionCRS(targetProjection, targetUTMZone, targetHemisphere, targetDatum);
-        const projected = projectCoordinates(sourceLatLon.lat, sourceLatLon.lon, targetCRS);
+        // Transform to the projection's datum, then project on its ellipsoid
+        const projectedDatum = getProjectedDatum(targetProjection, targetDatum);
+        const geoForProjection = transformDatum(sourceGeo, datumSource, projectedDatum, 'geographic', datumOptions);
+        
+        // Auto zone: the UTM zone or TM zone (same ED50 / TUREF family)
+        // containing the point; the selection follows it
+        const zone = autoZone ? getAutoZone(targetProjection, geoForProjection.lat, geoForProjection.lon) : null;
+        const projection = zone?.projection || targetProjection;
+        const utmZone = zone?.zone ?? targetUTMZone;
+        const hemisphere = zone?.hemisphere ?? targetHemisphere;
+        
+        const targetCRS = getProjectionCRS(projection, utmZone, hemisphere, projectedDatum, targetProjParams);
+        const projected = projectCoordinates(geoForProjection.lat, geoForProjection.lon, targetCRS);
+        result = {
+          easting: projected.easting,
+          northing: projected.northing,
+          h: geoForProjection.h,
+          datum: projectedDatum,
+          zone: projection === 'UTM' ? utmZone : null,
+          hemisphere: projection === 'UTM' ? hemisphere : null,
+          autoZone: zone,
+          zoneWarning: checkZoneExtent(geoForProjection.lat, geoForProjection.lon, projection, utmZone, hemisphere),
+          factors: getGridFactors(geoForProjection.lat, geoForProjection.lon, geoForProjection.h, targetCRS, projectedDatum),
+          tmCheck: tmProjections.has(projection)
+            ? compareTMEngines(geoForProjection.lat, geoForProjection.lon, targetCRS)
+            : null,
+          transformation: geoForProjection.transformation
+        };
+        if (zone) {
+          setTargetProjection(zone.projection);
+          if (zone.projection === 'UTM') {
+            setTargetUTMZone(zone.zone);
+            setTargetHemisphere(zone.hemisphere);
+          }
+        }
+        
+      } else if (targetType === COORD_TYPES.MGRS) {
+        // WGS84 position → MGRS / USNG reference
+        const geo = transformDatum(sourceGeo, datumSource, MGRS_DATUM, 'geographic', datumOptions);
+        result = {
+          mgrs: toMGRS(geo.lat, geo.lon, mgrsPrecision),
+          usng: toUSNG(geo.lat, geo.lon, mgrsPrecision),
+          lat: geo.lat,
+          lon: geo.lon,
+          h: geo.h,
+          datum: MGRS_DATUM,
+          transformation: geo.transformation
+        };
+        
+      } else if (targetType === COORD_TYPES.LOCAL) {
+        // Project on the local grid's CRS, then invert the 2D fit
+        const grid = requireLocalGrid(targetLocalGrid);
+        const geoForGrid = transformDatum(sourceGeo, datumSource, grid.datum, 'geographic', datumOptions);
+        
+        const targetCRS = getProjectionCRS(grid.projection, grid.zone, grid.hemisphere, grid.datum);
+        const projected = projectCoordinates(geoForGrid.lat, geoForGrid.lon, targetCRS);
+        const local = gridToLocal(projected.easting, projected.northing, grid);
         result = {
+          localX: local.x,
+          localY: local.y,
           easting: projected.easting,
           northing: projected.northing,
-          zone: targetProjection === 'UTM' ? targetUTMZone : null,
-          hemisphere: targetProjection === 'UTM' ? targetHemisphere : null
+          h: geoForGrid.h,
+          datum: grid.datum,
+          localGrid: grid.key,
+          factors: getGridFactors(geoForGrid.lat, geoForGrid.lon, geoForGrid.h, targetCRS, grid.datum),
+          transformation: geoForGrid.transformation
         };
       }
       
+      // Closure of the datum transformation A → B → A at this point
+      const outputDatum = targetType === COORD_TYPES.PROJECTED
+        ? getProjectedDatum(targetProjection, targetDatum)
+        : targetType === COORD_TYPES.LOCAL
+          ? requireLocalGrid(targetLocalGrid).datum
+          : targetType === COORD_TYPES.MGRS
+            ? MGRS_DATUM
+            : targetDatum;
+      if (outputDatum !== datumSource) {
+        result.closure = roundTripResidual(sourceGeo, datumSource, outputDatum, datumOptions);
+        result.closure.from = datumSource;
+        result.closure.to = outputDatum;
+        
+        if (compareMethods) {
+          result.comparison = compareDatumMethods(sourceGeo, datumSource, outputDatum, datumOptions);
+        }
+      }
+      
+      // Step 3: Express the height in the target height system
+      if (targetType !== COORD_TYPES.GEOCENTRIC) {
+        result.heightSystem = targetHeightSystem;
+        result.sourceGeoid = sourceGeoid;
+        
+        if (targetHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC && !targetGeoidModel) {
+          throw new Error('Select a geoid model for the target orthometric height');
+        }
+        if (targetHeightSystem !== HEIGHT_SYSTEMS.NONE && targetGeoidModel) {
+          result.geoid = lookupGeoid(sourceLatLon, 'WGS84', targetGeoidModel);
+          if (targetHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC) {
+            result.H = ellipsoidalToOrthometric(result.h, result.geoid.N);
+          }
+        }
+      }
+      
+      result.sourceZoneWarning = sourceZoneWarning;
       setOutputCoords(result);
+      setLastPoint(sourceLatLon);
       
       // Notify parent of coordinate change for map update
       if (onCoordinateChange && sourceLatLon) {
@@ -238,75 +900,270 @@ function TransformationPanel({ onCoordinateChange }) {
       setOutputCoords(null);
     }
   }, [
-    sourceType, sourceDatum, sourceProjection, sourceUTMZone, sourceHemisphere,
-    targetType, targetDatum, targetProjection, targetUTMZone, targetHemisphere,
-    inputCoords, useDMS, dmsInput, convertDMSToDecimal, getProjectionCRS, onCoordinateChange
+    sourceType, sourceDatum, sourceProjection, sourceUTMZone, sourceHemisphere, sourceProjParams, sourceLocalGrid,
+    targetType, targetDatum, targetProjection, targetUTMZone, targetHemisphere, targetProjParams, targetLocalGrid,
+    inputCoords, useCoordinateText, coordinateTextError, angleErrors, mgrsInput, mgrsPrecision, autoZone, datumOptions, epochError, compareMethods, sourceHeightSystem, sourceGeoidModel,
+    targetHeightSystem, targetGeoidModel, geoidInterpolation, getProjectionCRS, tmProjections,
+    onCoordinateChange
   ]);
   
   // Batch transformation
-  const performBatchTransformation = useCallback(() => {
+  // Points are transformed in a Web Worker (see utils/batchRunner) in
+  // chunks; failures are collected with their line number instead of
+  // aborting the run
+  const performBatchTransformation = useCallback(async () => {
+    setError(null);
+    
+    let job;
     try {
-      setError(null);
-      const lines = batchInput.trim().split('\n');
-      const results = [];
-      
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        
-        const parts = line.split(/[,\s\t]+/).map(p => parseFloat(p.trim()));
-        
-        if (sourceType === COORD_TYPES.GEOGRAPHIC && parts.length >= 2) {
-          const [lat, lon, h = 0] = parts;
-          let sourceLatLon = { lat, lon, h };
-          
-          if (sourceDatum !== 'WGS84') {
-            sourceLatLon = transformDatum(sourceLatLon, sourceDatum, 'WGS84', 'geographic');
-          }
-          
-          if (targetType === COORD_TYPES.GEOGRAPHIC) {
-            let result = sourceDatum !== targetDatum 
-              ? transformDatum(sourceLatLon, 'WGS84', targetDatum, 'geographic')
-              : sourceLatLon;
-            results.push(`${result.lat.toFixed(8)}, ${result.lon.toFixed(8)}, ${result.h.toFixed(3)}`);
-          } else if (targetType === COORD_TYPES.PROJECTED) {
-            const targetCRS = getProjectionCRS(targetProjection, targetUTMZone, targetHemisphere, targetDatum);
-            const projected = projectCoordinates(sourceLatLon.lat, sourceLatLon.lon, targetCRS);
-            results.push(`${projected.easting.toFixed(3)}, ${projected.northing.toFixed(3)}`);
-          } else if (targetType === COORD_TYPES.GEOCENTRIC) {
-            const ellipsoid = ELLIPSOIDS[DATUMS[targetDatum].ellipsoid];
-            const ecef = geographicToGeocentric(sourceLatLon.lat, sourceLatLon.lon, sourceLatLon.h, ellipsoid);
-            results.push(`${ecef.x.toFixed(3)}, ${ecef.y.toFixed(3)}, ${ecef.z.toFixed(3)}`);
-          }
-          
-        } else if (sourceType === COORD_TYPES.PROJECTED && parts.length >= 2) {
-          const [easting, northing] = parts;
-          const sourceCRS = getProjectionCRS(sourceProjection, sourceUTMZone, sourceHemisphere, sourceDatum);
-          const unprojected = unprojectCoordinates(easting, northing, sourceCRS);
-          
-          if (targetType === COORD_TYPES.GEOGRAPHIC) {
-            results.push(`${unprojected.lat.toFixed(8)}, ${unprojected.lon.toFixed(8)}`);
-          } else if (targetType === COORD_TYPES.PROJECTED) {
-            const targetCRS = getProjectionCRS(targetProjection, targetUTMZone, targetHemisphere, targetDatum);
-            const projected = projectCoordinates(unprojected.lat, unprojected.lon, targetCRS);
-            results.push(`${projected.easting.toFixed(3)}, ${projected.northing.toFixed(3)}`);
-          }
-        }
+      if (epochError) {
+        throw new Error(epochError);
+      }
+      const sourceOrthometric = sourceType !== COORD_TYPES.GEOCENTRIC && sourceHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC;
+      const targetOrthometric = targetType !== COORD_TYPES.GEOCENTRIC && targetHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC;
+      if (sourceOrthometric && !sourceGeoidModel) {
+        throw new Error('Select a geoid model for the source orthometric height');
       }
+      if (targetOrthometric && !targetGeoidModel) {
+        throw new Error('Select a geoid model for the target orthometric height');
+      }
+      const sourceGrid = sourceType === COORD_TYPES.LOCAL ? requireLocalGrid(sourceLocalGrid) : null;
+      const targetGrid = targetType === COORD_TYPES.LOCAL ? requireLocalGrid(targetLocalGrid) : null;
+      
+      const datumSource = sourceType === COORD_TYPES.PROJECTED
+        ? getProjectedDatum(sourceProjection, sourceDatum)
+        : sourceType === COORD_TYPES.MGRS
+          ? MGRS_DATUM
+          : sourceGrid?.datum || sourceDatum;
+      const outputDatum = targetType === COORD_TYPES.PROJECTED
+        ? getProjectedDatum(targetProjection, targetDatum)
+        : targetType === COORD_TYPES.MGRS
+          ? MGRS_DATUM
+          : targetGrid?.datum || targetDatum;
       
-      setBatchOutput(results.join('\n'));
+      job = {
+        sourceType,
+        targetType,
+        datumSource,
+        outputDatum,
+        sourceCRS: sourceType === COORD_TYPES.PROJECTED
+          ? getProjectionCRS(sourceProjection, sourceUTMZone, sourceHemisphere, datumSource, sourceProjParams)
+          : sourceGrid && getProjectionCRS(sourceGrid.projection, sourceGrid.zone, sourceGrid.hemisphere, sourceGrid.datum),
+        targetCRS: targetType === COORD_TYPES.PROJECTED
+          ? getProjectionCRS(targetProjection, targetUTMZone, targetHemisphere, outputDatum, targetProjParams)
+          : targetGrid && getProjectionCRS(targetGrid.projection, targetGrid.zone, targetGrid.hemisphere, targetGrid.datum),
+        targetZones: targetType === COORD_TYPES.PROJECTED && autoZone && isZonedProjection(targetProjection)
+          ? getZoneCRSs(targetProjection, outputDatum)
+          : null,
+        sourceGrid,
+        targetGrid,
+        datumOptions,
+        heights: {
+          source: sourceType === COORD_TYPES.GEOCENTRIC ? HEIGHT_SYSTEMS.ELLIPSOIDAL : sourceHeightSystem,
+          target: targetType === COORD_TYPES.GEOCENTRIC ? HEIGHT_SYSTEMS.ELLIPSOIDAL : targetHeightSystem,
+          sourceGeoid: sourceOrthometric ? sourceGeoidModel : null,
+          targetGeoid: targetOrthometric ? targetGeoidModel : null,
+          interpolation: geoidInterpolation
+        },
+        context: getBatchContext([sourceOrthometric && sourceGeoidModel, targetOrthometric && targetGeoidModel].filter(Boolean))
+      };
+    } catch (err) {
+      setError(`Batch error: ${err.message}`);
+      return;
+    }
+    
+    // Imported files carry mapped columns; pasted lines are positional
+    // MGRS references are only read from pasted lines
+    const table = sourceType === COORD_TYPES.MGRS ? null : batchImport;
+    const records = table ? table.points : parseBatchLines(batchInput, sourceType);
+    const valid = records.filter(record => !record.error);
+    const parseErrors = records
+      .filter(record => record.error)
+      .map(({ line, raw, error: reason }) => ({ line, raw, reason }));
+    
+    // Heights are output in the target height system when the input has them
+    job.has3D = job.heights.target !== HEIGHT_SYSTEMS.NONE && (sourceType === COORD_TYPES.GEOCENTRIC
+      || (job.heights.source !== HEIGHT_SYSTEMS.NONE && valid.some(record => record.z !== undefined)));
+    
+    const input = {
+      x: Float64Array.from(valid, record => record.x),
+      y: Float64Array.from(valid, record => record.y),
+      z: Float64Array.from(valid, record => record.z ?? NaN)
+    };
+    
+    setBatchProgress({ done: 0, count: valid.length });
+    const run = runBatchJob(job, input, (done, count) => setBatchProgress({ done, count }));
+    cancelBatch.current = run.cancel;
+    
+    let output;
+    try {
+      output = await run.promise;
     } catch (err) {
       setError(`Batch error: ${err.message}`);
+      return;
+    } finally {
+      cancelBatch.current = null;
+      setBatchProgress(null);
     }
-  }, [batchInput, sourceType, sourceDatum, sourceProjection, sourceUTMZone, sourceHemisphere,
-      targetType, targetDatum, targetProjection, targetUTMZone, targetHemisphere, getProjectionCRS]);
+    if (!output) return;
+    
+    // Target CRS of the results, named for exports
+    const projectionLabel = projectionOptions.find(opt => opt.value === targetProjection)?.label;
+    const crsName = job.targetGrid
+      ? job.targetGrid.name
+      : targetType === COORD_TYPES.PROJECTED
+        ? (job.targetZones
+            ? `${DATUMS[job.outputDatum].name} / ${targetProjection === 'UTM' ? 'UTM' : 'TM 3°'} (zone per point)`
+            : targetProjection === 'UTM'
+              ? `${DATUMS[job.outputDatum].name} / UTM ${targetUTMZone}${targetHemisphere}`
+              : PROJECTION_METHODS[targetProjection]
+                ? `${DATUMS[job.outputDatum].name} / ${projectionLabel}`
+                : projectionLabel)
+        : targetType === COORD_TYPES.MGRS
+          ? `MGRS (${DATUMS[MGRS_DATUM].name})`
+          : DATUMS[job.outputDatum].name;
+    
+    setBatchResults({
+      crs: {
+        type: targetType,
+        datum: job.outputDatum,
+        projection: targetType === COORD_TYPES.PROJECTED ? targetProjection : null,
+        zone: targetUTMZone,
+        hemisphere: targetHemisphere,
+        digits: mgrsPrecision,
+        autoZone: !!job.targetZones,
+        name: crsName
+      },
+      labels: getBatchLabels(targetType, job.has3D, job.heights.target),
+      records: valid,
+      output,
+      errors: [
+        ...parseErrors,
+        ...output.errors.map(({ index, reason }) => ({ line: valid[index].line, raw: valid[index].raw, reason }))
+      ].sort((a, b) => a.line - b.line),
+      table,
+      method: datumMethod !== 'helmert' ? datumMethod : null,
+      epochWarning: checkFrameEpoch(job.datumSource, job.outputDatum, datumOptions),
+      zoned: !!job.targetZones,
+      zoneWarnings: countZoneWarnings(output, {
+        source: sourceType === COORD_TYPES.PROJECTED && isZonedProjection(sourceProjection)
+          && [sourceProjection, sourceUTMZone, sourceHemisphere],
+        target: targetType === COORD_TYPES.PROJECTED && isZonedProjection(targetProjection) && !job.targetZones
+          && [targetProjection, targetUTMZone, targetHemisphere]
+      })
+    });
+  }, [batchInput, batchImport, sourceType, sourceDatum, sourceProjection, sourceUTMZone, sourceHemisphere,
+      sourceProjParams, sourceLocalGrid, targetType, targetDatum, targetProjection, targetUTMZone, targetHemisphere,
+      targetProjParams, targetLocalGrid, mgrsPrecision, autoZone, datumOptions, epochError, datumMethod, getProjectionCRS,
+      getZoneCRSs, projectionOptions, sourceHeightSystem, targetHeightSystem, sourceGeoidModel, targetGeoidModel,
+      geoidInterpolation]);
   
-  // Auto-detect UTM zone from longitude
-  const autoDetectUTMZone = useCallback(() => {
-    if (sourceType === COORD_TYPES.GEOGRAPHIC) {
-      const zone = getUTMZone(inputCoords.lon);
-      setTargetUTMZone(zone);
+  const batchOutput = useMemo(
+    () => (batchResults ? formatBatchOutput(batchResults, batchPrecision, BATCH_PREVIEW_LINES) : ''),
+    [batchResults, batchPrecision]
+  );
+  const batchPointCount = batchResults
+    ? batchResults.output.count - batchResults.output.errors.length
+    : 0;
+  
+  // Download the batch results in the selected export format
+  const handleExport = useCallback(() => {
+    try {
+      const name = batchResults.table?.fileName?.replace(/\.[^.]+$/, '') || 'points';
+      const content = exportPoints(toPointSet(batchResults), exportFormat, {
+        precision: batchPrecision,
+        name
+      });
+      downloadExport(content, `${name}_${batchResults.crs.name.replace(/[^\w-]+/g, '_')}`, exportFormat);
+    } catch (err) {
+      setError(`Export error: ${err.message}`);
+    }
+  }, [batchResults, batchPrecision, exportFormat]);
+  
+  // Projections tied to a datum (TM zones, Web Mercator) also select it
+  const selectSourceProjection = useCallback((projection) => {
+    setSourceProjection(projection);
+    setSourceDatum(datum => getProjectedDatum(projection, datum));
+  }, []);
+  
+  const selectTargetProjection = useCallback((projection) => {
+    setTargetProjection(projection);
+    setTargetDatum(datum => getProjectedDatum(projection, datum));
+  }, []);
+  
+  // MGRS references are on WGS84
+  const selectSourceType = useCallback((type) => {
+    setSourceType(type);
+    if (type === COORD_TYPES.MGRS) setSourceDatum(MGRS_DATUM);
+  }, []);
+  
+  const selectTargetType = useCallback((type) => {
+    setTargetType(type);
+    if (type === COORD_TYPES.MGRS) setTargetDatum(MGRS_DATUM);
+  }, []);
+  
+  // Local grids fix the datum to that of their projection
+  const selectSourceLocalGrid = useCallback((key) => {
+    setSourceLocalGrid(key);
+    setSourceDatum(datum => getLocalGrid(key)?.datum || datum);
+  }, []);
+  
+  const selectTargetLocalGrid = useCallback((key) => {
+    setTargetLocalGrid(key);
+    setTargetDatum(datum => getLocalGrid(key)?.datum || datum);
+  }, []);
+  
+  const sourceDatumFixed = getProjectedDatum(sourceProjection, null) !== null;
+  const targetDatumFixed = getProjectedDatum(targetProjection, null) !== null;
+
+  // Target CRS of vector files (geographic or projected targets only)
+  const vectorTarget = useMemo(() => {
+    if (targetType === COORD_TYPES.GEOGRAPHIC) {
+      return { type: 'geographic', datum: targetDatum, name: DATUMS[targetDatum].name };
+    } else if (targetType !== COORD_TYPES.PROJECTED) {
+      return null;
     }
-  }, [sourceType, inputCoords.lon]);
+    const datum = getProjectedDatum(targetProjection, targetDatum);
+    const label = projectionOptions.find(opt => opt.value === targetProjection)?.label || targetProjection;
+    return {
+      type: 'projected',
+      datum,
+      crs: getProjectionCRS(targetProjection, targetUTMZone, targetHemisphere, datum, targetProjParams),
+      projection: targetProjection,
+      zone: targetUTMZone,
+      hemisphere: targetHemisphere,
+      name: targetProjection === 'UTM'
+        ? `${DATUMS[datum].name} / UTM ${targetUTMZone}${targetHemisphere}`
+        : PROJECTION_METHODS[targetProjection]
+          ? `${DATUMS[datum].name} / ${label}`
+          : label
+    };
+  }, [targetType, targetDatum, targetProjection, targetUTMZone, targetHemisphere, targetProjParams,
+      projectionOptions, getProjectionCRS]);
+
+  // Fall back to UTM when the selected custom CRS was removed
+  const handleCRSChange = useCallback((list) => {
+    const isAvailable = (projection) => PROJECTION_OPTIONS.some(opt => opt.value === projection)
+      || list.some(crs => crs.code === projection);
+    setCustomCRS(list);
+    setSourceProjection(projection => isAvailable(projection) ? projection : 'UTM');
+    setTargetProjection(projection => isAvailable(projection) ? projection : 'UTM');
+  }, []);
+  
+  // Clear the selection when the selected local grid was removed
+  const handleLocalGridsChange = useCallback((list) => {
+    const isAvailable = (key) => list.some(grid => grid.key === key);
+    setLocalGrids(list);
+    setSourceLocalGrid(key => isAvailable(key) ? key : '');
+    setTargetLocalGrid(key => isAvailable(key) ? key : '');
+  }, []);
+  
+  // Fall back to WGS84 when the selected user datum was removed
+  const handleDatumsChange = useCallback((list) => {
+    setUserDatums(list);
+    setSourceDatum(datum => DATUMS[datum] ? datum : 'WGS84');
+    setTargetDatum(datum => DATUMS[datum] ? datum : 'WGS84');
+  }, []);
   
   // Swap source and target
   const swapSourceTarget = useCallback(() => {
@@ -328,8 +1185,40 @@ function TransformationPanel({ onCoordinateChange }) {
     
     setSourceHemisphere(targetHemisphere);
     setTargetHemisphere(sourceHemisphere);
+    
+    // Swap projection parameters
+    setSourceProjParams(targetProjParams);
+    setTargetProjParams(sourceProjParams);
+    
+    // Swap local grids
+    setSourceLocalGrid(targetLocalGrid);
+    setTargetLocalGrid(sourceLocalGrid);
+    
+    // Swap height systems
+    setSourceHeightSystem(targetHeightSystem);
+    setTargetHeightSystem(sourceHeightSystem);
+    setSourceGeoidModel(targetGeoidModel);
+    setTargetGeoidModel(sourceGeoidModel);
   }, [sourceType, targetType, sourceDatum, targetDatum, sourceProjection, targetProjection,
-      sourceUTMZone, targetUTMZone, sourceHemisphere, targetHemisphere]);
+      sourceUTMZone, targetUTMZone, sourceHemisphere, targetHemisphere, sourceProjParams, targetProjParams,
+      sourceLocalGrid, targetLocalGrid, sourceHeightSystem, targetHeightSystem, sourceGeoidModel, targetGeoidModel]);
+  
+  // Geoid models offered in the height system selectors
+  const geoidModelOptions = (
+    <>
+      {geoidModels.map(model => (
+        <option key={model.name} value={model.name}>
+          {model.name}{model.info ? ` (${model.info.name})` : ''}
+        </option>
+      ))}
+      {Object.entries(APPROXIMATE_GEOID_MODELS).map(([key, model]) => (
+        <option key={key} value={key}>{model.name}</option>
+      ))}
+    </>
+  );
+  
+  const showGeoidSettings = (sourceType !== COORD_TYPES.GEOCENTRIC && sourceHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC)
+    || (targetType !== COORD_TYPES.GEOCENTRIC && targetHeightSystem !== HEIGHT_SYSTEMS.NONE);
   
   return (
     <div className="transformation-panel">
@@ -363,11 +1252,13 @@ function TransformationPanel({ onCoordinateChange }) {
               <label>Coordinate Type</label>
               <select 
                 value={sourceType} 
-                onChange={(e) => setSourceType(e.target.value)}
+                onChange={(e) => selectSourceType(e.target.value)}
               >
                 <option value={COORD_TYPES.GEOGRAPHIC}>Geographic (Lat, Lon, h)</option>
                 <option value={COORD_TYPES.PROJECTED}>Projected (E, N)</option>
                 <option value={COORD_TYPES.GEOCENTRIC}>Geocentric (X, Y, Z)</option>
+                <option value={COORD_TYPES.LOCAL}>Local grid (x, y)</option>
+                <option value={COORD_TYPES.MGRS}>MGRS / USNG (WGS84)</option>
               </select>
             </div>
             
@@ -376,6 +1267,7 @@ function TransformationPanel({ onCoordinateChange }) {
               <select 
                 value={sourceDatum} 
                 onChange={(e) => setSourceDatum(e.target.value)}
+                disabled={(sourceType === COORD_TYPES.PROJECTED && sourceDatumFixed) || sourceType === COORD_TYPES.LOCAL || sourceType === COORD_TYPES.MGRS}
               >
                 {Object.entries(DATUMS).map(([key, datum]) => (
                   <option key={key} value={key}>{datum.name} - {datum.fullName}</option>
@@ -383,20 +1275,110 @@ function TransformationPanel({ onCoordinateChange }) {
               </select>
             </div>
             
+            {(isFrameDatum(sourceDatum) || isFrameDatum(targetDatum)) && (
+              <>
+                <div className="form-group">
+                  <label>Coordinate Epoch (decimal year)</label>
+                  <input 
+                    type="number" 
+                    step="0.001"
+                    className={Number.isFinite(datumOptions.epoch) ? undefined : 'input-error'}
+                    value={coordinateEpoch}
+                    onChange={(e) => setCoordinateEpoch(e.target.value)}
+                  />
+                </div>
+                
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Velocity</label>
+                    <select 
+                      value={velocityMode} 
+                      onChange={(e) => setVelocityMode(e.target.value)}
+                    >
+                      <option value="none">None (no epoch propagation)</option>
+                      <option value="plate">Plate model</option>
+                      <option value="station">Station velocity</option>
+                    </select>
+                  </div>
+                  {velocityMode !== 'none' && (
+                    <div className="form-group">
+                      <label>Target Epoch</label>
+                      <input 
+                        type="number" 
+                        step="0.001"
+                        className={datumOptions.targetEpoch === undefined || Number.isFinite(datumOptions.targetEpoch) ? undefined : 'input-error'}
+                        value={targetEpoch}
+                        placeholder="e.g. 2026.8"
+                        onChange={(e) => setTargetEpoch(e.target.value)}
+                      />
+                    </div>
+                  )}
+                </div>
+                
+                {velocityMode === 'plate' && (
+                  <div className="form-group">
+                    <label>Plate</label>
+                    <select 
+                      value={velocityPlate} 
+                      onChange={(e) => setVelocityPlate(e.target.value)}
+                    >
+                      {Object.entries(PLATE_MODELS).map(([key, plate]) => (
+                        <option key={key} value={key}>{plate.name} ({plate.source})</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
+                {velocityMode === 'station' && (
+                  <div className="form-row">
+                    {['ve', 'vn', 'vu'].map(component => (
+                      <div className="form-group" key={component}>
+                        <label>V{component[1].toUpperCase()} (mm/yr)</label>
+                        <input 
+                          type="number" 
+                          step="0.1"
+                          className={Number.isFinite(parseField(stationVelocity[component])) ? undefined : 'input-error'}
+                          value={stationVelocity[component]}
+                          onChange={(e) => setStationVelocity(prev => ({
+                            ...prev,
+                            [component]: e.target.value
+                          }))}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+            
             {sourceType === COORD_TYPES.PROJECTED && (
               <>
                 <div className="form-group">
                   <label>Projeksiyon</label>
                   <select 
                     value={sourceProjection} 
-                    onChange={(e) => setSourceProjection(e.target.value)}
+                    onChange={(e) => selectSourceProjection(e.target.value)}
                   >
-                    {PROJECTION_OPTIONS.map(opt => (
+                    {projectionOptions.map(opt => (
                       <option key={opt.value} value={opt.value}>{opt.label}</option>
                     ))}
                   </select>
                 </div>
                 
+                {tmProjections.has(sourceProjection) && (
+                  <div className="form-group">
+                    <label>TM Engine</label>
+                    <select 
+                      value={tmEngines[sourceProjection] || 'proj4'} 
+                      onChange={(e) => selectTMEngine(sourceProjection, e.target.value)}
+                    >
+                      {Object.entries(TM_ENGINES).map(([key, name]) => (
+                        <option key={key} value={key}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
                 {sourceProjection === 'UTM' && (
                   <div className="form-row">
                     <div className="form-group">
@@ -421,103 +1403,203 @@ function TransformationPanel({ onCoordinateChange }) {
                     </div>
                   </div>
                 )}
+                
+                {PROJECTION_METHODS[sourceProjection] && (
+                  <ProjectionParameters 
+                    method={sourceProjection} 
+                    values={sourceProjParams} 
+                    onChange={setSourceProjParams} 
+                  />
+                )}
               </>
             )}
             
-            {/* Input Fields */}
-            <div className="input-fields">
-              {sourceType === COORD_TYPES.GEOGRAPHIC && (
-                <>
-                  <div className="form-group dms-toggle">
-                    <label>
-                      <input 
-                        type="checkbox" 
-                        checked={useDMS} 
-                        onChange={(e) => setUseDMS(e.target.checked)}
-                      />
-                      DMS Format
-                    </label>
-                  </div>
-                  
-                  {!useDMS ? (
-                    <>
-                      <div className="form-group">
+            {sourceType === COORD_TYPES.LOCAL && (
+              <div className="form-group">
+                <label>Local Grid</label>
+                <select 
+                  value={sourceLocalGrid} 
+                  onChange={(e) => selectSourceLocalGrid(e.target.value)}
+                >
+                  <option value="">-- select --</option>
+                  {localGrids.map(grid => (
+                    <option key={grid.key} value={grid.key}>{grid.name} ({grid.key})</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {sourceType !== COORD_TYPES.GEOCENTRIC && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Height System</label>
+                  <select 
+                    value={sourceHeightSystem} 
+                    onChange={(e) => setSourceHeightSystem(e.target.value)}
+                  >
+                    <option value={HEIGHT_SYSTEMS.ELLIPSOIDAL}>{HeightSystems.ELLIPSOIDAL.name}</option>
+                    <option value={HEIGHT_SYSTEMS.ORTHOMETRIC}>{HeightSystems.ORTHOMETRIC.name}</option>
+                    <option value={HEIGHT_SYSTEMS.NONE}>None (2D)</option>
+                  </select>
+                </div>
+                {sourceHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC && (
+                  <div className="form-group">
+                    <label>Geoid Model</label>
+                    <select 
+                      value={sourceGeoidModel} 
+                      onChange={(e) => setSourceGeoidModel(e.target.value)}
+                    >
+                      <option value="">-- select --</option>
+                      {geoidModelOptions}
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {/* Input Fields */}
+            <div className="input-fields">
+              {sourceType === COORD_TYPES.MGRS && (
+                <div className="form-group">
+                  <label>MGRS / USNG Reference</label>
+                  <input 
+                    type="text" 
+                    value={mgrsInput}
+                    onChange={(e) => setMgrsInput(e.target.value)}
+                    placeholder="35TPF6637041552 or 35T PF 66370 41552"
+                  />
+                </div>
+              )}
+              
+              {sourceType === COORD_TYPES.GEOGRAPHIC && (
+                <>
+                  <div className="form-row">
+                    <div className="form-group dms-toggle">
+                      <label>
+                        <input 
+                          type="checkbox" 
+                          checked={useCoordinateText} 
+                          onChange={(e) => {
+                            setUseCoordinateText(e.target.checked);
+                            if (e.target.checked) handleCoordinateText(coordinateText);
+                          }}
+                        />
+                        Text (DMS, DDM, ISO 6709)
+                      </label>
+                    </div>
+                    <button className="auto-zone-btn" onClick={pasteCoordinate} title="Paste a coordinate from the clipboard">
+                      Paste
+                    </button>
+                  </div>
+                  
+                  {!useCoordinateText ? (
+                    <>
+                      <div className="form-group">
                         <label>Latitude (deg)</label>
                         <input 
-                          type="number" 
-                          step="0.00000001"
-                          value={inputCoords.lat}
-                          onChange={(e) => handleInputChange('lat', e.target.value)}
+                          type="text" 
+                          value={angleText.lat}
+                          className={inputClass('lat')}
+                          onChange={(e) => handleAngleChange('lat', e.target.value)}
+                          placeholder={'41.0082  ·  41.0082N  ·  41°00\'29.5"N'}
                         />
                       </div>
                       <div className="form-group">
                         <label>Longitude (deg)</label>
                         <input 
-                          type="number" 
-                          step="0.00000001"
-                          value={inputCoords.lon}
-                          onChange={(e) => handleInputChange('lon', e.target.value)}
+                          type="text" 
+                          value={angleText.lon}
+                          className={inputClass('lon')}
+                          onChange={(e) => handleAngleChange('lon', e.target.value)}
+                          placeholder={'28.9784  ·  28.9784E  ·  28°58\'42.2"E'}
                         />
                       </div>
+                      {(angleErrors.lat || angleErrors.lon) && (
+                        <div className="coordinate-hint input-error">⚠ {angleErrors.lat || angleErrors.lon}</div>
+                      )}
                     </>
                   ) : (
                     <>
-                      <div className="dms-input">
-                        <label>Latitude</label>
-                        <div className="dms-row">
-                          <input type="number" value={dmsInput.latDeg} onChange={(e) => handleDMSChange('latDeg', e.target.value)} />°
-                          <input type="number" value={dmsInput.latMin} onChange={(e) => handleDMSChange('latMin', e.target.value)} />'
-                          <input type="number" step="0.0001" value={dmsInput.latSec} onChange={(e) => handleDMSChange('latSec', e.target.value)} />"
-                          <select value={dmsInput.latDir} onChange={(e) => handleDMSChange('latDir', e.target.value)}>
-                            <option value="N">N</option>
-                            <option value="S">S</option>
-                          </select>
-                        </div>
+                      <div className="form-group">
+                        <label>Coordinate (lat, lon [, h])</label>
+                        <input 
+                          type="text" 
+                          className={coordinateTextError ? 'input-error' : undefined}
+                          value={coordinateText}
+                          onChange={(e) => handleCoordinateText(e.target.value)}
+                          placeholder={COORDINATE_EXAMPLES.join('  ·  ')}
+                        />
                       </div>
-                      <div className="dms-input">
-                        <label>Longitude</label>
-                        <div className="dms-row">
-                          <input type="number" value={dmsInput.lonDeg} onChange={(e) => handleDMSChange('lonDeg', e.target.value)} />°
-                          <input type="number" value={dmsInput.lonMin} onChange={(e) => handleDMSChange('lonMin', e.target.value)} />'
-                          <input type="number" step="0.0001" value={dmsInput.lonSec} onChange={(e) => handleDMSChange('lonSec', e.target.value)} />"
-                          <select value={dmsInput.lonDir} onChange={(e) => handleDMSChange('lonDir', e.target.value)}>
-                            <option value="E">E</option>
-                            <option value="W">W</option>
-                          </select>
-                        </div>
+                      <div className={coordinateTextError ? 'coordinate-hint input-error' : 'coordinate-hint'}>
+                        {coordinateTextError
+                          ? `⚠ ${coordinateTextError}`
+                          : `→ ${inputCoords.lat.toFixed(8)}°, ${inputCoords.lon.toFixed(8)}°`}
                       </div>
                     </>
                   )}
+                </>
+              )}
+              
+              {sourceType !== COORD_TYPES.GEOCENTRIC && sourceHeightSystem !== HEIGHT_SYSTEMS.NONE && (
+                <div className="form-group">
+                  <label>
+                    {sourceHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC ? 'Orthometric Height H (m)' : 'Ellipsoidal Height h (m)'}
+                  </label>
+                  <input 
+                    type="number" 
+                    step="0.001"
+                    value={inputValue('h')}
+                    className={inputClass('h')}
+                    onChange={(e) => handleInputChange('h', e.target.value)}
+                  />
+                </div>
+              )}
+              
+              {sourceType === COORD_TYPES.PROJECTED && (
+                <>
                   <div className="form-group">
-                    <label>Height (m)</label>
+                    <label>Easting (m)</label>
                     <input 
                       type="number" 
                       step="0.001"
-                      value={inputCoords.h}
-                      onChange={(e) => handleInputChange('h', e.target.value)}
+                      value={inputValue('easting')}
+                      className={inputClass('easting')}
+                      onChange={(e) => handleInputChange('easting', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Northing (m)</label>
+                    <input 
+                      type="number" 
+                      step="0.001"
+                      value={inputValue('northing')}
+                      className={inputClass('northing')}
+                      onChange={(e) => handleInputChange('northing', e.target.value)}
                     />
                   </div>
                 </>
               )}
               
-              {sourceType === COORD_TYPES.PROJECTED && (
+              {sourceType === COORD_TYPES.LOCAL && (
                 <>
                   <div className="form-group">
-                    <label>Easting (m)</label>
+                    <label>x (m)</label>
                     <input 
                       type="number" 
                       step="0.001"
-                      value={inputCoords.easting}
-                      onChange={(e) => handleInputChange('easting', e.target.value)}
+                      value={inputValue('localX')}
+                      className={inputClass('localX')}
+                      onChange={(e) => handleInputChange('localX', e.target.value)}
                     />
                   </div>
                   <div className="form-group">
-                    <label>Northing (m)</label>
+                    <label>y (m)</label>
                     <input 
                       type="number" 
                       step="0.001"
-                      value={inputCoords.northing}
-                      onChange={(e) => handleInputChange('northing', e.target.value)}
+                      value={inputValue('localY')}
+                      className={inputClass('localY')}
+                      onChange={(e) => handleInputChange('localY', e.target.value)}
                     />
                   </div>
                 </>
@@ -530,7 +1612,8 @@ function TransformationPanel({ onCoordinateChange }) {
                     <input 
                       type="number" 
                       step="0.001"
-                      value={inputCoords.x}
+                      value={inputValue('x')}
+                      className={inputClass('x')}
                       onChange={(e) => handleInputChange('x', e.target.value)}
                     />
                   </div>
@@ -539,7 +1622,8 @@ function TransformationPanel({ onCoordinateChange }) {
                     <input 
                       type="number" 
                       step="0.001"
-                      value={inputCoords.y}
+                      value={inputValue('y')}
+                      className={inputClass('y')}
                       onChange={(e) => handleInputChange('y', e.target.value)}
                     />
                   </div>
@@ -548,7 +1632,8 @@ function TransformationPanel({ onCoordinateChange }) {
                     <input 
                       type="number" 
                       step="0.001"
-                      value={inputCoords.z}
+                      value={inputValue('z')}
+                      className={inputClass('z')}
                       onChange={(e) => handleInputChange('z', e.target.value)}
                     />
                   </div>
@@ -572,11 +1657,13 @@ function TransformationPanel({ onCoordinateChange }) {
               <label>Coordinate Type</label>
               <select 
                 value={targetType} 
-                onChange={(e) => setTargetType(e.target.value)}
+                onChange={(e) => selectTargetType(e.target.value)}
               >
                 <option value={COORD_TYPES.GEOGRAPHIC}>Geographic (Lat, Lon, h)</option>
                 <option value={COORD_TYPES.PROJECTED}>Projected (E, N)</option>
                 <option value={COORD_TYPES.GEOCENTRIC}>Geocentric (X, Y, Z)</option>
+                <option value={COORD_TYPES.LOCAL}>Local grid (x, y)</option>
+                <option value={COORD_TYPES.MGRS}>MGRS / USNG (WGS84)</option>
               </select>
             </div>
             
@@ -585,6 +1672,7 @@ function TransformationPanel({ onCoordinateChange }) {
               <select 
                 value={targetDatum} 
                 onChange={(e) => setTargetDatum(e.target.value)}
+                disabled={(targetType === COORD_TYPES.PROJECTED && targetDatumFixed) || targetType === COORD_TYPES.LOCAL || targetType === COORD_TYPES.MGRS}
               >
                 {Object.entries(DATUMS).map(([key, datum]) => (
                   <option key={key} value={key}>{datum.name} - {datum.fullName}</option>
@@ -592,20 +1680,61 @@ function TransformationPanel({ onCoordinateChange }) {
               </select>
             </div>
             
+            <div className="form-group">
+              <label>Datum Transformation Method</label>
+              <select 
+                value={datumMethod} 
+                onChange={(e) => setDatumMethod(e.target.value)}
+              >
+                {Object.entries(DATUM_METHODS).map(([key, name]) => (
+                  <option key={key} value={key}>{name}</option>
+                ))}
+              </select>
+            </div>
+            
+            <div className="form-group dms-toggle">
+              <label>
+                <input 
+                  type="checkbox" 
+                  checked={compareMethods} 
+                  onChange={(e) => setCompareMethods(e.target.checked)}
+                />
+                Compare methods at this point
+              </label>
+            </div>
+            
+            {datumMethod === 'grid' && (
+              <GridShiftManager grids={gridShifts} onGridsChange={setGridShifts} />
+            )}
+            
             {targetType === COORD_TYPES.PROJECTED && (
               <>
                 <div className="form-group">
                   <label>Projeksiyon</label>
                   <select 
                     value={targetProjection} 
-                    onChange={(e) => setTargetProjection(e.target.value)}
+                    onChange={(e) => selectTargetProjection(e.target.value)}
                   >
-                    {PROJECTION_OPTIONS.map(opt => (
+                    {projectionOptions.map(opt => (
                       <option key={opt.value} value={opt.value}>{opt.label}</option>
                     ))}
                   </select>
                 </div>
                 
+                {tmProjections.has(targetProjection) && (
+                  <div className="form-group">
+                    <label>TM Engine</label>
+                    <select 
+                      value={tmEngines[targetProjection] || 'proj4'} 
+                      onChange={(e) => selectTMEngine(targetProjection, e.target.value)}
+                    >
+                      {Object.entries(TM_ENGINES).map(([key, name]) => (
+                        <option key={key} value={key}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                
                 {targetProjection === 'UTM' && (
                   <div className="form-row">
                     <div className="form-group">
@@ -628,19 +1757,220 @@ function TransformationPanel({ onCoordinateChange }) {
                         <option value="S">South</option>
                       </select>
                     </div>
-                    <button 
-                      className="auto-zone-btn" 
-                      onClick={autoDetectUTMZone}
-                      title="Auto-detect UTM zone"
+                  </div>
+                )}
+                
+                {isZonedProjection(targetProjection) && (
+                  <div className="form-group dms-toggle">
+                    <label>
+                      <input 
+                        type="checkbox" 
+                        checked={autoZone} 
+                        onChange={(e) => setAutoZone(e.target.checked)}
+                      />
+                      Auto zone per point
+                    </label>
+                  </div>
+                )}
+                
+                {PROJECTION_METHODS[targetProjection] && (
+                  <ProjectionParameters 
+                    method={targetProjection} 
+                    values={targetProjParams} 
+                    onChange={setTargetProjParams} 
+                  />
+                )}
+              </>
+            )}
+            
+            {targetType === COORD_TYPES.LOCAL && (
+              <div className="form-group">
+                <label>Local Grid</label>
+                <select 
+                  value={targetLocalGrid} 
+                  onChange={(e) => selectTargetLocalGrid(e.target.value)}
+                >
+                  <option value="">-- select --</option>
+                  {localGrids.map(grid => (
+                    <option key={grid.key} value={grid.key}>{grid.name} ({grid.key})</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {targetType === COORD_TYPES.MGRS && (
+              <div className="form-group">
+                <label>MGRS Precision</label>
+                <select 
+                  value={mgrsPrecision} 
+                  onChange={(e) => setMgrsPrecision(parseInt(e.target.value))}
+                >
+                  {MGRS_PRECISIONS.map(opt => (
+                    <option key={opt.value} value={opt.value}>{opt.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {targetType !== COORD_TYPES.GEOCENTRIC && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Height System</label>
+                  <select 
+                    value={targetHeightSystem} 
+                    onChange={(e) => setTargetHeightSystem(e.target.value)}
+                  >
+                    <option value={HEIGHT_SYSTEMS.ELLIPSOIDAL}>{HeightSystems.ELLIPSOIDAL.name}</option>
+                    <option value={HEIGHT_SYSTEMS.ORTHOMETRIC}>{HeightSystems.ORTHOMETRIC.name}</option>
+                    <option value={HEIGHT_SYSTEMS.NONE}>None (2D)</option>
+                  </select>
+                </div>
+                {targetHeightSystem !== HEIGHT_SYSTEMS.NONE && (
+                  <div className="form-group">
+                    <label>Geoid Model</label>
+                    <select 
+                      value={targetGeoidModel} 
+                      onChange={(e) => setTargetGeoidModel(e.target.value)}
                     >
-                      Auto
-                    </button>
+                      <option value="">
+                        {targetHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC ? '-- select --' : 'None'}
+                      </option>
+                      {geoidModelOptions}
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {showGeoidSettings && (
+              <>
+                {geoidModels.length > 0 && (
+                  <div className="form-group">
+                    <label>Geoid Interpolation</label>
+                    <select 
+                      value={geoidInterpolation} 
+                      onChange={(e) => setGeoidInterpolation(e.target.value)}
+                    >
+                      <option value="bilinear">Bilinear</option>
+                      <option value="bicubic">Bicubic</option>
+                    </select>
                   </div>
                 )}
+                <GeoidManager 
+                  models={geoidModels} 
+                  onModelsChange={setGeoidModels}
+                  onModelLoaded={(name) => {
+                    if (targetHeightSystem !== HEIGHT_SYSTEMS.NONE && !targetGeoidModel) setTargetGeoidModel(name);
+                    if (sourceHeightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC && !sourceGeoidModel) setSourceGeoidModel(name);
+                  }}
+                />
               </>
             )}
           </div>
           
+          {/* Custom CRS registry */}
+          {(sourceType === COORD_TYPES.PROJECTED || targetType === COORD_TYPES.PROJECTED) && (
+            <div className="tool-section">
+              <button 
+                className="auto-zone-btn" 
+                onClick={() => setShowCRSManager(!showCRSManager)}
+              >
+                {showCRSManager ? 'Hide' : 'Show'} Custom CRS ({customCRS.length})
+              </button>
+              {showCRSManager && (
+                <CRSManager crsList={customCRS} onCRSChange={handleCRSChange} />
+              )}
+            </div>
+          )}
+          
+          {/* Local engineering grids */}
+          <div className="tool-section">
+            <button 
+              className="auto-zone-btn" 
+              onClick={() => setShowLocalGrids(!showLocalGrids)}
+            >
+              {showLocalGrids ? 'Hide' : 'Show'} Local Grids ({localGrids.length})
+            </button>
+            {showLocalGrids && (
+              <LocalGridManager 
+                grids={localGrids} 
+                onGridsChange={handleLocalGridsChange} 
+                projectionOptions={gridProjectionOptions} 
+              />
+            )}
+          </div>
+          
+          {/* Vector files */}
+          <div className="tool-section">
+            <button 
+              className="auto-zone-btn" 
+              onClick={() => setShowVectorFiles(!showVectorFiles)}
+            >
+              {showVectorFiles ? 'Hide' : 'Show'} Vector Files
+            </button>
+            {showVectorFiles && (
+              <VectorTransformer 
+                target={vectorTarget} 
+                projectionOptions={gridProjectionOptions} 
+                getProjectionCRS={getProjectionCRS} 
+                datumOptions={datumOptions} 
+                onLayerChange={onVectorLayerChange} 
+              />
+            )}
+          </div>
+          
+          {/* User-defined datums */}
+          <div className="tool-section">
+            <button 
+              className="auto-zone-btn" 
+              onClick={() => setShowDatumEditor(!showDatumEditor)}
+            >
+              {showDatumEditor ? 'Hide' : 'Show'} Datum Editor ({userDatums.length})
+            </button>
+            {showDatumEditor && (
+              <DatumEditor datums={userDatums} onDatumsChange={handleDatumsChange} point={lastPoint} />
+            )}
+          </div>
+          
+          {/* Helmert parameter estimation from common points */}
+          <div className="tool-section">
+            <button 
+              className="auto-zone-btn" 
+              onClick={() => setShowEstimator(!showEstimator)}
+            >
+              {showEstimator ? 'Hide' : 'Show'} Parameter Estimation
+            </button>
+            {showEstimator && (
+              <HelmertEstimator onDatumsChange={handleDatumsChange} />
+            )}
+          </div>
+          
+          {/* Geodesic direct and inverse problems */}
+          <div className="tool-section">
+            <button 
+              className="auto-zone-btn" 
+              onClick={() => setShowGeodesic(!showGeodesic)}
+            >
+              {showGeodesic ? 'Hide' : 'Show'} Geodesic Calculator
+            </button>
+            {showGeodesic && (
+              <GeodesicCalculator point={lastPoint} onGeodesicChange={onGeodesicChange} />
+            )}
+          </div>
+          
+          {/* Zone-to-zone transformation near zone boundaries */}
+          <div className="tool-section">
+            <button 
+              className="auto-zone-btn" 
+              onClick={() => setShowZoneTool(!showZoneTool)}
+            >
+              {showZoneTool ? 'Hide' : 'Show'} Zone-to-Zone
+            </button>
+            {showZoneTool && (
+              <ZoneTransformer getProjectionCRS={getProjectionCRS} />
+            )}
+          </div>
+          
           {/* Transform Button */}
           <button className="transform-button" onClick={performTransformation}>
             Transform
@@ -676,10 +2006,6 @@ function TransformationPanel({ onCoordinateChange }) {
                       <span className="label">Longitude (DMS):</span>
                       <span className="value">{outputCoords.lonDMS}</span>
                     </div>
-                    <div className="output-row">
-                      <span className="label">Height:</span>
-                      <span className="value">{outputCoords.h?.toFixed(3)} m</span>
-                    </div>
                   </>
                 )}
                 
@@ -693,12 +2019,72 @@ function TransformationPanel({ onCoordinateChange }) {
                       <span className="label">Northing (N):</span>
                       <span className="value">{outputCoords.northing?.toFixed(3)} m</span>
                     </div>
-                    {outputCoords.zone && (
+                    {outputCoords.autoZone ? (
+                      <div className="output-row">
+                        <span className="label">Zone:</span>
+                        <span className="value">{outputCoords.autoZone.label} (auto)</span>
+                      </div>
+                    ) : outputCoords.zone && (
                       <div className="output-row">
                         <span className="label">UTM Zone:</span>
                         <span className="value">{outputCoords.zone}{outputCoords.hemisphere}</span>
                       </div>
                     )}
+                    {outputCoords.zoneWarning && (
+                      <div className="report-warning">⚠ {outputCoords.zoneWarning}</div>
+                    )}
+                    {outputCoords.datum && (
+                      <div className="output-row">
+                        <span className="label">Datum:</span>
+                        <span className="value">{DATUMS[outputCoords.datum]?.name}</span>
+                      </div>
+                    )}
+                  </>
+                )}
+                
+                {outputCoords.sourceZoneWarning && (
+                  <div className="report-warning">⚠ Source: {outputCoords.sourceZoneWarning}</div>
+                )}
+                
+                {targetType === COORD_TYPES.MGRS && (
+                  <>
+                    <div className="output-row">
+                      <span className="label">MGRS:</span>
+                      <span className="value">{outputCoords.mgrs}</span>
+                    </div>
+                    <div className="output-row">
+                      <span className="label">USNG:</span>
+                      <span className="value">{outputCoords.usng}</span>
+                    </div>
+                    <div className="output-row">
+                      <span className="label">Lat, Lon:</span>
+                      <span className="value">{outputCoords.lat?.toFixed(8)}°, {outputCoords.lon?.toFixed(8)}°</span>
+                    </div>
+                    <div className="output-row">
+                      <span className="label">Datum:</span>
+                      <span className="value">{DATUMS[outputCoords.datum]?.name}</span>
+                    </div>
+                  </>
+                )}
+                
+                {targetType === COORD_TYPES.LOCAL && (
+                  <>
+                    <div className="output-row">
+                      <span className="label">x:</span>
+                      <span className="value">{outputCoords.localX?.toFixed(3)} m</span>
+                    </div>
+                    <div className="output-row">
+                      <span className="label">y:</span>
+                      <span className="value">{outputCoords.localY?.toFixed(3)} m</span>
+                    </div>
+                    <div className="output-row">
+                      <span className="label">Grid E, N ({outputCoords.localGrid}):</span>
+                      <span className="value">{outputCoords.easting?.toFixed(3)}, {outputCoords.northing?.toFixed(3)} m</span>
+                    </div>
+                    <div className="output-row">
+                      <span className="label">Datum:</span>
+                      <span className="value">{DATUMS[outputCoords.datum]?.name}</span>
+                    </div>
                   </>
                 )}
                 
@@ -718,6 +2104,212 @@ function TransformationPanel({ onCoordinateChange }) {
                     </div>
                   </>
                 )}
+                
+                {targetType !== COORD_TYPES.GEOCENTRIC && outputCoords.heightSystem !== HEIGHT_SYSTEMS.NONE && (
+                  <>
+                    {outputCoords.heightSystem === HEIGHT_SYSTEMS.ORTHOMETRIC && (
+                      <div className="output-row">
+                        <span className="label">Orthometric Height (H):</span>
+                        <span className="value">{outputCoords.H?.toFixed(3)} m</span>
+                      </div>
+                    )}
+                    <div className="output-row">
+                      <span className="label">Ellipsoidal Height (h):</span>
+                      <span className="value">{outputCoords.h?.toFixed(3)} m</span>
+                    </div>
+                    {outputCoords.geoid && (
+                      <div className="output-row">
+                        <span className="label">Geoid N ({outputCoords.geoid.model}, {outputCoords.geoid.interpolation}):</span>
+                        <span className="value">{outputCoords.geoid.N.toFixed(3)} m</span>
+                      </div>
+                    )}
+                  </>
+                )}
+                
+                {outputCoords.factors && (
+                  <div className="transformation-report">
+                    <span className="label">
+                      Grid factors{targetType === COORD_TYPES.LOCAL && ` (${outputCoords.localGrid} projection)`}:
+                    </span>
+                    <div className="report-step">
+                      point scale k {outputCoords.factors.scale.toFixed(9)}
+                      {' '}({((outputCoords.factors.scale - 1) * 1e6).toFixed(2)} ppm)
+                    </div>
+                    {!outputCoords.factors.conformal && (
+                      <div className="report-step">
+                        not conformal: meridian h {outputCoords.factors.meridianScale.toFixed(9)},
+                        parallel k {outputCoords.factors.parallelScale.toFixed(9)},
+                        max angular distortion {outputCoords.factors.angularDistortion.toFixed(6)}°
+                      </div>
+                    )}
+                    <div className="report-step">
+                      convergence γ {outputCoords.factors.convergence.toFixed(6)}°
+                      {' '}({formatAngleDMS(outputCoords.factors.convergence)}
+                      {outputCoords.factors.convergence < 0 ? ' anticlockwise' : ' clockwise'})
+                    </div>
+                    <div className="report-step">
+                      elevation factor {outputCoords.factors.elevationFactor.toFixed(9)}
+                      {' '}(h {(outputCoords.h || 0).toFixed(3)} m, R {outputCoords.factors.radius.toFixed(0)} m)
+                    </div>
+                    <div className="report-step">
+                      combined factor {outputCoords.factors.combinedFactor.toFixed(9)}
+                      {' '}({((outputCoords.factors.combinedFactor - 1) * 1e6).toFixed(2)} ppm)
+                    </div>
+                    <div className="form-row">
+                      <div className="form-group">
+                        <label>Ground Distance (m)</label>
+                        <input
+                          type="number"
+                          step="any"
+                          value={groundDistance}
+                          onChange={(e) => setGroundDistance(parseFloat(e.target.value) || 0)}
+                        />
+                      </div>
+                      <div className="form-group">
+                        <label>Grid Distance (m)</label>
+                        <input type="text" readOnly value={groundToGrid(groundDistance, outputCoords.factors).toFixed(4)} />
+                      </div>
+                    </div>
+                    <div className="report-step">
+                      grid bearing = azimuth − γ; grid distance = ground × combined factor
+                    </div>
+                  </div>
+                )}
+                
+                {outputCoords.tmCheck && (
+                  <div className="transformation-report">
+                    <span className="label">
+                      TM engine check ({TM_ENGINES[outputCoords.tmCheck.params.engine]} in use,
+                      {' '}{outputCoords.tmCheck.distanceFromCM.toFixed(1)} km from the central meridian):
+                    </span>
+                    <div className="report-step">
+                      Krüger E {outputCoords.tmCheck.native.easting.toFixed(4)}, N {outputCoords.tmCheck.native.northing.toFixed(4)} m
+                      {' '}· round trip {(outputCoords.tmCheck.native.roundTrip * 1e9).toFixed(3)} nm
+                    </div>
+                    <div className="report-step">
+                      proj4 E {outputCoords.tmCheck.proj4.easting.toFixed(4)}, N {outputCoords.tmCheck.proj4.northing.toFixed(4)} m
+                      {' '}· round trip {(outputCoords.tmCheck.proj4.roundTrip * 1e9).toFixed(3)} nm
+                    </div>
+                    <div className="report-step">
+                      Krüger − proj4: ΔE {(outputCoords.tmCheck.difference.easting * 1000).toFixed(6)},
+                      ΔN {(outputCoords.tmCheck.difference.northing * 1000).toFixed(6)} mm
+                    </div>
+                    <div className="report-step">
+                      analytic k {outputCoords.tmCheck.native.scale.toFixed(10)},
+                      γ {outputCoords.tmCheck.native.convergence.toFixed(8)}°
+                    </div>
+                  </div>
+                )}
+                
+                {outputCoords.sourceGeoid && (
+                  <div className="output-row">
+                    <span className="label">Source N ({outputCoords.sourceGeoid.model}):</span>
+                    <span className="value">{outputCoords.sourceGeoid.N.toFixed(3)} m</span>
+                  </div>
+                )}
+                
+                {outputCoords.transformation?.epoch != null && outputCoords.transformation.steps.some(step => step.epoch !== null) && (
+                  <div className="output-row">
+                    <span className="label">Epoch:</span>
+                    <span className="value">{outputCoords.transformation.epoch.toFixed(3)}</span>
+                  </div>
+                )}
+                {outputCoords.transformation?.epochWarning && (
+                  <div className="report-warning">⚠ {outputCoords.transformation.epochWarning}</div>
+                )}
+                
+                {outputCoords.transformation?.velocity && (
+                  <div className="transformation-report">
+                    <span className="label">Epoch propagation:</span>
+                    <div className="report-step">
+                      {outputCoords.transformation.velocity.fromEpoch.toFixed(3)} → {outputCoords.transformation.velocity.toEpoch.toFixed(3)}
+                      {' '}({outputCoords.transformation.velocity.source})
+                    </div>
+                    <div className="report-step">
+                      VE {(outputCoords.transformation.velocity.ve * 1000).toFixed(1)},
+                      VN {(outputCoords.transformation.velocity.vn * 1000).toFixed(1)},
+                      VU {(outputCoords.transformation.velocity.vu * 1000).toFixed(1)} mm/yr
+                    </div>
+                  </div>
+                )}
+                
+                {outputCoords.transformation?.steps.length > 0 && (
+                  <div className="transformation-report">
+                    <span className="label">Parameter sets ({DATUM_METHODS[outputCoords.transformation.method]}):</span>
+                    {outputCoords.transformation.steps.map((step, index) => (
+                      <div key={index} className="report-step">
+                        [{step.method === 'grid' ? 'grid' : 'parameters'}]{' '}
+                        {step.from} → {step.to}: {step.name}
+                        {step.inverse && ' (inverse)'}
+                        {step.epoch !== null && ` @ ${step.epoch.toFixed(3)}`}
+                        {step.subgrid && ` - sub-grid ${step.subgrid}`}
+                        {step.gridFallback && ` - outside grid ${step.gridFallback}`}
+                        {step.badekasFallback && ' - no Molodensky-Badekas set, Helmert used'}
+                        {(step.method === 'molodensky' || step.method === 'abridged') && (
+                          ` - ${DATUM_METHODS[step.method]}, translations only${step.ignoredRotation ? ` (rotations and scale ignored, ${step.ignoredShift.toFixed(3)} m)` : ''}`
+                        )}
+                        {step.method === 'badekas' && (
+                          ` - pivot ${step.pivot.x.toFixed(3)}, ${step.pivot.y.toFixed(3)}, ${step.pivot.z.toFixed(3)}`
+                        )}
+                        {(step.method === 'helmert' || step.method === 'badekas') && ` - ${step.convention === 'CF' ? 'Coordinate Frame' : 'Position Vector'}`}
+                        {step.conventionDifference > CONVENTION_WARNING_THRESHOLD && (
+                          <div className="report-warning">
+                            ⚠ Position Vector and Coordinate Frame differ by {step.conventionDifference.toFixed(3)} m here
+                            - check the convention of the published parameters
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                
+                {outputCoords.closure && (
+                  <div className="transformation-report">
+                    <span className="label">
+                      Round-trip closure {outputCoords.closure.from} → {outputCoords.closure.to} → {outputCoords.closure.from}:
+                    </span>
+                    <div className="report-step">
+                      N {(outputCoords.closure.north * 1000).toFixed(3)},
+                      E {(outputCoords.closure.east * 1000).toFixed(3)},
+                      U {(outputCoords.closure.up * 1000).toFixed(3)} mm
+                      {' '}(3D {(outputCoords.closure.total * 1000).toFixed(3)} mm)
+                    </div>
+                  </div>
+                )}
+                
+                {outputCoords.comparison && (
+                  <div className="transformation-report">
+                    <span className="label">Methods compared with Helmert 7-parameter:</span>
+                    <table className="residual-table">
+                      <thead>
+                        <tr>
+                          <th>Method</th>
+                          <th>ΔN (m)</th>
+                          <th>ΔE (m)</th>
+                          <th>ΔU (m)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {outputCoords.comparison.map(row => (
+                          <tr key={row.method} className={row.applied ? '' : 'excluded'}>
+                            <td>{row.name}</td>
+                            {row.error ? (
+                              <td colSpan={3}>{row.error}</td>
+                            ) : row.applied ? (
+                              <>
+                                <td>{row.north.toFixed(3)}</td>
+                                <td>{row.east.toFixed(3)}</td>
+                                <td>{row.up.toFixed(3)}</td>
+                              </>
+                            ) : (
+                              <td colSpan={3}>not available here (Helmert used)</td>
+                            )}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -726,11 +2318,12 @@ function TransformationPanel({ onCoordinateChange }) {
         /* Batch Mode */
         <div className="batch-section">
           <div className="batch-info">
-            <p>Enter one coordinate per line (comma or space separated)</p>
+            <p>Enter one coordinate per line (comma or space separated); heights are ellipsoidal</p>
             <p className="batch-format">
               {sourceType === COORD_TYPES.GEOGRAPHIC && 'Format: lat, lon [, h]'}
-              {sourceType === COORD_TYPES.PROJECTED && 'Format: easting, northing'}
+              {sourceType === COORD_TYPES.PROJECTED && 'Format: easting, northing [, h]'}
               {sourceType === COORD_TYPES.GEOCENTRIC && 'Format: x, y, z'}
+              {sourceType === COORD_TYPES.LOCAL && 'Format: x, y [, h]'}
             </p>
           </div>
           
@@ -739,27 +2332,106 @@ function TransformationPanel({ onCoordinateChange }) {
             <div className="form-row">
               <div className="form-group">
                 <label>Source Type</label>
-                <select value={sourceType} onChange={(e) => setSourceType(e.target.value)}>
+                <select value={sourceType} onChange={(e) => selectSourceType(e.target.value)}>
                   <option value={COORD_TYPES.GEOGRAPHIC}>Geographic</option>
                   <option value={COORD_TYPES.PROJECTED}>Projected</option>
+                  <option value={COORD_TYPES.GEOCENTRIC}>Geocentric</option>
+                  <option value={COORD_TYPES.LOCAL}>Local grid</option>
+                  <option value={COORD_TYPES.MGRS}>MGRS / USNG</option>
                 </select>
               </div>
               <div className="form-group">
                 <label>Target Type</label>
-                <select value={targetType} onChange={(e) => setTargetType(e.target.value)}>
+                <select value={targetType} onChange={(e) => selectTargetType(e.target.value)}>
                   <option value={COORD_TYPES.GEOGRAPHIC}>Geographic</option>
                   <option value={COORD_TYPES.PROJECTED}>Projected</option>
+                  <option value={COORD_TYPES.GEOCENTRIC}>Geocentric</option>
+                  <option value={COORD_TYPES.LOCAL}>Local grid</option>
+                  <option value={COORD_TYPES.MGRS}>MGRS / USNG</option>
+                </select>
+              </div>
+            </div>
+            
+            <div className="form-row">
+              <div className="form-group">
+                <label>Source Datum</label>
+                <select 
+                  value={sourceDatum} 
+                  onChange={(e) => setSourceDatum(e.target.value)}
+                  disabled={(sourceType === COORD_TYPES.PROJECTED && sourceDatumFixed) || sourceType === COORD_TYPES.LOCAL || sourceType === COORD_TYPES.MGRS}
+                >
+                  {Object.entries(DATUMS).map(([key, datum]) => (
+                    <option key={key} value={key}>{datum.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Target Datum</label>
+                <select 
+                  value={targetDatum} 
+                  onChange={(e) => setTargetDatum(e.target.value)}
+                  disabled={(targetType === COORD_TYPES.PROJECTED && targetDatumFixed) || targetType === COORD_TYPES.LOCAL || targetType === COORD_TYPES.MGRS}
+                >
+                  {Object.entries(DATUMS).map(([key, datum]) => (
+                    <option key={key} value={key}>{datum.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            
+            {(isFrameDatum(sourceDatum) || isFrameDatum(targetDatum)) && (
+              <div className="form-group">
+                <label>Coordinate Epoch (decimal year)</label>
+                <input 
+                  type="number" 
+                  step="0.001"
+                  className={Number.isFinite(datumOptions.epoch) ? undefined : 'input-error'}
+                  value={coordinateEpoch}
+                  onChange={(e) => setCoordinateEpoch(e.target.value)}
+                />
+              </div>
+            )}
+            
+            <div className="form-row">
+              <div className="form-group">
+                <label>Datum Transformation Method</label>
+                <select value={datumMethod} onChange={(e) => setDatumMethod(e.target.value)}>
+                  {Object.entries(DATUM_METHODS).map(([key, name]) => (
+                    <option key={key} value={key}>{name}</option>
+                  ))}
                 </select>
               </div>
+              <div className="form-group">
+                <label>Output Precision</label>
+                <select value={batchPrecision} onChange={(e) => setBatchPrecision(parseInt(e.target.value))}>
+                  {EXPORT_PRECISIONS.map(opt => (
+                    <option key={opt.value} value={opt.value}>{opt.label}</option>
+                  ))}
+                </select>
+              </div>
+              {targetType === COORD_TYPES.MGRS && (
+                <div className="form-group">
+                  <label>MGRS Precision</label>
+                  <select value={mgrsPrecision} onChange={(e) => setMgrsPrecision(parseInt(e.target.value))}>
+                    {MGRS_PRECISIONS.map(opt => (
+                      <option key={opt.value} value={opt.value}>{opt.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
             
+            {datumMethod === 'grid' && (
+              <GridShiftManager grids={gridShifts} onGridsChange={setGridShifts} />
+            )}
+            
             {(sourceType === COORD_TYPES.PROJECTED || targetType === COORD_TYPES.PROJECTED) && (
               <div className="form-row">
                 {sourceType === COORD_TYPES.PROJECTED && (
                   <div className="form-group">
                     <label>Source Projection</label>
-                    <select value={sourceProjection} onChange={(e) => setSourceProjection(e.target.value)}>
-                      {PROJECTION_OPTIONS.map(opt => (
+                    <select value={sourceProjection} onChange={(e) => selectSourceProjection(e.target.value)}>
+                      {projectionOptions.map(opt => (
                         <option key={opt.value} value={opt.value}>{opt.label}</option>
                       ))}
                     </select>
@@ -768,8 +2440,8 @@ function TransformationPanel({ onCoordinateChange }) {
                 {targetType === COORD_TYPES.PROJECTED && (
                   <div className="form-group">
                     <label>Target Projection</label>
-                    <select value={targetProjection} onChange={(e) => setTargetProjection(e.target.value)}>
-                      {PROJECTION_OPTIONS.map(opt => (
+                    <select value={targetProjection} onChange={(e) => selectTargetProjection(e.target.value)}>
+                      {projectionOptions.map(opt => (
                         <option key={opt.value} value={opt.value}>{opt.label}</option>
                       ))}
                     </select>
@@ -777,21 +2449,176 @@ function TransformationPanel({ onCoordinateChange }) {
                 )}
               </div>
             )}
+            
+            {sourceType === COORD_TYPES.PROJECTED && sourceProjection === 'UTM' && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Source Zone</label>
+                  <input 
+                    type="number" 
+                    min="1" 
+                    max="60" 
+                    value={sourceUTMZone}
+                    onChange={(e) => setSourceUTMZone(parseInt(e.target.value))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Source Hemisphere</label>
+                  <select value={sourceHemisphere} onChange={(e) => setSourceHemisphere(e.target.value)}>
+                    <option value="N">North</option>
+                    <option value="S">South</option>
+                  </select>
+                </div>
+              </div>
+            )}
+            
+            {targetType === COORD_TYPES.PROJECTED && targetProjection === 'UTM' && (
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Target Zone</label>
+                  <input 
+                    type="number" 
+                    min="1" 
+                    max="60" 
+                    value={targetUTMZone}
+                    onChange={(e) => setTargetUTMZone(parseInt(e.target.value))}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Target Hemisphere</label>
+                  <select value={targetHemisphere} onChange={(e) => setTargetHemisphere(e.target.value)}>
+                    <option value="N">North</option>
+                    <option value="S">South</option>
+                  </select>
+                </div>
+              </div>
+            )}
+            
+            {targetType === COORD_TYPES.PROJECTED && isZonedProjection(targetProjection) && (
+              <div className="form-group dms-toggle">
+                <label>
+                  <input 
+                    type="checkbox" 
+                    checked={autoZone} 
+                    onChange={(e) => setAutoZone(e.target.checked)}
+                  />
+                  Auto zone per point (points may span zones)
+                </label>
+              </div>
+            )}
+            
+            {sourceType === COORD_TYPES.PROJECTED && PROJECTION_METHODS[sourceProjection] && (
+              <ProjectionParameters 
+                method={sourceProjection} 
+                values={sourceProjParams} 
+                onChange={setSourceProjParams} 
+                label="Source "
+              />
+            )}
+            
+            {targetType === COORD_TYPES.PROJECTED && PROJECTION_METHODS[targetProjection] && (
+              <ProjectionParameters 
+                method={targetProjection} 
+                values={targetProjParams} 
+                onChange={setTargetProjParams} 
+                label="Target "
+              />
+            )}
+            
+            {(sourceType === COORD_TYPES.LOCAL || targetType === COORD_TYPES.LOCAL) && (
+              <div className="form-row">
+                {sourceType === COORD_TYPES.LOCAL && (
+                  <div className="form-group">
+                    <label>Source Local Grid</label>
+                    <select value={sourceLocalGrid} onChange={(e) => selectSourceLocalGrid(e.target.value)}>
+                      <option value="">-- select --</option>
+                      {localGrids.map(grid => (
+                        <option key={grid.key} value={grid.key}>{grid.name} ({grid.key})</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {targetType === COORD_TYPES.LOCAL && (
+                  <div className="form-group">
+                    <label>Target Local Grid</label>
+                    <select value={targetLocalGrid} onChange={(e) => selectTargetLocalGrid(e.target.value)}>
+                      <option value="">-- select --</option>
+                      {localGrids.map(grid => (
+                        <option key={grid.key} value={grid.key}>{grid.name} ({grid.key})</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {(sourceType === COORD_TYPES.PROJECTED || targetType === COORD_TYPES.PROJECTED) && (
+              <div className="tool-section">
+                <button 
+                  className="auto-zone-btn" 
+                  onClick={() => setShowCRSManager(!showCRSManager)}
+                >
+                  {showCRSManager ? 'Hide' : 'Show'} Custom CRS ({customCRS.length})
+                </button>
+                {showCRSManager && (
+                  <CRSManager crsList={customCRS} onCRSChange={handleCRSChange} />
+                )}
+              </div>
+            )}
+            
+            <div className="tool-section">
+              <button 
+                className="auto-zone-btn" 
+                onClick={() => setShowDatumEditor(!showDatumEditor)}
+              >
+                {showDatumEditor ? 'Hide' : 'Show'} Datum Editor ({userDatums.length})
+              </button>
+              {showDatumEditor && (
+                <DatumEditor datums={userDatums} onDatumsChange={handleDatumsChange} point={lastPoint} />
+              )}
+            </div>
           </div>
           
-          <div className="batch-input-area">
-            <label>Input</label>
-            <textarea 
-              value={batchInput}
-              onChange={(e) => setBatchInput(e.target.value)}
-              placeholder="41.0082, 28.9784&#10;39.9334, 32.8597&#10;38.4237, 27.1428"
-              rows={8}
+          {sourceType !== COORD_TYPES.MGRS && (
+            <BatchImporter 
+              coordinateOrder={sourceType === COORD_TYPES.GEOGRAPHIC ? 'latlon' : sourceType === COORD_TYPES.GEOCENTRIC ? 'xy' : 'en'}
+              imported={batchImport}
+              onImport={setBatchImport}
+              onClear={() => setBatchImport(null)}
             />
-          </div>
+          )}
           
-          <button className="transform-button" onClick={performBatchTransformation}>
-            Batch Transform
-          </button>
+          {(!batchImport || sourceType === COORD_TYPES.MGRS) && (
+            <div className="batch-input-area">
+              <label>Input</label>
+              <textarea 
+                value={batchInput}
+                onChange={(e) => setBatchInput(e.target.value)}
+                placeholder={sourceType === COORD_TYPES.MGRS
+                  ? '35TPF6637041552\n36S VK 88012 20374, 950.0\n35SNC1246452836'
+                  : sourceType === COORD_TYPES.GEOGRAPHIC
+                    ? '41.0082, 28.9784\n39°56\'00.2"N 32°51\'35.0"E, 938\nN38 25.422 E27 08.568'
+                    : '41.0082, 28.9784\n39.9334, 32.8597\n38.4237, 27.1428'}
+                rows={8}
+              />
+            </div>
+          )}
+          
+          {batchProgress ? (
+            <div className="batch-progress">
+              <progress value={batchProgress.done} max={batchProgress.count || 1} />
+              <span className="loader-status">
+                {batchProgress.done.toLocaleString()} / {batchProgress.count.toLocaleString()} points
+              </span>
+              <button className="copy-button" onClick={() => cancelBatch.current?.()}>
+                Cancel
+              </button>
+            </div>
+          ) : (
+            <button className="transform-button" onClick={performBatchTransformation}>
+              Batch Transform
+            </button>
+          )}
           
           {error && (
             <div className="error-message">
@@ -799,19 +2626,78 @@ function TransformationPanel({ onCoordinateChange }) {
             </div>
           )}
           
+          {(batchResults?.zoneWarnings.source > 0 || batchResults?.zoneWarnings.target > 0) && (
+            <div className="report-warning">
+              ⚠ {batchResults.zoneWarnings.source + batchResults.zoneWarnings.target} point(s) outside the
+              {' '}intended extent of their zone
+              {batchResults.zoneWarnings.source > 0 && ` · ${batchResults.zoneWarnings.source} source`}
+              {batchResults.zoneWarnings.target > 0 && ` · ${batchResults.zoneWarnings.target} target`}
+              {' '}- consider Auto zone per point or the Zone-to-Zone tool
+            </div>
+          )}
+          
+          {batchResults?.epochWarning && (
+            <div className="report-warning">⚠ {batchResults.epochWarning}</div>
+          )}
+          
+          {batchResults?.errors.length > 0 && (
+            <div className="batch-output-area">
+              <label>
+                {batchPointCount} transformed · {batchResults.errors.length} failed
+                {batchResults.errors.length > BATCH_ERROR_ROWS && ` (first ${BATCH_ERROR_ROWS} listed)`}
+              </label>
+              <table className="residual-table batch-errors">
+                <thead>
+                  <tr>
+                    <th>Line</th>
+                    <th>Input</th>
+                    <th>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {batchResults.errors.slice(0, BATCH_ERROR_ROWS).map(({ line, raw, reason }) => (
+                    <tr key={line} className="outlier">
+                      <td>{line}</td>
+                      <td>{raw}</td>
+                      <td>{reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          
           <div className="batch-output-area">
-            <label>Output</label>
+            <label>
+              Output
+              {batchPointCount > BATCH_PREVIEW_LINES && ` (first ${BATCH_PREVIEW_LINES} of ${batchPointCount} points)`}
+            </label>
             <textarea 
               value={batchOutput}
               readOnly
               rows={8}
             />
-            <button 
-              className="copy-button"
-              onClick={() => navigator.clipboard.writeText(batchOutput)}
-            >
-              Copy
-            </button>
+            <div className="export-row">
+              <button 
+                className="copy-button"
+                onClick={() => navigator.clipboard.writeText(formatBatchOutput(batchResults, batchPrecision))}
+                disabled={!batchResults}
+              >
+                Copy
+              </button>
+              <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+                  <option key={key} value={key}>{format.name}</option>
+                ))}
+              </select>
+              <button 
+                className="copy-button"
+                onClick={handleExport}
+                disabled={batchPointCount === 0}
+              >
+                Download
+              </button>
+            </div>
           </div>
         </div>
       )}
@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { DATUMS } from '../utils/datums';
+import {
+  VECTOR_EXTENSIONS,
+  readVectorFiles,
+  resolveLayerCRS,
+  countVertices,
+  transformVectorData,
+  vectorToGeoJSON,
+  vectorToKML
+} from '../utils/vectorFile';
+import { downloadExport } from '../utils/pointExport';
+
+// Source CRS choices besides the projections
+const FILE_SOURCE = 'file';
+const GEOGRAPHIC_SOURCE = 'geographic';
+
+function VectorTransformer({ target, projectionOptions, getProjectionCRS, datumOptions, onLayerChange }) {
+  const [layers, setLayers] = useState([]);
+  const [layerIndex, setLayerIndex] = useState(0);
+  const [source, setSource] = useState(FILE_SOURCE);
+  const [datum, setDatum] = useState('WGS84');
+  const [zone, setZone] = useState(36);
+  const [hemisphere, setHemisphere] = useState('N');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const layer = layers[layerIndex] || null;
+
+  // Projections tied to a datum (TM zones, custom CRSs) fix it
+  const fixedDatum = projectionOptions.find(opt => opt.value === source)?.datum || null;
+  const sourceDatum = fixedDatum || datum;
+
+  const clearResult = () => {
+    setResult(null);
+    onLayerChange(null);
+  };
+
+  const handleFiles = async (e) => {
+    const files = e.target.files;
+    if (files?.length) {
+      try {
+        const loaded = (await readVectorFiles(files)).map(l => {
+          if (!l.crsDefinition) {
+            return { ...l, crsError: 'No .prj file; choose the source CRS' };
+          }
+          try {
+            return { ...l, crs: resolveLayerCRS(l.crsDefinition) };
+          } catch (err) {
+            return { ...l, crsError: err.message };
+          }
+        });
+        setLayers(loaded);
+        setLayerIndex(0);
+        setSource(loaded[0].crs ? FILE_SOURCE : GEOGRAPHIC_SOURCE);
+        setError(null);
+      } catch (err) {
+        setLayers([]);
+        setError(err.message);
+      }
+      clearResult();
+    }
+    e.target.value = '';
+  };
+
+  const handleLayerChange = (index) => {
+    setLayerIndex(index);
+    setSource(layers[index].crs ? FILE_SOURCE : GEOGRAPHIC_SOURCE);
+    clearResult();
+  };
+
+  // Source {type, datum, crs} from the file or the override
+  const getSourceCRS = () => {
+    if (source === FILE_SOURCE) {
+      if (!layer.crs) throw new Error(layer.crsError);
+      return layer.crs;
+    } else if (source === GEOGRAPHIC_SOURCE) {
+      return { type: 'geographic', datum };
+    }
+    return {
+      type: 'projected',
+      datum: sourceDatum,
+      crs: getProjectionCRS(source, zone, hemisphere, sourceDatum)
+    };
+  };
+
+  const handleTransform = () => {
+    try {
+      if (!target) {
+        throw new Error('Set the target type to geographic or projected');
+      }
+      const transformed = transformVectorData(layer.data, getSourceCRS(), target, datumOptions);
+      setResult(transformed);
+      setError(null);
+      onLayerChange({ name: layer.name, display: transformed.display });
+    } catch (err) {
+      setError(err.message);
+      clearResult();
+    }
+  };
+
+  const handleRemove = () => {
+    setLayers([]);
+    setError(null);
+    clearResult();
+  };
+
+  return (
+    <div className="file-loader">
+      <div className="drop-zone">
+        GeoJSON, KML, zipped Shapefile or .shp / .dbf / .prj
+        <input type="file" multiple accept={VECTOR_EXTENSIONS} onChange={handleFiles} />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {layer && (
+        <>
+          <div className="loaded-file">
+            <div className="loaded-file-header">
+              <span className="loaded-file-name">{layer.name}</span>
+              <span className="loaded-file-meta">
+                {layer.format} · {layer.data.features.length} features · {countVertices(layer.data)} vertices
+              </span>
+              <button className="loaded-file-remove" onClick={handleRemove} title="Remove the files">
+                ×
+              </button>
+            </div>
+            <div className="loaded-file-extent">
+              File CRS: {layer.crs ? layer.crs.name : layer.crsError}
+            </div>
+          </div>
+
+          {layers.length > 1 && (
+            <div className="form-group">
+              <label>Layer</label>
+              <select value={layerIndex} onChange={(e) => handleLayerChange(parseInt(e.target.value))}>
+                {layers.map((l, i) => (
+                  <option key={i} value={i}>{l.name} ({l.format})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Source CRS</label>
+              <select value={source} onChange={(e) => { setSource(e.target.value); clearResult(); }}>
+                <option value={FILE_SOURCE} disabled={!layer.crs}>From file</option>
+                <option value={GEOGRAPHIC_SOURCE}>Geographic (lon, lat)</option>
+                {projectionOptions.map(opt => (
+                  <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+              </select>
+            </div>
+            {source !== FILE_SOURCE && (
+              <div className="form-group">
+                <label>Datum</label>
+                <select value={sourceDatum} onChange={(e) => setDatum(e.target.value)} disabled={!!fixedDatum}>
+                  {Object.entries(DATUMS).map(([datumKey, d]) => (
+                    <option key={datumKey} value={datumKey}>{d.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {source === 'UTM' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Zone</label>
+                <input type="number" min="1" max="60" value={zone} onChange={(e) => setZone(parseInt(e.target.value))} />
+              </div>
+              <div className="form-group">
+                <label>Hemisphere</label>
+                <select value={hemisphere} onChange={(e) => setHemisphere(e.target.value)}>
+                  <option value="N">North</option>
+                  <option value="S">South</option>
+                </select>
+              </div>
+            </div>
+          )}
+
+          <div className="loader-status">
+            Target: {target ? target.name : 'geographic or projected target required'}
+          </div>
+
+          <button className="auto-zone-btn" onClick={handleTransform} disabled={!target}>
+            Transform Layer
+          </button>
+        </>
+      )}
+
+      {result && (
+        <>
+          <div className="loader-status">
+            {result.vertices} vertices transformed · shown on the map
+          </div>
+          <div className="export-row">
+            <button
+              className="auto-zone-btn"
+              onClick={() => downloadExport(vectorToGeoJSON(result.data, target), layer.name, 'geojson')}
+            >
+              Download GeoJSON
+            </button>
+            <button
+              className="auto-zone-btn"
+              onClick={() => downloadExport(vectorToKML(result.display, layer.name), layer.name, 'kml')}
+            >
+              Download KML (WGS84)
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default VectorTransformer;
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { DATUMS } from '../utils/datums';
+import { TM_ZONE_MERIDIANS, checkZoneExtent } from '../utils/projections';
+import { projectCoordinates, unprojectCoordinates } from '../utils/transformations';
+
+// Zoned projection families; zone-to-zone keeps the datum
+const FAMILIES = {
+  UTM: 'UTM (6°)',
+  TM: 'ED50 / TM (3°)',
+  TUREF_TM: 'TUREF / TM (3°)'
+};
+
+const SAMPLE_POINTS = '499712.345, 4542871.210\n624130.000, 4431020.500';
+
+// Easting and northing separated by commas, semicolons, tabs or spaces
+const parsePoint = (line) => {
+  const values = line.trim().split(/[,;\t ]+/).map(Number);
+  return values.length >= 2 && values.slice(0, 2).every(Number.isFinite) ? values : null;
+};
+
+function ZoneTransformer({ getProjectionCRS }) {
+  const [family, setFamily] = useState('UTM');
+  const [datum, setDatum] = useState('WGS84');
+  const [from, setFrom] = useState({ zone: 35, hemisphere: 'N', meridian: 30 });
+  const [to, setTo] = useState({ zone: 36, hemisphere: 'N', meridian: 33 });
+  const [input, setInput] = useState(SAMPLE_POINTS);
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Projection key, zone and hemisphere as getProjectionCRS takes them
+  const zoneOf = (side) => family === 'UTM'
+    ? { projection: 'UTM', zone: side.zone, hemisphere: side.hemisphere, label: `UTM ${side.zone}${side.hemisphere}` }
+    : { projection: `${family === 'TUREF_TM' ? 'TUREF_' : ''}TM${side.meridian}`, zone: side.meridian, hemisphere: 'N', label: `TM${side.meridian}` };
+
+  const handleTransform = () => {
+    try {
+      const source = zoneOf(from);
+      const target = zoneOf(to);
+      if (family === 'UTM' && !(from.zone >= 1 && from.zone <= 60 && to.zone >= 1 && to.zone <= 60)) {
+        throw new Error('UTM zones must be 1 to 60');
+      }
+      const sourceCRS = getProjectionCRS(source.projection, source.zone, source.hemisphere, datum);
+      const targetCRS = getProjectionCRS(target.projection, target.zone, target.hemisphere, datum);
+
+      const lines = input.split('\n').map((raw, i) => ({ raw, line: i + 1 })).filter(({ raw }) => raw.trim());
+      if (!lines.length) {
+        throw new Error('Enter one "easting, northing" pair per line');
+      }
+      setRows(lines.map(({ raw, line }) => {
+        const point = parsePoint(raw);
+        if (!point) {
+          return { line, raw, reason: 'Expected easting and northing' };
+        }
+        const geo = unprojectCoordinates(point[0], point[1], sourceCRS);
+        const projected = projectCoordinates(geo.lat, geo.lon, targetCRS);
+        if (![geo.lat, geo.lon, projected.easting, projected.northing].every(Number.isFinite)) {
+          return { line, raw, reason: 'Outside the projection' };
+        }
+        return {
+          line,
+          raw,
+          geo,
+          projected,
+          warning: checkZoneExtent(geo.lat, geo.lon, target.projection, target.zone, target.hemisphere)
+            || checkZoneExtent(geo.lat, geo.lon, source.projection, source.zone, source.hemisphere)
+        };
+      }));
+      setError(null);
+    } catch (err) {
+      setRows(null);
+      setError(err.message);
+    }
+  };
+
+  const zoneInputs = (label, value, onChange) => family === 'UTM' ? (
+    <div className="form-row">
+      <div className="form-group">
+        <label>{label} Zone</label>
+        <input
+          type="number"
+          min="1"
+          max="60"
+          value={value.zone}
+          onChange={(e) => onChange({ ...value, zone: parseInt(e.target.value) })}
+        />
+      </div>
+      <div className="form-group">
+        <label>{label} Hemisphere</label>
+        <select value={value.hemisphere} onChange={(e) => onChange({ ...value, hemisphere: e.target.value })}>
+          <option value="N">North</option>
+          <option value="S">South</option>
+        </select>
+      </div>
+    </div>
+  ) : (
+    <div className="form-group">
+      <label>{label} Zone</label>
+      <select value={value.meridian} onChange={(e) => onChange({ ...value, meridian: parseInt(e.target.value) })}>
+        {TM_ZONE_MERIDIANS.map(meridian => (
+          <option key={meridian} value={meridian}>TM{meridian} ({meridian}°E)</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const source = zoneOf(from);
+  const target = zoneOf(to);
+
+  return (
+    <div className="file-loader">
+      <div className="form-row">
+        <div className="form-group">
+          <label>Projection</label>
+          <select value={family} onChange={(e) => { setFamily(e.target.value); setRows(null); }}>
+            {Object.entries(FAMILIES).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+        </div>
+        {family === 'UTM' && (
+          <div className="form-group">
+            <label>Datum</label>
+            <select value={datum} onChange={(e) => setDatum(e.target.value)}>
+              {Object.entries(DATUMS).map(([key, d]) => (
+                <option key={key} value={key}>{d.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {zoneInputs('From', from, setFrom)}
+      {zoneInputs('To', to, setTo)}
+
+      <div className="form-group">
+        <label>Points in {source.label} (easting, northing per line)</label>
+        <textarea rows={5} value={input} onChange={(e) => setInput(e.target.value)} />
+      </div>
+
+      <button className="auto-zone-btn" onClick={handleTransform}>Transform Zone</button>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {rows && (
+        <div className="transformation-report">
+          <span className="label">{source.label} → {target.label}</span>
+          <table className="residual-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>E ({target.label})</th>
+                <th>N ({target.label})</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.line} className={row.reason || row.warning ? 'outlier' : ''}>
+                  <td>{row.line}</td>
+                  <td>{row.projected?.easting.toFixed(3)}</td>
+                  <td>{row.projected?.northing.toFixed(3)}</td>
+                  <td>{row.reason || row.warning || `${row.geo.lat.toFixed(6)}°, ${row.geo.lon.toFixed(6)}°`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ZoneTransformer;
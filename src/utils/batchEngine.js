@@ -0,0 +1,293 @@
+/**
+ * Batch Transformation Engine
+ *
+ * Transforms large point lists in chunks on typed-array buffers so the
+ * same code can run inside a Web Worker (see batchWorker.js) or, where
+ * workers are unavailable, on the main thread between frames.
+ *
+ * A job is plain data so that it can be posted to a worker:
+ *   {sourceType, targetType, datumSource, outputDatum,
+ *    sourceCRS, targetCRS, targetZones, sourceGrid, targetGrid, datumOptions,
+ *    heights, has3D, context: {userDatums, customCRS, gridShifts, geoids}}
+ * targetZones ({projection, crs: {label: crs}}, see getAutoZone) replaces
+ * targetCRS when each point is projected in its own UTM or TM zone.
+ * Input coordinates are three Float64Arrays (x, y, z) in record order;
+ * x is the longitude for geographic input and z is NaN when missing.
+ * heights ({source, target, sourceGeoid, targetGeoid, interpolation})
+ * names the height systems as the single transformation does: source
+ * orthometric heights get the geoid undulation N added before the datum
+ * transformation and target ones have it removed afterwards; 'none'
+ * ignores the input heights. MGRS references are decoded to WGS84 longitude
+ * and latitude before a job starts and encoded again when the results
+ * are formatted, so MGRS points travel as geographic ones.
+ */
+
+import { DATUMS, registerUserDatum, getUserDatums } from './datums';
+import { ELLIPSOIDS } from './ellipsoids';
+import { getCustomCRSList, registerCRS } from './crs';
+import { getGridShifts, registerGridShift } from './gridShift';
+import { getGeoidModels, getGeoidUndulation, registerGeoidModel, restoreGeoidGrid } from './geoid';
+import { localToGrid, gridToLocal } from './localGrid';
+import { getUTMBand, getAutoZone } from './projections';
+import {
+  transformDatum,
+  geographicToGeocentric,
+  geocentricToGeographic,
+  projectCoordinates,
+  unprojectCoordinates
+} from './transformations';
+
+export const BATCH_CHUNK_SIZE = 5000;
+
+// Result status per point
+export const BATCH_STATUS = {
+  OK: 0,
+  FAILED: 1
+};
+
+// ============================================================
+// JOB SETUP
+// ============================================================
+
+/**
+ * Registries a job needs outside the main thread
+ *
+ * User datums, custom CRSs and loaded grid shift and geoid files live in
+ * module state that a worker does not share. Only the geoid models the
+ * job uses are sent.
+ *
+ * @param {Array<string>} geoidModels - Names of the geoid models used
+ * @returns {Object} - {userDatums, customCRS, gridShifts, geoids}
+ */
+export function getBatchContext(geoidModels = []) {
+  return {
+    userDatums: getUserDatums(),
+    customCRS: getCustomCRSList().map(({ code, name, definition, datum }) => ({ code, name, definition, datum })),
+    gridShifts: getGridShifts(),
+    geoids: getGeoidModels().filter(grid => geoidModels.includes(grid.name)).map(grid => grid.source)
+  };
+}
+
+/**
+ * Register a job's context in this thread's registries
+ * @param {Object} context - From getBatchContext
+ */
+export function applyBatchContext(context) {
+  context.userDatums.forEach(definition => registerUserDatum(definition, false));
+  context.customCRS.forEach(crs => registerCRS(crs, false));
+  context.gridShifts.forEach(grid => registerGridShift(grid));
+  context.geoids.forEach(source => registerGeoidModel(restoreGeoidGrid(source)));
+}
+
+/**
+ * Coordinate labels of a target type
+ * @param {string} targetType - geographic, projected, geocentric, local or mgrs
+ * @param {boolean} has3D - Whether heights are output
+ * @param {string} heightSystem - 'orthometric' labels the heights H
+ * @returns {Array<string>}
+ */
+export function getBatchLabels(targetType, has3D, heightSystem = 'ellipsoidal') {
+  const height = has3D ? [heightSystem === 'orthometric' ? 'H' : 'h'] : [];
+  return {
+    geographic: ['Lat', 'Lon', ...height],
+    projected: ['E', 'N', ...height],
+    geocentric: ['X', 'Y', 'Z'],
+    local: ['x', 'y', ...height],
+    mgrs: ['MGRS', ...height]
+  }[targetType];
+}
+
+/**
+ * Number of target coordinates stored per point
+ *
+ * An MGRS reference is stored as its latitude and longitude.
+ *
+ * @param {string} targetType - geographic, projected, geocentric, local or mgrs
+ * @param {boolean} has3D - Whether heights are output
+ * @returns {number}
+ */
+export function getBatchDimensions(targetType, has3D) {
+  const labels = getBatchLabels(targetType, has3D).length;
+  return targetType === 'mgrs' ? labels + 1 : labels;
+}
+
+/**
+ * Build the per-point transformation of a job
+ *
+ * The returned function maps one input point to its target coordinates
+ * (in label order), its WGS84 position, whether the requested datum
+ * method was applied and, for targetZones jobs, the zone label. It
+ * throws for points that cannot be transformed. The WGS84 position (for
+ * KML / GPX export and geoid lookups) uses the default method at the
+ * coordinate epoch, so a method the user picked for the main
+ * transformation cannot make it fail.
+ *
+ * @param {Object} job - Batch job
+ * @returns {Function} - (x, y, z) → {coords, wgs84, applied, zone}
+ */
+export function createBatchTransformer(job) {
+  const {
+    sourceType, targetType, datumSource, outputDatum,
+    sourceCRS, targetCRS, targetZones, sourceGrid, targetGrid, datumOptions, heights, has3D
+  } = job;
+  const method = datumOptions.method;
+  const wgs84Options = { epoch: datumOptions.epoch };
+
+  const toWGS84 = (geo, datum) => (datum === 'WGS84'
+    ? geo
+    : transformDatum(geo, datum, 'WGS84', 'geographic', wgs84Options));
+
+  // Geoid undulation at a point given on `datum` (models refer to WGS84)
+  const geoidAt = (geo, datum, model) => {
+    const wgs84 = toWGS84(geo, datum);
+    const geoid = getGeoidUndulation(wgs84.lat, wgs84.lon, model, heights.interpolation);
+    if (!geoid) {
+      throw new Error(`Point is outside the geoid model ${model}`);
+    }
+    return geoid.N;
+  };
+
+  // Input height in the source height system → ellipsoidal height
+  const sourceEllipsoidalHeight = (lat, lon, z) => {
+    if (heights.source === 'none' || Number.isNaN(z)) return 0;
+    if (heights.source === 'orthometric') {
+      return z + geoidAt({ lat, lon, h: z }, datumSource, heights.sourceGeoid);
+    }
+    return z;
+  };
+
+  // Source coordinates → geographic on the source datum
+  const toSourceGeographic = (x, y, z) => {
+    if (sourceType === 'geographic' || sourceType === 'mgrs') {
+      return { lat: y, lon: x, h: sourceEllipsoidalHeight(y, x, z) };
+    } else if (sourceType === 'geocentric') {
+      return geocentricToGeographic(x, y, z, ELLIPSOIDS[DATUMS[datumSource].ellipsoid]);
+    }
+    const projected = sourceGrid ? localToGrid(x, y, sourceGrid) : { easting: x, northing: y };
+    const unprojected = unprojectCoordinates(projected.easting, projected.northing, sourceCRS);
+    return { lat: unprojected.lat, lon: unprojected.lon, h: sourceEllipsoidalHeight(unprojected.lat, unprojected.lon, z) };
+  };
+
+  // Geographic on the output datum → target coordinates
+  const toTargetCoordinates = (geo, crs) => {
+    const h = has3D ? [geo.h] : [];
+    if (targetType === 'mgrs' && !getUTMBand(geo.lat)) {
+      throw new Error('MGRS is only defined between 80°S and 84°N');
+    } else if (targetType === 'geographic' || targetType === 'mgrs') {
+      return [geo.lat, geo.lon, ...h];
+    } else if (targetType === 'geocentric') {
+      const ecef = geographicToGeocentric(geo.lat, geo.lon, geo.h, ELLIPSOIDS[DATUMS[outputDatum].ellipsoid]);
+      return [ecef.x, ecef.y, ecef.z];
+    }
+    const projected = projectCoordinates(geo.lat, geo.lon, crs);
+    if (targetGrid) {
+      const local = gridToLocal(projected.easting, projected.northing, targetGrid);
+      return [local.x, local.y, ...h];
+    }
+    return [projected.easting, projected.northing, ...h];
+  };
+
+  return (x, y, z) => {
+    const sourceGeo = toSourceGeographic(x, y, z);
+    const geo = transformDatum(sourceGeo, datumSource, outputDatum, 'geographic', datumOptions);
+    const wgs84 = outputDatum === 'WGS84' ? geo : toWGS84(sourceGeo, datumSource);
+
+    // Target orthometric heights: H = h - N at the point
+    const output = heights.target === 'orthometric' && targetType !== 'geocentric'
+      ? { ...geo, h: geo.h - geoidAt(wgs84, 'WGS84', heights.targetGeoid) }
+      : geo;
+
+    const zone = targetZones ? getAutoZone(targetZones.projection, geo.lat, geo.lon) : null;
+    const coords = toTargetCoordinates(output, zone ? targetZones.crs[zone.label] : targetCRS);
+    if (!coords.every(Number.isFinite)) {
+      throw new Error('No finite result (point outside the projection?)');
+    }
+
+    return {
+      coords,
+      wgs84,
+      applied: !!geo.transformation?.steps.some(step => step.method === method),
+      zone: zone?.label ?? null
+    };
+  };
+}
+
+// ============================================================
+// CHUNKS
+// ============================================================
+
+/**
+ * Transform points [start, end) of the input buffers
+ *
+ * Failed points keep NaN coordinates and are listed in `errors`; `zones`
+ * holds the zone label of each point (null without targetZones).
+ *
+ * @param {Function} transform - From createBatchTransformer
+ * @param {Object} input - {x, y, z} Float64Arrays
+ * @param {number} start - First point
+ * @param {number} end - One past the last point
+ * @param {number} dims - Number of target coordinates
+ * @returns {Object} - {start, end, coords, wgs84, status, applied, zones, errors: [{index, reason}]}
+ */
+export function transformBatchChunk(transform, input, start, end, dims) {
+  const count = end - start;
+  const coords = new Float64Array(count * dims).fill(NaN);
+  const wgs84 = new Float64Array(count * 3).fill(NaN);
+  const status = new Uint8Array(count);
+  const applied = new Uint8Array(count);
+  const zones = new Array(count).fill(null);
+  const errors = [];
+
+  for (let i = 0; i < count; i++) {
+    const index = start + i;
+    try {
+      const result = transform(input.x[index], input.y[index], input.z[index]);
+      coords.set(result.coords, i * dims);
+      wgs84.set([result.wgs84.lat, result.wgs84.lon, result.wgs84.h], i * 3);
+      applied[i] = result.applied ? 1 : 0;
+      zones[i] = result.zone;
+    } catch (err) {
+      status[i] = BATCH_STATUS.FAILED;
+      errors.push({ index, reason: err.message });
+    }
+  }
+
+  return { start, end, coords, wgs84, status, applied, zones, errors };
+}
+
+/**
+ * Output buffers for a whole job, filled chunk by chunk
+ * @param {number} count - Number of points
+ * @param {number} dims - Number of target coordinates
+ * @returns {Object} - {count, dims, coords, wgs84, status, applied, zones, errors, done}
+ */
+export function createBatchOutput(count, dims) {
+  return {
+    count,
+    dims,
+    coords: new Float64Array(count * dims).fill(NaN),
+    wgs84: new Float64Array(count * 3).fill(NaN),
+    status: new Uint8Array(count),
+    applied: new Uint8Array(count),
+    zones: new Array(count).fill(null),
+    errors: [],
+    done: 0
+  };
+}
+
+/**
+ * Copy a transformed chunk into the job output
+ * @param {Object} output - From createBatchOutput
+ * @param {Object} chunk - From transformBatchChunk
+ */
+export function mergeBatchChunk(output, chunk) {
+  output.coords.set(chunk.coords, chunk.start * output.dims);
+  output.wgs84.set(chunk.wgs84, chunk.start * 3);
+  output.status.set(chunk.status, chunk.start);
+  output.applied.set(chunk.applied, chunk.start);
+  output.zones.splice(chunk.start, chunk.zones.length, ...chunk.zones);
+  output.errors.push(...chunk.errors);
+  output.done += chunk.end - chunk.start;
+}
+
+export default createBatchTransformer;
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BATCH_STATUS,
+  createBatchTransformer,
+  createBatchOutput,
+  getBatchContext,
+  applyBatchContext,
+  mergeBatchChunk,
+  transformBatchChunk
+} from './batchEngine';
+import { transformDatum } from './transformations';
+import { getGeoidModels, parseEGMGrid, registerGeoidModel, unregisterGeoidModel } from './geoid';
+
+const ELLIPSOIDAL = { source: 'ellipsoidal', target: 'ellipsoidal' };
+
+const job = (overrides = {}) => ({
+  sourceType: 'geographic',
+  targetType: 'geographic',
+  datumSource: 'WGS84',
+  outputDatum: 'ED50',
+  datumOptions: { method: 'helmert' },
+  heights: ELLIPSOIDAL,
+  has3D: true,
+  ...overrides
+});
+
+// Longitude, latitude, height; the last point is not a coordinate
+const input = {
+  x: Float64Array.from([29, 10, -5, NaN]),
+  y: Float64Array.from([41, 60, 36, 0]),
+  z: Float64Array.from([100, 500, NaN, 0])
+};
+
+describe('batch engine', () => {
+  it('matches the single-point transformation, chunk by chunk', () => {
+    const transform = createBatchTransformer(job());
+    const output = createBatchOutput(4, 3);
+    mergeBatchChunk(output, transformBatchChunk(transform, input, 2, 4, 3));
+    mergeBatchChunk(output, transformBatchChunk(transform, input, 0, 2, 3));
+
+    expect(output.done).toBe(4);
+    for (let i = 0; i < 3; i++) {
+      const h = Number.isNaN(input.z[i]) ? 0 : input.z[i];
+      const single = transformDatum({ lat: input.y[i], lon: input.x[i], h }, 'WGS84', 'ED50');
+      expect(output.coords[i * 3]).toBeCloseTo(single.lat, 12);
+      expect(output.coords[i * 3 + 1]).toBeCloseTo(single.lon, 12);
+      expect(output.coords[i * 3 + 2]).toBeCloseTo(single.h, 6);
+      expect(output.status[i]).toBe(BATCH_STATUS.OK);
+    }
+  });
+
+  it('reports failed points without stopping the run', () => {
+    const transform = createBatchTransformer(job());
+    const chunk = transformBatchChunk(transform, input, 0, 4, 3);
+    expect(chunk.status[3]).toBe(BATCH_STATUS.FAILED);
+    expect(chunk.errors.map(error => error.index)).toEqual([3]);
+    expect(Number.isNaN(chunk.coords[9])).toBe(true);
+  });
+
+  it('keeps the WGS84 position when the chosen method refuses the WGS84 path', () => {
+    const transform = createBatchTransformer(job({
+      datumSource: 'ED50',
+      outputDatum: 'ED50',
+      datumOptions: { method: 'molodensky' }
+    }));
+    const result = transform(29, 41, 100);
+    expect(result.wgs84.lat).toBeCloseTo(transformDatum({ lat: 41, lon: 29, h: 100 }, 'ED50', 'WGS84').lat, 12);
+  });
+
+  it('applies geoid undulations for orthometric heights, also after a worker hand-off', () => {
+    registerGeoidModel(parseEGMGrid('40 42 28 30 1 1\n 37 37.5 38\n 36 36.5 37\n 35 35.5 36\n', 'TEST'));
+    const context = structuredClone(getBatchContext(['TEST']));
+    unregisterGeoidModel('TEST');
+    expect(getGeoidModels()).toEqual([]);
+    applyBatchContext(context);
+
+    const heights = { source: 'orthometric', target: 'ellipsoidal', sourceGeoid: 'TEST', interpolation: 'bilinear' };
+    const orthometric = createBatchTransformer(job({ outputDatum: 'WGS84', heights }))(29.5, 41.5, 100);
+    // N at 41.5°N 29.5°E: bilinear between 36.5 / 37 and 37.5 / 38
+    expect(orthometric.coords[2]).toBeCloseTo(137.25, 6);
+
+    const back = createBatchTransformer(job({
+      outputDatum: 'WGS84',
+      heights: { source: 'ellipsoidal', target: 'orthometric', targetGeoid: 'TEST', interpolation: 'bilinear' }
+    }))(29.5, 41.5, 137.25);
+    expect(back.coords[2]).toBeCloseTo(100, 6);
+    unregisterGeoidModel('TEST');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Batch Job Runner
+ *
+ * Starts a batch job (see batchEngine.js) in a Web Worker and collects
+ * the streamed chunks into one output. Without worker support the job
+ * runs on the main thread, yielding to the browser between chunks.
+ */
+
+import {
+  BATCH_CHUNK_SIZE,
+  createBatchTransformer,
+  getBatchDimensions,
+  transformBatchChunk,
+  createBatchOutput,
+  mergeBatchChunk
+} from './batchEngine';
+
+/**
+ * Run a batch job
+ *
+ * The input buffers are transferred to the worker and are unusable
+ * afterwards. Cancelling stops the worker immediately and resolves the
+ * promise with null.
+ *
+ * @param {Object} job - Batch job
+ * @param {Object} input - {x, y, z} Float64Arrays
+ * @param {Function} onProgress - Called with (done, count) after each chunk
+ * @returns {Object} - {promise, cancel}; promise resolves to the output (see createBatchOutput)
+ */
+export function runBatchJob(job, input, onProgress = () => {}) {
+  const count = input.x.length;
+  const output = createBatchOutput(count, getBatchDimensions(job.targetType, job.has3D));
+
+  if (typeof Worker === 'undefined') {
+    return runOnMainThread(job, input, output, onProgress);
+  }
+
+  const worker = new Worker(new URL('./batchWorker.js', import.meta.url), { type: 'module' });
+  let settle;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = (value, error) => {
+      worker.terminate();
+      if (error) reject(error); else resolve(value);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'chunk') {
+        mergeBatchChunk(output, data.chunk);
+        onProgress(output.done, count);
+      } else if (data.type === 'done') {
+        settle(output);
+      } else if (data.type === 'error') {
+        settle(null, new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      settle(null, new Error(event.message || 'Batch worker failed'));
+    };
+  });
+
+  worker.postMessage({ job, input }, [input.x.buffer, input.y.buffer, input.z.buffer]);
+
+  return {
+    promise,
+    cancel: () => settle(null)
+  };
+}
+
+function runOnMainThread(job, input, output, onProgress) {
+  let cancelled = false;
+
+  // The registries in job.context are this thread's own
+  const promise = (async () => {
+    const transform = createBatchTransformer(job);
+    for (let start = 0; start < output.count; start += BATCH_CHUNK_SIZE) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (cancelled) return null;
+      const end = Math.min(start + BATCH_CHUNK_SIZE, output.count);
+      mergeBatchChunk(output, transformBatchChunk(transform, input, start, end, output.dims));
+      onProgress(output.done, output.count);
+    }
+    return output;
+  })();
+
+  return {
+    promise,
+    cancel: () => { cancelled = true; }
+  };
+}
+
+export default runBatchJob;
@@ -0,0 +1,42 @@
+/**
+ * Batch Transformation Worker
+ *
+ * Runs a batch job (see batchEngine.js) off the main thread and streams
+ * each transformed chunk back as soon as it is done. Chunk buffers are
+ * transferred, not copied.
+ *
+ * In:  {job, input: {x, y, z}}
+ * Out: {type: 'chunk', chunk} ... {type: 'done'} or {type: 'error', message}
+ */
+
+import {
+  BATCH_CHUNK_SIZE,
+  applyBatchContext,
+  createBatchTransformer,
+  getBatchDimensions,
+  transformBatchChunk
+} from './batchEngine';
+
+self.onmessage = ({ data }) => {
+  const { job, input } = data;
+
+  let transform;
+  try {
+    applyBatchContext(job.context);
+    transform = createBatchTransformer(job);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+    return;
+  }
+
+  const count = input.x.length;
+  const dims = getBatchDimensions(job.targetType, job.has3D);
+  for (let start = 0; start < count; start += BATCH_CHUNK_SIZE) {
+    const chunk = transformBatchChunk(transform, input, start, Math.min(start + BATCH_CHUNK_SIZE, count), dims);
+    self.postMessage(
+      { type: 'chunk', chunk },
+      [chunk.coords.buffer, chunk.wgs84.buffer, chunk.status.buffer, chunk.applied.buffer]
+    );
+  }
+  self.postMessage({ type: 'done' });
+};
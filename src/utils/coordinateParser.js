@@ -0,0 +1,364 @@
+/**
+ * Coordinate String Parser
+ *
+ * Reads a latitude / longitude pair typed or pasted in any of the common
+ * notations:
+ *   41.0082, 28.9784             signed decimal degrees (lat, lon)
+ *   -33.8568 151.2153 58         with an ellipsoidal height
+ *   41.0082N 28.9784E            hemisphere suffixes (or prefixes)
+ *   N41 00.492 E28 58.704        degrees and decimal minutes (DDM)
+ *   41°00'29.52"N 28°58'42.24"E  degrees, minutes, seconds (DMS)
+ *   41d00m29.52s 28d58m42.24s    DMS with letter units
+ *   +410029.52+0285842.24/       ISO 6709 (with optional height and CRS)
+ *
+ *   41,0082 28,9784              decimal commas (values split by spaces,
+ *                                semicolons or tabs)
+ *
+ * Values are separated by commas, semicolons, tabs or spaces. Hemisphere
+ * letters decide which value is the latitude; without them the order is
+ * latitude, longitude unless told otherwise. A sign and a hemisphere
+ * letter on the same value are rejected instead of guessed.
+ *
+ * Reference: ISO 6709:2008 Annex H (text string representation)
+ */
+
+// Example strings for input hints
+export const COORDINATE_EXAMPLES = [
+  '41.0082, 28.9784',
+  '41°00\'29.52"N 28°58\'42.24"E',
+  'N41 00.492 E28 58.704',
+  '41.0082N 28.9784E',
+  '+41.0082+028.9784/'
+];
+
+// Notation by the number of angle components
+const FORMATS = ['DD', 'DDM', 'DMS'];
+
+const UNITS = ['d', 'm', 's'];
+const UNIT_SYMBOLS = { '°': 'd', D: 'd', "'": 'm', M: 'm', '"': 's' };
+const HEMISPHERES = { N: 'lat', S: 'lat', E: 'lon', W: 'lon' };
+
+// ±DD[MM[SS]][.f] ±DDD[MM[SS]][.f] [±h] [CRSxxx] [/]
+const ISO_6709_PATTERN = /^([+-])(\d{2}(?:\d{2}){0,2}(?:\.\d+)?)([+-])(\d{3}(?:\d{2}){0,2}(?:\.\d+)?)([+-]\d+(?:\.\d+)?)?(?:CRS[\w:.-]*)?\/?$/;
+
+const TOKEN_PATTERN = /\s*(?:([+-]?(?:\d+(?:\.\d*)?|\.\d+))|([°'"DM])|([NSEW])|([,;\t])|(\S))/gy;
+
+/**
+ * Unify quote, prime and degree characters
+ */
+function normalize(text) {
+  return String(text)
+    .replace(/[′’‘´`]/g, "'")
+    .replace(/[″”“]|''/g, '"')
+    .replace(/[º˚]/g, '°')
+    .toUpperCase()
+    .trim();
+}
+
+/**
+ * Read commas between digits as decimal separators
+ *
+ * Only when the string has no decimal points, every comma sits between
+ * digits and the values are split by spaces, semicolons or tabs
+ * ("41,0082 28,9784"). Commas mixed with spaces otherwise are ambiguous
+ * ("41,0082, 28,9784") and rejected rather than regrouped.
+ *
+ * @throws {Error} - On an ambiguous mix of commas and spaces
+ */
+function resolveDecimalComma(text) {
+  if (!/\d,\d/.test(text) || text.includes('.')) {
+    return text;
+  }
+  const decimal = !/,(?!\d)|(?<!\d),/.test(text);
+  const split = /[\s;]/.test(text);
+  if (decimal && split) {
+    return text.replace(/,/g, '.');
+  }
+  if (split) {
+    throw new Error('Ambiguous commas: use decimal points, or separate decimal-comma values with ";" or spaces only');
+  }
+  return text;
+}
+
+/**
+ * Split a coordinate string into tokens
+ * @returns {Array<Object>} - {type: 'number'|'unit'|'hemisphere'|'separator', ...}
+ * @throws {Error} - On characters that are not part of a coordinate
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while (TOKEN_PATTERN.lastIndex < text.length && (match = TOKEN_PATTERN.exec(text))) {
+    const [, number, unit, hemisphere, separator, other] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', text: number, value: Number(number), signed: /^[+-]/.test(number) });
+    } else if (unit) {
+      tokens.push({ type: 'unit', unit: UNIT_SYMBOLS[unit] });
+    } else if (hemisphere) {
+      tokens.push({ type: 'hemisphere', letter: hemisphere });
+    } else if (separator) {
+      tokens.push({ type: 'separator' });
+    } else if (other) {
+      throw new Error(`Unexpected "${other}"`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Group the tokens of one field into angles
+ *
+ * A new angle starts at a degree value, a signed value, a value after
+ * seconds, a unit that does not follow the previous one or a hemisphere
+ * prefix; a hemisphere suffix closes the angle.
+ *
+ * @returns {Array<Object>} - [{parts: [{value, text, signed, unit}], hemisphere}]
+ */
+function groupAngles(tokens) {
+  const prefix = tokens[0]?.type === 'hemisphere';
+  const groups = [];
+  let current = null;
+  const close = () => {
+    if (current) groups.push(current);
+    current = null;
+  };
+
+  tokens.forEach((token, i) => {
+    if (token.type === 'hemisphere') {
+      const last = current?.parts[current.parts.length - 1];
+      // "15s" after minutes is seconds, not south
+      if (token.letter === 'S' && tokens[i - 1]?.type === 'number' && last && !last.unit
+        && current.parts.length > 1 && current.parts[current.parts.length - 2].unit === 'm') {
+        last.unit = 's';
+        return;
+      }
+      if (prefix) {
+        close();
+        current = { parts: [], hemisphere: token.letter };
+      } else {
+        if (!current || current.hemisphere) {
+          throw new Error(`Hemisphere ${token.letter} has no value`);
+        }
+        current.hemisphere = token.letter;
+        close();
+      }
+      return;
+    }
+
+    if (token.type === 'unit') {
+      const last = current?.parts[current.parts.length - 1];
+      if (!last || last.unit || tokens[i - 1]?.type !== 'number') {
+        throw new Error('Unit symbol without a value');
+      }
+      last.unit = token.unit;
+      return;
+    }
+
+    const next = tokens[i + 1]?.type === 'unit' ? tokens[i + 1].unit : null;
+    const parts = current?.parts || [];
+    const lastUnit = UNITS.indexOf(parts[parts.length - 1]?.unit);
+    const startsAngle = parts.length > 0 && (
+      next === 'd' || token.signed || lastUnit === 2
+      || (next && lastUnit >= 0 && UNITS.indexOf(next) <= lastUnit)
+    );
+    if (!current || startsAngle) {
+      close();
+      current = { parts: [], hemisphere: null };
+    }
+    current.parts.push({ value: token.value, text: token.text, signed: token.signed, unit: null });
+  });
+  close();
+  return groups;
+}
+
+/**
+ * Split unmarked values by count: lat lon [h], DM DM [h] or DMS DMS [h]
+ */
+function splitByCount(group) {
+  const size = { 2: 1, 3: 1, 4: 2, 5: 2, 6: 3, 7: 3 }[group.parts.length];
+  if (group.parts.length === 1) {
+    return [group];
+  }
+  if (!size) {
+    throw new Error(`Cannot tell ${group.parts.length} values apart; add °, ' and " or hemisphere letters`);
+  }
+  const groups = [
+    { parts: group.parts.slice(0, size), hemisphere: null },
+    { parts: group.parts.slice(size, 2 * size), hemisphere: null }
+  ];
+  if (group.parts.length % 2 === 1) {
+    groups.push({ parts: group.parts.slice(2 * size), hemisphere: null });
+  }
+  return groups;
+}
+
+/**
+ * Angle in decimal degrees from its components
+ * @returns {Object} - {value, axis, components}
+ * @throws {Error} - On out-of-order units, minutes / seconds of 60 or more
+ *   and a sign combined with a hemisphere letter
+ */
+function toAngle(group) {
+  if (group.parts.length === 0) {
+    throw new Error(`Hemisphere ${group.hemisphere} has no value`);
+  }
+
+  let value = 0;
+  let expected = 0;
+  group.parts.forEach((part, i) => {
+    const index = part.unit ? UNITS.indexOf(part.unit) : expected;
+    if (index < expected || index > 2) {
+      throw new Error(`Degrees, minutes and seconds out of order in "${group.parts.map(p => p.text).join(' ')}"`);
+    }
+    if (i > 0 && part.signed) {
+      throw new Error('Only the degrees may carry a sign');
+    }
+    if (i < group.parts.length - 1 && !Number.isInteger(part.value)) {
+      throw new Error(`Only the last component may have decimals (${part.text})`);
+    }
+    if (index > 0 && part.value >= 60) {
+      throw new Error(`${index === 1 ? 'Minutes' : 'Seconds'} must be below 60 (${part.text})`);
+    }
+    value += Math.abs(part.value) / 60 ** index;
+    expected = index + 1;
+  });
+
+  const negative = group.parts[0].text.startsWith('-');
+  if (group.hemisphere && group.parts[0].signed) {
+    throw new Error(`Use either a sign or hemisphere ${group.hemisphere}, not both`);
+  }
+  const south = group.hemisphere === 'S' || group.hemisphere === 'W';
+  return {
+    value: negative || south ? -value : value,
+    axis: HEMISPHERES[group.hemisphere] || null,
+    components: expected
+  };
+}
+
+/**
+ * ISO 6709 angle: ±DD[MM[SS]][.f] (latitude) or ±DDD[MM[SS]][.f]
+ */
+function isoAngle(sign, text, degreeDigits) {
+  const [integer, fraction = ''] = text.split('.');
+  const components = (integer.length - degreeDigits) / 2 + 1;
+  const parts = [];
+  for (let i = 0; i < components; i++) {
+    const start = i === 0 ? 0 : degreeDigits + (i - 1) * 2;
+    parts.push({ value: Number(integer.slice(start, i === 0 ? degreeDigits : start + 2)), unit: UNITS[i] });
+  }
+  parts[components - 1].value = Number(`${parts[components - 1].value}.${fraction || 0}`);
+  parts[0].text = `${sign}${parts[0].value}`;
+  parts.forEach(part => { part.text ??= String(part.value); });
+  return toAngle({ parts, hemisphere: null });
+}
+
+/**
+ * Put latitude and longitude in place and check their ranges
+ */
+function assignAxes(first, second, order) {
+  if (first.axis && first.axis === second.axis) {
+    throw new Error(`Both values are ${first.axis === 'lat' ? 'latitudes (N/S)' : 'longitudes (E/W)'}`);
+  }
+  const firstIsLat = first.axis ? first.axis === 'lat'
+    : second.axis ? second.axis === 'lon'
+      : order !== 'lonlat';
+  const [lat, lon] = firstIsLat ? [first.value, second.value] : [second.value, first.value];
+  if (Math.abs(lat) > 90) {
+    throw new Error(`Latitude ${lat} is outside ±90°`);
+  }
+  if (Math.abs(lon) > 180) {
+    throw new Error(`Longitude ${lon} is outside ±180°`);
+  }
+  return { lat, lon };
+}
+
+/**
+ * Parse a coordinate string
+ * @param {string} text - Coordinate in any supported notation
+ * @param {Object} options - {order: 'latlon' | 'lonlat'} for unmarked values
+ * @returns {Object} - {lat, lon, h, format}; h is undefined when absent,
+ *   format is 'DD', 'DDM', 'DMS' or 'ISO 6709'
+ * @throws {Error} - With the reason the string cannot be read
+ */
+export function parseCoordinate(text, options = {}) {
+  const normalized = normalize(text);
+  if (!normalized) {
+    throw new Error('Enter a coordinate');
+  }
+
+  const iso = ISO_6709_PATTERN.exec(normalized);
+  if (iso) {
+    const position = assignAxes(isoAngle(iso[1], iso[2], 2), isoAngle(iso[3], iso[4], 3), 'latlon');
+    return { ...position, h: iso[5] !== undefined ? Number(iso[5]) : undefined, format: 'ISO 6709' };
+  }
+
+  // Fields between separators are grouped separately
+  const fields = [[]];
+  tokenize(resolveDecimalComma(normalized)).forEach(token => {
+    if (token.type === 'separator') fields.push([]);
+    else fields[fields.length - 1].push(token);
+  });
+  if (fields.some(field => field.length === 0)) {
+    throw new Error('Empty value between separators');
+  }
+
+  const groups = fields.flatMap(field => {
+    const fieldGroups = groupAngles(field);
+    const plain = fieldGroups.length === 1 && fields.length === 1 && !fieldGroups[0].hemisphere
+      && fieldGroups[0].parts.every(part => !part.unit);
+    return plain ? splitByCount(fieldGroups[0]) : fieldGroups;
+  });
+  if (groups.length < 2) {
+    throw new Error('Enter both latitude and longitude');
+  }
+  if (groups.length > 3) {
+    throw new Error(`Expected latitude, longitude and an optional height, got ${groups.length} values`);
+  }
+
+  const height = groups[2];
+  if (height && (height.hemisphere || height.parts.length !== 1 || ![null, 'm'].includes(height.parts[0].unit))) {
+    throw new Error('The third value must be a height in metres');
+  }
+
+  const first = toAngle(groups[0]);
+  const second = toAngle(groups[1]);
+  return {
+    ...assignAxes(first, second, options.order),
+    h: height ? height.parts[0].value : undefined,
+    format: FORMATS[Math.max(first.components, second.components) - 1]
+  };
+}
+
+/**
+ * Parse a single latitude or longitude (e.g. a spreadsheet cell)
+ * @param {string} text - Angle in decimal, DDM or DMS notation
+ * @param {string} axis - 'lat' or 'lon'
+ * @returns {number} - Decimal degrees
+ * @throws {Error} - With the reason the value cannot be read
+ */
+export function parseAngle(text, axis) {
+  const normalized = normalize(text);
+  if (!normalized) {
+    throw new Error(`Enter a ${axis === 'lat' ? 'latitude' : 'longitude'}`);
+  }
+  const tokens = tokenize(normalized);
+  if (tokens.some(token => token.type === 'separator')) {
+    throw new Error(`Expected one value, got "${text}"`);
+  }
+
+  const groups = groupAngles(tokens);
+  if (groups.length !== 1) {
+    throw new Error(`Expected one value, got "${text}"`);
+  }
+  const angle = toAngle(groups[0]);
+  if (angle.axis && angle.axis !== axis) {
+    throw new Error(`${groups[0].hemisphere} is not a ${axis === 'lat' ? 'latitude' : 'longitude'} hemisphere`);
+  }
+  if (Math.abs(angle.value) > (axis === 'lat' ? 90 : 180)) {
+    throw new Error(`${axis === 'lat' ? 'Latitude' : 'Longitude'} ${angle.value} is outside ±${axis === 'lat' ? 90 : 180}°`);
+  }
+  return angle.value;
+}
+
+export default parseCoordinate;
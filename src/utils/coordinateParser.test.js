@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { parseCoordinate, parseAngle } from './coordinateParser';
+
+const LAT = 41.0082;
+const LON = 28.9784;
+
+describe('parseCoordinate', () => {
+  it.each([
+    ['41.0082, 28.9784', 'DD'],
+    ['41.0082N 28.9784E', 'DD'],
+    ['N41 00.492 E28 58.704', 'DDM'],
+    ['41°00\'29.52"N 28°58\'42.24"E', 'DMS'],
+    ['41d00m29.52s 28d58m42.24s', 'DMS'],
+    ['41°00′29.52″N 28°58′42.24″E', 'DMS'],
+    ['41,0082 28,9784', 'DD'],
+    ['+410029.52+0285842.24/', 'ISO 6709']
+  ])('reads %s', (text, format) => {
+    const result = parseCoordinate(text);
+    expect(result.lat).toBeCloseTo(LAT, 9);
+    expect(result.lon).toBeCloseTo(LON, 9);
+    expect(result.h).toBeUndefined();
+    expect(result.format).toBe(format);
+  });
+
+  it('reads a height and southern / western values', () => {
+    const result = parseCoordinate('-33.8568 151.2153 58');
+    expect(result).toMatchObject({ lat: -33.8568, lon: 151.2153, h: 58 });
+    expect(parseCoordinate('33 51.408S 70 39.6W')).toMatchObject({ lat: -33.8568, lon: -70.66 });
+  });
+
+  it('takes the axes from hemisphere letters, then from the order option', () => {
+    expect(parseCoordinate('28.9784E 41.0082N')).toMatchObject({ lat: LAT, lon: LON });
+    expect(parseCoordinate('28.9784, 41.0082', { order: 'lonlat' })).toMatchObject({ lat: LAT, lon: LON });
+  });
+
+  it('reads ISO 6709 heights', () => {
+    expect(parseCoordinate('+41.0082+028.9784+58CRSWGS_84/')).toMatchObject({ lat: LAT, lon: LON, h: 58 });
+  });
+
+  it('rejects ambiguous or out-of-range input', () => {
+    expect(() => parseCoordinate('')).toThrow();
+    expect(() => parseCoordinate('41.0082')).toThrow(/both/);
+    expect(() => parseCoordinate('-41.0082N 28.9784E')).toThrow();
+    expect(() => parseCoordinate('91, 28')).toThrow(/Latitude/);
+  });
+});
+
+describe('parseAngle', () => {
+  it('reads a single value in any notation', () => {
+    expect(parseAngle('41.0082', 'lat')).toBeCloseTo(LAT, 9);
+    expect(parseAngle('41°00\'29.52"N', 'lat')).toBeCloseTo(LAT, 9);
+    expect(parseAngle('28 58.704E', 'lon')).toBeCloseTo(LON, 9);
+    expect(parseAngle('28 58 42.24 W', 'lon')).toBeCloseTo(-LON, 9);
+  });
+
+  it('rejects the wrong hemisphere and out-of-range values', () => {
+    expect(() => parseAngle('28.9784E', 'lat')).toThrow(/hemisphere/);
+    expect(() => parseAngle('181', 'lon')).toThrow(/outside/);
+    expect(() => parseAngle('41 28, 5', 'lat')).toThrow(/one value/);
+  });
+});
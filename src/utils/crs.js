@@ -0,0 +1,390 @@
+/**
+ * Custom Coordinate Reference System Registry
+ *
+ * Projected CRSs can be added at run time from:
+ * - PROJ strings      (+proj=tmerc +lon_0=33 ...)
+ * - OGC WKT1 / WKT2   (PROJCS[...] / PROJCRS[...])
+ * - EPSG codes        (from the bundled offline subset below)
+ *
+ * Every CRS is tied to a datum in DATUMS. The definition is registered
+ * with proj4 on its ellipsoid only (any +towgs84 / TOWGS84 is dropped),
+ * so projecting and unprojecting stays on that datum and the datum shift
+ * is left to the Helmert pipeline, like the built-in projections.
+ *
+ * Registered CRSs are kept in local storage between sessions.
+ */
+
+import proj4 from 'proj4';
+import { DATUMS } from './datums';
+import { ELLIPSOIDS } from './ellipsoids';
+import { guessDatumKey } from './gridShift';
+
+const STORAGE_KEY = 'datumx.customCRS';
+
+// ============================================================
+// BUNDLED EPSG SUBSET
+// ============================================================
+
+/**
+ * Offline EPSG definitions
+ *
+ * proj4: definition on the datum's ellipsoid (no datum shift)
+ * datum: key in DATUMS
+ */
+export const EPSG_DEFINITIONS = [
+  ...[27, 30, 33, 36, 39, 42, 45].map((lon, i) => ({
+    code: `EPSG:${2319 + i}`,
+    name: `ED50 / TM${lon}`,
+    datum: 'ED50',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=${lon} +k=1 +x_0=500000 +y_0=0 +ellps=intl +units=m +no_defs`
+  })),
+  ...[27, 30, 33, 36, 39, 42, 45].map((lon, i) => ({
+    code: `EPSG:${5253 + i}`,
+    name: `TUREF / TM${lon}`,
+    datum: 'TUREF',
+    proj4: `+proj=tmerc +lat_0=0 +lon_0=${lon} +k=1 +x_0=500000 +y_0=0 +ellps=GRS80 +units=m +no_defs`
+  })),
+  ...[35, 36, 37, 38].map(zone => ({
+    code: `EPSG:${23000 + zone}`,
+    name: `ED50 / UTM zone ${zone}N`,
+    datum: 'ED50',
+    proj4: `+proj=utm +zone=${zone} +ellps=intl +units=m +no_defs`
+  })),
+  ...[28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38].map(zone => ({
+    code: `EPSG:${25800 + zone}`,
+    name: `ETRS89 / UTM zone ${zone}N`,
+    datum: 'ETRS89',
+    proj4: `+proj=utm +zone=${zone} +ellps=GRS80 +units=m +no_defs`
+  })),
+  ...[10, 11, 12, 13, 14, 15, 16, 17, 18, 19].map(zone => ({
+    code: `EPSG:${26900 + zone}`,
+    name: `NAD83 / UTM zone ${zone}N`,
+    datum: 'NAD83',
+    proj4: `+proj=utm +zone=${zone} +ellps=GRS80 +units=m +no_defs`
+  })),
+  ...[10, 11, 12, 13, 14, 15, 16, 17, 18, 19].map(zone => ({
+    code: `EPSG:${26700 + zone}`,
+    name: `NAD27 / UTM zone ${zone}N`,
+    datum: 'NAD27',
+    proj4: `+proj=utm +zone=${zone} +ellps=clrk66 +units=m +no_defs`
+  })),
+  {
+    code: 'EPSG:3034',
+    name: 'ETRS89-extended / LCC Europe',
+    datum: 'ETRS89',
+    proj4: '+proj=lcc +lat_0=52 +lon_0=10 +lat_1=35 +lat_2=65 +x_0=4000000 +y_0=2800000 +ellps=GRS80 +units=m +no_defs'
+  },
+  {
+    code: 'EPSG:3035',
+    name: 'ETRS89-extended / LAEA Europe',
+    datum: 'ETRS89',
+    proj4: '+proj=laea +lat_0=52 +lon_0=10 +x_0=4321000 +y_0=3210000 +ellps=GRS80 +units=m +no_defs'
+  },
+  {
+    code: 'EPSG:27700',
+    name: 'OSGB36 / British National Grid',
+    datum: 'OSGB36',
+    proj4: '+proj=tmerc +lat_0=49 +lon_0=-2 +k=0.9996012717 +x_0=400000 +y_0=-100000 +ellps=airy +units=m +no_defs'
+  }
+];
+
+// Geographic (2D) EPSG codes of the built-in datums
+export const GEOGRAPHIC_EPSG = {
+  WGS84: 4326,
+  ITRF2014: 9000,
+  ITRF2020: 9990,
+  ETRS89: 4258,
+  TUREF: 5252,
+  ED50: 4230,
+  NAD27: 4267,
+  NAD83: 4269,
+  OSGB36: 4277,
+  Tokyo: 4301,
+  Pulkovo1942: 4284,
+  HD72: 4237
+};
+
+/**
+ * Look up a code in the bundled EPSG subset
+ * @param {string} code - 'EPSG:2320' or '2320'
+ * @returns {Object|null}
+ */
+export function getEPSGDefinition(code) {
+  const normalized = `EPSG:${String(code).trim().replace(/^EPSG:/i, '')}`;
+  return EPSG_DEFINITIONS.find(def => def.code === normalized) || null;
+}
+
+// ============================================================
+// VALIDATION
+// ============================================================
+
+/**
+ * Detect the format of a pasted definition
+ * @param {string} definition - PROJ string, WKT or EPSG code
+ * @returns {string} - 'PROJ', 'WKT' or 'EPSG'
+ */
+export function detectCRSFormat(definition) {
+  const text = definition.trim();
+  if (/^(EPSG:)?\d+$/i.test(text)) return 'EPSG';
+  if (text.startsWith('+')) return 'PROJ';
+  return 'WKT';
+}
+
+/**
+ * Find the datum whose ellipsoid matches a, 1/f
+ * @returns {string|null} - Key in DATUMS
+ */
+function matchDatumByEllipsoid(a, rf) {
+  for (const [key, datum] of Object.entries(DATUMS)) {
+    const ellipsoid = ELLIPSOIDS[datum.ellipsoid];
+    if (ellipsoid && ellipsoidsMatch(ellipsoid, a, rf)) {
+      return key;
+    }
+  }
+  return null;
+}
+
+function ellipsoidsMatch(ellipsoid, a, rf) {
+  return Math.abs(ellipsoid.a - a) < 0.001 && Math.abs(1 / ellipsoid.f - rf) < 1e-6;
+}
+
+/**
+ * Validate a CRS definition before it is saved
+ *
+ * The definition must parse with proj4, describe a projected CRS and
+ * use the same ellipsoid as its datum. Spherical definitions (e.g. Web
+ * Mercator) are accepted on any datum.
+ *
+ * @param {string} definition - PROJ string, WKT1/WKT2 or EPSG code
+ * @param {string} datum - Key in DATUMS, guessed from the definition if omitted
+ * @returns {Object} - {format, proj4, datum, name, projName, a, rf, units, towgs84}
+ */
+export function validateCRSDefinition(definition, datum = null) {
+  if (!definition || !definition.trim()) {
+    throw new Error('CRS definition is empty');
+  }
+
+  const format = detectCRSFormat(definition);
+  let text = definition.trim();
+  let epsg = null;
+
+  if (format === 'EPSG') {
+    epsg = getEPSGDefinition(text);
+    if (!epsg) {
+      throw new Error(`EPSG:${text.replace(/^EPSG:/i, '')} is not in the offline EPSG subset`);
+    }
+    text = epsg.proj4;
+  }
+
+  let projection;
+  try {
+    projection = proj4.Proj(text);
+  } catch (err) {
+    throw new Error(`Invalid ${format} definition: ${err.message || err}`);
+  }
+
+  if (projection.projName === 'longlat') {
+    throw new Error('Geographic CRS - choose its datum instead of registering it');
+  }
+
+  const isSphere = projection.a === projection.b;
+  const datumKey = datum
+    || epsg?.datum
+    || guessDatumKey(projection.datumName || projection.datumCode)
+    || (isSphere ? 'WGS84' : matchDatumByEllipsoid(projection.a, projection.rf));
+
+  if (!datumKey || !DATUMS[datumKey]) {
+    throw new Error('Could not determine the datum of this CRS - select one');
+  }
+
+  const ellipsoid = ELLIPSOIDS[DATUMS[datumKey].ellipsoid];
+  if (!isSphere && ellipsoid && !ellipsoidsMatch(ellipsoid, projection.a, projection.rf)) {
+    throw new Error(
+      `Ellipsoid of the definition (a=${projection.a}, 1/f=${projection.rf.toFixed(6)}) ` +
+      `does not match the ${DATUMS[datumKey].name} datum`
+    );
+  }
+
+  return {
+    format,
+    proj4: text,
+    datum: datumKey,
+    name: epsg?.name || projection.title || projection.name || null,
+    projName: projection.projName,
+    a: projection.a,
+    rf: projection.rf,
+    units: projection.units || 'm',
+    towgs84: projection.datum_params ? Array.from(projection.datum_params).map(Number) : null
+  };
+}
+
+// ============================================================
+// REGISTRY
+// ============================================================
+
+const customCRS = new Map();
+
+/**
+ * Register the definition with proj4 on its ellipsoid only
+ */
+function defineNativeCRS(code, text) {
+  const projection = proj4.Proj(text);
+  proj4.defs(code, text);
+
+  const parsed = proj4.defs(code);
+  proj4.defs(code, {
+    ...parsed,
+    datumCode: 'none',
+    datum: undefined,
+    datum_params: undefined,
+    nadgrids: undefined,
+    ellps: undefined,
+    a: projection.a,
+    b: projection.b,
+    rf: projection.rf
+  });
+}
+
+function saveCustomCRS() {
+  if (typeof localStorage === 'undefined') return;
+  const stored = Array.from(customCRS.values()).map(({ code, name, definition, datum }) => ({
+    code, name, definition, datum
+  }));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+}
+
+/**
+ * Register a custom CRS
+ * @param {Object} crs - {code, name, definition, datum}
+ * @param {boolean} persist - Save to local storage
+ * @returns {Object} - Registered CRS
+ */
+export function registerCRS({ code, name, definition, datum }, persist = true) {
+  const validated = validateCRSDefinition(definition, datum);
+  const crsCode = (code || '').trim()
+    || (validated.format === 'EPSG' ? getEPSGDefinition(definition).code : '');
+
+  if (!crsCode) {
+    throw new Error('CRS code is required');
+  }
+  if (!customCRS.has(crsCode) && proj4.defs(crsCode)) {
+    throw new Error(`${crsCode} is already defined`);
+  }
+
+  defineNativeCRS(crsCode, validated.proj4);
+
+  const entry = {
+    ...validated,
+    code: crsCode,
+    name: (name || '').trim() || validated.name || crsCode,
+    definition: definition.trim()
+  };
+  customCRS.set(crsCode, entry);
+
+  if (persist) saveCustomCRS();
+  return entry;
+}
+
+/**
+ * Remove a custom CRS
+ *
+ * Its proj4 definition is dropped too, so the code can be registered
+ * again in the same session.
+ *
+ * @param {string} code - CRS code
+ */
+export function unregisterCRS(code) {
+  if (!customCRS.delete(code)) return;
+  proj4.defs(code, null);
+  saveCustomCRS();
+}
+
+/**
+ * Get a custom CRS by code
+ * @param {string} code - CRS code
+ * @returns {Object|null}
+ */
+export function getCustomCRS(code) {
+  return customCRS.get(code) || null;
+}
+
+/**
+ * Get all custom CRSs
+ * @returns {Array}
+ */
+export function getCustomCRSList() {
+  return Array.from(customCRS.values());
+}
+
+/**
+ * Resolve the CRS of a data file (.prj WKT, GeoJSON crs, EPSG code)
+ *
+ * Nothing is saved: geographic CRSs resolve to their datum, projected
+ * ones are defined with proj4 on their ellipsoid under `code` for this
+ * session, like registered CRSs.
+ *
+ * @param {string} definition - WKT, PROJ string or EPSG code
+ * @param {string} code - proj4 name for a projected CRS
+ * @returns {Object} - {type: 'geographic'|'projected', datum, crs, name}
+ */
+export function resolveFileCRS(definition, code) {
+  const text = definition.trim();
+  const epsgCode = /^(?:EPSG:)?(\d+)$/i.exec(text)?.[1];
+  if (epsgCode) {
+    const geographic = Object.keys(GEOGRAPHIC_EPSG).find(key => GEOGRAPHIC_EPSG[key] === Number(epsgCode));
+    if (geographic) {
+      return { type: 'geographic', datum: geographic, crs: null, name: DATUMS[geographic].name };
+    }
+  }
+
+  if (detectCRSFormat(text) !== 'EPSG') {
+    let projection;
+    try {
+      projection = proj4.Proj(text);
+    } catch (err) {
+      throw new Error(`Invalid CRS definition: ${err.message || err}`);
+    }
+    if (projection.projName === 'longlat') {
+      const datum = guessDatumKey(projection.datumName || projection.datumCode)
+        || matchDatumByEllipsoid(projection.a, projection.rf);
+      if (!datum) {
+        throw new Error('Could not determine the datum of this geographic CRS - select one');
+      }
+      return { type: 'geographic', datum, crs: null, name: DATUMS[datum].name };
+    }
+  }
+
+  const validated = validateCRSDefinition(text);
+  defineNativeCRS(code, validated.proj4);
+  return { type: 'projected', datum: validated.datum, crs: code, name: validated.name || code };
+}
+
+/**
+ * Restore CRSs saved in local storage
+ *
+ * Entries that no longer validate are skipped.
+ *
+ * @returns {Array} - Restored CRSs
+ */
+export function loadStoredCRS() {
+  if (typeof localStorage === 'undefined') return [];
+
+  let stored = [];
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+
+  return stored.flatMap(crs => {
+    try {
+      return [registerCRS(crs, false)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+loadStoredCRS();
+
+export default EPSG_DEFINITIONS;
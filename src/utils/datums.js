@@ -10,6 +10,7 @@
  * Datum transformations use various methods:
  * - 3-parameter: Translations only (ΔX, ΔY, ΔZ)
  * - 7-parameter (Helmert/Bursa-Wolf): Translations + Rotations + Scale
+ * - Molodensky-Badekas: 7 parameters about an evaluation point (pivot)
  * - 14-parameter: Time-dependent transformations
  */
 
@@ -27,6 +28,17 @@ import { ELLIPSOIDS } from './ellipsoids';
  * - tx, ty, tz: Translations in meters
  * - rx, ry, rz: Rotations in arc-seconds (converted to radians)
  * - s: Scale factor in ppm (parts per million)
+ * 
+ * The matrix above is the Position Vector convention (convention: 'PV').
+ * Coordinate Frame sets (convention: 'CF') use the transposed rotation
+ * matrix, i.e. the same rotations with opposite signs.
+ * 
+ * A datum may also publish a Molodensky-Badekas set to the same datum,
+ * used when that method is selected:
+ * molodenskyBadekas: { params: {tx, ..., s}, pivot: {x, y, z} }
+ * 
+ * Static realisations of a frame (fixedEpoch: true) publish coordinates
+ * at their `epoch` only; see checkFrameEpoch.
  */
 
 export const DATUMS = {
@@ -38,6 +50,7 @@ export const DATUMS = {
     type: 'geocentric',
     epoch: null,
     toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    convention: 'PV',
     accuracy: 'Reference datum'
   },
   
@@ -49,6 +62,7 @@ export const DATUMS = {
     type: 'geocentric',
     epoch: 2010.0,
     toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    convention: 'PV',
     accuracy: 'mm-level',
     notes: 'Practically identical to WGS84 at cm level'
   },
@@ -61,6 +75,7 @@ export const DATUMS = {
     type: 'geocentric',
     epoch: 2015.0,
     toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    convention: 'PV',
     accuracy: 'mm-level'
   },
 
@@ -70,8 +85,10 @@ export const DATUMS = {
     ellipsoid: 'GRS80',
     description: 'European regional datum fixed to Eurasian plate at epoch 1989.0.',
     type: 'plate-fixed',
+    fixedPlate: 'EURA',
     epoch: 1989.0,
     toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    convention: 'PV',
     accuracy: 'cm-level',
     notes: 'Coincided with ITRF89 at epoch 1989.0'
   },
@@ -83,7 +100,9 @@ export const DATUMS = {
     description: 'Turkish national geodetic reference frame based on ITRF96.',
     type: 'geocentric',
     epoch: 2005.0,
+    fixedEpoch: true,
     toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    convention: 'PV',
     accuracy: 'cm-level',
     notes: 'CORS-TR network based'
   },
@@ -104,6 +123,7 @@ export const DATUMS = {
       rz: 0,
       s: 0
     },
+    convention: 'PV',
     accuracy: '5-10 meters',
     notes: 'Parameters vary by country/region'
   },
@@ -123,6 +143,7 @@ export const DATUMS = {
       rz: 0,
       s: 0
     },
+    convention: 'PV',
     accuracy: '2-5 meters'
   },
 
@@ -142,6 +163,7 @@ export const DATUMS = {
       rz: 0,
       s: 0
     },
+    convention: 'PV',
     accuracy: '5-15 meters',
     notes: 'Use NADCON for precise conversions'
   },
@@ -153,6 +175,7 @@ export const DATUMS = {
     description: 'North American geocentric datum. Multiple realizations exist.',
     type: 'geocentric',
     toWGS84: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    convention: 'PV',
     accuracy: '1-2 meters',
     notes: 'NAD83(2011) is current realization'
   },
@@ -172,6 +195,7 @@ export const DATUMS = {
       rz: 0.8421,
       s: -20.4894
     },
+    convention: 'PV',
     accuracy: '5-7 meters',
     notes: 'Use OSTN15 for sub-meter accuracy'
   },
@@ -191,6 +215,7 @@ export const DATUMS = {
       rz: 0,
       s: 0
     },
+    convention: 'PV',
     accuracy: '3-10 meters'
   },
 
@@ -209,6 +234,7 @@ export const DATUMS = {
       rz: 0.82,
       s: -0.12
     },
+    convention: 'PV',
     accuracy: '2-5 meters'
   },
 
@@ -227,10 +253,157 @@ export const DATUMS = {
       rz: 0,
       s: 0
     },
+    convention: 'PV',
     accuracy: '2-3 meters'
   }
 };
 
+/**
+ * Time-dependent (14-parameter) transformations between reference frames
+ * 
+ * Each entry gives the 7 Helmert parameters at a reference epoch t₀ and
+ * their rates of change per year:
+ * 
+ * P(t) = P(t₀) + Ṗ × (t - t₀)
+ * 
+ * Units follow the static parameters above: translations in meters,
+ * rotations in arc-seconds, scale in ppm (rates per year).
+ * All sets use the IERS (Position Vector) sign convention.
+ * 
+ * Frames that appear here are transformed through this network rather
+ * than through their nominal toWGS84 values.
+ */
+export const FRAME_TRANSFORMATIONS = [
+  {
+    id: 'ITRF2020_ITRF2014',
+    name: 'ITRF2020 → ITRF2014 (IERS)',
+    from: 'ITRF2020',
+    to: 'ITRF2014',
+    referenceEpoch: 2015.0,
+    params: { tx: -0.0014, ty: -0.0009, tz: 0.0014, rx: 0, ry: 0, rz: 0, s: -0.00042 },
+    rates: { tx: 0, ty: -0.0001, tz: 0.0002, rx: 0, ry: 0, rz: 0, s: 0 },
+    convention: 'PV',
+    source: 'IERS ITRF2020 transformation parameters'
+  },
+  {
+    id: 'ITRF2014_ETRF2014',
+    name: 'ITRF2014 → ETRF2014 (EUREF)',
+    from: 'ITRF2014',
+    to: 'ETRS89',
+    referenceEpoch: 1989.0,
+    params: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    rates: { tx: 0, ty: 0, tz: 0, rx: 0.000085, ry: 0.000531, rz: -0.000770, s: 0 },
+    convention: 'PV',
+    source: 'EUREF Technical Note 1 (Eurasian plate rotation)'
+  },
+  {
+    id: 'ITRF2014_ITRF96',
+    name: 'ITRF2014 → ITRF96 (TUREF)',
+    from: 'ITRF2014',
+    to: 'TUREF',
+    referenceEpoch: 2010.0,
+    params: { tx: 0.0074, ty: -0.0005, tz: -0.0628, rx: 0, ry: 0, rz: 0.00026, s: 0.0038 },
+    rates: { tx: 0.0001, ty: -0.0005, tz: -0.0033, rx: 0, ry: 0, rz: 0.00002, s: 0.00012 },
+    convention: 'PV',
+    source: 'IERS ITRF2014 transformation parameters'
+  },
+  {
+    id: 'WGS84_ITRF2014',
+    name: 'WGS84 (G2139) ≈ ITRF2014',
+    from: 'WGS84',
+    to: 'ITRF2014',
+    params: { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 },
+    rates: null,
+    convention: 'PV',
+    source: 'NGA - WGS84 realizations are aligned with ITRF at the cm level'
+  }
+];
+
+/**
+ * Check whether a datum is part of the time-dependent frame network
+ * @param {string} datumName - Datum name
+ * @returns {boolean}
+ */
+export function isFrameDatum(datumName) {
+  return FRAME_TRANSFORMATIONS.some(t => t.from === datumName || t.to === datumName);
+}
+
+/**
+ * Find the chain of parameter sets connecting two datums
+ * 
+ * Frames in FRAME_TRANSFORMATIONS are linked through their published
+ * time-dependent parameters; every other datum is linked to WGS84
+ * (or to its `reference` datum, for user datums) through its static
+ * toWGS84 parameters. Reverse steps are flagged
+ * with inverse: true.
+ * 
+ * Extra edges (e.g. loaded grid shifts) are preferred: among all chains,
+ * the one with the fewest parameter-set steps left over after counting
+ * its extra steps wins, then the shortest chain.
+ * 
+ * @param {string} fromDatum - Source datum name
+ * @param {string} toDatum - Target datum name
+ * @param {Array} extraEdges - Additional {from, to, ...} links
+ * @returns {Array|null} - Ordered list of steps, or null if unreachable
+ */
+export function getTransformationPath(fromDatum, toDatum, extraEdges = []) {
+  if (!getDatum(fromDatum) || !getDatum(toDatum)) return null;
+  if (fromDatum === toDatum) return [];
+
+  const edges = [...extraEdges, ...FRAME_TRANSFORMATIONS];
+  const extraIds = new Set(extraEdges.map(edge => edge.id));
+  for (const [key, datum] of Object.entries(DATUMS)) {
+    if (key === 'WGS84' || isFrameDatum(key)) continue;
+    const reference = datum.reference || 'WGS84';
+    edges.push({
+      id: `${key}_${reference}`,
+      name: `${datum.name} → ${DATUMS[reference]?.name || reference}`,
+      from: key,
+      to: reference,
+      params: datum.toWGS84,
+      rates: null,
+      convention: datum.convention || 'PV',
+      molodenskyBadekas: datum.molodenskyBadekas || null
+    });
+  }
+
+  const score = (path) => path.reduce((sum, step) => sum + (extraIds.has(step.id) ? -1 : 1), 0);
+  const isBetter = (path, best) => !best
+    || score(path) < score(best)
+    || (score(path) === score(best) && path.length < best.length);
+
+  // Depth-first search over simple chains (the network is small)
+  let best = null;
+  const visited = new Set([fromDatum]);
+
+  const search = (node, path) => {
+    if (node === toDatum) {
+      if (isBetter(path, best)) best = path;
+      return;
+    }
+
+    for (const edge of edges) {
+      let next = null;
+      let inverse = false;
+      if (edge.from === node) {
+        next = edge.to;
+      } else if (edge.to === node) {
+        next = edge.from;
+        inverse = true;
+      }
+      if (next && !visited.has(next)) {
+        visited.add(next);
+        search(next, [...path, { ...edge, inverse }]);
+        visited.delete(next);
+      }
+    }
+  };
+
+  search(fromDatum, []);
+
+  return best;
+}
+
 /**
  * Get datum by name
  * @param {string} name - Datum name
@@ -252,57 +425,301 @@ export function getEllipsoidForDatum(datumName) {
 }
 
 /**
- * Get transformation parameters between two datums
- * @param {string} fromDatum - Source datum name
- * @param {string} toDatum - Target datum name
- * @returns {Object} - 7-parameter transformation
+ * Convert Coordinate Frame parameters to Position Vector
+ * 
+ * The two conventions differ only in the sign of the rotations.
+ * 
+ * @param {Object} params - 7 Helmert parameters
+ * @returns {Object} - Parameters in Position Vector convention
  */
-export function getTransformationParams(fromDatum, toDatum) {
-  // If same datum, no transformation needed
-  if (fromDatum === toDatum) {
-    return { tx: 0, ty: 0, tz: 0, rx: 0, ry: 0, rz: 0, s: 0 };
-  }
+export function toPositionVector(params) {
+  return { ...params, rx: -params.rx, ry: -params.ry, rz: -params.rz };
+}
+
+// ============================================================
+// USER-DEFINED DATUMS
+// ============================================================
 
-  const source = getDatum(fromDatum);
-  const target = getDatum(toDatum);
+const USER_DATUMS_STORAGE_KEY = 'datumx.userDatums';
+const PARAM_KEYS = ['tx', 'ty', 'tz', 'rx', 'ry', 'rz', 's'];
+const userDatumKeys = new Set();
 
-  if (!source || !target) return null;
+/**
+ * Check whether a datum was defined by the user
+ * @param {string} key - Datum key
+ * @returns {boolean}
+ */
+export function isUserDatum(key) {
+  return userDatumKeys.has(key);
+}
 
-  // Direct transformation to WGS84
-  if (toDatum === 'WGS84') {
-    return source.toWGS84;
+/**
+ * Validate and normalize a user datum definition
+ * 
+ * Definition format (also used for JSON files):
+ * {
+ *   key: 'SITE_GRID',
+ *   name, fullName, description,
+ *   ellipsoid: 'GRS80' or { name, a, invF },
+ *   toWGS84: { tx, ty, tz, rx, ry, rz, s },
+ *   reference: datum the parameters lead to (default 'WGS84'),
+ *   convention: 'PV' (Position Vector) or 'CF' (Coordinate Frame),
+ *   molodenskyBadekas: optional { params: { tx, ..., s }, pivot: { x, y, z } }
+ *     to the same reference datum, in the same convention,
+ *   areaOfUse: { description, south, north, west, east },
+ *   accuracy, notes
+ * }
+ * 
+ * @param {Object} definition - User datum definition
+ * @returns {Object} - Normalized definition
+ */
+export function validateUserDatum(definition) {
+  const key = String(definition.key || '').trim();
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) {
+    throw new Error('Datum key must start with a letter and contain only letters, digits and _');
+  }
+  if (DATUMS[key] && !userDatumKeys.has(key)) {
+    throw new Error(`${key} is a built-in datum`);
   }
 
-  // Transformation from WGS84
-  if (fromDatum === 'WGS84') {
-    // Inverse transformation
-    const params = target.toWGS84;
-    return {
-      tx: -params.tx,
-      ty: -params.ty,
-      tz: -params.tz,
-      rx: -params.rx,
-      ry: -params.ry,
-      rz: -params.rz,
-      s: -params.s
+  const { ellipsoid } = definition;
+  if (typeof ellipsoid === 'object' && ellipsoid !== null) {
+    if (!(ellipsoid.a > 6e6 && ellipsoid.a < 7e6) || !(ellipsoid.invF > 0)) {
+      throw new Error('Custom ellipsoid needs a semi-major axis a (m) and inverse flattening 1/f');
+    }
+  } else if (!ELLIPSOIDS[ellipsoid]) {
+    throw new Error(`Unknown ellipsoid: ${ellipsoid}`);
+  }
+
+  const toWGS84 = readParams(definition.toWGS84, PARAM_KEYS, 'Parameter');
+
+  let molodenskyBadekas = null;
+  if (definition.molodenskyBadekas) {
+    molodenskyBadekas = {
+      params: readParams(definition.molodenskyBadekas.params, PARAM_KEYS, 'Molodensky-Badekas parameter'),
+      pivot: readParams(definition.molodenskyBadekas.pivot, ['x', 'y', 'z'], 'Pivot coordinate')
     };
   }
 
-  // Transform via WGS84
-  // First: source -> WGS84, then WGS84 -> target
+  const reference = definition.reference || 'WGS84';
+  if (!DATUMS[reference] || reference === key) {
+    throw new Error(`Unknown reference datum: ${reference}`);
+  }
+
+  const convention = definition.convention || 'PV';
+  if (convention !== 'PV' && convention !== 'CF') {
+    throw new Error('Convention must be PV (Position Vector) or CF (Coordinate Frame)');
+  }
+
   return {
-    viaWGS84: true,
-    toWGS84: source.toWGS84,
-    fromWGS84: {
-      tx: -target.toWGS84.tx,
-      ty: -target.toWGS84.ty,
-      tz: -target.toWGS84.tz,
-      rx: -target.toWGS84.rx,
-      ry: -target.toWGS84.ry,
-      rz: -target.toWGS84.rz,
-      s: -target.toWGS84.s
+    key,
+    name: definition.name || key,
+    fullName: definition.fullName || definition.name || key,
+    description: definition.description || 'User-defined datum',
+    ellipsoid,
+    toWGS84,
+    reference,
+    convention,
+    molodenskyBadekas,
+    areaOfUse: definition.areaOfUse || null,
+    accuracy: definition.accuracy || 'Unknown',
+    notes: definition.notes || ''
+  };
+}
+
+/**
+ * Read numeric fields (missing ones are 0)
+ */
+function readParams(source, keys, label) {
+  const values = {};
+  for (const key of keys) {
+    const value = Number(source?.[key] ?? 0);
+    if (!Number.isFinite(value)) {
+      throw new Error(`${label} ${key} is not a number`);
     }
+    values[key] = value;
+  }
+  return values;
+}
+
+function saveUserDatums() {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(USER_DATUMS_STORAGE_KEY, JSON.stringify(getUserDatums()));
+}
+
+/**
+ * Add or replace a user datum
+ * 
+ * The datum is added to DATUMS, so it is available to the datum
+ * selectors, the transformation path search and batch mode.
+ * A custom ellipsoid is added to ELLIPSOIDS under the datum key.
+ * 
+ * @param {Object} definition - User datum definition
+ * @param {boolean} persist - Save to local storage
+ * @returns {Object} - Normalized definition
+ */
+export function registerUserDatum(definition, persist = true) {
+  const datum = validateUserDatum(definition);
+
+  let ellipsoidKey = datum.ellipsoid;
+  if (typeof datum.ellipsoid === 'object') {
+    ellipsoidKey = `${datum.key}_ELLIPSOID`;
+    ELLIPSOIDS[ellipsoidKey] = {
+      name: datum.ellipsoid.name || `${datum.name} ellipsoid`,
+      fullName: datum.ellipsoid.name || `${datum.name} ellipsoid`,
+      a: Number(datum.ellipsoid.a),
+      f: 1 / Number(datum.ellipsoid.invF),
+      description: 'User-defined ellipsoid'
+    };
+  }
+
+  DATUMS[datum.key] = {
+    name: datum.name,
+    fullName: datum.fullName,
+    ellipsoid: ellipsoidKey,
+    description: datum.description,
+    type: 'local',
+    toWGS84: datum.toWGS84,
+    reference: datum.reference,
+    convention: datum.convention,
+    molodenskyBadekas: datum.molodenskyBadekas
+      ? { ...datum.molodenskyBadekas, convention: datum.convention }
+      : null,
+    areaOfUse: datum.areaOfUse,
+    accuracy: datum.accuracy,
+    notes: datum.notes,
+    userDefined: datum
   };
+  userDatumKeys.add(datum.key);
+
+  if (persist) saveUserDatums();
+  return datum;
+}
+
+// Drop a user datum and its ellipsoid from the registries
+function removeUserDatum(key) {
+  if (!userDatumKeys.has(key)) return;
+  delete ELLIPSOIDS[`${key}_ELLIPSOID`];
+  delete DATUMS[key];
+  userDatumKeys.delete(key);
 }
 
+/**
+ * Remove a user datum
+ * @param {string} key - Datum key
+ * @throws {Error} - When other user datums use it as their reference
+ */
+export function unregisterUserDatum(key) {
+  if (!userDatumKeys.has(key)) return;
+  const dependents = Array.from(userDatumKeys).filter(other => DATUMS[other].reference === key);
+  if (dependents.length > 0) {
+    throw new Error(`${key} is the reference datum of ${dependents.join(', ')} - remove those first`);
+  }
+  removeUserDatum(key);
+  saveUserDatums();
+}
+
+/**
+ * Get all user datum definitions
+ * @returns {Array}
+ */
+export function getUserDatums() {
+  return Array.from(userDatumKeys).map(key => DATUMS[key].userDefined);
+}
+
+/**
+ * Serialize user datums to JSON
+ * @param {Array<string>} keys - Datums to include (default: all)
+ * @returns {string} - JSON text
+ */
+export function exportUserDatums(keys = null) {
+  const datums = getUserDatums().filter(datum => !keys || keys.includes(datum.key));
+  return JSON.stringify({ datums }, null, 2);
+}
+
+/**
+ * Sort datum definitions so that each comes after the definition it
+ * references
+ * @param {Array} definitions - User datum definitions
+ * @returns {Array} - Definitions in dependency order
+ * @throws {Error} - On circular references
+ */
+function orderByReference(definitions) {
+  const keys = new Set(definitions.map(definition => definition?.key));
+  const ordered = [];
+  const pending = [...definitions];
+  while (pending.length > 0) {
+    const index = pending.findIndex(definition => !keys.has(definition?.reference)
+      || ordered.some(done => done.key === definition.reference));
+    if (index < 0) {
+      throw new Error(`Circular datum references: ${pending.map(definition => definition.key).join(', ')}`);
+    }
+    ordered.push(...pending.splice(index, 1));
+  }
+  return ordered;
+}
+
+/**
+ * Register datums from JSON text
+ * 
+ * Accepts {datums: [...]}, an array of definitions or one definition.
+ * Datums that reference each other are registered in dependency order;
+ * if one entry fails, none of the file is kept.
+ * 
+ * @param {string} text - JSON text
+ * @returns {Array} - Registered definitions
+ */
+export function importUserDatums(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid datum JSON: ${err.message}`);
+  }
+
+  const definitions = Array.isArray(data) ? data : (data.datums || [data]);
+
+  const ordered = orderByReference(definitions);
+  const previous = ordered.map(definition => (
+    userDatumKeys.has(definition?.key) ? DATUMS[definition.key].userDefined : null
+  ));
+  try {
+    const datums = ordered.map(definition => registerUserDatum(definition, false));
+    saveUserDatums();
+    return datums;
+  } catch (err) {
+    // Restore the registry as it was before the import
+    ordered.forEach((definition, i) => {
+      if (previous[i]) registerUserDatum(previous[i], false);
+      else removeUserDatum(definition?.key);
+    });
+    throw err;
+  }
+}
+
+/**
+ * Restore user datums saved in local storage
+ * @returns {Array} - Restored definitions
+ */
+export function loadStoredUserDatums() {
+  if (typeof localStorage === 'undefined') return [];
+
+  let stored = [];
+  try {
+    stored = orderByReference(JSON.parse(localStorage.getItem(USER_DATUMS_STORAGE_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+
+  return stored.flatMap(definition => {
+    try {
+      return [registerUserDatum(definition, false)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+loadStoredUserDatums();
+
 export default DATUMS;
@@ -0,0 +1,659 @@
+/**
+ * Transformation Parameter Estimation
+ *
+ * Estimates datum transformation parameters from control points known in
+ * both systems by least squares (Gauss-Markov model):
+ *
+ * l + v = f(x)        x̂ = (AᵀA)⁻¹ Aᵀ (l - f(x₀)) + x₀
+ *
+ * All points get unit weight and the three ECEF components are treated
+ * as independent observations. Non-linear models (7-parameter) are
+ * iterated until the corrections vanish.
+ *
+ * Models:
+ * - 3:  translations (tx, ty, tz)
+ * - 4:  translations + scale
+ * - 7:  Bursa-Wolf, Position Vector convention (tx, ty, tz, rx, ry, rz, s)
+ * - 12: affine (translations + full 3×3 matrix)
+ *
+ * Units follow helmertTransformation: meters, arc-seconds, ppm.
+ *
+ * Plane (2D) fits between a local grid (x, y) and projected eastings /
+ * northings use the same adjustment:
+ * - similarity: 2D Helmert (2 translations, rotation, scale)
+ * - affine:     6 parameters
+ * - poly2/3:    2nd / 3rd order polynomials
+ *
+ * Reference: Ghilani (2010) Adjustment Computations, Ch. 18
+ */
+
+import { ELLIPSOIDS, radiusOfCurvatureN, radiusOfCurvatureM } from './ellipsoids';
+import { DATUMS } from './datums';
+import { geographicToGeocentric, helmertTransformation, toRadians } from './transformations';
+
+const ARCSEC2RAD = Math.PI / (180 * 3600);
+
+export const ESTIMATION_MODELS = {
+  3: { name: '3-parameter (translations)', params: ['tx', 'ty', 'tz'] },
+  4: { name: '4-parameter (translations + scale)', params: ['tx', 'ty', 'tz', 's'] },
+  7: { name: '7-parameter (Bursa-Wolf)', params: ['tx', 'ty', 'tz', 'rx', 'ry', 'rz', 's'] },
+  12: {
+    name: '12-parameter (affine)',
+    params: ['tx', 'ty', 'tz', 'a11', 'a12', 'a13', 'a21', 'a22', 'a23', 'a31', 'a32', 'a33']
+  }
+};
+
+// ============================================================
+// LINEAR ALGEBRA
+// ============================================================
+
+/**
+ * Invert a symmetric positive definite matrix (Gauss-Jordan with pivoting)
+ * @param {Array<Array<number>>} matrix - n×n matrix
+ * @returns {Array<Array<number>>} - Inverse
+ */
+function invertMatrix(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-30) {
+      throw new Error('Normal equations are singular - add more or better distributed points');
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const divisor = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= divisor;
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = a[row][col];
+      if (factor === 0) continue;
+      for (let j = 0; j < 2 * n; j++) a[row][j] -= factor * a[col][j];
+    }
+  }
+
+  return a.map(row => row.slice(n));
+}
+
+/**
+ * Solve A·dx = l in the least-squares sense
+ *
+ * Columns are scaled to unit length before forming the normal equations
+ * so that translations (m) and rotations (arc-seconds on 6000 km lever
+ * arms) stay well conditioned.
+ *
+ * @returns {Object} - {dx, Qxx}
+ */
+function solveLeastSquares(A, l) {
+  const m = A[0].length;
+  const norms = Array.from({ length: m }, (_, j) => Math.sqrt(A.reduce((sum, row) => sum + row[j] * row[j], 0)) || 1);
+
+  const N = Array.from({ length: m }, () => new Array(m).fill(0));
+  const n = new Array(m).fill(0);
+  A.forEach((row, i) => {
+    for (let j = 0; j < m; j++) {
+      const aj = row[j] / norms[j];
+      n[j] += aj * l[i];
+      for (let k = j; k < m; k++) {
+        N[j][k] += aj * row[k] / norms[k];
+      }
+    }
+  });
+  for (let j = 0; j < m; j++) {
+    for (let k = 0; k < j; k++) N[j][k] = N[k][j];
+  }
+
+  const Ninv = invertMatrix(N);
+  const dx = Ninv.map((row, j) => row.reduce((sum, value, k) => sum + value * n[k], 0) / norms[j]);
+  const Qxx = Ninv.map((row, j) => row.map((value, k) => value / (norms[j] * norms[k])));
+
+  return { dx, Qxx };
+}
+
+/**
+ * Cofactor of one residual for unit weights: q_vv = 1 - a·Qxx·aᵀ
+ */
+function residualCofactor(row, Qxx) {
+  const qll = row.reduce((sum, aj, j) => sum + aj * row.reduce((s, ak, k) => s + Qxx[j][k] * ak, 0), 0);
+  return Math.max(1 - qll, 1e-12);
+}
+
+// ============================================================
+// MODELS
+// ============================================================
+
+/**
+ * Apply an estimated model to an ECEF point
+ * @param {Object} xyz - {x, y, z} in meters
+ * @param {Object} params - Estimated parameters
+ * @param {number} model - 3, 4, 7 or 12
+ * @returns {Object} - {x, y, z}
+ */
+export function applyEstimatedModel(xyz, params, model) {
+  if (Number(model) === 12) {
+    const { x, y, z } = xyz;
+    return {
+      x: params.tx + params.a11 * x + params.a12 * y + params.a13 * z,
+      y: params.ty + params.a21 * x + params.a22 * y + params.a23 * z,
+      z: params.tz + params.a31 * x + params.a32 * y + params.a33 * z
+    };
+  }
+  return helmertTransformation(xyz, toHelmertParams(params));
+}
+
+/**
+ * Complete a 3- or 4-parameter estimate to the 7 Helmert parameters
+ * @param {Object} params - Estimated parameters
+ * @returns {Object} - {tx, ty, tz, rx, ry, rz, s}
+ */
+export function toHelmertParams(params) {
+  return {
+    tx: params.tx || 0,
+    ty: params.ty || 0,
+    tz: params.tz || 0,
+    rx: params.rx || 0,
+    ry: params.ry || 0,
+    rz: params.rz || 0,
+    s: params.s || 0
+  };
+}
+
+/**
+ * Design matrix rows (x, y, z) of one point at the current estimate
+ */
+function designRows(xyz, params, model) {
+  const { x, y, z } = xyz;
+
+  if (model === 12) {
+    return [
+      [1, 0, 0, x, y, z, 0, 0, 0, 0, 0, 0],
+      [0, 1, 0, 0, 0, 0, x, y, z, 0, 0, 0],
+      [0, 0, 1, 0, 0, 0, 0, 0, 0, x, y, z]
+    ];
+  }
+
+  const { rx, ry, rz, s } = toHelmertParams(params);
+  const scale = 1 + s * 1e-6;
+  const r = {
+    x: rx * ARCSEC2RAD,
+    y: ry * ARCSEC2RAD,
+    z: rz * ARCSEC2RAD
+  };
+
+  // R·X for the scale column
+  const RX = [x - r.z * y + r.y * z, r.z * x + y - r.x * z, -r.y * x + r.x * y + z];
+  const columns = {
+    tx: [1, 0, 0],
+    ty: [0, 1, 0],
+    tz: [0, 0, 1],
+    rx: [0, -z, y].map(v => v * scale * ARCSEC2RAD),
+    ry: [z, 0, -x].map(v => v * scale * ARCSEC2RAD),
+    rz: [-y, x, 0].map(v => v * scale * ARCSEC2RAD),
+    s: RX.map(v => v * 1e-6)
+  };
+
+  const names = ESTIMATION_MODELS[model].params;
+  return [0, 1, 2].map(axis => names.map(name => columns[name][axis]));
+}
+
+// ============================================================
+// ESTIMATION
+// ============================================================
+
+/**
+ * Convert a control point to ECEF
+ */
+function toECEF(point, inputType, datum) {
+  if (inputType === 'geocentric') {
+    return { x: point.x, y: point.y, z: point.z };
+  }
+  const ellipsoid = ELLIPSOIDS[DATUMS[datum].ellipsoid];
+  return geographicToGeocentric(point.lat, point.lon, point.h || 0, ellipsoid);
+}
+
+/**
+ * Estimate transformation parameters from common points
+ *
+ * Residuals are v = f(source) - target, reported in ECEF and in local
+ * north/east/up at the target point. A point is flagged as an outlier
+ * when any standardized residual |v| / (σ₀·√q_vv) exceeds the threshold.
+ *
+ * @param {Array} points - [{id, source, target}], source/target as {lat, lon, h} or {x, y, z}
+ * @param {Object} options - {model, inputType, sourceDatum, targetDatum, outlierThreshold}
+ * @returns {Object} - {model, params, stdDev, sigma0, rms, dof, residuals, outliers, iterations}
+ */
+export function estimateTransformation(points, options = {}) {
+  const {
+    model: modelOption = 7,
+    inputType = 'geographic',
+    sourceDatum = 'WGS84',
+    targetDatum = 'WGS84',
+    outlierThreshold = 3
+  } = options;
+  const model = Number(modelOption);
+  const names = ESTIMATION_MODELS[model]?.params;
+
+  if (!names) {
+    throw new Error(`Unknown model: ${modelOption}`);
+  }
+  if (points.length * 3 < names.length) {
+    throw new Error(`The ${model}-parameter model needs at least ${Math.ceil(names.length / 3)} points`);
+  }
+
+  const pairs = points.map(point => ({
+    id: point.id,
+    source: toECEF(point.source, inputType, sourceDatum),
+    target: toECEF(point.target, inputType, targetDatum),
+    targetGeo: point.target
+  }));
+
+  // Start from identity (affine: unit matrix)
+  let params = Object.fromEntries(names.map(name => [name, 0]));
+  if (model === 12) {
+    params.a11 = 1;
+    params.a22 = 1;
+    params.a33 = 1;
+  }
+
+  let Qxx = null;
+  let iterations = 0;
+  const maxIterations = model === 7 ? 10 : 1;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    const A = [];
+    const l = [];
+    for (const pair of pairs) {
+      const computed = applyEstimatedModel(pair.source, params, model);
+      A.push(...designRows(pair.source, params, model));
+      l.push(pair.target.x - computed.x, pair.target.y - computed.y, pair.target.z - computed.z);
+    }
+
+    const solution = solveLeastSquares(A, l);
+    Qxx = solution.Qxx;
+    names.forEach((name, j) => {
+      params[name] += solution.dx[j];
+    });
+
+    // Converged when translations change by less than 0.01 mm
+    if (solution.dx.slice(0, 3).every(d => Math.abs(d) < 1e-5)) break;
+  }
+
+  // Residuals and redundancy
+  const n = pairs.length * 3;
+  const dof = n - names.length;
+  let sumSquares = 0;
+
+  const residuals = pairs.map(pair => {
+    const computed = applyEstimatedModel(pair.source, params, model);
+    const v = {
+      x: computed.x - pair.target.x,
+      y: computed.y - pair.target.y,
+      z: computed.z - pair.target.z
+    };
+    sumSquares += v.x * v.x + v.y * v.y + v.z * v.z;
+    return { id: pair.id, source: pair.source, v, ...toLocalResidual(pair, v, inputType, targetDatum) };
+  });
+
+  const sigma0 = dof > 0 ? Math.sqrt(sumSquares / dof) : 0;
+  const stdDev = Object.fromEntries(names.map((name, j) => [name, sigma0 * Math.sqrt(Qxx[j][j])]));
+
+  residuals.forEach(residual => {
+    const rows = designRows(residual.source, params, model);
+    const standardized = rows.map((row, axis) => {
+      const value = [residual.v.x, residual.v.y, residual.v.z][axis];
+      return sigma0 > 0 ? value / (sigma0 * Math.sqrt(residualCofactor(row, Qxx))) : 0;
+    });
+    residual.standardized = Math.max(...standardized.map(Math.abs));
+    residual.outlier = dof > 0 && residual.standardized > outlierThreshold;
+    delete residual.source;
+  });
+
+  return {
+    model,
+    inputType,
+    sourceDatum,
+    targetDatum,
+    params,
+    stdDev,
+    sigma0,
+    rms: Math.sqrt(sumSquares / pairs.length),
+    dof,
+    residuals,
+    outliers: residuals.filter(residual => residual.outlier).map(residual => residual.id),
+    iterations
+  };
+}
+
+/**
+ * Express an ECEF residual as north/east/up at the target point
+ */
+function toLocalResidual(pair, v, inputType, targetDatum) {
+  let lat;
+  let lon;
+  if (inputType === 'geographic') {
+    lat = toRadians(pair.targetGeo.lat);
+    lon = toRadians(pair.targetGeo.lon);
+  } else {
+    const { x, y, z } = pair.target;
+    lon = Math.atan2(y, x);
+    lat = Math.atan2(z, Math.sqrt(x * x + y * y));
+  }
+
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+
+  const north = -sinLat * cosLon * v.x - sinLat * sinLon * v.y + cosLat * v.z;
+  const east = -sinLon * v.x + cosLon * v.y;
+  const up = cosLat * cosLon * v.x + cosLat * sinLon * v.y + sinLat * v.z;
+
+  // Residual in arc-seconds of latitude/longitude at the target point
+  const ellipsoid = ELLIPSOIDS[DATUMS[targetDatum]?.ellipsoid] || ELLIPSOIDS.WGS84;
+  const dLat = north / radiusOfCurvatureM(lat, ellipsoid) / ARCSEC2RAD;
+  const dLon = east / (radiusOfCurvatureN(lat, ellipsoid) * cosLat) / ARCSEC2RAD;
+
+  return {
+    north,
+    east,
+    up,
+    horizontal: Math.sqrt(north * north + east * east),
+    dLat,
+    dLon
+  };
+}
+
+/**
+ * Parse control points from text
+ *
+ * One point per line, comma/space/tab separated:
+ * - geographic: id, lat, lon, h, lat', lon', h'
+ * - geocentric: id, X, Y, Z, X', Y', Z'
+ * The id column is optional. Lines starting with # are skipped.
+ *
+ * @param {string} text - Control point list
+ * @param {string} inputType - 'geographic' or 'geocentric'
+ * @returns {Array} - [{id, source, target}]
+ */
+export function parseControlPoints(text, inputType = 'geographic') {
+  const points = [];
+
+  text.split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const parts = trimmed.split(/[,;\s\t]+/);
+    const hasId = parts.length >= 7;
+    const id = hasId ? parts[0] : `P${index + 1}`;
+    const values = (hasId ? parts.slice(1) : parts).map(Number);
+
+    if (values.length < 6 || values.slice(0, 6).some(value => !Number.isFinite(value))) {
+      throw new Error(`Line ${index + 1}: expected 6 coordinates`);
+    }
+
+    const [a1, b1, c1, a2, b2, c2] = values;
+    points.push(inputType === 'geocentric'
+      ? { id, source: { x: a1, y: b1, z: c1 }, target: { x: a2, y: b2, z: c2 } }
+      : { id, source: { lat: a1, lon: b1, h: c1 }, target: { lat: a2, lon: b2, h: c2 } });
+  });
+
+  return points;
+}
+
+// ============================================================
+// PLANE (2D) FITS
+// ============================================================
+
+export const PLANE_MODELS = {
+  similarity: { name: '2D Helmert (4-parameter)', order: 1 },
+  affine: { name: 'Affine (6-parameter)', order: 1 },
+  poly2: { name: 'Polynomial, 2nd order (12 parameters)', order: 2 },
+  poly3: { name: 'Polynomial, 3rd order (20 parameters)', order: 3 }
+};
+
+/**
+ * Exponents [i, j] of the polynomial terms xⁱ·yʲ up to an order
+ */
+function planeTerms(order) {
+  const terms = [];
+  for (let degree = 0; degree <= order; degree++) {
+    for (let j = 0; j <= degree; j++) {
+      terms.push([degree - j, j]);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Parameter names of a plane model
+ *
+ * similarity: E = tE + a·x - b·y,  N = tN + b·x + a·y
+ * polynomial: E = Σ eᵢⱼ·xⁱ·yʲ,     N = Σ nᵢⱼ·xⁱ·yʲ
+ *
+ * @param {string} model - Key in PLANE_MODELS
+ * @returns {Array<string>}
+ */
+export function getPlaneParamNames(model) {
+  if (model === 'similarity') {
+    return ['tE', 'tN', 'a', 'b'];
+  }
+  const terms = planeTerms(PLANE_MODELS[model].order);
+  return [
+    ...terms.map(([i, j]) => `e${i}${j}`),
+    ...terms.map(([i, j]) => `n${i}${j}`)
+  ];
+}
+
+/**
+ * Design matrix rows (E, N) of one point, coordinates reduced to the origin
+ */
+function planeDesignRows(u, v, model) {
+  if (model === 'similarity') {
+    return [
+      [1, 0, u, -v],
+      [0, 1, v, u]
+    ];
+  }
+  const values = planeTerms(PLANE_MODELS[model].order).map(([i, j]) => u ** i * v ** j);
+  const zeros = values.map(() => 0);
+  return [
+    [...values, ...zeros],
+    [...zeros, ...values]
+  ];
+}
+
+/**
+ * Apply a plane fit to local grid coordinates
+ * @param {Object} point - {x, y} local grid coordinates
+ * @param {Object} fit - {model, origin, params} from estimatePlaneTransformation
+ * @returns {Object} - {easting, northing}
+ */
+export function applyPlaneTransformation(point, fit) {
+  const u = point.x - fit.origin.x;
+  const v = point.y - fit.origin.y;
+  const names = getPlaneParamNames(fit.model);
+  const [rowE, rowN] = planeDesignRows(u, v, fit.model);
+
+  return {
+    easting: rowE.reduce((sum, a, j) => sum + a * fit.params[names[j]], 0),
+    northing: rowN.reduce((sum, a, j) => sum + a * fit.params[names[j]], 0)
+  };
+}
+
+/**
+ * Partial derivatives of (E, N) with respect to the local (x, y)
+ */
+function planeJacobian(u, v, fit) {
+  const { params } = fit;
+  if (fit.model === 'similarity') {
+    return [[params.a, -params.b], [params.b, params.a]];
+  }
+
+  const J = [[0, 0], [0, 0]];
+  planeTerms(PLANE_MODELS[fit.model].order).forEach(([i, j]) => {
+    const du = i > 0 ? i * u ** (i - 1) * v ** j : 0;
+    const dv = j > 0 ? j * u ** i * v ** (j - 1) : 0;
+    J[0][0] += params[`e${i}${j}`] * du;
+    J[0][1] += params[`e${i}${j}`] * dv;
+    J[1][0] += params[`n${i}${j}`] * du;
+    J[1][1] += params[`n${i}${j}`] * dv;
+  });
+  return J;
+}
+
+/**
+ * Invert a plane fit: projected eastings / northings → local grid
+ *
+ * Solved by Newton iteration, which is exact after one step for the
+ * similarity and affine models.
+ *
+ * @param {Object} point - {easting, northing}
+ * @param {Object} fit - {model, origin, params}
+ * @returns {Object} - {x, y}
+ */
+export function inversePlaneTransformation(point, fit) {
+  let u = 0;
+  let v = 0;
+
+  for (let iteration = 0; iteration < 20; iteration++) {
+    const computed = applyPlaneTransformation({ x: fit.origin.x + u, y: fit.origin.y + v }, fit);
+    const dE = point.easting - computed.easting;
+    const dN = point.northing - computed.northing;
+
+    const [[a, b], [c, d]] = planeJacobian(u, v, fit);
+    const det = a * d - b * c;
+    if (Math.abs(det) < 1e-15) {
+      throw new Error('Plane transformation cannot be inverted at this point');
+    }
+    const du = (d * dE - b * dN) / det;
+    const dv = (a * dN - c * dE) / det;
+    u += du;
+    v += dv;
+
+    if (Math.abs(du) < 1e-9 && Math.abs(dv) < 1e-9) {
+      return { x: fit.origin.x + u, y: fit.origin.y + v };
+    }
+  }
+
+  throw new Error('Inverse plane transformation did not converge - point is outside the fitted area');
+}
+
+/**
+ * Estimate a plane transformation from common points
+ *
+ * Local coordinates are reduced to their centroid (origin) so that the
+ * polynomial terms stay well conditioned. Residuals are v = f(local) - grid.
+ *
+ * @param {Array} points - [{id, source: {x, y}, target: {easting, northing}}]
+ * @param {Object} options - {model, outlierThreshold}
+ * @returns {Object} - {model, origin, params, stdDev, sigma0, rms, dof, residuals, outliers, similarity}
+ */
+export function estimatePlaneTransformation(points, options = {}) {
+  const { model = 'similarity', outlierThreshold = 3 } = options;
+
+  if (!PLANE_MODELS[model]) {
+    throw new Error(`Unknown model: ${model}`);
+  }
+  const names = getPlaneParamNames(model);
+  if (points.length * 2 < names.length) {
+    throw new Error(`The ${PLANE_MODELS[model].name} model needs at least ${Math.ceil(names.length / 2)} points`);
+  }
+
+  const origin = {
+    x: points.reduce((sum, point) => sum + point.source.x, 0) / points.length,
+    y: points.reduce((sum, point) => sum + point.source.y, 0) / points.length
+  };
+
+  const A = [];
+  const l = [];
+  for (const point of points) {
+    A.push(...planeDesignRows(point.source.x - origin.x, point.source.y - origin.y, model));
+    l.push(point.target.easting, point.target.northing);
+  }
+
+  const { dx, Qxx } = solveLeastSquares(A, l);
+  const params = Object.fromEntries(names.map((name, j) => [name, dx[j]]));
+  const fit = { model, origin, params };
+
+  const dof = points.length * 2 - names.length;
+  let sumSquares = 0;
+  const residuals = points.map(point => {
+    const computed = applyPlaneTransformation(point.source, fit);
+    const dE = computed.easting - point.target.easting;
+    const dN = computed.northing - point.target.northing;
+    sumSquares += dE * dE + dN * dN;
+    return { id: point.id, source: point.source, dE, dN, horizontal: Math.sqrt(dE * dE + dN * dN) };
+  });
+
+  const sigma0 = dof > 0 ? Math.sqrt(sumSquares / dof) : 0;
+  const stdDev = Object.fromEntries(names.map((name, j) => [name, sigma0 * Math.sqrt(Qxx[j][j])]));
+
+  residuals.forEach(residual => {
+    const rows = planeDesignRows(residual.source.x - origin.x, residual.source.y - origin.y, model);
+    const standardized = rows.map((row, axis) => {
+      const value = axis === 0 ? residual.dE : residual.dN;
+      return sigma0 > 0 ? value / (sigma0 * Math.sqrt(residualCofactor(row, Qxx))) : 0;
+    });
+    residual.standardized = Math.max(...standardized.map(Math.abs));
+    residual.outlier = dof > 0 && residual.standardized > outlierThreshold;
+    delete residual.source;
+  });
+
+  return {
+    ...fit,
+    stdDev,
+    sigma0,
+    rms: Math.sqrt(sumSquares / points.length),
+    dof,
+    residuals,
+    outliers: residuals.filter(residual => residual.outlier).map(residual => residual.id),
+    // Scale and rotation (degrees, counter-clockwise) of the 2D Helmert
+    similarity: model === 'similarity'
+      ? {
+          scale: Math.hypot(params.a, params.b),
+          rotation: Math.atan2(params.b, params.a) * 180 / Math.PI
+        }
+      : null
+  };
+}
+
+/**
+ * Parse plane control points from text
+ *
+ * One point per line, comma/space/tab separated: id, x, y, E, N
+ * (local grid, then projected). The id column is optional. Lines
+ * starting with # are skipped.
+ *
+ * @param {string} text - Control point list
+ * @returns {Array} - [{id, source: {x, y}, target: {easting, northing}}]
+ */
+export function parsePlaneControlPoints(text) {
+  const points = [];
+
+  text.split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const parts = trimmed.split(/[,;\s\t]+/);
+    const hasId = parts.length >= 5;
+    const id = hasId ? parts[0] : `P${index + 1}`;
+    const values = (hasId ? parts.slice(1) : parts).map(Number);
+
+    if (values.length < 4 || values.slice(0, 4).some(value => !Number.isFinite(value))) {
+      throw new Error(`Line ${index + 1}: expected x, y, E, N`);
+    }
+
+    const [x, y, easting, northing] = values;
+    points.push({ id, source: { x, y }, target: { easting, northing } });
+  });
+
+  return points;
+}
+
+export default estimateTransformation;
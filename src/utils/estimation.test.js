@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { estimateTransformation, estimatePlaneTransformation, applyPlaneTransformation, inversePlaneTransformation } from './estimation';
+import { ELLIPSOIDS } from './ellipsoids';
+import { DATUMS } from './datums';
+import { geographicToGeocentric, helmertTransformation, inverseHelmertTransformation } from './transformations';
+
+// OSGB36 → WGS84 (Position Vector), the largest rotations in DATUMS
+const OSGB36 = DATUMS.OSGB36.toWGS84;
+
+// Control points spread over Great Britain, on the Airy ellipsoid
+const STATIONS = [
+  [50.1, -5.5, 40], [51.5, -0.1, 15], [52.9, 1.3, 60],
+  [53.4, -3.0, 120], [55.0, -1.6, 80], [56.5, -5.9, 210], [57.5, -4.2, 350]
+].map(([lat, lon, h]) => geographicToGeocentric(lat, lon, h, ELLIPSOIDS.Airy1830));
+
+describe('Helmert transformation', () => {
+  it('inverseHelmertTransformation undoes helmertTransformation', () => {
+    for (const convention of ['PV', 'CF']) {
+      for (const xyz of STATIONS) {
+        const back = inverseHelmertTransformation(helmertTransformation(xyz, OSGB36, convention), OSGB36, convention);
+        expect(Math.hypot(back.x - xyz.x, back.y - xyz.y, back.z - xyz.z)).toBeLessThan(1e-8);
+      }
+    }
+  });
+});
+
+describe('estimateTransformation', () => {
+  const points = STATIONS.map((source, i) => ({
+    id: `P${i + 1}`,
+    source,
+    target: helmertTransformation(source, OSGB36)
+  }));
+
+  it('recovers a 7-parameter set from error-free control points', () => {
+    const result = estimateTransformation(points, { model: 7, inputType: 'geocentric' });
+
+    expect(result.params.tx).toBeCloseTo(OSGB36.tx, 4);
+    expect(result.params.ty).toBeCloseTo(OSGB36.ty, 4);
+    expect(result.params.tz).toBeCloseTo(OSGB36.tz, 4);
+    expect(result.params.rx).toBeCloseTo(OSGB36.rx, 5);
+    expect(result.params.ry).toBeCloseTo(OSGB36.ry, 5);
+    expect(result.params.rz).toBeCloseTo(OSGB36.rz, 5);
+    expect(result.params.s).toBeCloseTo(OSGB36.s, 5);
+    expect(result.rms).toBeLessThan(1e-4);
+    expect(result.outliers).toEqual([]);
+  });
+
+  it('flags a control point with a gross error', () => {
+    const blunder = points.map((point, i) => (i === 3
+      ? { ...point, target: { ...point.target, z: point.target.z + 2 } }
+      : point));
+    const result = estimateTransformation(blunder, { model: 7, inputType: 'geocentric' });
+    expect(result.outliers).toContain('P4');
+  });
+});
+
+describe('estimatePlaneTransformation', () => {
+  // Local site grid: 1.5° rotation, scale 1.0002, shifted to TM eastings / northings
+  const angle = 1.5 * Math.PI / 180;
+  const a = 1.0002 * Math.cos(angle);
+  const b = 1.0002 * Math.sin(angle);
+  const local = [[1000, 5000], [1800, 5100], [1200, 6200], [2100, 6050], [1500, 5600]];
+  const points = local.map(([x, y], i) => ({
+    id: `L${i + 1}`,
+    source: { x, y },
+    target: { easting: 412000 + a * x - b * y, northing: 4540000 + b * x + a * y }
+  }));
+
+  it('recovers the scale and rotation of a 2D Helmert', () => {
+    const fit = estimatePlaneTransformation(points, { model: 'similarity' });
+    expect(fit.similarity.scale).toBeCloseTo(1.0002, 9);
+    expect(fit.similarity.rotation).toBeCloseTo(1.5, 8);
+    expect(fit.rms).toBeLessThan(1e-6);
+  });
+
+  it('inverts the affine and polynomial fits', () => {
+    for (const model of ['affine', 'poly2']) {
+      const fit = estimatePlaneTransformation(points.concat([
+        { id: 'L6', source: { x: 1700, y: 6400 }, target: { easting: 412000 + a * 1700 - b * 6400, northing: 4540000 + b * 1700 + a * 6400 } },
+        { id: 'L7', source: { x: 900, y: 5900 }, target: { easting: 412000 + a * 900 - b * 5900, northing: 4540000 + b * 900 + a * 5900 } }
+      ]), { model });
+      const grid = applyPlaneTransformation({ x: 1650, y: 5750 }, fit);
+      const back = inversePlaneTransformation(grid, fit);
+      expect(back.x).toBeCloseTo(1650, 6);
+      expect(back.y).toBeCloseTo(5750, 6);
+    }
+  });
+});
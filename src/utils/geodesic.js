@@ -0,0 +1,797 @@
+/**
+ * Geodesic Problems on the Ellipsoid
+ *
+ * Direct (point, azimuth, distance → point) and inverse (two points →
+ * distance and azimuths) problems solved with Karney's algorithm, which
+ * converges for every pair of points, including nearly antipodal ones
+ * where Vincenty's iteration fails. Series are carried to sixth order in
+ * the third flattening, giving round-off accuracy (~15 nm) for
+ * |f| < 0.01.
+ *
+ * Reference: C. F. F. Karney, Algorithms for geodesics,
+ * J. Geodesy 87, 43-55 (2013); GeographicLib (MIT licence)
+ */
+
+import { ELLIPSOIDS } from './ellipsoids';
+
+const DEGREE = Math.PI / 180;
+const DIGITS = 53;
+const EPSILON = Math.pow(2, 1 - DIGITS);
+const TINY = Math.sqrt(Number.MIN_VALUE);
+const TOL0 = EPSILON;
+const TOL1 = 200 * TOL0;
+const TOL2 = Math.sqrt(TOL0);
+const TOLB = TOL0 * TOL2;
+const XTHRESH = 1000 * TOL2;
+const MAXIT1 = 20;
+const MAXIT2 = MAXIT1 + DIGITS + 10;
+
+// Order of the series in the third flattening
+const ORDER = 6;
+
+// ============================================================
+// ANGLE HELPERS
+// ============================================================
+
+const copysign = (x, y) => Math.abs(x) * (y < 0 || (y === 0 && 1 / y < 0) ? -1 : 1);
+
+const hypot = (x, y) => Math.sqrt(x * x + y * y);
+
+const latFix = (x) => (Math.abs(x) > 90 ? NaN : x);
+
+// Remainder of x / 360 in [-180, 180)
+function remainder360(x) {
+  const y = x % 360;
+  return y < -180 ? y + 360 : y < 180 ? y : y - 360;
+}
+
+function angNormalize(x) {
+  const y = remainder360(x);
+  return Math.abs(y) === 180 ? copysign(180, x) : y;
+}
+
+// Round tiny angles so that 0 - tiny ≠ 0 does not upset the series
+function angRound(x) {
+  const z = 1 / 16;
+  let y = Math.abs(x);
+  const w = z - y;
+  y = w > 0 ? z - w : y;
+  return copysign(y, x);
+}
+
+// Error-free sum: s = u + v, t = round-off
+function sum(u, v) {
+  const s = u + v;
+  let up = s - v;
+  let vpp = s - up;
+  up -= u;
+  vpp -= v;
+  return { s, t: s ? 0 - (up + vpp) : s };
+}
+
+// Exact difference y - x of two angles in [-180, 180] with its round-off
+function angDiff(x, y) {
+  let r = sum(remainder360(-x), remainder360(y));
+  r = sum(remainder360(r.s), r.t);
+  let d = r.s;
+  if (d === 0 || Math.abs(d) === 180) {
+    d = copysign(d, r.t === 0 ? y - x : -r.t);
+  }
+  return { d, e: r.t };
+}
+
+// sin and cos of x + t degrees, exact for multiples of 90°
+function sincosde(x, t) {
+  let d = x % 360;
+  const q = Math.round(d / 90);
+  d -= 90 * q;
+  const r = (d + t) * DEGREE;
+  const s = Math.sin(r);
+  const c = Math.cos(r);
+  let sinx, cosx;
+  switch (q & 3) {
+    case 0: sinx = s; cosx = c; break;
+    case 1: sinx = c; cosx = -s; break;
+    case 2: sinx = -s; cosx = -c; break;
+    default: sinx = -c; cosx = s; break;
+  }
+  cosx += 0;
+  if (sinx === 0) sinx = copysign(sinx, x);
+  return { s: sinx, c: cosx };
+}
+
+const sincosd = (x) => sincosde(x, 0);
+
+// atan2 in degrees, exact for multiples of 90°
+function atan2d(y, x) {
+  let q = 0;
+  if (Math.abs(y) > Math.abs(x)) {
+    [x, y] = [y, x];
+    q = 2;
+  }
+  if (x < 0 || (x === 0 && 1 / x < 0)) {
+    x = -x;
+    ++q;
+  }
+  let ang = Math.atan2(y, x) / DEGREE;
+  switch (q) {
+    case 1: ang = copysign(180, y) - ang; break;
+    case 2: ang = 90 - ang; break;
+    case 3: ang = -90 + ang; break;
+    default: break;
+  }
+  return ang;
+}
+
+function norm(x, y) {
+  const r = hypot(x, y);
+  return [x / r, y / r];
+}
+
+// ============================================================
+// SERIES
+// ============================================================
+
+function polyval(N, p, s, x) {
+  let y = N < 0 ? 0 : p[s++];
+  while (--N >= 0) y = y * x + p[s++];
+  return y;
+}
+
+// Clenshaw summation of sum(c[k] sin(2kx)) (sinp) or sum(c[k] cos((2k+1)x))
+function sinCosSeries(sinp, sinx, cosx, c) {
+  let k = c.length;
+  let n = k - (sinp ? 1 : 0);
+  const ar = 2 * (cosx - sinx) * (cosx + sinx);
+  let y0 = 0;
+  let y1 = 0;
+  if (n & 1) {
+    --k;
+    y0 = c[k];
+  }
+  n = Math.floor(n / 2);
+  while (n--) {
+    y1 = ar * y0 - y1 + c[--k];
+    y0 = ar * y1 - y0 + c[--k];
+  }
+  return sinp ? 2 * sinx * cosx * y0 : cosx * (y0 - y1);
+}
+
+// Coefficient series of Karney (2013), eqs. (17)-(18), (24)-(25), (42)-(43)
+function A1m1f(eps) {
+  const coeff = [1, 4, 64, 0, 256];
+  const t = polyval(3, coeff, 0, eps * eps) / coeff[4];
+  return (t + eps) / (1 - eps);
+}
+
+function fillSeries(coeff, eps, c) {
+  const eps2 = eps * eps;
+  let d = eps;
+  let o = 0;
+  for (let l = 1; l <= ORDER; ++l) {
+    const m = Math.floor((ORDER - l) / 2);
+    c[l] = d * polyval(m, coeff, o, eps2) / coeff[o + m + 1];
+    o += m + 2;
+    d *= eps;
+  }
+}
+
+const C1_COEFF = [
+  -1, 6, -16, 32,
+  -9, 64, -128, 2048,
+  9, -16, 768,
+  3, -5, 512,
+  -7, 1280,
+  -7, 2048
+];
+
+const C1P_COEFF = [
+  205, -432, 768, 1536,
+  4005, -4736, 3840, 12288,
+  -225, 116, 384,
+  -7173, 2695, 7680,
+  3467, 7680,
+  38081, 61440
+];
+
+const C2_COEFF = [
+  1, 2, 16, 32,
+  35, 64, 384, 2048,
+  15, 80, 768,
+  7, 35, 512,
+  63, 1280,
+  77, 2048
+];
+
+function A2m1f(eps) {
+  const coeff = [-11, -28, -192, 0, 256];
+  const t = polyval(3, coeff, 0, eps * eps) / coeff[4];
+  return (t - eps) / (1 + eps);
+}
+
+const A3_COEFF = [
+  -3, 128,
+  -2, -3, 64,
+  -1, -3, -1, 16,
+  3, -1, -2, 8,
+  1, -1, 2,
+  1, 1
+];
+
+const C3_COEFF = [
+  3, 128,
+  2, 5, 128,
+  -1, 3, 3, 64,
+  -1, 0, 1, 8,
+  -1, 1, 4,
+  5, 256,
+  1, 3, 128,
+  -3, -2, 3, 64,
+  1, -3, 2, 32,
+  7, 512,
+  -10, 9, 384,
+  5, -9, 5, 192,
+  7, 512,
+  -14, 7, 512,
+  21, 2560
+];
+
+// ============================================================
+// ELLIPSOID SETUP
+// ============================================================
+
+const geodesics = new WeakMap();
+
+/**
+ * Constants of the geodesic problems on an ellipsoid (cached)
+ * @param {Object} ellipsoid - {a, f}
+ * @returns {Object}
+ */
+function getGeodesic(ellipsoid) {
+  let g = geodesics.get(ellipsoid);
+  if (g) return g;
+
+  const { a, f } = ellipsoid;
+  const f1 = 1 - f;
+  const e2 = f * (2 - f);
+  const ep2 = e2 / (f1 * f1);
+  const n = f / (2 - f);
+  const b = a * f1;
+  const etol2 = 0.1 * TOL2 / Math.sqrt(Math.max(0.001, Math.abs(f)) * Math.min(1, 1 - f / 2) / 2);
+  if (!(Number.isFinite(a) && a > 0 && Number.isFinite(b) && b > 0)) {
+    throw new Error('Ellipsoid axes must be positive');
+  }
+
+  const A3x = [];
+  for (let j = ORDER - 1, o = 0; j >= 0; --j) {
+    const m = Math.min(ORDER - j - 1, j);
+    A3x.push(polyval(m, A3_COEFF, o, n) / A3_COEFF[o + m + 1]);
+    o += m + 2;
+  }
+
+  const C3x = [];
+  for (let l = 1, o = 0; l < ORDER; ++l) {
+    for (let j = ORDER - 1; j >= l; --j) {
+      const m = Math.min(ORDER - j - 1, j);
+      C3x.push(polyval(m, C3_COEFF, o, n) / C3_COEFF[o + m + 1]);
+      o += m + 2;
+    }
+  }
+
+  g = { a, f, f1, e2, ep2, n, b, etol2, A3x, C3x };
+  geodesics.set(ellipsoid, g);
+  return g;
+}
+
+const A3f = (g, eps) => polyval(ORDER - 1, g.A3x, 0, eps);
+
+function C3f(g, eps, c) {
+  let mult = 1;
+  for (let l = 1, o = 0; l < ORDER; ++l) {
+    const m = ORDER - l - 1;
+    mult *= eps;
+    c[l] = mult * polyval(m, g.C3x, o, eps);
+    o += m + 1;
+  }
+}
+
+const newSeries = (length) => new Array(length).fill(0);
+
+// ============================================================
+// INVERSE PROBLEM
+// ============================================================
+
+// Distance and reduced length along an arc, Karney (2013) eqs. (38)-(39)
+function lengths(g, eps, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2) {
+  const C1a = newSeries(ORDER + 1);
+  const C2a = newSeries(ORDER + 1);
+  fillSeries(C1_COEFF, eps, C1a);
+  fillSeries(C2_COEFF, eps, C2a);
+  const A1 = 1 + A1m1f(eps);
+  const A2 = 1 + A2m1f(eps);
+  const m0x = A1 - A2;
+
+  const B1 = sinCosSeries(true, ssig2, csig2, C1a) - sinCosSeries(true, ssig1, csig1, C1a);
+  const B2 = sinCosSeries(true, ssig2, csig2, C2a) - sinCosSeries(true, ssig1, csig1, C2a);
+  const J12 = m0x * sig12 + (A1 * B1 - A2 * B2);
+
+  return {
+    s12b: A1 * (sig12 + B1),
+    m12b: dn2 * (csig1 * ssig2) - dn1 * (ssig1 * csig2) - csig1 * csig2 * J12
+  };
+}
+
+// Smallest positive root of k⁴ + 2k³ - (x² + y² - 1)k² - 2y²k - y² = 0
+function astroid(x, y) {
+  const p = x * x;
+  const q = y * y;
+  const r = (p + q - 1) / 6;
+  if (q === 0 && r <= 0) return 0;
+
+  const S = p * q / 4;
+  const r2 = r * r;
+  const r3 = r * r2;
+  const disc = S * (S + 2 * r3);
+  let u = r;
+  if (disc >= 0) {
+    let T3 = S + r3;
+    T3 += T3 < 0 ? -Math.sqrt(disc) : Math.sqrt(disc);
+    const T = Math.cbrt(T3);
+    u += T + (T !== 0 ? r2 / T : 0);
+  } else {
+    const ang = Math.atan2(Math.sqrt(-disc), -(S + r3));
+    u += 2 * r * Math.cos(ang / 3);
+  }
+  const v = Math.sqrt(u * u + q);
+  const uv = u < 0 ? q / (v - u) : u + v;
+  const w = (uv - q) / (2 * v);
+  return uv / (Math.sqrt(uv + w * w) + w);
+}
+
+// Starting azimuth for Newton's method (short lines are solved outright)
+function inverseStart(g, sbet1, cbet1, sbet2, cbet2, lam12, slam12, clam12) {
+  const result = { sig12: -1, salp2: NaN, calp2: NaN, dnm: NaN };
+  const sbet12 = sbet2 * cbet1 - cbet2 * sbet1;
+  const cbet12 = cbet2 * cbet1 + sbet2 * sbet1;
+  const sbet12a = sbet2 * cbet1 + cbet2 * sbet1;
+  const shortline = cbet12 >= 0 && sbet12 < 0.5 && cbet2 * lam12 < 0.5;
+  let somg12, comg12;
+  if (shortline) {
+    let sbetm2 = (sbet1 + sbet2) * (sbet1 + sbet2);
+    sbetm2 /= sbetm2 + (cbet1 + cbet2) * (cbet1 + cbet2);
+    result.dnm = Math.sqrt(1 + g.ep2 * sbetm2);
+    const omg12 = lam12 / (g.f1 * result.dnm);
+    somg12 = Math.sin(omg12);
+    comg12 = Math.cos(omg12);
+  } else {
+    somg12 = slam12;
+    comg12 = clam12;
+  }
+
+  let salp1 = cbet2 * somg12;
+  let calp1 = comg12 >= 0
+    ? sbet12 + cbet2 * sbet1 * somg12 * somg12 / (1 + comg12)
+    : sbet12a - cbet2 * sbet1 * somg12 * somg12 / (1 - comg12);
+
+  const ssig12 = hypot(salp1, calp1);
+  const csig12 = sbet1 * sbet2 + cbet1 * cbet2 * comg12;
+
+  if (shortline && ssig12 < g.etol2) {
+    // Really short lines: great ellipse
+    [result.salp2, result.calp2] = norm(
+      cbet1 * somg12,
+      sbet12 - cbet1 * sbet2 * (comg12 >= 0 ? somg12 * somg12 / (1 + comg12) : 1 - comg12)
+    );
+    result.sig12 = Math.atan2(ssig12, csig12);
+  } else if (Math.abs(g.n) > 0.1 || csig12 >= 0 || ssig12 >= 6 * Math.abs(g.n) * Math.PI * cbet1 * cbet1) {
+    // Zeroth order spherical approximation is good enough
+  } else {
+    // Nearly antipodal points: solve the astroid problem
+    const lam12x = Math.atan2(-slam12, -clam12);
+    let x, y, lamscale;
+    if (g.f >= 0) {
+      const k2 = sbet1 * sbet1 * g.ep2;
+      const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+      lamscale = g.f * cbet1 * A3f(g, eps) * Math.PI;
+      const betscale = lamscale * cbet1;
+      x = lam12x / lamscale;
+      y = sbet12a / betscale;
+    } else {
+      const cbet12a = cbet2 * cbet1 - sbet2 * sbet1;
+      const bet12a = Math.atan2(sbet12a, cbet12a);
+      const { m12b } = lengths(g, g.n, Math.PI + bet12a, sbet1, -cbet1, 1, sbet2, cbet2, 1);
+      const m0 = A1m1f(g.n) - A2m1f(g.n);
+      x = -1 + m12b / (cbet1 * cbet2 * m0 * Math.PI);
+      const betscale = x < -0.01 ? sbet12a / x : -g.f * cbet1 * cbet1 * Math.PI;
+      lamscale = betscale / cbet1;
+      y = lam12x / lamscale;
+    }
+
+    if (y > -TOL1 && x > -1 - XTHRESH) {
+      if (g.f >= 0) {
+        salp1 = Math.min(1, -x);
+        calp1 = -Math.sqrt(1 - salp1 * salp1);
+      } else {
+        calp1 = Math.max(x > -TOL1 ? 0 : -1, x);
+        salp1 = Math.sqrt(1 - calp1 * calp1);
+      }
+    } else {
+      const k = astroid(x, y);
+      const omg12a = lamscale * (g.f >= 0 ? -x * k / (1 + k) : -y * (1 + k) / k);
+      somg12 = Math.sin(omg12a);
+      comg12 = -Math.cos(omg12a);
+      salp1 = cbet2 * somg12;
+      calp1 = sbet12a - cbet2 * sbet1 * somg12 * somg12 / (1 - comg12);
+    }
+  }
+
+  if (!(salp1 <= 0)) {
+    [salp1, calp1] = norm(salp1, calp1);
+  } else {
+    salp1 = 1;
+    calp1 = 0;
+  }
+  return { ...result, salp1, calp1 };
+}
+
+// Longitude difference for a trial azimuth α1 and its derivative
+function lambda12(g, sbet1, cbet1, dn1, sbet2, cbet2, dn2, salp1, calp1, slam120, clam120, diffp) {
+  if (sbet1 === 0 && calp1 === 0) calp1 = -TINY;
+
+  const salp0 = salp1 * cbet1;
+  const calp0 = hypot(calp1, salp1 * sbet1);
+
+  let ssig1 = sbet1;
+  const somg1 = salp0 * sbet1;
+  let csig1 = calp1 * cbet1;
+  const comg1 = csig1;
+  [ssig1, csig1] = norm(ssig1, csig1);
+
+  const salp2 = cbet2 !== cbet1 ? salp0 / cbet2 : salp1;
+  const calp2 = cbet2 !== cbet1 || Math.abs(sbet2) !== -sbet1
+    ? Math.sqrt(
+        (calp1 * cbet1) * (calp1 * cbet1) +
+        (cbet1 < -sbet1 ? (cbet2 - cbet1) * (cbet1 + cbet2) : (sbet1 - sbet2) * (sbet1 + sbet2))
+      ) / cbet2
+    : Math.abs(calp1);
+
+  let ssig2 = sbet2;
+  const somg2 = salp0 * sbet2;
+  let csig2 = calp2 * cbet2;
+  const comg2 = csig2;
+  [ssig2, csig2] = norm(ssig2, csig2);
+
+  const sig12 = Math.atan2(Math.max(0, csig1 * ssig2 - ssig1 * csig2), csig1 * csig2 + ssig1 * ssig2);
+  const somg12 = Math.max(0, comg1 * somg2 - somg1 * comg2);
+  const comg12 = comg1 * comg2 + somg1 * somg2;
+  const eta = Math.atan2(somg12 * clam120 - comg12 * slam120, comg12 * clam120 + somg12 * slam120);
+
+  const k2 = calp0 * calp0 * g.ep2;
+  const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+  const C3a = newSeries(ORDER);
+  C3f(g, eps, C3a);
+  const B312 = sinCosSeries(true, ssig2, csig2, C3a) - sinCosSeries(true, ssig1, csig1, C3a);
+  const lam12 = eta - g.f * A3f(g, eps) * salp0 * (sig12 + B312);
+
+  let dlam12;
+  if (diffp) {
+    if (calp2 === 0) {
+      dlam12 = -2 * g.f1 * dn1 / sbet1;
+    } else {
+      dlam12 = lengths(g, eps, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2).m12b * g.f1 / (calp2 * cbet2);
+    }
+  }
+
+  return { lam12, salp2, calp2, sig12, ssig1, csig1, ssig2, csig2, eps, dlam12 };
+}
+
+/**
+ * Solve the inverse geodesic problem
+ *
+ * The azimuth at point 2 is the forward azimuth (direction of travel);
+ * the back azimuth from point 2 to point 1 is 180° from it.
+ *
+ * @param {number} lat1 - Latitude of point 1 in degrees
+ * @param {number} lon1 - Longitude of point 1 in degrees
+ * @param {number} lat2 - Latitude of point 2 in degrees
+ * @param {number} lon2 - Longitude of point 2 in degrees
+ * @param {Object} ellipsoid - Reference ellipsoid {a, f}
+ * @returns {Object} - {distance, azimuth1, azimuth2, backAzimuth, arc}
+ */
+export function geodesicInverse(lat1, lon1, lat2, lon2, ellipsoid = ELLIPSOIDS.WGS84) {
+  const g = getGeodesic(ellipsoid);
+
+  let { d: lon12, e: lon12s } = angDiff(lon1, lon2);
+  let lonsign = copysign(1, lon12);
+  lon12 *= lonsign;
+  lon12s *= lonsign;
+  const lam12 = lon12 * DEGREE;
+  const { s: slam12, c: clam12 } = sincosde(lon12, lon12s);
+  lon12s = (180 - lon12) - lon12s;
+
+  lat1 = angRound(latFix(lat1));
+  lat2 = angRound(latFix(lat2));
+  if (Number.isNaN(lat1) || Number.isNaN(lat2)) {
+    throw new Error('Latitudes must be within ±90°');
+  }
+
+  // Put point 1 at the larger |latitude|, with latitude ≤ 0
+  const swapp = Math.abs(lat1) < Math.abs(lat2) ? -1 : 1;
+  if (swapp < 0) {
+    lonsign *= -1;
+    [lat1, lat2] = [lat2, lat1];
+  }
+  const latsign = copysign(1, -lat1);
+  lat1 *= latsign;
+  lat2 *= latsign;
+
+  let t = sincosd(lat1);
+  let [sbet1, cbet1] = norm(g.f1 * t.s, t.c);
+  cbet1 = Math.max(TINY, cbet1);
+  t = sincosd(lat2);
+  let [sbet2, cbet2] = norm(g.f1 * t.s, t.c);
+  cbet2 = Math.max(TINY, cbet2);
+
+  if (cbet1 < -sbet1) {
+    if (cbet2 === cbet1) sbet2 = copysign(sbet1, sbet2);
+  } else if (Math.abs(sbet2) === -sbet1) {
+    cbet2 = cbet1;
+  }
+
+  const dn1 = Math.sqrt(1 + g.ep2 * sbet1 * sbet1);
+  const dn2 = Math.sqrt(1 + g.ep2 * sbet2 * sbet2);
+
+  let salp1, calp1, salp2, calp2, sig12, s12x;
+  let meridian = lat1 === -90 || slam12 === 0;
+
+  if (meridian) {
+    // Along a meridian: α1 = λ12, α2 = 0
+    calp1 = clam12;
+    salp1 = slam12;
+    calp2 = 1;
+    salp2 = 0;
+    const ssig1 = sbet1;
+    const csig1 = calp1 * cbet1;
+    const ssig2 = sbet2;
+    const csig2 = calp2 * cbet2;
+    sig12 = Math.atan2(Math.max(0, csig1 * ssig2 - ssig1 * csig2), csig1 * csig2 + ssig1 * ssig2);
+    const { s12b, m12b } = lengths(g, g.n, sig12, ssig1, csig1, dn1, ssig2, csig2, dn2);
+    if (sig12 < 1 || m12b >= 0) {
+      if (sig12 < 3 * TINY || (sig12 < TOL0 && (s12b < 0 || m12b < 0))) {
+        sig12 = 0;
+        s12x = 0;
+      } else {
+        s12x = s12b * g.b;
+      }
+    } else {
+      // Past the conjugate point: not the shortest path
+      meridian = false;
+    }
+  }
+
+  if (!meridian && sbet1 === 0 && (g.f <= 0 || lon12s >= g.f * 180)) {
+    // Along the equator
+    calp1 = calp2 = 0;
+    salp1 = salp2 = 1;
+    s12x = g.a * lam12;
+    sig12 = lam12 / g.f1;
+  } else if (!meridian) {
+    const start = inverseStart(g, sbet1, cbet1, sbet2, cbet2, lam12, slam12, clam12);
+    ({ sig12, salp1, calp1 } = start);
+
+    if (sig12 >= 0) {
+      // Short line solved by the great ellipse
+      ({ salp2, calp2 } = start);
+      s12x = sig12 * g.b * start.dnm;
+    } else {
+      // Newton's method on α1, safeguarded by bisection
+      let salp1a = TINY, calp1a = 1, salp1b = TINY, calp1b = -1;
+      let tripn = false;
+      let tripb = false;
+      let v;
+      for (let numit = 0; ; ++numit) {
+        v = lambda12(g, sbet1, cbet1, dn1, sbet2, cbet2, dn2, salp1, calp1, slam12, clam12, numit < MAXIT1);
+        const dv = v.dlam12;
+        const residual = v.lam12;
+        if (tripb || !(Math.abs(residual) >= (tripn ? 8 : 1) * TOL0) || numit === MAXIT2) break;
+
+        if (residual > 0 && (numit < MAXIT1 || calp1 / salp1 > calp1b / salp1b)) {
+          salp1b = salp1;
+          calp1b = calp1;
+        } else if (residual < 0 && (numit < MAXIT1 || calp1 / salp1 < calp1a / salp1a)) {
+          salp1a = salp1;
+          calp1a = calp1;
+        }
+
+        if (numit < MAXIT1 && dv > 0) {
+          const dalp1 = -residual / dv;
+          if (Math.abs(dalp1) < Math.PI) {
+            const sdalp1 = Math.sin(dalp1);
+            const cdalp1 = Math.cos(dalp1);
+            const nsalp1 = salp1 * cdalp1 + calp1 * sdalp1;
+            if (nsalp1 > 0) {
+              [salp1, calp1] = norm(nsalp1, calp1 * cdalp1 - salp1 * sdalp1);
+              tripn = Math.abs(residual) <= 16 * TOL0;
+              continue;
+            }
+          }
+        }
+
+        [salp1, calp1] = norm((salp1a + salp1b) / 2, (calp1a + calp1b) / 2);
+        tripn = false;
+        tripb = Math.abs(salp1a - salp1) + (calp1a - calp1) < TOLB ||
+          Math.abs(salp1 - salp1b) + (calp1 - calp1b) < TOLB;
+      }
+
+      ({ salp2, calp2, sig12 } = v);
+      s12x = lengths(g, v.eps, sig12, v.ssig1, v.csig1, dn1, v.ssig2, v.csig2, dn2).s12b * g.b;
+    }
+  }
+
+  // Undo the swaps
+  if (swapp < 0) {
+    [salp1, salp2] = [salp2, salp1];
+    [calp1, calp2] = [calp2, calp1];
+  }
+  salp1 *= swapp * lonsign;
+  calp1 *= swapp * latsign;
+  salp2 *= swapp * lonsign;
+  calp2 *= swapp * latsign;
+
+  const azimuth1 = atan2d(salp1, calp1);
+  const azimuth2 = atan2d(salp2, calp2);
+  return {
+    distance: 0 + s12x,
+    azimuth1,
+    azimuth2,
+    backAzimuth: angNormalize(azimuth2 + 180),
+    arc: sig12 / DEGREE
+  };
+}
+
+// ============================================================
+// DIRECT PROBLEM
+// ============================================================
+
+/**
+ * Geodesic through a point with a given azimuth
+ *
+ * Returns a function giving the position at a distance along the line;
+ * with `unroll` the longitude keeps counting past ±180° so a plotted
+ * line does not jump at the antimeridian.
+ *
+ * @param {number} lat1 - Latitude in degrees
+ * @param {number} lon1 - Longitude in degrees
+ * @param {number} azimuth1 - Azimuth in degrees clockwise from north
+ * @param {Object} ellipsoid - Reference ellipsoid {a, f}
+ * @returns {Function} - (distance, unroll) → {lat, lon, azimuth}
+ */
+export function geodesicLine(lat1, lon1, azimuth1, ellipsoid = ELLIPSOIDS.WGS84) {
+  const g = getGeodesic(ellipsoid);
+  if (Number.isNaN(latFix(lat1))) {
+    throw new Error('Latitude must be within ±90°');
+  }
+
+  let t = sincosd(angRound(angNormalize(azimuth1)));
+  const salp1 = t.s;
+  const calp1 = t.c;
+  t = sincosd(angRound(latFix(lat1)));
+  let [sbet1, cbet1] = norm(g.f1 * t.s, t.c);
+  cbet1 = Math.max(TINY, cbet1);
+
+  const salp0 = salp1 * cbet1;
+  const calp0 = hypot(calp1, salp1 * sbet1);
+  const somg1 = salp0 * sbet1;
+  const comg1 = sbet1 !== 0 || calp1 !== 0 ? cbet1 * calp1 : 1;
+  const [ssig1, csig1] = norm(sbet1, comg1);
+
+  const k2 = calp0 * calp0 * g.ep2;
+  const eps = k2 / (2 * (1 + Math.sqrt(1 + k2)) + k2);
+  const A1m1 = A1m1f(eps);
+  const C1a = newSeries(ORDER + 1);
+  const C1pa = newSeries(ORDER + 1);
+  const C3a = newSeries(ORDER);
+  fillSeries(C1_COEFF, eps, C1a);
+  fillSeries(C1P_COEFF, eps, C1pa);
+  C3f(g, eps, C3a);
+
+  const B11 = sinCosSeries(true, ssig1, csig1, C1a);
+  const s = Math.sin(B11);
+  const c = Math.cos(B11);
+  const stau1 = ssig1 * c + csig1 * s;
+  const ctau1 = csig1 * c - ssig1 * s;
+  const A3c = -g.f * salp0 * A3f(g, eps);
+  const B31 = sinCosSeries(true, ssig1, csig1, C3a);
+  const lon1n = angNormalize(lon1);
+
+  return (distance, unroll = false) => {
+    // Arc length σ12 from the distance by reverting the series
+    const tau12 = distance / (g.b * (1 + A1m1));
+    const st = Math.sin(tau12);
+    const ct = Math.cos(tau12);
+    const B12t = -sinCosSeries(true, stau1 * ct + ctau1 * st, ctau1 * ct - stau1 * st, C1pa);
+    let sig12 = tau12 - (B12t - B11);
+    let ssig12 = Math.sin(sig12);
+    let csig12 = Math.cos(sig12);
+    if (Math.abs(g.f) > 0.01) {
+      // One Newton step for strongly flattened ellipsoids
+      const ssig2 = ssig1 * csig12 + csig1 * ssig12;
+      const csig2 = csig1 * csig12 - ssig1 * ssig12;
+      const B12 = sinCosSeries(true, ssig2, csig2, C1a);
+      const serr = (1 + A1m1) * (sig12 + (B12 - B11)) - distance / g.b;
+      sig12 -= serr / Math.sqrt(1 + k2 * ssig2 * ssig2);
+      ssig12 = Math.sin(sig12);
+      csig12 = Math.cos(sig12);
+    }
+
+    const ssig2 = ssig1 * csig12 + csig1 * ssig12;
+    let csig2 = csig1 * csig12 - ssig1 * ssig12;
+    const sbet2 = calp0 * ssig2;
+    let cbet2 = hypot(salp0, calp0 * csig2);
+    if (cbet2 === 0) {
+      cbet2 = csig2 = TINY;
+    }
+    const salp2 = salp0;
+    const calp2 = calp0 * csig2;
+
+    const somg2 = salp0 * ssig2;
+    const comg2 = csig2;
+    const E = copysign(1, salp0);
+    const omg12 = E * (sig12 -
+      (Math.atan2(ssig2, csig2) - Math.atan2(ssig1, csig1)) +
+      (Math.atan2(E * somg2, comg2) - Math.atan2(E * somg1, comg1)));
+    const lam12 = omg12 + A3c * (sig12 + (sinCosSeries(true, ssig2, csig2, C3a) - B31));
+    const lon12 = lam12 / DEGREE;
+
+    return {
+      lat: atan2d(sbet2, g.f1 * cbet2),
+      lon: unroll ? lon1 + lon12 : angNormalize(lon1n + angNormalize(lon12)),
+      azimuth: atan2d(salp2, calp2)
+    };
+  };
+}
+
+/**
+ * Solve the direct geodesic problem
+ * @param {number} lat1 - Latitude of the start point in degrees
+ * @param {number} lon1 - Longitude of the start point in degrees
+ * @param {number} azimuth1 - Azimuth at the start point in degrees
+ * @param {number} distance - Distance along the geodesic in metres
+ * @param {Object} ellipsoid - Reference ellipsoid {a, f}
+ * @returns {Object} - {lat2, lon2, azimuth2, backAzimuth}
+ */
+export function geodesicDirect(lat1, lon1, azimuth1, distance, ellipsoid = ELLIPSOIDS.WGS84) {
+  const { lat, lon, azimuth } = geodesicLine(lat1, lon1, azimuth1, ellipsoid)(distance);
+  return {
+    lat2: lat,
+    lon2: lon,
+    azimuth2: azimuth,
+    backAzimuth: angNormalize(azimuth + 180)
+  };
+}
+
+/**
+ * Points along a geodesic for plotting
+ *
+ * Longitudes are unrolled so the line is continuous across the
+ * antimeridian.
+ *
+ * @param {number} lat1 - Start latitude in degrees
+ * @param {number} lon1 - Start longitude in degrees
+ * @param {number} azimuth1 - Start azimuth in degrees
+ * @param {number} distance - Length in metres
+ * @param {Object} ellipsoid - Reference ellipsoid {a, f}
+ * @param {number} segments - Number of segments
+ * @returns {Array<Array<number>>} - [[lat, lon], ...]
+ */
+export function geodesicPath(lat1, lon1, azimuth1, distance, ellipsoid = ELLIPSOIDS.WGS84, segments = 100) {
+  const position = geodesicLine(lat1, lon1, azimuth1, ellipsoid);
+  const path = [];
+  for (let i = 0; i <= segments; i++) {
+    const { lat, lon } = position(distance * i / segments, true);
+    path.push([lat, lon]);
+  }
+  return path;
+}
+
+export default geodesicInverse;
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { geodesicInverse, geodesicDirect } from './geodesic';
+
+// Worked examples from Karney (2013), Algorithms for geodesics, on WGS84
+
+describe('geodesicDirect', () => {
+  it('solves the direct example (φ1 = 40°, α1 = 30°, s12 = 10 000 km)', () => {
+    const result = geodesicDirect(40, 0, 30, 10000000);
+    expect(result.lat2).toBeCloseTo(41.79331020506, 10);
+    expect(result.lon2).toBeCloseTo(137.84490004377, 10);
+    expect(result.azimuth2).toBeCloseTo(149.09016931807, 10);
+  });
+});
+
+describe('geodesicInverse', () => {
+  it('solves the short-line example', () => {
+    const result = geodesicInverse(-30.12345, 0, -30.12344, 0.00005);
+    expect(result.distance).toBeCloseTo(4.944208, 6);
+    expect(result.azimuth1).toBeCloseTo(77.043533542, 8);
+    expect(result.azimuth2).toBeCloseTo(77.043508449, 8);
+  });
+
+  it('solves the nearly antipodal example', () => {
+    const result = geodesicInverse(-30, 0, 29.9, 179.8);
+    expect(result.distance).toBeCloseTo(19989832.82761, 4);
+    expect(result.azimuth1).toBeCloseTo(161.890524736, 8);
+    expect(result.azimuth2).toBeCloseTo(18.090737246, 8);
+  });
+
+  it('is undone by the direct problem', () => {
+    const inverse = geodesicInverse(41.0082, 28.9784, 39.9334, 32.8597);
+    const direct = geodesicDirect(41.0082, 28.9784, inverse.azimuth1, inverse.distance);
+    expect(direct.lat2).toBeCloseTo(39.9334, 11);
+    expect(direct.lon2).toBeCloseTo(32.8597, 11);
+    expect(direct.azimuth2).toBeCloseTo(inverse.azimuth2, 10);
+  });
+});
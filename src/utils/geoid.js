@@ -1,8 +1,15 @@
 /**
- * Geoid Undulation Approximation
+ * Geoid Undulation Models
  * 
- * This module provides approximate geoid undulation values.
- * For high-precision applications, use EGM96 or EGM2008 grid files.
+ * This module provides geoid undulation values from gridded geoid models
+ * (EGM96, EGM2008, national models) loaded from disk, and approximate
+ * formulas for demonstration when no grid is available.
+ * 
+ * Supported grid formats:
+ * - GTX (NOAA/PROJ binary)
+ * - ISG (International Service for the Geoid, ASCII)
+ * - EGM .grd (NGA ASCII, e.g. WW15MGH.GRD)
+ * - PGM (GeographicLib 16-bit, e.g. egm2008-2_5.pgm)
  * 
  * Geoid undulation (N) is the height of the geoid above the reference ellipsoid.
  * The relationship between heights:
@@ -116,9 +123,567 @@ export const GeoidModels = {
   }
 };
 
+// ============================================================
+// GRIDDED GEOID MODELS
+// ============================================================
+
+const TILE_SIZE = 64;
+const MAX_CACHED_TILES = 256;
+
+/**
+ * Create a geoid grid with a tile cache
+ * 
+ * Nodes are addressed by (row, col) with row 0 at latMin and col 0 at
+ * lonMin. Values are decoded from the file on demand, one tile of
+ * 64 × 64 nodes at a time, and the most recently used tiles are kept.
+ * `source` is plain data that rebuilds the grid in another thread (see
+ * restoreGeoidGrid).
+ * 
+ * @param {Object} definition - {name, format, latMin, lonMin, dLat, dLon,
+ *   rows, cols, readValue(row, col), source}
+ * @returns {Object} - Geoid grid
+ */
+export function createGeoidGrid(definition) {
+  const { rows, cols, dLat, dLon, readValue } = definition;
+  const tiles = new Map();
+  
+  // Global grids wrap around in longitude
+  const lonPeriod = Math.round(360 / dLon);
+  const isGlobal = cols >= lonPeriod;
+  
+  const getTile = (tileRow, tileCol) => {
+    const key = `${tileRow}:${tileCol}`;
+    let tile = tiles.get(key);
+    
+    if (tile) {
+      // Move to the end (most recently used)
+      tiles.delete(key);
+      tiles.set(key, tile);
+      return tile;
+    }
+    
+    tile = new Float32Array(TILE_SIZE * TILE_SIZE).fill(NaN);
+    const rowStart = tileRow * TILE_SIZE;
+    const colStart = tileCol * TILE_SIZE;
+    
+    for (let r = 0; r < TILE_SIZE && rowStart + r < rows; r++) {
+      for (let c = 0; c < TILE_SIZE && colStart + c < cols; c++) {
+        tile[r * TILE_SIZE + c] = readValue(rowStart + r, colStart + c);
+      }
+    }
+    
+    tiles.set(key, tile);
+    if (tiles.size > MAX_CACHED_TILES) {
+      tiles.delete(tiles.keys().next().value);
+    }
+    
+    return tile;
+  };
+  
+  const getNode = (row, col) => {
+    if (isGlobal) {
+      col = ((col % lonPeriod) + lonPeriod) % lonPeriod;
+    }
+    if (row < 0 || row >= rows || col < 0 || col >= cols) {
+      return NaN;
+    }
+    const tile = getTile(Math.floor(row / TILE_SIZE), Math.floor(col / TILE_SIZE));
+    return tile[(row % TILE_SIZE) * TILE_SIZE + (col % TILE_SIZE)];
+  };
+  
+  return {
+    name: definition.name,
+    format: definition.format,
+    info: guessGeoidModelInfo(definition.name),
+    latMin: definition.latMin,
+    lonMin: definition.lonMin,
+    dLat,
+    dLon,
+    rows,
+    cols,
+    isGlobal,
+    extent: {
+      south: definition.latMin,
+      north: definition.latMin + (rows - 1) * dLat,
+      west: definition.lonMin,
+      east: definition.lonMin + (cols - 1) * dLon
+    },
+    getNode,
+    getCachedTileCount: () => tiles.size,
+    source: definition.source
+  };
+}
+
+/**
+ * Create a geoid grid on values stored from north to south, west to east
+ * 
+ * @param {Object} definition - {name, format, latMin, lonMin, dLat, dLon, rows, cols}
+ * @param {Float32Array} values - Node values, NaN where missing
+ * @returns {Object} - Geoid grid
+ */
+function createValueGrid(definition, values) {
+  const { rows, cols } = definition;
+  return createGeoidGrid({
+    ...definition,
+    readValue: (row, col) => values[(rows - 1 - row) * cols + col],
+    source: { kind: 'values', definition, values }
+  });
+}
+
+/**
+ * Rebuild a geoid grid from its `source`
+ * 
+ * Grids are posted to batch workers this way; the tile cache and the
+ * readers are not transferable.
+ * 
+ * @param {Object} source - The `source` of a geoid grid
+ * @returns {Object} - Geoid grid
+ */
+export function restoreGeoidGrid(source) {
+  if (source.kind === 'values') {
+    return createValueGrid(source.definition, source.values);
+  }
+  return source.kind === 'GTX' ? parseGTX(source.buffer, source.name) : parsePGM(source.buffer, source.name);
+}
+
+/**
+ * Match a file name with the model descriptions in GeoidModels
+ * @param {string} name - File or model name
+ * @returns {Object|null}
+ */
+function guessGeoidModelInfo(name) {
+  const normalized = name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (normalized.includes('EGM2008')) return GeoidModels.EGM2008;
+  if (normalized.includes('EGM96') || normalized.includes('WW15MGH')) return GeoidModels.EGM96;
+  if (normalized.includes('TG03')) return GeoidModels.TG_03;
+  return null;
+}
+
+/**
+ * Parse a GTX grid (big-endian binary)
+ * 
+ * Header (40 bytes): lower-left latitude, lower-left longitude, latitude
+ * and longitude spacing (float64, degrees), rows and columns (int32).
+ * Values (float32, meters) run west to east, rows south to north.
+ * 
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} name - Model name
+ * @returns {Object} - Geoid grid
+ */
+export function parseGTX(buffer, name = 'GTX') {
+  const view = new DataView(buffer);
+  const rows = view.getInt32(32, false);
+  const cols = view.getInt32(36, false);
+  
+  if (rows <= 0 || cols <= 0 || buffer.byteLength < 40 + rows * cols * 4) {
+    throw new Error('Not a valid GTX file');
+  }
+  
+  return createGeoidGrid({
+    name,
+    format: 'GTX',
+    latMin: view.getFloat64(0, false),
+    lonMin: view.getFloat64(8, false),
+    dLat: view.getFloat64(16, false),
+    dLon: view.getFloat64(24, false),
+    rows,
+    cols,
+    readValue: (row, col) => {
+      const value = view.getFloat32(40 + (row * cols + col) * 4, false);
+      // -88.8888 marks missing values
+      return Math.abs(value + 88.8888) < 1e-4 ? NaN : value;
+    },
+    source: { kind: 'GTX', name, buffer }
+  });
+}
+
+/**
+ * Parse an angle from an ISG header (decimal degrees or D°M'S")
+ * @param {string} text
+ * @returns {number}
+ */
+function parseISGAngle(text) {
+  const dms = text.match(/^(-?)(\d+)°\s*(\d+)'\s*([\d.]+)"?$/);
+  if (dms) {
+    const value = parseInt(dms[2]) + parseInt(dms[3]) / 60 + parseFloat(dms[4]) / 3600;
+    return dms[1] === '-' ? -value : value;
+  }
+  return parseFloat(text);
+}
+
+/**
+ * Read whitespace-separated numbers from an ASCII grid
+ * 
+ * Values go straight into the typed array, so a grid with millions of
+ * nodes never exists as a list of strings or JS numbers.
+ * 
+ * @param {string} text - File contents
+ * @param {number} start - Offset of the first value
+ * @param {Float32Array|Float64Array} values - Array to fill
+ * @returns {Object} - {count, end}: values read, offset after the last one
+ */
+function readAsciiValues(text, start, values) {
+  const token = /\S+/g;
+  token.lastIndex = start;
+  let count = 0;
+  let match;
+  while (count < values.length && (match = token.exec(text))) {
+    values[count++] = Number(match[0]);
+  }
+  return { count, end: match ? token.lastIndex : text.length };
+}
+
+/**
+ * Parse an ISG geoid grid (ASCII)
+ * 
+ * The header between begin_of_head and end_of_head holds key = value
+ * pairs; data rows follow from north to south, west to east.
+ * 
+ * @param {string} text - File contents
+ * @param {string} name - Model name
+ * @returns {Object} - Geoid grid
+ */
+export function parseISG(text, name = 'ISG') {
+  const headEnd = text.indexOf('end_of_head');
+  if (headEnd < 0) {
+    throw new Error('Not a valid ISG file (missing end_of_head)');
+  }
+  
+  const header = {};
+  for (const line of text.slice(0, headEnd).split('\n')) {
+    const match = line.match(/^\s*([a-z_ ]+?)\s*[=:]\s*(.+?)\s*$/i);
+    if (match) {
+      header[match[1].toLowerCase().replace(/\s+/g, '_')] = match[2];
+    }
+  }
+  
+  const latMin = parseISGAngle(header.lat_min);
+  const latMax = parseISGAngle(header.lat_max);
+  const lonMin = parseISGAngle(header.lon_min);
+  const dLat = parseISGAngle(header.delta_lat);
+  const dLon = parseISGAngle(header.delta_lon);
+  const rows = parseInt(header.nrows) || Math.round((latMax - latMin) / dLat) + 1;
+  const cols = parseInt(header.ncols) || Math.round((parseISGAngle(header.lon_max) - lonMin) / dLon) + 1;
+  const nodata = header.nodata !== undefined ? parseFloat(header.nodata) : -9999;
+  
+  // Cell-registered grids store values at cell centres
+  const cellRegistered = /cell/i.test(header.data_format || '') || /cell/i.test(header.grid_registration || '');
+  const latOrigin = cellRegistered ? latMin + dLat / 2 : latMin;
+  const lonOrigin = cellRegistered ? lonMin + dLon / 2 : lonMin;
+  
+  const dataStart = text.indexOf('\n', headEnd);
+  const values = new Float32Array(rows * cols);
+  const { count } = readAsciiValues(text, dataStart < 0 ? text.length : dataStart, values);
+  
+  if (count < rows * cols) {
+    throw new Error(`ISG file has ${count} values, expected ${rows * cols}`);
+  }
+  
+  // Compare in single precision, as the values are stored
+  const missing = Math.fround(nodata);
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === missing) values[i] = NaN;
+  }
+  
+  // File rows run north to south
+  return createValueGrid({
+    name,
+    format: 'ISG',
+    latMin: latOrigin,
+    lonMin: lonOrigin,
+    dLat,
+    dLon,
+    rows,
+    cols
+  }, values);
+}
+
+/**
+ * Parse an NGA EGM ASCII grid (e.g. WW15MGH.GRD)
+ * 
+ * First line: south, north, west, east, latitude and longitude spacing
+ * in degrees. Values follow from north to south, west to east.
+ * 
+ * @param {string} text - File contents
+ * @param {string} name - Model name
+ * @returns {Object} - Geoid grid
+ */
+export function parseEGMGrid(text, name = 'EGM') {
+  const header = new Float64Array(6);
+  const { end } = readAsciiValues(text, 0, header);
+  const [south, north, west, east, dLat, dLon] = header;
+  const rows = Math.round((north - south) / dLat) + 1;
+  const cols = Math.round((east - west) / dLon) + 1;
+  
+  if (!(rows > 1 && cols > 1)) {
+    throw new Error('Not a valid EGM grid file');
+  }
+  
+  const values = new Float32Array(rows * cols);
+  if (readAsciiValues(text, end, values).count < rows * cols) {
+    throw new Error('Not a valid EGM grid file');
+  }
+  
+  return createValueGrid({
+    name,
+    format: 'EGM GRD',
+    latMin: south,
+    lonMin: west,
+    dLat,
+    dLon,
+    rows,
+    cols
+  }, values);
+}
+
+/**
+ * Parse a GeographicLib geoid PGM image
+ * 
+ * 16-bit big-endian PGM (P5) covering the globe from 90°N southwards and
+ * from 0°E eastwards. N = Offset + Scale × value, with Offset and Scale
+ * given as header comments.
+ * 
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} name - Model name
+ * @returns {Object} - Geoid grid
+ */
+export function parsePGM(buffer, name = 'PGM') {
+  const bytes = new Uint8Array(buffer);
+  
+  // Read the ASCII header token by token
+  let pos = 0;
+  let offset = 0;
+  let scale = 1;
+  const tokens = [];
+  
+  while (tokens.length < 4 && pos < bytes.length) {
+    if (bytes[pos] === 35) { // '#': comment line
+      let end = pos;
+      while (end < bytes.length && bytes[end] !== 10) end++;
+      const comment = String.fromCharCode(...bytes.subarray(pos + 1, end)).trim();
+      const match = comment.match(/^(Offset|Scale)\s+(\S+)/);
+      if (match && match[1] === 'Offset') offset = parseFloat(match[2]);
+      if (match && match[1] === 'Scale') scale = parseFloat(match[2]);
+      pos = end + 1;
+    } else if (bytes[pos] <= 32) {
+      pos++;
+    } else {
+      let end = pos;
+      while (end < bytes.length && bytes[end] > 32) end++;
+      tokens.push(String.fromCharCode(...bytes.subarray(pos, end)));
+      pos = end;
+    }
+  }
+  
+  // Single whitespace character before the binary data
+  pos++;
+  
+  const [magic, width, height] = [tokens[0], parseInt(tokens[1]), parseInt(tokens[2])];
+  if (magic !== 'P5' || !(width > 0 && height > 0)) {
+    throw new Error('Not a valid geoid PGM file');
+  }
+  
+  const view = new DataView(buffer, pos);
+  
+  return createGeoidGrid({
+    name,
+    format: 'PGM',
+    latMin: -90,
+    lonMin: 0,
+    dLat: 180 / (height - 1),
+    dLon: 360 / width,
+    rows: height,
+    cols: width,
+    // Image rows run north to south
+    readValue: (row, col) => {
+      const raw = view.getUint16(((height - 1 - row) * width + col) * 2, false);
+      return offset + scale * raw;
+    },
+    source: { kind: 'PGM', name, buffer }
+  });
+}
+
+/**
+ * Cubic convolution kernel weights (Keys, a = -0.5)
+ * @param {number} t - Fractional position between nodes 1 and 2
+ * @returns {Array<number>} - Weights for nodes 0..3
+ */
+function cubicWeights(t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return [
+    -0.5 * t3 + t2 - 0.5 * t,
+    1.5 * t3 - 2.5 * t2 + 1,
+    -1.5 * t3 + 2 * t2 + 0.5 * t,
+    0.5 * t3 - 0.5 * t2
+  ];
+}
+
+/**
+ * Interpolate the geoid undulation from a grid
+ * 
+ * @param {Object} grid - Geoid grid
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {string} method - 'bilinear' or 'bicubic'
+ * @returns {number|null} - N in meters, null if outside the grid
+ */
+export function interpolateGeoidGrid(grid, lat, lon, method = 'bilinear') {
+  const y = (lat - grid.latMin) / grid.dLat;
+  let dx = lon - grid.lonMin;
+  dx = ((dx % 360) + 360) % 360;
+  const x = dx / grid.dLon;
+  
+  if (y < 0 || y > grid.rows - 1 || (!grid.isGlobal && x > grid.cols - 1)) {
+    return null;
+  }
+  
+  const i = grid.isGlobal ? Math.floor(x) : Math.min(Math.floor(x), grid.cols - 2);
+  const j = Math.min(Math.floor(y), grid.rows - 2);
+  const fx = x - i;
+  const fy = y - j;
+  
+  let value;
+  
+  if (method === 'bicubic' && j >= 1 && j + 2 < grid.rows
+      && (grid.isGlobal || (i >= 1 && i + 2 < grid.cols))) {
+    const wx = cubicWeights(fx);
+    const wy = cubicWeights(fy);
+    value = 0;
+    for (let m = 0; m < 4; m++) {
+      let rowValue = 0;
+      for (let n = 0; n < 4; n++) {
+        rowValue += wx[n] * grid.getNode(j - 1 + m, i - 1 + n);
+      }
+      value += wy[m] * rowValue;
+    }
+  } else {
+    // Bilinear (also used near the grid edges for bicubic requests)
+    const v00 = grid.getNode(j, i);
+    const v10 = grid.getNode(j, i + 1);
+    const v01 = grid.getNode(j + 1, i);
+    const v11 = grid.getNode(j + 1, i + 1);
+    value = (1 - fx) * (1 - fy) * v00 + fx * (1 - fy) * v10
+          + (1 - fx) * fy * v01 + fx * fy * v11;
+  }
+  
+  return Number.isNaN(value) ? null : value;
+}
+
+// ============================================================
+// GEOID MODEL REGISTRY
+// ============================================================
+
+const loadedGeoids = new Map();
+
+/**
+ * Built-in approximate models (no file needed)
+ */
+export const APPROXIMATE_GEOID_MODELS = {
+  APPROX_GLOBAL: {
+    name: 'Approximate (global)',
+    compute: approximateGeoidUndulation
+  },
+  APPROX_TURKEY: {
+    name: 'Approximate (Turkey)',
+    compute: turkeyGeoidUndulation
+  }
+};
+
+/**
+ * Register a loaded geoid grid
+ * @param {Object} grid - Geoid grid
+ */
+export function registerGeoidModel(grid) {
+  loadedGeoids.set(grid.name, grid);
+}
+
+/**
+ * Remove a loaded geoid grid
+ * @param {string} name - Model name
+ */
+export function unregisterGeoidModel(name) {
+  loadedGeoids.delete(name);
+}
+
+/**
+ * Get all loaded geoid grids
+ * @returns {Array}
+ */
+export function getGeoidModels() {
+  return Array.from(loadedGeoids.values());
+}
+
+/**
+ * Load a geoid grid file chosen in a file picker
+ * 
+ * The format is chosen from the extension: .gtx, .isg, .grd, .pgm.
+ * The loaded model is registered under the file's base name.
+ * 
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} - Geoid grid
+ */
+export async function loadGeoidFile(file) {
+  const match = file.name.match(/^(.*)\.(gtx|isg|grd|pgm)$/i);
+  if (!match) {
+    throw new Error(`Unsupported geoid file: ${file.name}`);
+  }
+  
+  const [, baseName, extension] = match;
+  let grid;
+  
+  switch (extension.toLowerCase()) {
+    case 'gtx':
+      grid = parseGTX(await file.arrayBuffer(), baseName);
+      break;
+    case 'pgm':
+      grid = parsePGM(await file.arrayBuffer(), baseName);
+      break;
+    case 'isg':
+      grid = parseISG(await file.text(), baseName);
+      break;
+    default:
+      grid = parseEGMGrid(await file.text(), baseName);
+  }
+  
+  registerGeoidModel(grid);
+  return grid;
+}
+
+/**
+ * Get the geoid undulation at a point from a loaded or built-in model
+ * 
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {string} modelName - Loaded grid name or APPROXIMATE_GEOID_MODELS key
+ * @param {string} interpolation - 'bilinear' or 'bicubic' (grids only)
+ * @returns {Object|null} - {N, model, interpolation}, null if outside the model
+ */
+export function getGeoidUndulation(lat, lon, modelName, interpolation = 'bilinear') {
+  const approximate = APPROXIMATE_GEOID_MODELS[modelName];
+  if (approximate) {
+    return {
+      N: approximate.compute(lat, lon),
+      model: approximate.name,
+      interpolation: 'formula'
+    };
+  }
+  
+  const grid = loadedGeoids.get(modelName);
+  if (!grid) {
+    throw new Error(`Geoid model not loaded: ${modelName}`);
+  }
+  
+  const N = interpolateGeoidGrid(grid, lat, lon, interpolation);
+  if (N === null) return null;
+  
+  return { N, model: grid.name, interpolation };
+}
+
 export default {
   approximateGeoidUndulation,
   turkeyGeoidUndulation,
+  getGeoidUndulation,
   HeightSystems,
   GeoidModels
 };
@@ -0,0 +1,146 @@
+/**
+ * Grid Scale Factors and Convergence
+ *
+ * Point scale, meridian convergence and distortion of any projection
+ * are computed from the partial derivatives of the projection itself
+ * (central differences through proj4), so UTM, the Turkish TM zones and
+ * custom CRSs are all handled the same way and agree with the
+ * coordinates they produce.
+ *
+ * Ground distances are reduced to the grid with the combined factor:
+ *   grid = ground × k × R / (R + h)
+ * where k is the point scale, R the Gaussian mean radius and h the
+ * ellipsoidal height.
+ *
+ * Reference: Snyder, Map Projections - A Working Manual, §4;
+ * PROJ proj_factors
+ */
+
+import { DATUMS } from './datums';
+import { ELLIPSOIDS, radiusOfCurvatureM, radiusOfCurvatureN } from './ellipsoids';
+import { projectCoordinates } from './transformations';
+
+// Half step of the central differences in degrees (~1 m)
+const DIFFERENCE_STEP = 1e-5;
+
+// Maximum angular distortion below which a projection counts as conformal
+const CONFORMAL_TOLERANCE = 1e-6;
+
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * Partial derivatives of a projection at a point
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {string} crs - Projected CRS (proj4 code or definition)
+ * @returns {Object} - {xPhi, yPhi, xLam, yLam} in metres per radian
+ */
+function projectionDerivatives(lat, lon, crs) {
+  // Keep the latitude step inside ±90°
+  const latStep = Math.min(DIFFERENCE_STEP, (90 - Math.abs(lat)) / 2) || DIFFERENCE_STEP;
+  const north = projectCoordinates(lat + latStep, lon, crs);
+  const south = projectCoordinates(lat - latStep, lon, crs);
+  const east = projectCoordinates(lat, lon + DIFFERENCE_STEP, crs);
+  const west = projectCoordinates(lat, lon - DIFFERENCE_STEP, crs);
+  const dPhi = 2 * latStep * DEG2RAD;
+  const dLam = 2 * DIFFERENCE_STEP * DEG2RAD;
+
+  return {
+    xPhi: (north.easting - south.easting) / dPhi,
+    yPhi: (north.northing - south.northing) / dPhi,
+    xLam: (east.easting - west.easting) / dLam,
+    yLam: (east.northing - west.northing) / dLam
+  };
+}
+
+/**
+ * Elevation factor R / (R + h)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} h - Ellipsoidal height in metres
+ * @param {Object} ellipsoid - Reference ellipsoid
+ * @returns {Object} - {factor, radius}
+ */
+export function getElevationFactor(lat, h, ellipsoid) {
+  const phi = lat * DEG2RAD;
+  const radius = Math.sqrt(radiusOfCurvatureM(phi, ellipsoid) * radiusOfCurvatureN(phi, ellipsoid));
+  return { factor: radius / (radius + h), radius };
+}
+
+/**
+ * Scale factors, convergence and distortion of a projection at a point
+ *
+ * Convergence is the angle from true north to grid north, positive
+ * clockwise (east of the central meridian in the northern hemisphere
+ * for transverse Mercator); grid bearing = azimuth − convergence.
+ *
+ * @param {number} lat - Latitude in degrees (on the projection's datum)
+ * @param {number} lon - Longitude in degrees
+ * @param {number} h - Ellipsoidal height in metres
+ * @param {string} crs - Projected CRS (proj4 code or definition)
+ * @param {string} datum - Datum of the projection (for its ellipsoid)
+ * @returns {Object} - {scale, meridianScale, parallelScale, arealScale,
+ *   angularDistortion, conformal, convergence, elevationFactor, radius,
+ *   combinedFactor}
+ * @throws {Error} - When the projection is undefined at the point
+ */
+export function getGridFactors(lat, lon, h, crs, datum) {
+  const ellipsoid = ELLIPSOIDS[DATUMS[datum]?.ellipsoid] || ELLIPSOIDS.WGS84;
+  const phi = lat * DEG2RAD;
+  const M = radiusOfCurvatureM(phi, ellipsoid);
+  const N = radiusOfCurvatureN(phi, ellipsoid);
+  const { xPhi, yPhi, xLam, yLam } = projectionDerivatives(lat, lon, crs);
+
+  // Tissot indicatrix
+  const meridianScale = Math.hypot(xPhi, yPhi) / M;
+  const parallelScale = Math.hypot(xLam, yLam) / (N * Math.cos(phi));
+  const arealScale = (yPhi * xLam - xPhi * yLam) / (M * N * Math.cos(phi));
+  const sumAxes = Math.sqrt(Math.max(0, meridianScale ** 2 + parallelScale ** 2 + 2 * arealScale));
+  const diffAxes = Math.sqrt(Math.max(0, meridianScale ** 2 + parallelScale ** 2 - 2 * arealScale));
+  const angularDistortion = 2 * Math.asin(Math.min(1, diffAxes / sumAxes));
+  const conformal = angularDistortion < CONFORMAL_TOLERANCE;
+
+  // Direction-independent point scale for conformal projections; the
+  // geometric mean of the axes otherwise
+  const scale = conformal ? (meridianScale + parallelScale) / 2 : Math.sqrt(Math.abs(arealScale));
+  const convergence = -Math.atan2(xPhi, yPhi) / DEG2RAD;
+
+  if (![scale, convergence].every(Number.isFinite)) {
+    throw new Error('Scale factor is undefined at this point (outside the projection?)');
+  }
+
+  const elevation = getElevationFactor(lat, h || 0, ellipsoid);
+  return {
+    scale,
+    meridianScale,
+    parallelScale,
+    arealScale,
+    angularDistortion: angularDistortion / DEG2RAD,
+    conformal,
+    convergence,
+    elevationFactor: elevation.factor,
+    radius: elevation.radius,
+    combinedFactor: scale * elevation.factor
+  };
+}
+
+/**
+ * Reduce a ground distance to the grid
+ * @param {number} distance - Horizontal ground distance in metres
+ * @param {Object} factors - From getGridFactors
+ * @returns {number} - Grid distance in metres
+ */
+export function groundToGrid(distance, factors) {
+  return distance * factors.combinedFactor;
+}
+
+/**
+ * Expand a grid distance to the ground
+ * @param {number} distance - Grid distance in metres
+ * @param {Object} factors - From getGridFactors
+ * @returns {number} - Ground distance in metres
+ */
+export function gridToGround(distance, factors) {
+  return distance / factors.combinedFactor;
+}
+
+export default getGridFactors;
@@ -0,0 +1,431 @@
+/**
+ * Grid-Shift Transformations (NTv2 and NADCON)
+ * 
+ * Grid-based datum transformations model the distortions of old
+ * triangulation networks that a single set of Helmert parameters cannot
+ * capture. The shift in latitude and longitude is tabulated on a regular
+ * grid and interpolated bilinearly at the point:
+ * 
+ * φ' = φ + Δφ(φ, λ)
+ * λ' = λ + Δλ(φ, λ)
+ * 
+ * Supported formats:
+ * - NTv2 (.gsb): Canada, Australia, OSTN15 (NTv2 variant), ...
+ * - NADCON (.las + .los): NAD27 → NAD83 for the USA
+ * 
+ * Heights are not changed by a horizontal grid shift.
+ * 
+ * Reference: NTv2 Developer's Guide (Geodetic Survey of Canada),
+ *            NADCON documentation (NOAA/NGS)
+ */
+
+import { DATUMS } from './datums';
+
+const NTV2_RECORD = 16;
+
+/**
+ * Read an 8-character, space padded header string
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {string}
+ */
+function readString(view, offset, length = 8) {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text.replace(/\0/g, '').trim();
+}
+
+/**
+ * Guess the DATUMS key that matches a system name from a grid header
+ * 
+ * Systems without a matching datum (e.g. GDA94) are left unset so the
+ * user picks one in GridShiftManager.
+ * 
+ * @param {string} system - e.g. 'NAD27', 'OSGB36', 'ETRS89'
+ * @returns {string|null}
+ */
+export function guessDatumKey(system) {
+  if (!system) return null;
+  const normalized = system.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+  for (const [key, datum] of Object.entries(DATUMS)) {
+    const keyNorm = key.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const nameNorm = datum.name.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const fullNameNorm = (datum.fullName || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (normalized === keyNorm || normalized === nameNorm || normalized === fullNameNorm) {
+      return key;
+    }
+  }
+
+  if (normalized.startsWith('NAD83') || normalized.startsWith('CSRS')) return 'NAD83';
+  if (normalized.startsWith('ETRF')) return 'ETRS89';
+
+  return null;
+}
+
+/**
+ * Parse an NTv2 grid shift file (.gsb)
+ * 
+ * Node order in the file: starting at the south-east corner, westward
+ * along each row, rows from south to north. Longitudes and longitude
+ * shifts are positive west, all angles are in arc-seconds.
+ * 
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} name - Grid name
+ * @returns {Object} - Grid definition
+ */
+export function parseNTv2(buffer, name = 'NTv2') {
+  const view = new DataView(buffer);
+
+  // NUM_OREC is 11 - use it to detect byte order
+  const littleEndian = view.getInt32(8, true) === 11;
+
+  const readHeader = (offset, count) => {
+    const header = {};
+    for (let i = 0; i < count; i++) {
+      const base = offset + i * NTV2_RECORD;
+      const key = readString(view, base);
+      header[key] = { base: base + 8 };
+    }
+    return header;
+  };
+
+  const overview = readHeader(0, 11);
+  if (!overview.NUM_OREC || !overview.NUM_FILE) {
+    throw new Error('Not a valid NTv2 file (missing overview header)');
+  }
+
+  const numFile = view.getInt32(overview.NUM_FILE.base, littleEndian);
+  const gsType = readString(view, overview.GS_TYPE.base).toUpperCase();
+  const systemFrom = readString(view, overview.SYSTEM_F.base);
+  const systemTo = readString(view, overview.SYSTEM_T.base);
+
+  // Unit of header angles and shifts
+  const unit = gsType === 'MINUTES' ? 60 : gsType === 'DEGREES' ? 3600 : 1;
+
+  const subgrids = [];
+  let offset = 11 * NTV2_RECORD;
+
+  for (let n = 0; n < numFile; n++) {
+    const header = readHeader(offset, 11);
+    const getDouble = (key) => view.getFloat64(header[key].base, littleEndian) * unit;
+
+    const sLat = getDouble('S_LAT');
+    const nLat = getDouble('N_LAT');
+    const eLon = getDouble('E_LONG');
+    const wLon = getDouble('W_LONG');
+    const latInc = getDouble('LAT_INC');
+    const lonInc = getDouble('LONG_INC');
+    const count = view.getInt32(header.GS_COUNT.base, littleEndian);
+
+    const rows = Math.round((nLat - sLat) / latInc) + 1;
+    const cols = Math.round((wLon - eLon) / lonInc) + 1;
+
+    if (rows * cols !== count) {
+      throw new Error(`NTv2 sub-grid ${n + 1}: node count does not match its extent`);
+    }
+
+    // Re-order nodes so that columns run eastward
+    const latShift = new Float32Array(count);
+    const lonShift = new Float32Array(count);
+    let dataOffset = offset + 11 * NTV2_RECORD;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const target = row * cols + (cols - 1 - col);
+        latShift[target] = view.getFloat32(dataOffset, littleEndian) * unit;
+        lonShift[target] = -view.getFloat32(dataOffset + 4, littleEndian) * unit;
+        dataOffset += NTV2_RECORD;
+      }
+    }
+
+    subgrids.push({
+      name: readString(view, header.SUB_NAME.base),
+      parent: readString(view, header.PARENT.base),
+      latMin: sLat / 3600,
+      lonMin: -wLon / 3600,
+      dLat: latInc / 3600,
+      dLon: lonInc / 3600,
+      rows,
+      cols,
+      latShift,
+      lonShift
+    });
+
+    offset = dataOffset;
+  }
+
+  return createGrid(name, 'NTv2', subgrids, systemFrom, systemTo);
+}
+
+/**
+ * Parse a NADCON grid pair (.las latitude shifts, .los longitude shifts)
+ * 
+ * Both files share a 96-byte header (identification, NC, NR, NZ, XMIN,
+ * DX, YMIN, DY, ANGLE) in a record of (NC + 1) × 4 bytes. Each following
+ * record holds one row, south to north, prefixed by a 4-byte integer.
+ * Shifts are in arc-seconds, longitude shifts positive west.
+ * 
+ * @param {ArrayBuffer} lasBuffer - Latitude shift file
+ * @param {ArrayBuffer} losBuffer - Longitude shift file
+ * @param {string} name - Grid name
+ * @returns {Object} - Grid definition
+ */
+export function parseNADCON(lasBuffer, losBuffer, name = 'NADCON') {
+  const readGrid = (buffer) => {
+    const view = new DataView(buffer);
+    let littleEndian = true;
+    let cols = view.getInt32(64, true);
+
+    if (cols <= 0 || cols > 100000) {
+      littleEndian = false;
+      cols = view.getInt32(64, false);
+    }
+
+    const rows = view.getInt32(68, littleEndian);
+    const header = {
+      cols,
+      rows,
+      xMin: view.getFloat32(76, littleEndian),
+      dx: view.getFloat32(80, littleEndian),
+      yMin: view.getFloat32(84, littleEndian),
+      dy: view.getFloat32(88, littleEndian)
+    };
+
+    const recordLength = (cols + 1) * 4;
+    if (buffer.byteLength < recordLength * (rows + 1)) {
+      throw new Error('NADCON file is truncated');
+    }
+
+    const values = new Float32Array(rows * cols);
+    for (let row = 0; row < rows; row++) {
+      const base = (row + 1) * recordLength + 4;
+      for (let col = 0; col < cols; col++) {
+        values[row * cols + col] = view.getFloat32(base + col * 4, littleEndian);
+      }
+    }
+
+    return { header, values };
+  };
+
+  const las = readGrid(lasBuffer);
+  const los = readGrid(losBuffer);
+
+  if (las.header.cols !== los.header.cols || las.header.rows !== los.header.rows) {
+    throw new Error('NADCON .las and .los grids do not match');
+  }
+
+  const lonShift = los.values.map(v => -v);
+
+  const subgrid = {
+    name,
+    parent: 'NONE',
+    latMin: las.header.yMin,
+    lonMin: las.header.xMin,
+    dLat: las.header.dy,
+    dLon: las.header.dx,
+    rows: las.header.rows,
+    cols: las.header.cols,
+    latShift: las.values,
+    lonShift
+  };
+
+  return createGrid(name, 'NADCON', [subgrid], 'NAD27', 'NAD83');
+}
+
+/**
+ * Build a grid definition with its extent and datum guesses
+ */
+function createGrid(name, format, subgrids, systemFrom, systemTo) {
+  const extent = subgrids.reduce((acc, g) => ({
+    south: Math.min(acc.south, g.latMin),
+    north: Math.max(acc.north, g.latMin + (g.rows - 1) * g.dLat),
+    west: Math.min(acc.west, g.lonMin),
+    east: Math.max(acc.east, g.lonMin + (g.cols - 1) * g.dLon)
+  }), { south: 90, north: -90, west: 180, east: -180 });
+
+  return {
+    name,
+    format,
+    systemFrom,
+    systemTo,
+    fromDatum: guessDatumKey(systemFrom),
+    toDatum: guessDatumKey(systemTo),
+    subgrids,
+    extent
+  };
+}
+
+/**
+ * Bilinear interpolation of the shifts of one sub-grid
+ * @returns {Object|null} - {dLat, dLon} in arc-seconds, null if outside
+ */
+function interpolateSubgrid(g, lat, lon) {
+  const x = (lon - g.lonMin) / g.dLon;
+  const y = (lat - g.latMin) / g.dLat;
+
+  if (x < 0 || y < 0 || x > g.cols - 1 || y > g.rows - 1) {
+    return null;
+  }
+
+  const i = Math.min(Math.floor(x), g.cols - 2);
+  const j = Math.min(Math.floor(y), g.rows - 2);
+  const fx = x - i;
+  const fy = y - j;
+
+  const i00 = j * g.cols + i;
+  const i10 = i00 + 1;
+  const i01 = i00 + g.cols;
+  const i11 = i01 + 1;
+
+  const bilinear = (v) =>
+    (1 - fx) * (1 - fy) * v[i00] +
+    fx * (1 - fy) * v[i10] +
+    (1 - fx) * fy * v[i01] +
+    fx * fy * v[i11];
+
+  return {
+    dLat: bilinear(g.latShift),
+    dLon: bilinear(g.lonShift)
+  };
+}
+
+/**
+ * Interpolate the shift at a point, using the densest sub-grid that
+ * contains it
+ * 
+ * @param {Object} grid - Grid definition
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {Object|null} - {dLat, dLon} in arc-seconds, {subgrid}; null if outside
+ */
+export function interpolateGridShift(grid, lat, lon) {
+  let best = null;
+
+  for (const subgrid of grid.subgrids) {
+    const shift = interpolateSubgrid(subgrid, lat, lon);
+    if (shift && (!best || subgrid.dLat * subgrid.dLon < best.cell)) {
+      best = { ...shift, subgrid: subgrid.name, cell: subgrid.dLat * subgrid.dLon };
+    }
+  }
+
+  if (!best) return null;
+
+  return { dLat: best.dLat, dLon: best.dLon, subgrid: best.subgrid };
+}
+
+/**
+ * Apply a grid shift to geographic coordinates
+ * 
+ * The inverse direction has no closed form and is solved iteratively:
+ * find φ, λ such that forward(φ, λ) equals the given point.
+ * 
+ * @param {Object} grid - Grid definition
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {boolean} inverse - Apply target → source
+ * @returns {Object|null} - {lat, lon, subgrid}, null if outside the grid
+ */
+export function applyGridShift(grid, lat, lon, inverse = false) {
+  if (!inverse) {
+    const shift = interpolateGridShift(grid, lat, lon);
+    if (!shift) return null;
+    return {
+      lat: lat + shift.dLat / 3600,
+      lon: lon + shift.dLon / 3600,
+      subgrid: shift.subgrid
+    };
+  }
+
+  let guessLat = lat;
+  let guessLon = lon;
+  let shift = null;
+
+  for (let i = 0; i < 10; i++) {
+    shift = interpolateGridShift(grid, guessLat, guessLon);
+    if (!shift) return null;
+
+    const newLat = lat - shift.dLat / 3600;
+    const newLon = lon - shift.dLon / 3600;
+    const converged = Math.abs(newLat - guessLat) < 1e-12 && Math.abs(newLon - guessLon) < 1e-12;
+
+    guessLat = newLat;
+    guessLon = newLon;
+    if (converged) break;
+  }
+
+  return { lat: guessLat, lon: guessLon, subgrid: shift.subgrid };
+}
+
+// ============================================================
+// GRID REGISTRY
+// ============================================================
+
+const loadedGrids = new Map();
+
+/**
+ * Register a grid so that transformDatum can use it
+ * @param {Object} grid - Grid definition (fromDatum/toDatum must be set)
+ */
+export function registerGridShift(grid) {
+  loadedGrids.set(grid.name, grid);
+}
+
+/**
+ * Remove a registered grid
+ * @param {string} name - Grid name
+ */
+export function unregisterGridShift(name) {
+  loadedGrids.delete(name);
+}
+
+/**
+ * Get all registered grids
+ * @returns {Array}
+ */
+export function getGridShifts() {
+  return Array.from(loadedGrids.values());
+}
+
+/**
+ * Load grid files chosen in a file picker
+ * 
+ * .gsb files are read as NTv2; .las/.los files with the same base name
+ * are read as a NADCON pair. Loaded grids are registered.
+ * 
+ * @param {FileList|Array<File>} files - Selected files
+ * @returns {Promise<Array>} - Loaded grid definitions
+ */
+export async function loadGridShiftFiles(files) {
+  const grids = [];
+  const nadcon = {};
+
+  for (const file of Array.from(files)) {
+    const match = file.name.match(/^(.*)\.(gsb|las|los)$/i);
+    if (!match) {
+      throw new Error(`Unsupported grid file: ${file.name}`);
+    }
+
+    const [, baseName, extension] = match;
+    const buffer = await file.arrayBuffer();
+
+    if (extension.toLowerCase() === 'gsb') {
+      grids.push(parseNTv2(buffer, baseName));
+    } else {
+      nadcon[baseName] = nadcon[baseName] || {};
+      nadcon[baseName][extension.toLowerCase()] = buffer;
+    }
+  }
+
+  for (const [baseName, pair] of Object.entries(nadcon)) {
+    if (!pair.las || !pair.los) {
+      throw new Error(`NADCON grid ${baseName} needs both .las and .los files`);
+    }
+    grids.push(parseNADCON(pair.las, pair.los, baseName));
+  }
+
+  grids.forEach(registerGridShift);
+  return grids;
+}
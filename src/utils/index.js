@@ -8,3 +8,18 @@ export * from './projections';
 export * from './transformations';
 export * from './geoid';
 export * from './education';
+export * from './velocities';
+export * from './gridShift';
+export * from './crs';
+export * from './estimation';
+export * from './localGrid';
+export * from './pointTable';
+export * from './pointExport';
+export * from './batchEngine';
+export * from './batchRunner';
+export * from './vectorFile';
+export * from './geodesic';
+export * from './gridFactors';
+export * from './transverseMercator';
+export * from './mgrs';
+export * from './coordinateParser';
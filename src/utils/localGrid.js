@@ -0,0 +1,169 @@
+/**
+ * Local Engineering Grids
+ *
+ * A local grid is an arbitrary plane (x, y) system tied to a projected
+ * CRS (e.g. TUREF TM33 or UTM) by a 2D fit on common control points.
+ * Local coordinates are mapped to the grid's eastings / northings and
+ * from there follow the projected branch of the pipeline on the
+ * projection's datum.
+ *
+ * Registered local grids are kept in local storage between sessions.
+ */
+
+import { DATUMS } from './datums';
+import {
+  PLANE_MODELS,
+  getPlaneParamNames,
+  applyPlaneTransformation,
+  inversePlaneTransformation
+} from './estimation';
+
+const STORAGE_KEY = 'datumx.localGrids';
+
+const localGrids = new Map();
+
+/**
+ * Validate a local grid definition
+ * @param {Object} grid - {key, name, projection, zone, hemisphere, datum, fit}
+ * @throws {Error} - When the definition is incomplete
+ */
+export function validateLocalGrid(grid) {
+  if (!grid.key || !grid.key.trim()) {
+    throw new Error('Local grid key is required');
+  }
+  if (!grid.projection) {
+    throw new Error('Select the projected CRS the local grid is tied to');
+  }
+  if (grid.projection === 'UTM' && !(grid.zone >= 1 && grid.zone <= 60)) {
+    throw new Error('UTM zone must be between 1 and 60');
+  }
+  if (!DATUMS[grid.datum]) {
+    throw new Error(`Unknown datum: ${grid.datum}`);
+  }
+
+  const fit = grid.fit || {};
+  if (!PLANE_MODELS[fit.model]) {
+    throw new Error(`Unknown plane model: ${fit.model}`);
+  }
+  if (!fit.origin || !Number.isFinite(fit.origin.x) || !Number.isFinite(fit.origin.y)) {
+    throw new Error('Local grid fit has no origin');
+  }
+  const missing = getPlaneParamNames(fit.model).filter(name => !Number.isFinite(fit.params?.[name]));
+  if (missing.length > 0) {
+    throw new Error(`Local grid fit is missing parameters: ${missing.join(', ')}`);
+  }
+}
+
+function saveLocalGrids() {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(localGrids.values())));
+}
+
+/**
+ * Register a local grid
+ * @param {Object} grid - {key, name, projection, zone, hemisphere, datum, fit, sigma0, rms}
+ * @param {boolean} persist - Save to local storage
+ * @returns {Object} - Registered grid
+ */
+export function registerLocalGrid(grid, persist = true) {
+  validateLocalGrid(grid);
+
+  const key = grid.key.trim();
+  const entry = {
+    key,
+    name: (grid.name || '').trim() || key,
+    projection: grid.projection,
+    zone: grid.projection === 'UTM' ? grid.zone : null,
+    hemisphere: grid.projection === 'UTM' ? grid.hemisphere || 'N' : null,
+    datum: grid.datum,
+    fit: {
+      model: grid.fit.model,
+      origin: { ...grid.fit.origin },
+      params: { ...grid.fit.params }
+    },
+    sigma0: grid.sigma0 ?? null,
+    rms: grid.rms ?? null
+  };
+  localGrids.set(key, entry);
+
+  if (persist) saveLocalGrids();
+  return entry;
+}
+
+/**
+ * Remove a local grid
+ * @param {string} key - Grid key
+ */
+export function unregisterLocalGrid(key) {
+  localGrids.delete(key);
+  saveLocalGrids();
+}
+
+/**
+ * Get a local grid by key
+ * @param {string} key - Grid key
+ * @returns {Object|null}
+ */
+export function getLocalGrid(key) {
+  return localGrids.get(key) || null;
+}
+
+/**
+ * Get all local grids
+ * @returns {Array}
+ */
+export function getLocalGridList() {
+  return Array.from(localGrids.values());
+}
+
+/**
+ * Local grid (x, y) → eastings / northings of the tied projection
+ * @param {number} x - Local x (m)
+ * @param {number} y - Local y (m)
+ * @param {Object} grid - Registered local grid
+ * @returns {Object} - {easting, northing}
+ */
+export function localToGrid(x, y, grid) {
+  return applyPlaneTransformation({ x, y }, grid.fit);
+}
+
+/**
+ * Eastings / northings of the tied projection → local grid (x, y)
+ * @param {number} easting - Easting (m)
+ * @param {number} northing - Northing (m)
+ * @param {Object} grid - Registered local grid
+ * @returns {Object} - {x, y}
+ */
+export function gridToLocal(easting, northing, grid) {
+  return inversePlaneTransformation({ easting, northing }, grid.fit);
+}
+
+/**
+ * Restore local grids saved in local storage
+ *
+ * Entries that no longer validate are skipped.
+ *
+ * @returns {Array} - Restored grids
+ */
+export function loadStoredLocalGrids() {
+  if (typeof localStorage === 'undefined') return [];
+
+  let stored = [];
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+
+  return stored.flatMap(grid => {
+    try {
+      return [registerLocalGrid(grid, false)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+loadStoredLocalGrids();
+
+export default getLocalGridList;
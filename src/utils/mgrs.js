@@ -0,0 +1,186 @@
+/**
+ * MGRS and USNG Grid References
+ *
+ * The Military Grid Reference System labels a UTM position with its
+ * zone, latitude band, a two-letter 100 km square and truncated
+ * easting / northing digits:
+ *   36T VK 66879 40812  →  36TVK6687940812 (1 m)
+ *                          36TVK6640       (1 km)
+ * USNG is the same reference written with spaces.
+ *
+ * References use the WGS84 ellipsoid and the standard (AA) lettering
+ * scheme; the polar UPS regions (beyond 84°N and 80°S) are not covered.
+ * A reference denotes the south-west corner of its square.
+ *
+ * Reference: NGA.SIG.0012_2.0.0_UTMUPS; FGDC-STD-011-2001 (USNG)
+ */
+
+import { UTM_BANDS, getUTMZone, getUTMBand, getUTMProj4 } from './projections';
+import { projectCoordinates, unprojectCoordinates } from './transformations';
+
+// Datum of MGRS / USNG references
+export const MGRS_DATUM = 'WGS84';
+
+// Digits per coordinate and the size of the square they resolve
+export const MGRS_PRECISIONS = [
+  { value: 5, label: '1 m' },
+  { value: 4, label: '10 m' },
+  { value: 3, label: '100 m' },
+  { value: 2, label: '1 km' },
+  { value: 1, label: '10 km' },
+  { value: 0, label: '100 km' }
+];
+
+// 100 km column letters repeat every three zones; row letters every
+// 2000 km, offset by five letters in even zones
+const COLUMN_LETTERS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+const ROW_CYCLE = 2000000;
+const SQUARE = 100000;
+
+// Zones that the Svalbard exception leaves out of band X
+const UNUSED_ZONES = ['32X', '34X', '36X'];
+
+const REFERENCE_PATTERN = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d{0,10})$/;
+
+/**
+ * UTM CRS of a zone on the MGRS datum
+ */
+function zoneCRS(zone, isNorth) {
+  return getUTMProj4(zone, isNorth, MGRS_DATUM);
+}
+
+/**
+ * Grid reference parts of a position
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} precision - Digits per coordinate (0-5)
+ * @returns {Array<string>} - [zone + band, square, easting, northing]
+ * @throws {Error} - Outside the UTM area or for an invalid precision
+ */
+function referenceParts(lat, lon, precision) {
+  if (!Number.isInteger(precision) || precision < 0 || precision > 5) {
+    throw new Error('MGRS precision must be 0 to 5 digits');
+  }
+  const band = getUTMBand(lat);
+  if (!band || !Number.isFinite(lon)) {
+    throw new Error('MGRS is only defined between 80°S and 84°N (polar UPS not supported)');
+  }
+
+  const zone = getUTMZone(lon, lat);
+  const utm = projectCoordinates(lat, lon, zoneCRS(zone, lat >= 0));
+  // Micrometre rounding keeps decoded corners from truncating into the
+  // neighbouring square
+  const easting = Math.round(utm.easting * 1e6) / 1e6;
+  const northing = Math.round(utm.northing * 1e6) / 1e6;
+
+  const column = COLUMN_LETTERS[(zone - 1) % 3][Math.floor(easting / SQUARE) - 1];
+  const rowOffset = zone % 2 === 0 ? 5 : 0;
+  const row = ROW_LETTERS[(Math.floor(northing / SQUARE) + rowOffset) % ROW_LETTERS.length];
+  if (!column) {
+    throw new Error('Position is outside its UTM zone');
+  }
+
+  const digits = (value) => precision > 0
+    ? String(Math.floor((value % SQUARE) / 10 ** (5 - precision))).padStart(precision, '0')
+    : '';
+  return [`${zone}${band}`, `${column}${row}`, digits(easting), digits(northing)];
+}
+
+/**
+ * Encode a position as an MGRS reference
+ * @param {number} lat - Latitude in degrees (WGS84)
+ * @param {number} lon - Longitude in degrees (WGS84)
+ * @param {number} precision - Digits per coordinate: 5 = 1 m … 0 = 100 km
+ * @returns {string} - e.g. '36TVK6687940812'
+ */
+export function toMGRS(lat, lon, precision = 5) {
+  return referenceParts(lat, lon, precision).join('');
+}
+
+/**
+ * Encode a position as a USNG reference
+ * @param {number} lat - Latitude in degrees (WGS84)
+ * @param {number} lon - Longitude in degrees (WGS84)
+ * @param {number} precision - Digits per coordinate: 5 = 1 m … 0 = 100 km
+ * @returns {string} - e.g. '36T VK 66879 40812'
+ */
+export function toUSNG(lat, lon, precision = 5) {
+  return referenceParts(lat, lon, precision).filter(Boolean).join(' ');
+}
+
+/**
+ * Decode an MGRS or USNG reference
+ *
+ * Spaces and letter case are ignored. The 2000 km row cycle is resolved
+ * with the latitude band.
+ *
+ * @param {string} text - Grid reference
+ * @returns {Object} - {lat, lon, zone, band, hemisphere, easting, northing,
+ *   precision, accuracy} with the south-west corner of the square;
+ *   accuracy is the square size in metres
+ * @throws {Error} - When the reference is malformed or inconsistent
+ */
+export function fromMGRS(text) {
+  const reference = String(text).toUpperCase().replace(/\s+/g, '');
+  const match = REFERENCE_PATTERN.exec(reference);
+  if (!match) {
+    throw new Error(`Not an MGRS reference: ${text}`);
+  }
+
+  const [, zoneText, band, column, row, digits] = match;
+  const zone = parseInt(zoneText);
+  if (zone < 1 || zone > 60 || UNUSED_ZONES.includes(`${zone}${band}`)) {
+    throw new Error(`Invalid MGRS zone: ${zoneText}${band}`);
+  }
+  if (digits.length % 2 !== 0) {
+    throw new Error('MGRS easting and northing must have the same number of digits');
+  }
+
+  const columnIndex = COLUMN_LETTERS[(zone - 1) % 3].indexOf(column);
+  if (columnIndex < 0) {
+    throw new Error(`100 km column ${column} is not used in zone ${zone}`);
+  }
+
+  const precision = digits.length / 2;
+  const accuracy = 10 ** (5 - precision);
+  const offset = (value) => (value ? parseInt(value) * accuracy : 0);
+  const easting = (columnIndex + 1) * SQUARE + offset(digits.slice(0, precision));
+  let northing = ((ROW_LETTERS.indexOf(row) - (zone % 2 === 0 ? 5 : 0) + ROW_LETTERS.length) % ROW_LETTERS.length) * SQUARE
+    + offset(digits.slice(precision));
+
+  // Lift the northing into the band; squares may start up to 100 km
+  // south of the band edge
+  const bandIndex = UTM_BANDS.indexOf(band);
+  const south = -80 + bandIndex * 8;
+  const north = band === 'X' ? 84 : south + 8;
+  const isNorth = south >= 0;
+  const crs = zoneCRS(zone, isNorth);
+  const minNorthing = projectCoordinates(south, zone * 6 - 183, crs).northing - 1.5 * SQUARE;
+  if (northing < minNorthing) {
+    northing += Math.ceil((minNorthing - northing) / ROW_CYCLE) * ROW_CYCLE;
+  }
+
+  const { lat, lon } = unprojectCoordinates(easting, northing, crs);
+  const tolerance = (accuracy + SQUARE / 10) / 111000;
+  if (!(lat >= south - tolerance && lat <= north + tolerance)) {
+    throw new Error(`100 km square ${column}${row} is not in band ${zone}${band}`);
+  }
+
+  return {
+    lat,
+    lon,
+    zone,
+    band,
+    hemisphere: isNorth ? 'N' : 'S',
+    easting,
+    northing,
+    precision,
+    accuracy
+  };
+}
+
+// USNG references are read the same way
+export const fromUSNG = fromMGRS;
+
+export default toMGRS;
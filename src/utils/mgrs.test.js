@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { toMGRS, toUSNG, fromMGRS } from './mgrs';
+
+describe('toMGRS', () => {
+  it('encodes Istanbul in zone 35T', () => {
+    expect(toMGRS(41.0082, 28.9784)).toBe('35TPF6637041552');
+    expect(toUSNG(41.0082, 28.9784, 3)).toBe('35T PF 663 415');
+  });
+
+  it('applies the Norway and Svalbard zone exceptions', () => {
+    expect(toMGRS(60.5, 4.5)).toBe('32VKN5292815548');
+    expect(toMGRS(78.2, 15.6)).toBe('33XWG1369680760');
+  });
+});
+
+describe('fromMGRS', () => {
+  it('round-trips within the 1 m square', () => {
+    const points = [
+      [41.0082, 28.9784],
+      [-33.8568, 151.2153],
+      [60.5, 4.5],
+      [78.2, 15.6],
+      [-0.0001, -0.0001]
+    ];
+    for (const [lat, lon] of points) {
+      const reference = toMGRS(lat, lon);
+      const decoded = fromMGRS(reference);
+      expect(Math.abs(decoded.lat - lat) * 111000).toBeLessThan(1.5);
+      expect(Math.abs(decoded.lon - lon) * 111000 * Math.cos(lat * Math.PI / 180)).toBeLessThan(1.5);
+      expect(toMGRS(decoded.lat + 1e-6, decoded.lon + 1e-6)).toBe(reference);
+    }
+  });
+
+  it('returns the south-west corner of the square', () => {
+    const decoded = fromMGRS('56H LH 349 522');
+    expect(decoded.easting).toBe(334900);
+    expect(decoded.northing).toBe(6252200);
+    expect(decoded.hemisphere).toBe('S');
+    expect(decoded.accuracy).toBe(100);
+  });
+
+  it('rejects malformed references', () => {
+    expect(() => fromMGRS('35TZZ1234')).toThrow();
+    expect(() => fromMGRS('35TPF123')).toThrow(/same number of digits/);
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * Point Export
+ *
+ * Writes transformed batch points to exchange formats:
+ * - CSV      (ID, coordinates, carried attributes)
+ * - GeoJSON  (FeatureCollection with a `crs` member naming the target CRS)
+ * - KML      (Placemarks; KML is always WGS84 longitude / latitude)
+ * - GPX      (waypoints; GPX is always WGS84 latitude / longitude)
+ * - DXF      (R12 POINT and TEXT entities for CAD)
+ *
+ * A point set describes the target CRS once and holds the points in its
+ * coordinate order:
+ *   {crs: {type, datum, projection, zone, hemisphere, digits, name},
+ *    labels, attributeNames,
+ *    points: [{id, coords, attributes, wgs84: {lat, lon, h}}]}
+ * Geographic coords are (lat, lon, h); projected and local (E, N, h);
+ * geocentric (X, Y, Z). MGRS points keep their WGS84 (lat, lon, h) and
+ * are written as references at crs.digits (see mgrs.js) where text is
+ * written; GeoJSON and DXF place them by latitude and longitude. KML and
+ * GPX use each point's WGS84 position and list the target CRS
+ * coordinates alongside.
+ */
+
+import { DATUMS } from './datums';
+import { GEOGRAPHIC_EPSG, getCustomCRS } from './crs';
+import { toMGRS } from './mgrs';
+
+export const EXPORT_FORMATS = {
+  csv: { name: 'CSV', extension: 'csv', mime: 'text/csv' },
+  geojson: { name: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json' },
+  kml: { name: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml' },
+  gpx: { name: 'GPX', extension: 'gpx', mime: 'application/gpx+xml' },
+  dxf: { name: 'DXF', extension: 'dxf', mime: 'application/dxf' }
+};
+
+// Decimals for metres; degrees get 5 more (1e-5° ≈ 1 m)
+export const EXPORT_PRECISIONS = [
+  { value: 1, label: '0.1 m' },
+  { value: 2, label: '1 cm' },
+  { value: 3, label: '1 mm' },
+  { value: 4, label: '0.1 mm' }
+];
+
+const ANGULAR_EXTRA_DECIMALS = 5;
+
+// EPSG codes of the built-in datums (geographic codes: see crs.js)
+const GEOCENTRIC_EPSG = {
+  WGS84: 4978,
+  ITRF2014: 7789,
+  ITRF2020: 9988,
+  ETRS89: 4936,
+  TUREF: 5250
+};
+
+// UTM code = base + zone (northern hemisphere unless noted)
+const UTM_EPSG = {
+  WGS84: { north: 32600, south: 32700 },
+  ETRS89: { north: 25800 },
+  ED50: { north: 23000 },
+  NAD83: { north: 26900 },
+  NAD27: { north: 26700 }
+};
+
+// ============================================================
+// CRS AND FORMATTING
+// ============================================================
+
+/**
+ * EPSG code of a target CRS
+ * @param {Object} crs - {type, datum, projection, zone, hemisphere, autoZone}
+ * @returns {number|null} - null when the CRS has no EPSG code (local grids, user
+ *   datums, a zone per point)
+ */
+export function getCRSCode(crs) {
+  if (crs.type === 'geographic') return GEOGRAPHIC_EPSG[crs.datum] ?? null;
+  if (crs.type === 'mgrs') return 4326;
+  if (crs.type === 'geocentric') return GEOCENTRIC_EPSG[crs.datum] ?? null;
+  if (crs.type !== 'projected' || crs.autoZone) return null;
+
+  const { projection } = crs;
+  if (projection === 'WebMercator') return 3857;
+  if (projection === 'UTM') {
+    const base = UTM_EPSG[crs.datum]?.[crs.hemisphere === 'S' ? 'south' : 'north'];
+    return base ? base + crs.zone : null;
+  }
+
+  const tm = /^(TUREF_)?TM(\d+)$/.exec(projection);
+  if (tm) {
+    const index = (parseInt(tm[2]) - 27) / 3;
+    return (tm[1] ? 5253 : 2319) + index;
+  }
+
+  const custom = /^EPSG:(\d+)$/i.exec(getCustomCRS(projection)?.code || '');
+  return custom ? parseInt(custom[1]) : null;
+}
+
+/**
+ * Named CRS member for GeoJSON output
+ *
+ * RFC 7946 dropped the `crs` member and fixes GeoJSON to WGS84, but GIS
+ * software still reads the 2008 named-CRS member for other systems. WGS84
+ * geographic output uses OGC CRS84 (longitude first).
+ *
+ * @param {Object} crs - {type, datum, projection, zone, hemisphere}
+ * @returns {Object|null} - null when the CRS has no EPSG code
+ */
+export function getGeoJSONCRS(crs) {
+  const code = getCRSCode(crs);
+  if (!code) return null;
+  const name = code === 4326 ? 'urn:ogc:def:crs:OGC:1.3:CRS84' : `urn:ogc:def:crs:EPSG::${code}`;
+  return { type: 'name', properties: { name } };
+}
+
+/**
+ * Format coordinates to a precision
+ * @param {Array<number>} coords - Coordinates in CRS order
+ * @param {string} type - CRS type; geographic lat / lon are degrees
+ * @param {number} precision - Decimals for metres
+ * @param {number} digits - MGRS digits per coordinate (mgrs type)
+ * @returns {Array<string>} - For mgrs, the reference followed by the height
+ */
+export function formatCoordinates(coords, type, precision = 3, digits = 5) {
+  if (type === 'mgrs') {
+    return [toMGRS(coords[0], coords[1], digits), ...coords.slice(2).map(value => value.toFixed(precision))];
+  }
+  return coords.map((value, i) => value.toFixed(
+    type === 'geographic' && i < 2 ? precision + ANGULAR_EXTRA_DECIMALS : precision
+  ));
+}
+
+// MGRS points are placed by their latitude and longitude
+function positionType(type) {
+  return type === 'mgrs' ? 'geographic' : type;
+}
+
+/**
+ * Plane position of a point for GeoJSON and DXF (x = lon / E / X)
+ */
+function planarPosition(coords, type) {
+  return type === 'geographic'
+    ? [coords[1], coords[0], ...coords.slice(2)]
+    : coords;
+}
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeCSV(text) {
+  const value = String(text ?? '');
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function crsName(crs) {
+  const code = getCRSCode(crs);
+  return crs.name || (code ? `EPSG:${code}` : DATUMS[crs.datum]?.name || crs.datum);
+}
+
+// Target CRS coordinates as "E 487654.210, N 4412345.600"
+function describeCoordinates(set, point, precision) {
+  const values = formatCoordinates(point.coords, set.crs.type, precision, set.crs.digits);
+  return set.labels.map((label, i) => `${label} ${values[i]}`).join(', ');
+}
+
+// ============================================================
+// WRITERS
+// ============================================================
+
+/**
+ * CSV with a header row
+ * @param {Object} set - Point set
+ * @param {Object} options - {precision}
+ * @returns {string}
+ */
+export function toCSV(set, options = {}) {
+  const { precision = 3 } = options;
+  const header = ['ID', ...set.labels, ...set.attributeNames];
+  const rows = set.points.map(point => [
+    point.id,
+    ...formatCoordinates(point.coords, set.crs.type, precision, set.crs.digits),
+    ...point.attributes
+  ]);
+  return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\n') + '\n';
+}
+
+/**
+ * GeoJSON FeatureCollection in the target CRS
+ *
+ * The `crs` member (see getGeoJSONCRS) is written whenever the target
+ * has an EPSG code.
+ *
+ * @param {Object} set - Point set
+ * @param {Object} options - {precision}
+ * @returns {string}
+ */
+export function toGeoJSON(set, options = {}) {
+  const { precision = 3 } = options;
+  const { crs } = set;
+  const type = positionType(crs.type);
+
+  const features = set.points.map(point => ({
+    type: 'Feature',
+    id: point.id,
+    geometry: {
+      type: 'Point',
+      coordinates: planarPosition(formatCoordinates(point.coords, type, precision).map(Number), type)
+    },
+    properties: Object.fromEntries([
+      ['id', point.id],
+      ...set.attributeNames.map((name, i) => [name, point.attributes[i]])
+    ])
+  }));
+
+  const collection = { type: 'FeatureCollection' };
+  const member = getGeoJSONCRS(crs);
+  if (member) {
+    collection.crs = member;
+  }
+  collection.features = features;
+
+  return JSON.stringify(collection, null, 2);
+}
+
+/**
+ * KML Placemarks
+ * @param {Object} set - Point set
+ * @param {Object} options - {precision, name}
+ * @returns {string}
+ */
+export function toKML(set, options = {}) {
+  const { precision = 3, name = 'Transformed points' } = options;
+  const placemarks = set.points.filter(point => point.wgs84).map(point => {
+    const { lat, lon, h } = point.wgs84;
+    const data = [
+      [crsName(set.crs), describeCoordinates(set, point, precision)],
+      ...set.attributeNames.map((attribute, i) => [attribute, point.attributes[i]])
+    ];
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXML(point.id)}</name>`,
+      '      <ExtendedData>',
+      ...data.map(([key, value]) => `        <Data name="${escapeXML(key)}"><value>${escapeXML(value)}</value></Data>`),
+      '      </ExtendedData>',
+      '      <Point>',
+      `        <coordinates>${formatCoordinates([lon, lat], 'geographic', precision).join(',')},${(h ?? 0).toFixed(precision)}</coordinates>`,
+      '      </Point>',
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * GPX 1.1 waypoints
+ * @param {Object} set - Point set
+ * @param {Object} options - {precision, name}
+ * @returns {string}
+ */
+export function toGPX(set, options = {}) {
+  const { precision = 3, name = 'Transformed points' } = options;
+  const waypoints = set.points.filter(point => point.wgs84).map(point => {
+    const { lat, lon, h } = point.wgs84;
+    const [latText, lonText] = formatCoordinates([lat, lon], 'geographic', precision);
+    const comment = set.attributeNames.map((attribute, i) => `${attribute}: ${point.attributes[i]}`).join('; ');
+    return [
+      `  <wpt lat="${latText}" lon="${lonText}">`,
+      ...(Number.isFinite(h) ? [`    <ele>${h.toFixed(precision)}</ele>`] : []),
+      `    <name>${escapeXML(point.id)}</name>`,
+      ...(comment ? [`    <cmt>${escapeXML(comment)}</cmt>`] : []),
+      `    <desc>${escapeXML(`${crsName(set.crs)}: ${describeCoordinates(set, point, precision)}`)}</desc>`,
+      '  </wpt>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="DatumX" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXML(name)}</name></metadata>`,
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * DXF (R12) with a POINT and an ID TEXT per point
+ *
+ * Entities use the target CRS coordinates (x = E / lon / X); the text
+ * is inserted at its point. Text height defaults to 0.5 m, or about as
+ * much in degrees for geographic output.
+ *
+ * @param {Object} set - Point set
+ * @param {Object} options - {precision, textHeight}
+ * @returns {string}
+ */
+export function toDXF(set, options = {}) {
+  const { precision = 3 } = options;
+  const type = positionType(set.crs.type);
+  const textHeight = options.textHeight ?? (type === 'geographic' ? 5e-6 : 0.5);
+  const group = (code, value) => `${code}\n${value}`;
+
+  const entities = set.points.flatMap(point => {
+    const [x, y, z = 0] = planarPosition(formatCoordinates(point.coords, type, precision), type);
+    return [
+      group(0, 'POINT'), group(8, 'POINTS'),
+      group(10, x), group(20, y), group(30, z),
+      group(0, 'TEXT'), group(8, 'LABELS'),
+      group(10, x), group(20, y), group(30, z),
+      group(40, textHeight),
+      group(1, String(point.id).replace(/[\r\n]/g, ' '))
+    ];
+  });
+
+  return [
+    group(0, 'SECTION'), group(2, 'ENTITIES'),
+    ...entities,
+    group(0, 'ENDSEC'), group(0, 'EOF'),
+    ''
+  ].join('\n');
+}
+
+const WRITERS = {
+  csv: toCSV,
+  geojson: toGeoJSON,
+  kml: toKML,
+  gpx: toGPX,
+  dxf: toDXF
+};
+
+/**
+ * Write a point set in an export format
+ * @param {Object} set - Point set
+ * @param {string} format - Key in EXPORT_FORMATS
+ * @param {Object} options - {precision, name, textHeight}
+ * @returns {string}
+ */
+export function exportPoints(set, format, options = {}) {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  if ((format === 'kml' || format === 'gpx') && !set.points.some(point => point.wgs84)) {
+    throw new Error(`${EXPORT_FORMATS[format].name} needs WGS84 positions`);
+  }
+  return writer(set, options);
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File contents
+ * @param {string} fileName - Name without extension
+ * @param {string} format - Key in EXPORT_FORMATS
+ */
+export function downloadExport(content, fileName, format) {
+  const { extension, mime } = EXPORT_FORMATS[format];
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${fileName}.${extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default exportPoints;
@@ -0,0 +1,441 @@
+/**
+ * Point Table Import
+ *
+ * Reads survey point lists exported from spreadsheets, total stations
+ * and GNSS controllers (CSV, TXT, TSV or cells copied from Excel):
+ * - delimiter detection (tab, semicolon, pipe, comma, whitespace)
+ * - decimal comma detection (1234,567 with ; or tab delimiters)
+ * - quoted fields ("Point 1, north corner")
+ * - header detection and column role guessing
+ * - DMS / DDM latitude and longitude cells (41°00'29.52"N) in
+ *   geographic tables
+ *
+ * Columns are mapped to roles. The coordinate roles are generic so that
+ * one mapping serves every source type:
+ * - x: X / Easting / Longitude
+ * - y: Y / Northing / Latitude
+ * - z: Z / Height
+ * Planar tables headed only X and Y (or without a header) may follow
+ * the geodetic convention of Turkish and other European surveys, where
+ * Y is the easting (sağa değer) and X the northing (yukarı değer); the
+ * axes are then chosen by AXIS_CONVENTIONS or from the value magnitudes.
+ * Every column that is not a coordinate (ID, code, description and any
+ * other kept column) is carried through to the output unchanged.
+ */
+
+import { parseAngle } from './coordinateParser';
+
+export const COLUMN_ROLES = {
+  id: 'Point ID',
+  x: 'X / E / Lon',
+  y: 'Y / N / Lat',
+  z: 'Z / h',
+  code: 'Code',
+  description: 'Description',
+  keep: 'Keep (pass through)',
+  skip: 'Skip'
+};
+
+export const AXIS_CONVENTIONS = {
+  xEast: 'X = Easting, Y = Northing',
+  yEast: 'Y = Easting, X = Northing'
+};
+
+// Eastings keep below this (500 km false easting); northings away from
+// the equator are larger
+const EASTING_LIMIT = 1000000;
+
+export const DELIMITERS = {
+  '\t': 'Tab',
+  ';': 'Semicolon',
+  ',': 'Comma',
+  '|': 'Pipe',
+  ' ': 'Whitespace'
+};
+
+// Header names recognised for each role
+const ROLE_PATTERNS = {
+  id: /^(id|no|nr|num|number|name|point|point_?id|pt|station|stn|nokta)$/i,
+  x: /^(x|e|east|easting|lon|lng|long|longitude|λ)$/i,
+  y: /^(y|n|north|northing|lat|latitude|φ)$/i,
+  z: /^(z|h|hgt|height|elev|elevation|alt|altitude|ellh)$/i,
+  code: /^(code|kod|feature|fcode|type)$/i,
+  description: /^(desc|description|remark|remarks|note|notes|comment|açıklama)$/i
+};
+
+// Binary spreadsheet formats that need to be saved as text first
+const BINARY_EXTENSIONS = /\.(xlsx|xls|ods)$/i;
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Split one line on a delimiter, honoring double-quoted fields
+ *
+ * A quote only opens a field at its start, so the seconds mark of a
+ * DMS cell (29.52") is kept as text.
+ *
+ * @param {string} line - Text line
+ * @param {string} delimiter - Key in DELIMITERS
+ * @returns {Array<string>} - Cells
+ */
+export function splitLine(line, delimiter) {
+  if (delimiter === ' ') {
+    return line.trim().split(/\s+/);
+  }
+
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && (quoted || !cell.trim())) {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Detect the column delimiter from the first lines
+ *
+ * The delimiter that splits every sample line into the same number
+ * (> 1) of cells wins. Tab and semicolon are preferred over comma so
+ * that decimal commas are not mistaken for delimiters.
+ *
+ * @param {Array<string>} lines - Non-empty text lines
+ * @returns {string} - Key in DELIMITERS
+ */
+export function detectDelimiter(lines) {
+  const sample = lines.slice(0, 20);
+  for (const delimiter of ['\t', ';', '|', ',']) {
+    const counts = sample.map(line => splitLine(line, delimiter).length);
+    if (counts[0] > 1 && counts.every(count => count === counts[0])) {
+      return delimiter;
+    }
+  }
+  // Inconsistent counts (e.g. a header with fewer columns): most frequent
+  for (const delimiter of ['\t', ';', '|', ',']) {
+    if (sample.filter(line => line.includes(delimiter)).length > sample.length / 2) {
+      return delimiter;
+    }
+  }
+  return ' ';
+}
+
+/**
+ * Detect the decimal separator
+ * @param {Array<Array<string>>} rows - Cells
+ * @param {string} delimiter - Column delimiter
+ * @returns {string} - '.' or ','
+ */
+export function detectDecimal(rows, delimiter) {
+  if (delimiter === ',') return '.';
+  const cells = rows.slice(0, 50).flat();
+  const comma = cells.filter(cell => /^[-+]?\d+,\d+$/.test(cell)).length;
+  const dot = cells.filter(cell => /^[-+]?\d+\.\d+$/.test(cell)).length;
+  return comma > dot ? ',' : '.';
+}
+
+/**
+ * Parse a number cell
+ * @param {string} cell - Cell text
+ * @param {string} decimal - '.' or ','
+ * @returns {number} - NaN if the cell is not a number
+ */
+export function parseNumber(cell, decimal = '.') {
+  const text = String(cell ?? '').trim().replace(/\s/g, '');
+  if (!text) return NaN;
+  return Number(decimal === ',' ? text.replace(',', '.') : text);
+}
+
+/**
+ * Parse a coordinate cell
+ *
+ * Latitude and longitude cells may also be written in DMS or DDM with
+ * hemisphere letters (see parseAngle).
+ *
+ * @param {string} cell - Cell text
+ * @param {string} decimal - '.' or ','
+ * @param {string|null} axis - 'lat' or 'lon' for geographic columns
+ * @returns {number} - NaN if the cell is not a coordinate
+ */
+export function parseCoordinateCell(cell, decimal = '.', axis = null) {
+  const value = parseNumber(cell, decimal);
+  if (!axis || !Number.isNaN(value)) return value;
+  try {
+    return parseAngle(decimal === ',' ? String(cell).replace(',', '.') : cell, axis);
+  } catch {
+    return NaN;
+  }
+}
+
+/**
+ * Whether a cell is a number or a latitude / longitude
+ */
+function isCoordinateCell(cell, decimal, angles = true) {
+  return !Number.isNaN(parseNumber(cell, decimal))
+    || (angles && ['lat', 'lon'].some(axis => !Number.isNaN(parseCoordinateCell(cell, decimal, axis))));
+}
+
+/**
+ * Whether the first row looks like column names
+ */
+function looksLikeHeader(rows, decimal) {
+  if (rows.length < 2) return false;
+  const [first, second] = rows;
+  return first.some((cell, i) => !isCoordinateCell(cell, decimal) && isCoordinateCell(second[i], decimal));
+}
+
+/**
+ * Parse a point file into rows of cells
+ *
+ * Options default to detection: {delimiter, decimal, skipRows, hasHeader}
+ *
+ * @param {string} text - File contents
+ * @param {Object} options - Overrides
+ * @returns {Object} - {delimiter, decimal, skipRows, hasHeader, header, rows,
+ *   rowLines, columnCount}; rowLines holds the file line number of each row
+ */
+export function parsePointTable(text, options = {}) {
+  const skipRows = options.skipRows || 0;
+  // Line numbers are taken before blank and comment lines are dropped
+  const numbered = text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .slice(skipRows)
+    .filter(({ line }) => line.trim() && !line.trim().startsWith('#'));
+  const lines = numbered.map(({ line }) => line);
+
+  const delimiter = options.delimiter || detectDelimiter(lines);
+  const allRows = lines.map(line => splitLine(line, delimiter));
+  const decimal = options.decimal || detectDecimal(allRows, delimiter);
+  const hasHeader = options.hasHeader ?? looksLikeHeader(allRows, decimal);
+
+  const header = hasHeader ? allRows[0] : null;
+  const rows = hasHeader ? allRows.slice(1) : allRows;
+  const rowLines = numbered.slice(hasHeader ? 1 : 0).map(({ number }) => number);
+  const columnCount = Math.max(0, ...allRows.map(row => row.length));
+
+  return { delimiter, decimal, skipRows, hasHeader, header, rows, rowLines, columnCount };
+}
+
+// ============================================================
+// COLUMN MAPPING
+// ============================================================
+
+/**
+ * Guess the role of every column
+ *
+ * Header names are matched first. Without a header the first text
+ * column is the ID and numeric columns are taken in coordinate order
+ * (lat, lon, h for geographic input; E, N, h or X, Y, Z otherwise).
+ * Planar X / Y columns are swapped when the axes are Y = Easting,
+ * X = Northing (see detectAxisConvention).
+ *
+ * @param {Object} table - From parsePointTable
+ * @param {string} coordinateOrder - 'latlon', 'en' (planar) or 'xy'
+ * @param {string} axes - 'auto' or a key of AXIS_CONVENTIONS
+ * @returns {Array<string>} - Role per column
+ */
+export function guessColumnRoles(table, coordinateOrder = 'xy', axes = 'auto') {
+  const roles = matchColumnRoles(table, coordinateOrder);
+  const columns = coordinateOrder === 'en' ? axisColumns(table, roles) : null;
+  const convention = axes === 'auto' ? detectAxisConvention(table, coordinateOrder) : axes;
+
+  if (columns && convention === 'yEast') {
+    roles[columns.xColumn] = 'y';
+    roles[columns.yColumn] = 'x';
+  }
+  return roles;
+}
+
+/**
+ * Detect the axis convention of a planar table
+ *
+ * Only columns headed X and Y, or numeric columns of a table without a
+ * header, are ambiguous. Y is taken as the easting when every Y value
+ * is below 1000 km and every X value above it, as for a Turkish
+ * "Nokta;Y;X;Z" list (Y = 500123, X = 4540321).
+ *
+ * @param {Object} table - From parsePointTable
+ * @param {string} coordinateOrder - 'latlon', 'en' (planar) or 'xy'
+ * @returns {string|null} - Key of AXIS_CONVENTIONS, null when the
+ *   columns are not ambiguous
+ */
+export function detectAxisConvention(table, coordinateOrder = 'xy') {
+  if (coordinateOrder !== 'en') return null;
+  const columns = axisColumns(table, matchColumnRoles(table, coordinateOrder));
+  if (!columns) return null;
+
+  const sample = table.rows.slice(0, 50);
+  const magnitudes = (column) => sample
+    .map(row => Math.abs(parseNumber(row[column], table.decimal)))
+    .filter(Number.isFinite);
+  const x = magnitudes(columns.xColumn);
+  const y = magnitudes(columns.yColumn);
+
+  const yEast = x.length > 0 && y.length > 0
+    && y.every(value => value < EASTING_LIMIT) && x.every(value => value >= EASTING_LIMIT);
+  return yEast ? 'yEast' : 'xEast';
+}
+
+/**
+ * X and Y columns whose axes are ambiguous (headed X / Y or unnamed)
+ */
+function axisColumns(table, roles) {
+  const xColumn = roles.indexOf('x');
+  const yColumn = roles.indexOf('y');
+  if (xColumn < 0 || yColumn < 0) return null;
+  if (table.header && ![xColumn, yColumn].every(i => /^[xy]$/i.test(String(table.header[i] ?? '').trim()))) {
+    return null;
+  }
+  return { xColumn, yColumn };
+}
+
+/**
+ * Column roles from the header names and cell contents
+ */
+function matchColumnRoles(table, coordinateOrder) {
+  const { header, rows, columnCount, decimal } = table;
+  const roles = new Array(columnCount).fill('keep');
+  const taken = new Set();
+
+  if (header) {
+    header.forEach((name, i) => {
+      const role = Object.keys(ROLE_PATTERNS).find(key => !taken.has(key) && ROLE_PATTERNS[key].test(name.trim()));
+      if (role) {
+        roles[i] = role;
+        taken.add(role);
+      }
+    });
+  }
+
+  const sample = rows.slice(0, 10);
+  const angles = coordinateOrder === 'latlon';
+  const numeric = Array.from({ length: columnCount }, (_, i) =>
+    sample.length > 0 && sample.every(row => isCoordinateCell(row[i], decimal, angles)));
+
+  const order = coordinateOrder === 'latlon' ? ['y', 'x', 'z'] : ['x', 'y', 'z'];
+  for (let i = 0; i < columnCount; i++) {
+    if (roles[i] !== 'keep') continue;
+    if (numeric[i]) {
+      const role = order.find(key => !taken.has(key));
+      if (role) {
+        roles[i] = role;
+        taken.add(role);
+      }
+    } else {
+      const role = ['id', 'code', 'description'].find(key => !taken.has(key));
+      if (role) {
+        roles[i] = role;
+        taken.add(role);
+      }
+    }
+  }
+
+  return roles;
+}
+
+/**
+ * Read points from a parsed table with a column mapping
+ *
+ * Rows without numeric x and y, or with a height cell that is not a
+ * number, get an `error` and are kept so they can be reported; only an
+ * empty height cell means "no height". `extra` holds the code, description and kept columns in
+ * file order. Geographic tables ('latlon') also read DMS / DDM cells.
+ *
+ * @param {Object} table - From parsePointTable
+ * @param {Array<string>} roles - Role per column
+ * @param {string} coordinateOrder - 'latlon', 'en' (planar) or 'xy'
+ * @returns {Object} - {points: [{line, raw, id, x, y, z, extra, error}], idHeader, extraHeader}
+ */
+export function readPoints(table, roles, coordinateOrder = 'xy') {
+  const { rows, rowLines, header, delimiter, decimal } = table;
+  const xColumn = roles.indexOf('x');
+  const yColumn = roles.indexOf('y');
+  const zColumn = roles.indexOf('z');
+  const idColumn = roles.indexOf('id');
+
+  if (xColumn < 0 || yColumn < 0) {
+    throw new Error('Map the X / E / Lon and Y / N / Lat columns');
+  }
+
+  const extraColumns = roles
+    .map((role, i) => (['code', 'description', 'keep'].includes(role) ? i : -1))
+    .filter(i => i >= 0);
+
+  const angles = coordinateOrder === 'latlon';
+  const points = rows.map((row, index) => {
+    const x = parseCoordinateCell(row[xColumn], decimal, angles ? 'lon' : null);
+    const y = parseCoordinateCell(row[yColumn], decimal, angles ? 'lat' : null);
+    const zCell = zColumn >= 0 ? String(row[zColumn] ?? '').trim() : '';
+    const z = zCell ? parseNumber(zCell, decimal) : undefined;
+    const valid = Number.isFinite(x) && Number.isFinite(y);
+    const error = !valid
+      ? (angles ? angleError(row[yColumn], row[xColumn], decimal) : 'No numeric coordinates')
+      : zCell && !Number.isFinite(z)
+        ? `Height is not a number: ${zCell}`
+        : null;
+
+    return {
+      line: rowLines[index],
+      raw: row.join(delimiter),
+      id: idColumn >= 0 ? row[idColumn] ?? '' : null,
+      x,
+      y,
+      z: Number.isFinite(z) ? z : undefined,
+      extra: extraColumns.map(i => row[i] ?? ''),
+      error
+    };
+  });
+
+  return {
+    points,
+    idHeader: idColumn >= 0 ? (header?.[idColumn] || 'ID') : null,
+    extraHeader: extraColumns.map(i => header?.[i] || COLUMN_ROLES[roles[i]])
+  };
+}
+
+/**
+ * Reason a latitude / longitude pair of cells cannot be read
+ */
+function angleError(latCell, lonCell, decimal) {
+  for (const [cell, axis] of [[latCell, 'lat'], [lonCell, 'lon']]) {
+    try {
+      if (Number.isNaN(parseNumber(cell, decimal))) {
+        parseAngle(decimal === ',' ? String(cell ?? '').replace(',', '.') : cell ?? '', axis);
+      }
+    } catch (err) {
+      return err.message;
+    }
+  }
+  return 'No numeric coordinates';
+}
+
+/**
+ * Read a dropped or selected file as text
+ * @param {File} file - Browser file
+ * @returns {Promise<string>}
+ */
+export async function readPointFile(file) {
+  if (BINARY_EXTENSIONS.test(file.name)) {
+    throw new Error(`${file.name}: save the sheet as CSV or copy the cells and paste them`);
+  }
+  return file.text();
+}
+
+export default parsePointTable;
@@ -10,6 +10,9 @@
  * No projection can preserve all properties simultaneously.
  */
 
+import { DATUMS } from './datums';
+import { ELLIPSOIDS } from './ellipsoids';
+
 export const PROJECTIONS = {
   // UTM Zones
   UTM: {
@@ -139,11 +142,13 @@ export const PROJECTIONS = {
     property: 'Conformal',
     description: 'Best for mid-latitude regions with east-west extent. Used for aeronautical charts.',
     usage: 'Aviation, state plane coordinates, meteorological maps',
+    methods: ['LCC_1SP', 'LCC_2SP'],
     parameters: {
       standardParallel1: 'Variable',
-      standardParallel2: 'Variable',
+      standardParallel2: 'Variable (2SP)',
       centralMeridian: 'Variable',
-      latitudeOfOrigin: 'Variable'
+      latitudeOfOrigin: 'Variable',
+      scaleFactor: 'Variable (1SP)'
     },
     distortion: {
       scale: 'True along standard parallels',
@@ -182,15 +187,99 @@ export const PROJECTIONS = {
     property: 'Conformal',
     description: 'Classic projection preserving angles. Historically used for navigation.',
     usage: 'Navigation charts, equatorial regions',
+    methods: ['Mercator'],
     parameters: {
-      centralMeridian: 0,
-      scaleFactor: 1.0
+      centralMeridian: 'Variable',
+      scaleFactor: 'Variable (1.0 on the equator)'
     },
     distortion: {
       scale: 'Increases dramatically toward poles',
       area: 'Severe distortion at high latitudes',
       angle: 'Preserved (conformal)'
     }
+  },
+
+  // Albers Equal Area Conic
+  AEA: {
+    name: 'Albers',
+    fullName: 'Albers Equal Area Conic',
+    type: 'Conic',
+    property: 'Equal-area',
+    description: 'Equal-area conic for mid-latitude regions with east-west extent.',
+    usage: 'Thematic and statistical maps, land cover',
+    methods: ['AEA'],
+    parameters: {
+      standardParallel1: 'Variable',
+      standardParallel2: 'Variable',
+      centralMeridian: 'Variable',
+      latitudeOfOrigin: 'Variable'
+    },
+    distortion: {
+      scale: 'True along standard parallels',
+      area: 'Preserved (equal-area)',
+      angle: 'Distorted away from standard parallels'
+    }
+  },
+
+  // Lambert Azimuthal Equal Area
+  LAEA: {
+    name: 'LAEA',
+    fullName: 'Lambert Azimuthal Equal Area',
+    type: 'Azimuthal',
+    property: 'Equal-area',
+    description: 'Equal-area azimuthal projection centred on a point. Used for the European grid (EPSG:3035).',
+    usage: 'Continental statistical grids, polar maps',
+    methods: ['LAEA'],
+    parameters: {
+      centralMeridian: 'Variable',
+      latitudeOfOrigin: 'Variable'
+    },
+    distortion: {
+      scale: 'True only at the centre',
+      area: 'Preserved (equal-area)',
+      angle: 'Increases with distance from the centre'
+    }
+  },
+
+  // Oblique Stereographic
+  Stereographic: {
+    name: 'Oblique Stereographic',
+    fullName: 'Oblique Stereographic (double stereographic)',
+    type: 'Azimuthal',
+    property: 'Conformal',
+    description: 'Conformal azimuthal projection via the conformal sphere. Suited to compact regions.',
+    usage: 'National grids (Netherlands RD, Romania Stereo 70)',
+    methods: ['Stereographic'],
+    parameters: {
+      centralMeridian: 'Variable',
+      latitudeOfOrigin: 'Variable',
+      scaleFactor: 'Variable'
+    },
+    distortion: {
+      scale: 'Increases with distance from the centre',
+      area: 'Increases with distance from the centre',
+      angle: 'Preserved (conformal)'
+    }
+  },
+
+  // Cassini-Soldner
+  Cassini: {
+    name: 'Cassini',
+    fullName: 'Cassini-Soldner',
+    type: 'Transverse Cylindrical',
+    property: 'Equidistant along the central meridian',
+    description: 'Transverse equidistant cylindrical projection. Historic basis of many cadastral grids.',
+    usage: 'Legacy cadastral and topographic surveys',
+    methods: ['Cassini'],
+    parameters: {
+      centralMeridian: 'Variable',
+      latitudeOfOrigin: 'Variable'
+    },
+    distortion: {
+      scale: 'True along the central meridian, increases east and west',
+      area: 'Increases away from the central meridian',
+      angle: 'Distorted away from the central meridian'
+    }
   }
 };
 
@@ -219,20 +308,49 @@ function generateUTMZones() {
   return zones;
 }
 
+// Latitude bands C-X of 8° from 80°S (I and O skipped); X spans 72°N-84°N
+export const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
 /**
  * Get UTM zone from longitude
+ * 
+ * With a latitude, the exceptions of the UTM grid apply: zone 32V is
+ * widened to 3°E-12°E over south-west Norway, and in band X (72°N-84°N)
+ * only zones 31, 33, 35 and 37 are used over Svalbard.
+ * 
  * @param {number} longitude - Longitude in degrees
+ * @param {number} latitude - Latitude in degrees (optional)
  * @returns {number} - UTM zone number (1-60)
  */
-export function getUTMZone(longitude) {
+export function getUTMZone(longitude, latitude) {
   // Normalize longitude to -180 to 180
   let lon = ((longitude + 180) % 360 + 360) % 360 - 180;
   
-  // Special zones for Norway and Svalbard not implemented
-  // Standard calculation
+  if (latitude >= 56 && latitude < 64 && lon >= 3 && lon < 12) {
+    return 32;
+  }
+  if (latitude >= 72 && latitude <= 84 && lon >= 0 && lon < 42) {
+    if (lon < 9) return 31;
+    if (lon < 21) return 33;
+    if (lon < 33) return 35;
+    return 37;
+  }
+  
   return Math.floor((lon + 180) / 6) + 1;
 }
 
+/**
+ * Get UTM latitude band letter
+ * @param {number} latitude - Latitude in degrees
+ * @returns {string|null} - Band letter, null outside 80°S-84°N (UPS)
+ */
+export function getUTMBand(latitude) {
+  if (!(latitude >= -80 && latitude <= 84)) {
+    return null;
+  }
+  return UTM_BANDS[Math.min(Math.floor((latitude + 80) / 8), UTM_BANDS.length - 1)];
+}
+
 /**
  * Get UTM zone hemisphere indicator
  * @param {number} latitude - Latitude in degrees
@@ -244,15 +362,144 @@ export function getUTMHemisphere(latitude) {
 
 /**
  * Get proj4 string for UTM zone
+ * 
+ * The definition carries only the datum's ellipsoid (no +towgs84), so
+ * proj4 projects and unprojects latitude/longitude on that datum and
+ * leaves the datum shift to the Helmert pipeline.
+ * 
  * @param {number} zone - UTM zone number
  * @param {boolean} isNorth - True for northern hemisphere
  * @param {string} datum - Datum name (default: WGS84)
  * @returns {string} - Proj4 definition string
  */
 export function getUTMProj4(zone, isNorth = true, datum = 'WGS84') {
-  const ellipsoid = datum === 'WGS84' ? 'WGS84' : 'GRS80';
+  const ellipsoid = ELLIPSOIDS[DATUMS[datum]?.ellipsoid] || ELLIPSOIDS.WGS84;
   const south = isNorth ? '' : '+south ';
-  return `+proj=utm +zone=${zone} ${south}+ellps=${ellipsoid} +units=m +no_defs`;
+  return `+proj=utm +zone=${zone} ${south}+a=${ellipsoid.a} +rf=${1 / ellipsoid.f} +units=m +no_defs`;
+}
+
+// ============================================================
+// ZONES
+// ============================================================
+
+// Central meridians of the Turkish 3° TM zones (TM30-TM45, ED50 and TUREF)
+export const TM_ZONE_MERIDIANS = [30, 33, 36, 39, 42, 45];
+
+const TM_ZONE_PATTERN = /^(TUREF_)?TM(\d+)$/;
+
+/**
+ * Get the Turkish 3° TM zone of a longitude
+ * 
+ * Longitudes outside the six zones get the nearest one (check the
+ * result with checkZoneExtent).
+ * 
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} - Central meridian (30-45)
+ */
+export function getTMZone(longitude) {
+  return TM_ZONE_MERIDIANS.reduce((best, meridian) => (
+    Math.abs(longitude - meridian) < Math.abs(longitude - best) ? meridian : best
+  ));
+}
+
+/**
+ * Whether a projection is zoned (UTM or a Turkish TM zone)
+ * @param {string} projection - Projection key ('UTM', 'TM33', 'TUREF_TM33')
+ * @returns {boolean}
+ */
+export function isZonedProjection(projection) {
+  return projection === 'UTM' || TM_ZONE_PATTERN.test(projection);
+}
+
+/**
+ * Zone of a zoned projection that contains a point
+ * 
+ * UTM zones follow getUTMZone (with the Norway / Svalbard exceptions)
+ * and the hemisphere of the point; TM zones keep the ED50 / TUREF family
+ * of `projection`.
+ * 
+ * @param {string} projection - Projection key ('UTM', 'TM33', 'TUREF_TM33')
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {Object|null} - {projection, zone, hemisphere, label}, null when not zoned
+ */
+export function getAutoZone(projection, lat, lon) {
+  if (projection === 'UTM') {
+    const zone = getUTMZone(lon, lat);
+    const hemisphere = getUTMHemisphere(lat);
+    return { projection, zone, hemisphere, label: `${zone}${hemisphere}` };
+  }
+  const tm = TM_ZONE_PATTERN.exec(projection);
+  if (!tm) {
+    return null;
+  }
+  const zone = getTMZone(lon);
+  return { projection: `${tm[1] || ''}TM${zone}`, zone, hemisphere: 'N', label: `TM${zone}` };
+}
+
+/**
+ * Longitude extent a zone is intended for
+ * @param {string} projection - Projection key ('UTM', 'TM33', 'TUREF_TM33')
+ * @param {number} zone - UTM zone number (UTM only)
+ * @returns {Object|null} - {zone, west, east, name}, null when not zoned;
+ *   zone is the UTM number or the TM central meridian
+ */
+export function getZoneExtent(projection, zone) {
+  if (projection === 'UTM') {
+    const centralMeridian = zone * 6 - 183;
+    return { zone, west: centralMeridian - 3, east: centralMeridian + 3, name: `UTM zone ${zone}` };
+  }
+  const tm = TM_ZONE_PATTERN.exec(projection);
+  if (!tm) {
+    return null;
+  }
+  const centralMeridian = parseInt(tm[2]);
+  return {
+    zone: centralMeridian,
+    west: centralMeridian - 1.5,
+    east: centralMeridian + 1.5,
+    name: `TM ${centralMeridian}°E`
+  };
+}
+
+/**
+ * Check that a point lies inside the zone it is projected in
+ * 
+ * Coordinates outside the zone are still valid, but scale distortion
+ * grows quickly and neighbouring sheets use the other zone.
+ * 
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {string} projection - Projection key ('UTM', 'TM33', 'TUREF_TM33')
+ * @param {number} zone - UTM zone number (UTM only)
+ * @param {string} hemisphere - 'N' or 'S' (UTM only)
+ * @returns {string|null} - Warning, null inside the zone or for other projections
+ */
+export function checkZoneExtent(lat, lon, projection, zone, hemisphere = 'N') {
+  const extent = getZoneExtent(projection, zone);
+  if (!extent) {
+    return null;
+  }
+  
+  const expected = getAutoZone(projection, lat, lon);
+  if (projection === 'UTM' && expected.hemisphere !== hemisphere) {
+    return `Point is in the ${expected.hemisphere === 'N' ? 'northern' : 'southern'} hemisphere `
+      + `but UTM ${zone}${hemisphere} is selected`;
+  }
+  
+  // UTM zones follow the exceptions; TM zones end 1.5° from the meridian
+  const outside = lon < extent.west ? extent.west - lon : lon - extent.east;
+  if (expected.zone === extent.zone && (projection === 'UTM' || outside <= 0)) {
+    return null;
+  }
+  
+  const where = outside > 0
+    ? `${outside.toFixed(3)}° ${lon < extent.west ? 'west' : 'east'} of ${extent.name} (${extent.west}° to ${extent.east}°)`
+    : `outside ${extent.name}`;
+  const belongs = expected.zone === extent.zone
+    ? 'beyond the Turkish TM zones'
+    : `in ${projection === 'UTM' ? `UTM zone ${expected.zone}` : `TM ${expected.zone}°E`}`;
+  return `Point is ${where}, ${belongs}`;
 }
 
 /**
@@ -266,21 +513,146 @@ export function getProjection(name) {
 
 /**
  * Calculate scale factor for Transverse Mercator
+ * 
+ * Ellipsoidal series (Snyder 8-11), good to ~1e-9 within a few degrees
+ * of the central meridian. For any projection, including TM beyond the
+ * zone, use getGridFactors (gridFactors.js).
+ * 
  * @param {number} latitude - Latitude in radians
  * @param {number} longitude - Longitude in radians
  * @param {number} centralMeridian - Central meridian in radians
  * @param {number} k0 - Scale factor at central meridian
+ * @param {Object} ellipsoid - Reference ellipsoid (default: WGS84)
  * @returns {number} - Scale factor at given point
  */
-export function calculateTMScaleFactor(latitude, longitude, centralMeridian, k0 = 0.9996) {
-  const dLon = longitude - centralMeridian;
+export function calculateTMScaleFactor(latitude, longitude, centralMeridian, k0 = 0.9996, ellipsoid = ELLIPSOIDS.WGS84) {
+  const e2 = 2 * ellipsoid.f - ellipsoid.f * ellipsoid.f;
+  const ep2 = e2 / (1 - e2);
   const cosLat = Math.cos(latitude);
+  const T = Math.tan(latitude) ** 2;
+  const C = ep2 * cosLat * cosLat;
+  const A = (longitude - centralMeridian) * cosLat;
+  const A2 = A * A;
   
-  // Simplified calculation
-  const B = cosLat * Math.sin(dLon);
-  const k = k0 / Math.sqrt(1 - B * B);
+  return k0 * (
+    1 +
+    (1 + C) * A2 / 2 +
+    (5 - 4 * T + 42 * C + 13 * C * C - 28 * ep2) * A2 * A2 / 24 +
+    (61 - 148 * T + 16 * T * T) * A2 * A2 * A2 / 720
+  );
+}
+
+// ============================================================
+// PARAMETERISED PROJECTIONS
+// ============================================================
+
+/**
+ * Parameters of the parameterised projection methods
+ * key: proj4 parameter name; angles in degrees, offsets in metres
+ */
+export const PROJECTION_PARAMETERS = {
+  lat_1: { label: 'Standard parallel 1 (°)', default: 37, min: -90, max: 90 },
+  lat_2: { label: 'Standard parallel 2 (°)', default: 41, min: -90, max: 90 },
+  lat_0: { label: 'Latitude of origin (°)', default: 39, min: -90, max: 90 },
+  lon_0: { label: 'Central meridian (°)', default: 35, min: -180, max: 180 },
+  k_0: { label: 'Scale factor', default: 1 },
+  x_0: { label: 'False easting (m)', default: 500000 },
+  y_0: { label: 'False northing (m)', default: 0 }
+};
+
+/**
+ * Projection methods defined by user parameters
+ * proj: proj4 projection name; parameters: keys of PROJECTION_PARAMETERS
+ */
+export const PROJECTION_METHODS = {
+  LCC_1SP: {
+    name: 'Lambert Conformal Conic (1SP)',
+    proj: 'lcc',
+    parameters: ['lat_0', 'lon_0', 'k_0', 'x_0', 'y_0']
+  },
+  LCC_2SP: {
+    name: 'Lambert Conformal Conic (2SP)',
+    proj: 'lcc',
+    parameters: ['lat_1', 'lat_2', 'lat_0', 'lon_0', 'x_0', 'y_0']
+  },
+  Mercator: {
+    name: 'Mercator',
+    proj: 'merc',
+    parameters: ['lon_0', 'k_0', 'x_0', 'y_0']
+  },
+  AEA: {
+    name: 'Albers Equal Area',
+    proj: 'aea',
+    parameters: ['lat_1', 'lat_2', 'lat_0', 'lon_0', 'x_0', 'y_0']
+  },
+  LAEA: {
+    name: 'Lambert Azimuthal Equal Area',
+    proj: 'laea',
+    parameters: ['lat_0', 'lon_0', 'x_0', 'y_0']
+  },
+  Stereographic: {
+    name: 'Oblique Stereographic',
+    proj: 'sterea',
+    parameters: ['lat_0', 'lon_0', 'k_0', 'x_0', 'y_0']
+  },
+  Cassini: {
+    name: 'Cassini-Soldner',
+    proj: 'cass',
+    parameters: ['lat_0', 'lon_0', 'x_0', 'y_0']
+  }
+};
+
+/**
+ * Default parameter values of the parameterised projections
+ * @returns {Object} - Values keyed by proj4 parameter name
+ */
+export function getDefaultProjectionParameters() {
+  return Object.fromEntries(
+    Object.entries(PROJECTION_PARAMETERS).map(([key, parameter]) => [key, parameter.default])
+  );
+}
+
+/**
+ * Get proj4 string for a parameterised projection
+ * 
+ * Like getUTMProj4, the definition carries only the datum's ellipsoid.
+ * 
+ * @param {string} method - Key of PROJECTION_METHODS
+ * @param {Object} values - Parameter values (missing ones take the defaults)
+ * @param {string} datum - Datum name (default: WGS84)
+ * @returns {string} - Proj4 definition string
+ * @throws {Error} - When the method is unknown or a parameter is invalid
+ */
+export function getParametricProj4(method, values = {}, datum = 'WGS84') {
+  const definition = PROJECTION_METHODS[method];
+  if (!definition) {
+    throw new Error(`Unknown projection method: ${method}`);
+  }
+  
+  const params = { ...getDefaultProjectionParameters(), ...values };
+  for (const key of definition.parameters) {
+    const { label, min = -Infinity, max = Infinity } = PROJECTION_PARAMETERS[key];
+    const value = params[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${definition.name}: invalid ${label.replace(/ \(.*\)$/, '').toLowerCase()}`);
+    }
+  }
+  if (definition.parameters.includes('k_0') && !(params.k_0 > 0)) {
+    throw new Error(`${definition.name}: scale factor must be positive`);
+  }
+  
+  // LCC 1SP has a single standard parallel at the latitude of origin
+  const terms = definition.parameters.map(key => `+${key}=${params[key]}`);
+  if (method === 'LCC_1SP') {
+    params.lat_1 = params.lat_2 = params.lat_0;
+    terms.unshift(`+lat_1=${params.lat_0}`);
+  }
+  if (['lcc', 'aea'].includes(definition.proj) && Math.abs(params.lat_1 + params.lat_2) < 1e-10) {
+    throw new Error(`${definition.name}: standard parallels must not be symmetric about the equator`);
+  }
   
-  return k;
+  const ellipsoid = ELLIPSOIDS[DATUMS[datum]?.ellipsoid] || ELLIPSOIDS.WGS84;
+  return `+proj=${definition.proj} ${terms.join(' ')} +a=${ellipsoid.a} +rf=${1 / ellipsoid.f} +units=m +no_defs`;
 }
 
 export default PROJECTIONS;
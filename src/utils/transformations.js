@@ -4,16 +4,21 @@
  * This module provides comprehensive coordinate transformation capabilities:
  * 
  * 1. Geographic (φ, λ, h) ↔ Geocentric (X, Y, Z) conversions
- * 2. Datum transformations using Helmert 7-parameter model
+ * 2. Datum transformations (Helmert 7-parameter, Molodensky, Molodensky-Badekas, grids)
  * 3. Projection transformations (Geographic ↔ Projected)
  * 4. Height transformations (ellipsoidal ↔ orthometric)
  * 
  * Reference: IERS Conventions, EPSG Guidance Notes
  */
 
-import { getEllipsoidParams, ELLIPSOIDS } from './ellipsoids';
-import { DATUMS, getTransformationParams } from './datums';
+import { getEllipsoidParams, radiusOfCurvatureN, radiusOfCurvatureM, ELLIPSOIDS } from './ellipsoids';
+import { DATUMS, getTransformationPath, toPositionVector } from './datums';
+import { resolveVelocity, propagatePosition } from './velocities';
+import { getGridShifts, applyGridShift } from './gridShift';
+import { geodesicInverse } from './geodesic';
 import proj4 from 'proj4';
+// Registers the native Krüger TM engine with proj4 (+proj=kruger)
+import './transverseMercator';
 
 // Degree/Radian conversion
 const DEG2RAD = Math.PI / 180;
@@ -207,13 +212,18 @@ export function geocentricToGeographic(x, y, z, ellipsoid) {
  * - rx, ry, rz: Rotations (arc-seconds, converted to radians)
  * - s: Scale factor (ppm, converted to dimensionless)
  * 
+ * Coordinate Frame parameters (EPSG method 9607) rotate the axes rather
+ * than the position vector: the rotation matrix is transposed, which is
+ * the same as flipping the signs of rx, ry, rz.
+ * 
  * @param {Object} xyz - {x, y, z} source coordinates in meters
  * @param {Object} params - Transformation parameters
+ * @param {string} convention - 'PV' (Position Vector) or 'CF' (Coordinate Frame)
  * @returns {Object} - {x, y, z} transformed coordinates
  */
-export function helmertTransformation(xyz, params) {
+export function helmertTransformation(xyz, params, convention = 'PV') {
   const { x, y, z } = xyz;
-  const { tx, ty, tz, rx, ry, rz, s } = params;
+  const { tx, ty, tz, rx, ry, rz, s } = convention === 'CF' ? toPositionVector(params) : params;
   
   // Convert rotations from arc-seconds to radians
   const rxRad = rx * ARCSEC2RAD;
@@ -233,22 +243,134 @@ export function helmertTransformation(xyz, params) {
 
 /**
  * Inverse Helmert transformation
+ * 
+ * Exact inverse of helmertTransformation: the forward model is
+ * X' = T + (1+s)·R·X, so
+ * 
+ * X = R⁻¹ · (X' - T) / (1+s)
+ * 
+ * R is the (not quite orthogonal) small-angle rotation matrix, so it is
+ * inverted as a full 3×3 matrix rather than by negating the parameters.
+ * Negating is only correct to first order and leaves mm-cm closure
+ * errors for large rotations or scale.
+ * 
  * @param {Object} xyz - {x, y, z} coordinates
- * @param {Object} params - Transformation parameters
+ * @param {Object} params - Transformation parameters (of the forward direction)
+ * @param {string} convention - 'PV' (Position Vector) or 'CF' (Coordinate Frame)
  * @returns {Object} - {x, y, z} inverse transformed coordinates
  */
-export function inverseHelmertTransformation(xyz, params) {
-  const inverseParams = {
-    tx: -params.tx,
-    ty: -params.ty,
-    tz: -params.tz,
-    rx: -params.rx,
-    ry: -params.ry,
-    rz: -params.rz,
-    s: -params.s
+export function inverseHelmertTransformation(xyz, params, convention = 'PV') {
+  const { tx, ty, tz, rx, ry, rz, s } = convention === 'CF' ? toPositionVector(params) : params;
+  
+  const rxRad = rx * ARCSEC2RAD;
+  const ryRad = ry * ARCSEC2RAD;
+  const rzRad = rz * ARCSEC2RAD;
+  const scale = 1 + s * 1e-6;
+  
+  // Forward rotation matrix (Position Vector)
+  const R = [
+    [1, -rzRad, ryRad],
+    [rzRad, 1, -rxRad],
+    [-ryRad, rxRad, 1]
+  ];
+  
+  const Rinv = invertMatrix3(R);
+  const dx = (xyz.x - tx) / scale;
+  const dy = (xyz.y - ty) / scale;
+  const dz = (xyz.z - tz) / scale;
+  
+  return {
+    x: Rinv[0][0] * dx + Rinv[0][1] * dy + Rinv[0][2] * dz,
+    y: Rinv[1][0] * dx + Rinv[1][1] * dy + Rinv[1][2] * dz,
+    z: Rinv[2][0] * dx + Rinv[2][1] * dy + Rinv[2][2] * dz
   };
+}
+
+/**
+ * Invert a 3×3 matrix (adjugate / determinant)
+ */
+function invertMatrix3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+  ];
+}
+
+// Distance (m) above which the two rotation conventions are reported as
+// materially different for a point
+export const CONVENTION_WARNING_THRESHOLD = 0.01;
+
+// Shift (m) of the rotations and scale above which (abridged) Molodensky,
+// which only applies translations, refuses a parameter set
+export const MOLODENSKY_ROTATION_LIMIT = 0.1;
+
+/**
+ * Distance between applying a parameter set as Position Vector and as
+ * Coordinate Frame at a point
+ * 
+ * Shows how far off a point ends up if the convention of a published
+ * set is read the wrong way round (zero when there are no rotations).
+ * 
+ * @param {Object} xyz - {x, y, z} coordinates in meters
+ * @param {Object} params - Transformation parameters
+ * @returns {number} - Distance in meters
+ */
+export function conventionDifference(xyz, params) {
+  const pv = helmertTransformation(xyz, params, 'PV');
+  const cf = helmertTransformation(xyz, params, 'CF');
+  return Math.sqrt((pv.x - cf.x) ** 2 + (pv.y - cf.y) ** 2 + (pv.z - cf.z) ** 2);
+}
+
+// ============================================================
+// TIME-DEPENDENT (14-PARAMETER) HELMERT TRANSFORMATION
+// ============================================================
+
+/**
+ * Evaluate time-dependent Helmert parameters at an epoch
+ * 
+ * P(t) = P(t₀) + Ṗ × (t - t₀)
+ * 
+ * @param {Object} params - Parameters at the reference epoch
+ * @param {Object} rates - Parameter rates per year (same units)
+ * @param {number} referenceEpoch - t₀ in decimal years
+ * @param {number} epoch - t in decimal years
+ * @returns {Object} - 7 parameters valid at the given epoch
+ */
+export function helmertParamsAtEpoch(params, rates, referenceEpoch, epoch) {
+  if (!rates) return { ...params };
   
-  return helmertTransformation(xyz, inverseParams);
+  const dt = epoch - referenceEpoch;
+  const result = {};
+  
+  for (const key of ['tx', 'ty', 'tz', 'rx', 'ry', 'rz', 's']) {
+    result[key] = params[key] + (rates[key] || 0) * dt;
+  }
+  
+  return result;
+}
+
+/**
+ * Apply a 14-parameter (time-dependent) Helmert transformation
+ * 
+ * The 7 parameters are first propagated to the coordinate epoch and
+ * then applied with the Position Vector convention.
+ * 
+ * @param {Object} xyz - {x, y, z} source coordinates in meters
+ * @param {Object} params - Parameters at the reference epoch
+ * @param {Object} rates - Parameter rates per year
+ * @param {number} referenceEpoch - t₀ in decimal years
+ * @param {number} epoch - Coordinate epoch in decimal years
+ * @returns {Object} - {x, y, z} transformed coordinates
+ */
+export function timeDependentHelmertTransformation(xyz, params, rates, referenceEpoch, epoch, convention = 'PV') {
+  return helmertTransformation(xyz, helmertParamsAtEpoch(params, rates, referenceEpoch, epoch), convention);
 }
 
 // ============================================================
@@ -256,7 +378,7 @@ export function inverseHelmertTransformation(xyz, params) {
 // ============================================================
 
 /**
- * Molodensky transformation (3-parameter, abridged)
+ * Standard Molodensky transformation (3-parameter, EPSG method 9604)
  * 
  * Direct transformation between geographic coordinates without
  * going through geocentric. Less accurate than 7-parameter.
@@ -314,26 +436,300 @@ export function molodenskyTransformation(lat, lon, h, fromEllipsoid, toEllipsoid
   };
 }
 
+/**
+ * Abridged Molodensky transformation (EPSG method 9605)
+ * 
+ * Drops the height and second-order ellipsoid terms of the standard
+ * formulas; differences to the standard method stay at the decimeter
+ * level for datum shifts of a few hundred meters.
+ * 
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} h - Height in meters
+ * @param {Object} fromEllipsoid - Source ellipsoid
+ * @param {Object} toEllipsoid - Target ellipsoid
+ * @param {Object} shifts - {dx, dy, dz} translation in meters
+ * @returns {Object} - {lat, lon, h}
+ */
+export function abridgedMolodenskyTransformation(lat, lon, h, fromEllipsoid, toEllipsoid, shifts) {
+  const phi = toRadians(lat);
+  const lambda = toRadians(lon);
+  
+  const fromParams = getEllipsoidParams(fromEllipsoid);
+  const toParams = getEllipsoidParams(toEllipsoid);
+  
+  const da = toParams.a - fromParams.a;
+  const df = toParams.f - fromParams.f;
+  const { a, f, e2 } = fromParams;
+  const { dx, dy, dz } = shifts;
+  
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const sinLambda = Math.sin(lambda);
+  const cosLambda = Math.cos(lambda);
+  
+  const Rm = a * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+  const Rn = a / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+  const ellipsoidTerm = a * df + f * da;
+  
+  const dPhi = (-dx * sinPhi * cosLambda - dy * sinPhi * sinLambda + dz * cosPhi
+    + ellipsoidTerm * Math.sin(2 * phi)) / Rm;
+  const dLambda = (-dx * sinLambda + dy * cosLambda) / (Rn * cosPhi);
+  const dh = dx * cosPhi * cosLambda + dy * cosPhi * sinLambda + dz * sinPhi
+    + ellipsoidTerm * sinPhi * sinPhi - da;
+  
+  return {
+    lat: lat + toDegrees(dPhi),
+    lon: lon + toDegrees(dLambda),
+    h: h + dh
+  };
+}
+
+/**
+ * Molodensky-Badekas transformation (EPSG methods 1061 / 9636)
+ * 
+ * Helmert transformation with rotation and scale about an evaluation
+ * point (pivot) instead of the Earth's center:
+ * 
+ * X' = Xp + T + (1+s)·R·(X - Xp)
+ * 
+ * Rotating about a pivot inside the network decorrelates the
+ * translations from the rotations, which is why national agencies
+ * publish this form for local datums.
+ * 
+ * @param {Object} xyz - {x, y, z} source coordinates in meters
+ * @param {Object} params - {tx, ty, tz, rx, ry, rz, s}
+ * @param {Object} pivot - {x, y, z} evaluation point in meters
+ * @param {string} convention - 'PV' (Position Vector) or 'CF' (Coordinate Frame)
+ * @returns {Object} - {x, y, z} transformed coordinates
+ */
+export function molodenskyBadekasTransformation(xyz, params, pivot, convention = 'PV') {
+  const shifted = helmertTransformation(
+    { x: xyz.x - pivot.x, y: xyz.y - pivot.y, z: xyz.z - pivot.z },
+    params,
+    convention
+  );
+  return { x: shifted.x + pivot.x, y: shifted.y + pivot.y, z: shifted.z + pivot.z };
+}
+
+/**
+ * Inverse Molodensky-Badekas transformation (exact)
+ * 
+ * @param {Object} xyz - {x, y, z} coordinates
+ * @param {Object} params - Parameters of the forward direction
+ * @param {Object} pivot - {x, y, z} evaluation point in meters
+ * @param {string} convention - 'PV' (Position Vector) or 'CF' (Coordinate Frame)
+ * @returns {Object} - {x, y, z} inverse transformed coordinates
+ */
+export function inverseMolodenskyBadekasTransformation(xyz, params, pivot, convention = 'PV') {
+  const restored = inverseHelmertTransformation(
+    { x: xyz.x - pivot.x, y: xyz.y - pivot.y, z: xyz.z - pivot.z },
+    params,
+    convention
+  );
+  return { x: restored.x + pivot.x, y: restored.y + pivot.y, z: restored.z + pivot.z };
+}
+
 // ============================================================
 // DATUM TRANSFORMATION
 // ============================================================
 
+/**
+ * Datum transformation methods offered by transformDatum
+ * 
+ * helmert:    7-parameter Helmert on every step
+ * abridged:   abridged Molodensky, translations of every step only
+ * molodensky: standard Molodensky, translations of every step only
+ * badekas:    Molodensky-Badekas where a datum publishes such a set,
+ *             Helmert elsewhere
+ * grid:       loaded grid shifts, Helmert outside the grids
+ */
+export const DATUM_METHODS = {
+  helmert: 'Helmert 7-parameter',
+  abridged: 'Abridged Molodensky',
+  molodensky: 'Standard Molodensky',
+  badekas: 'Molodensky-Badekas',
+  grid: 'Grid shift (NTv2 / NADCON)'
+};
+
+/**
+ * Links for every loaded grid whose datums are known
+ * @returns {Array} - Extra edges for getTransformationPath
+ */
+function getGridEdges() {
+  return getGridShifts()
+    .filter(grid => DATUMS[grid.fromDatum] && DATUMS[grid.toDatum])
+    .map(grid => ({
+      id: grid.name,
+      name: `${grid.name} (${grid.format} grid)`,
+      from: grid.fromDatum,
+      to: grid.toDatum,
+      grid
+    }));
+}
+
+/**
+ * Apply one Helmert step of a transformation path and record it
+ * @param {Object} xyz - {x, y, z} coordinates
+ * @param {Object} step - Step from getTransformationPath
+ * @param {number|null} epoch - Coordinate epoch
+ * @param {Array} steps - Report list to append to
+ * @returns {Object} - {x, y, z} transformed coordinates
+ */
+function applyHelmertStep(xyz, step, epoch, steps) {
+  const stepEpoch = step.rates ? (epoch ?? step.referenceEpoch) : null;
+  const params = step.rates
+    ? helmertParamsAtEpoch(step.params, step.rates, step.referenceEpoch, stepEpoch)
+    : step.params;
+  const convention = step.convention || 'PV';
+  
+  steps.push({
+    id: step.id,
+    name: step.name,
+    from: step.inverse ? step.to : step.from,
+    to: step.inverse ? step.from : step.to,
+    inverse: step.inverse,
+    epoch: stepEpoch,
+    method: 'helmert',
+    params,
+    convention,
+    conventionDifference: conventionDifference(xyz, params)
+  });
+  
+  return step.inverse
+    ? inverseHelmertTransformation(xyz, params, convention)
+    : helmertTransformation(xyz, params, convention);
+}
+
+/**
+ * Apply the translations of one step with the (abridged) Molodensky
+ * formulas and record it
+ * 
+ * Rotations and scale of the step are ignored; a step whose rotations
+ * and scale move the point by more than MOLODENSKY_ROTATION_LIMIT is
+ * refused unless `allowIgnoredRotation` is set (method comparison).
+ * Reverse steps apply the negated translations from the target to the
+ * source ellipsoid, which is only an approximate inverse.
+ * 
+ * @param {Object} xyz - {x, y, z} coordinates
+ * @param {Object} step - Step from getTransformationPath
+ * @param {number|null} epoch - Coordinate epoch
+ * @param {Array} steps - Report list to append to
+ * @param {string} method - 'molodensky' or 'abridged'
+ * @param {boolean} allowIgnoredRotation - Apply the translations anyway
+ * @returns {Object} - {x, y, z} transformed coordinates
+ * @throws {Error} - When the ignored rotations and scale matter
+ */
+function applyMolodenskyStep(xyz, step, epoch, steps, method, allowIgnoredRotation = false) {
+  const stepEpoch = step.rates ? (epoch ?? step.referenceEpoch) : null;
+  const params = step.rates
+    ? helmertParamsAtEpoch(step.params, step.rates, step.referenceEpoch, stepEpoch)
+    : step.params;
+  const from = step.inverse ? step.to : step.from;
+  const to = step.inverse ? step.from : step.to;
+  const sign = step.inverse ? -1 : 1;
+  const shifts = { dx: sign * params.tx, dy: sign * params.ty, dz: sign * params.tz };
+  
+  // Displacement the dropped rotations and scale would have applied
+  const rotated = helmertTransformation(xyz, { ...params, tx: 0, ty: 0, tz: 0 }, step.convention || 'PV');
+  const ignoredShift = Math.hypot(rotated.x - xyz.x, rotated.y - xyz.y, rotated.z - xyz.z);
+  if (ignoredShift > MOLODENSKY_ROTATION_LIMIT && !allowIgnoredRotation) {
+    throw new Error(
+      `${step.name} has rotations / scale worth ${ignoredShift.toFixed(2)} m here, which ` +
+      `${DATUM_METHODS[method]} ignores - use Helmert 7-parameter or Molodensky-Badekas`
+    );
+  }
+  
+  steps.push({
+    id: step.id,
+    name: step.name,
+    from,
+    to,
+    inverse: step.inverse,
+    epoch: stepEpoch,
+    method,
+    params: { tx: shifts.dx, ty: shifts.dy, tz: shifts.dz },
+    ignoredRotation: ['rx', 'ry', 'rz', 's'].some(param => params[param]),
+    ignoredShift
+  });
+  
+  const fromEllipsoid = ELLIPSOIDS[DATUMS[from].ellipsoid];
+  const toEllipsoid = ELLIPSOIDS[DATUMS[to].ellipsoid];
+  const geo = geocentricToGeographic(xyz.x, xyz.y, xyz.z, fromEllipsoid);
+  const transform = method === 'abridged' ? abridgedMolodenskyTransformation : molodenskyTransformation;
+  const shifted = transform(geo.lat, geo.lon, geo.h, fromEllipsoid, toEllipsoid, shifts);
+  
+  return geographicToGeocentric(shifted.lat, shifted.lon, shifted.h, toEllipsoid);
+}
+
+/**
+ * Apply the Molodensky-Badekas set of one step and record it
+ * @param {Object} xyz - {x, y, z} coordinates
+ * @param {Object} step - Step from getTransformationPath with a molodenskyBadekas set
+ * @param {Array} steps - Report list to append to
+ * @returns {Object} - {x, y, z} transformed coordinates
+ */
+function applyBadekasStep(xyz, step, steps) {
+  const { params, pivot } = step.molodenskyBadekas;
+  const convention = step.molodenskyBadekas.convention || step.convention || 'PV';
+  
+  steps.push({
+    id: step.id,
+    name: step.name,
+    from: step.inverse ? step.to : step.from,
+    to: step.inverse ? step.from : step.to,
+    inverse: step.inverse,
+    epoch: null,
+    method: 'badekas',
+    params,
+    pivot,
+    convention
+  });
+  
+  return step.inverse
+    ? inverseMolodenskyBadekasTransformation(xyz, params, pivot, convention)
+    : molodenskyBadekasTransformation(xyz, params, pivot, convention);
+}
+
 /**
  * Transform coordinates between datums
  * 
  * Process:
  * 1. Convert geographic to geocentric (if needed)
- * 2. Apply Helmert transformation
- * 3. Convert back to geographic (if needed)
+ * 2. Propagate to the target epoch with a velocity (if requested)
+ * 3. Apply each step on the path between the datums with the chosen
+ *    method (time-dependent steps are evaluated at the coordinate epoch,
+ *    grid steps fall back to Helmert parameters outside the grid and
+ *    Molodensky-Badekas falls back to Helmert where a datum publishes
+ *    no such set)
+ * 4. Convert back to geographic (if needed)
+ * 
+ * Epoch propagation happens in the source frame, so a TUREF 2005.0
+ * coordinate with {epoch: 2005.0, targetEpoch: 2026.8, velocity} is
+ * first moved to 2026.8 and then transformed at 2026.8.
+ * 
+ * The result carries a `transformation` report listing the method, the
+ * parameter sets or grids, the epoch and the velocity that were used,
+ * and an `epochWarning` when a fixed-epoch frame is read or produced at
+ * another epoch (see checkFrameEpoch).
  * 
  * @param {Object} coords - {lat, lon, h} or {x, y, z}
  * @param {string} fromDatum - Source datum name
  * @param {string} toDatum - Target datum name
  * @param {string} inputType - 'geographic' or 'geocentric'
+ * @param {Object} options - {epoch, targetEpoch, velocity, method, allowIgnoredRotation}
+ *   epoch: coordinate epoch in decimal years
+ *   targetEpoch: observation epoch to propagate to
+ *   velocity: {plate}, {ve, vn, vu} or {vx, vy, vz} in m/yr
+ *   method: key in DATUM_METHODS (default 'helmert')
+ *   allowIgnoredRotation: let (abridged) Molodensky drop rotations and scale
  * @returns {Object} - Transformed coordinates
  */
-export function transformDatum(coords, fromDatum, toDatum, inputType = 'geographic') {
-  if (fromDatum === toDatum) {
+export function transformDatum(coords, fromDatum, toDatum, inputType = 'geographic', options = {}) {
+  const propagate = options.velocity && options.targetEpoch != null
+    && options.epoch != null && options.targetEpoch !== options.epoch;
+  
+  if (fromDatum === toDatum && !propagate) {
     return { ...coords };
   }
   
@@ -347,8 +743,23 @@ export function transformDatum(coords, fromDatum, toDatum, inputType = 'geograph
   const fromEllipsoid = ELLIPSOIDS[fromDatumObj.ellipsoid];
   const toEllipsoid = ELLIPSOIDS[toDatumObj.ellipsoid];
   
-  // Get transformation parameters
-  const transParams = getTransformationParams(fromDatum, toDatum);
+  // Get the chain of parameter sets (and grids, if requested)
+  const method = options.method || 'helmert';
+  if (!DATUM_METHODS[method]) {
+    throw new Error(`Unknown datum transformation method: ${method}`);
+  }
+  const gridEdges = method === 'grid' ? getGridEdges() : [];
+  const path = getTransformationPath(fromDatum, toDatum, gridEdges);
+  if (!path) {
+    throw new Error(`No transformation path from ${fromDatum} to ${toDatum}`);
+  }
+  
+  // Coordinate epoch: explicit, else the source (or target) frame epoch
+  let epoch = options.epoch ?? fromDatumObj.epoch ?? toDatumObj.epoch ?? null;
+  if (epoch !== null && !Number.isFinite(epoch) && path.some(step => step.rates)) {
+    throw new Error('Coordinate epoch must be a decimal year');
+  }
+  const inputEpoch = epoch;
   
   // Convert to geocentric if input is geographic
   let xyz;
@@ -358,22 +769,221 @@ export function transformDatum(coords, fromDatum, toDatum, inputType = 'geograph
     xyz = { x: coords.x, y: coords.y, z: coords.z };
   }
   
+  // Propagate between epochs in the source frame
+  let velocity = null;
+  if (propagate) {
+    const velocityValues = Object.values(options.velocity).filter(value => typeof value !== 'string');
+    if (![options.epoch, options.targetEpoch, ...velocityValues].every(Number.isFinite)) {
+      throw new Error('Epochs and velocities must be numbers');
+    }
+    const geo = inputType === 'geographic'
+      ? coords
+      : geocentricToGeographic(xyz.x, xyz.y, xyz.z, fromEllipsoid);
+    velocity = {
+      ...resolveVelocity(options.velocity, xyz, geo, fromDatumObj.fixedPlate),
+      fromEpoch: options.epoch,
+      toEpoch: options.targetEpoch
+    };
+    xyz = propagatePosition(xyz, velocity, options.epoch, options.targetEpoch);
+    epoch = options.targetEpoch;
+  }
+  
   // Apply transformation(s)
-  let transformedXYZ;
-  if (transParams.viaWGS84) {
-    // Two-step transformation via WGS84
-    const toWGS84 = helmertTransformation(xyz, transParams.toWGS84);
-    transformedXYZ = helmertTransformation(toWGS84, transParams.fromWGS84);
-  } else {
-    transformedXYZ = helmertTransformation(xyz, transParams);
+  let transformedXYZ = xyz;
+  const steps = [];
+  
+  for (const step of path) {
+    if (method === 'molodensky' || method === 'abridged') {
+      transformedXYZ = applyMolodenskyStep(transformedXYZ, step, epoch, steps, method, options.allowIgnoredRotation);
+      continue;
+    }
+    if (method === 'badekas' && step.molodenskyBadekas) {
+      transformedXYZ = applyBadekasStep(transformedXYZ, step, steps);
+      continue;
+    }
+    if (!step.grid) {
+      transformedXYZ = applyHelmertStep(transformedXYZ, step, epoch, steps);
+      if (method === 'badekas') steps[steps.length - 1].badekasFallback = true;
+      continue;
+    }
+    
+    const stepFrom = step.inverse ? step.to : step.from;
+    const stepTo = step.inverse ? step.from : step.to;
+    const stepFromEllipsoid = ELLIPSOIDS[DATUMS[stepFrom].ellipsoid];
+    const stepToEllipsoid = ELLIPSOIDS[DATUMS[stepTo].ellipsoid];
+    
+    const geo = geocentricToGeographic(transformedXYZ.x, transformedXYZ.y, transformedXYZ.z, stepFromEllipsoid);
+    const shifted = applyGridShift(step.grid, geo.lat, geo.lon, step.inverse);
+    
+    if (shifted) {
+      transformedXYZ = geographicToGeocentric(shifted.lat, shifted.lon, geo.h, stepToEllipsoid);
+      steps.push({
+        id: step.id,
+        name: step.name,
+        from: stepFrom,
+        to: stepTo,
+        inverse: step.inverse,
+        epoch: null,
+        method: 'grid',
+        subgrid: shifted.subgrid
+      });
+    } else {
+      // Outside the grid: fall back to the parameter chain for this hop
+      const fallback = getTransformationPath(stepFrom, stepTo);
+      for (const fallbackStep of fallback) {
+        transformedXYZ = applyHelmertStep(transformedXYZ, fallbackStep, epoch, steps);
+        steps[steps.length - 1].gridFallback = step.grid.name;
+      }
+    }
   }
   
+  const transformation = {
+    steps,
+    epoch,
+    velocity,
+    method,
+    epochWarning: propagate || path.some(step => step.rates)
+      ? frameEpochWarning(fromDatumObj, toDatumObj, inputEpoch, epoch, propagate)
+      : null
+  };
+  
   // Convert back to geographic if that was the input type
   if (inputType === 'geographic') {
-    return geocentricToGeographic(transformedXYZ.x, transformedXYZ.y, transformedXYZ.z, toEllipsoid);
+    return {
+      ...geocentricToGeographic(transformedXYZ.x, transformedXYZ.y, transformedXYZ.z, toEllipsoid),
+      transformation
+    };
   }
   
-  return transformedXYZ;
+  return { ...transformedXYZ, transformation };
+}
+
+/**
+ * Warn when a fixed-epoch frame is used away from its reference epoch
+ * 
+ * Static realisations such as TUREF publish coordinates at one epoch
+ * (2005.0). A time-dependent chain evaluated at another epoch gives the
+ * underlying frame (ITRF96) at that epoch instead, which can be off by
+ * a decimetre or more after some years of plate motion.
+ * 
+ * @param {string} fromDatum - Source datum name
+ * @param {string} toDatum - Target datum name
+ * @param {Object} options - {epoch, targetEpoch, velocity} as for transformDatum
+ * @returns {string|null} - Warning, null when the epochs match or do not matter
+ */
+export function checkFrameEpoch(fromDatum, toDatum, options = {}) {
+  const fromDatumObj = DATUMS[fromDatum];
+  const toDatumObj = DATUMS[toDatum];
+  if (!fromDatumObj || !toDatumObj) return null;
+  
+  const propagate = !!(options.velocity && options.targetEpoch != null
+    && options.epoch != null && options.targetEpoch !== options.epoch);
+  const path = fromDatum === toDatum ? [] : getTransformationPath(fromDatum, toDatum) || [];
+  if (!propagate && !path.some(step => step.rates)) return null;
+  
+  const inputEpoch = options.epoch ?? fromDatumObj.epoch ?? toDatumObj.epoch ?? null;
+  return frameEpochWarning(fromDatumObj, toDatumObj, inputEpoch, propagate ? options.targetEpoch : inputEpoch, propagate);
+}
+
+function frameEpochWarning(fromDatumObj, toDatumObj, inputEpoch, outputEpoch, propagate) {
+  if (toDatumObj.fixedEpoch && Number.isFinite(outputEpoch) && outputEpoch !== toDatumObj.epoch) {
+    const warning = `Result is ${toDatumObj.name} at epoch ${outputEpoch.toFixed(3)}, not at its reference epoch `
+      + toDatumObj.epoch.toFixed(1);
+    return propagate
+      ? warning
+      : `${warning} - set the coordinate epoch to ${toDatumObj.epoch.toFixed(1)} for ${toDatumObj.name} coordinates as published`;
+  }
+  if (fromDatumObj.fixedEpoch && Number.isFinite(inputEpoch) && inputEpoch !== fromDatumObj.epoch) {
+    return `${fromDatumObj.name} coordinates refer to epoch ${fromDatumObj.epoch.toFixed(1)} but are read at `
+      + `${inputEpoch.toFixed(3)} - set the coordinate epoch to ${fromDatumObj.epoch.toFixed(1)}`;
+  }
+  return null;
+}
+
+/**
+ * Round-trip closure of a datum transformation
+ * 
+ * Transforms a point A → B → A and reports how far it lands from where
+ * it started. With exact inverses the closure is at the numerical noise
+ * level; grid steps (iterative inverse) or a different path back show up
+ * as larger residuals.
+ * 
+ * Epoch propagation is not applied, only the transformation chain.
+ * 
+ * @param {Object} coords - {lat, lon, h} on fromDatum
+ * @param {string} fromDatum - Datum A
+ * @param {string} toDatum - Datum B
+ * @param {Object} options - {epoch, method} as for transformDatum
+ * @returns {Object} - {north, east, up, horizontal, total} in meters, and the forward/back results
+ */
+export function roundTripResidual(coords, fromDatum, toDatum, options = {}) {
+  const chainOptions = { epoch: options.epoch, method: options.method };
+  const forward = transformDatum(coords, fromDatum, toDatum, 'geographic', chainOptions);
+  const back = transformDatum(forward, toDatum, fromDatum, 'geographic', chainOptions);
+  
+  const ellipsoid = ELLIPSOIDS[DATUMS[fromDatum].ellipsoid];
+  const phi = toRadians(coords.lat);
+  const north = toRadians(back.lat - coords.lat) * radiusOfCurvatureM(phi, ellipsoid);
+  const east = toRadians(back.lon - coords.lon) * radiusOfCurvatureN(phi, ellipsoid) * Math.cos(phi);
+  const up = back.h - coords.h;
+  const horizontal = Math.sqrt(north * north + east * east);
+  
+  return {
+    north,
+    east,
+    up,
+    horizontal,
+    total: Math.sqrt(horizontal * horizontal + up * up),
+    forward,
+    back
+  };
+}
+
+/**
+ * Compare the datum transformation methods at one point
+ * 
+ * Every method in DATUM_METHODS is run with the same options and its
+ * result is expressed as north/east/up offsets from the Helmert result
+ * on the target ellipsoid. `applied` is false when the method fell back
+ * to Helmert on every step (no grid or Molodensky-Badekas set covers the
+ * point).
+ * 
+ * @param {Object} coords - {lat, lon, h} on fromDatum
+ * @param {string} fromDatum - Source datum
+ * @param {string} toDatum - Target datum
+ * @param {Object} options - Options for transformDatum (method is ignored)
+ * @returns {Array} - [{method, name, lat, lon, h, north, east, up, horizontal, applied, error}]
+ */
+export function compareDatumMethods(coords, fromDatum, toDatum, options = {}) {
+  const reference = transformDatum(coords, fromDatum, toDatum, 'geographic', { ...options, method: 'helmert' });
+  const ellipsoid = ELLIPSOIDS[DATUMS[toDatum].ellipsoid];
+  const phi = toRadians(reference.lat);
+  
+  return Object.entries(DATUM_METHODS).map(([method, name]) => {
+    try {
+      const result = method === 'helmert'
+        ? reference
+        : transformDatum(coords, fromDatum, toDatum, 'geographic', { ...options, method, allowIgnoredRotation: true });
+      const north = toRadians(result.lat - reference.lat) * radiusOfCurvatureM(phi, ellipsoid);
+      const east = toRadians(result.lon - reference.lon) * radiusOfCurvatureN(phi, ellipsoid) * Math.cos(phi);
+      
+      return {
+        method,
+        name,
+        lat: result.lat,
+        lon: result.lon,
+        h: result.h,
+        north,
+        east,
+        up: result.h - reference.h,
+        horizontal: Math.sqrt(north * north + east * east),
+        applied: result.transformation?.steps.some(step => step.method === method) ?? false,
+        error: null
+      };
+    } catch (err) {
+      return { method, name, applied: false, error: err.message };
+    }
+  });
 }
 
 // ============================================================
@@ -496,6 +1106,10 @@ export function orthometricToEllipsoidal(orthometricHeight, geoidUndulation) {
 
 /**
  * Calculate geodesic distance between two points (Vincenty formula)
+ * 
+ * Near-antipodal points, where Vincenty's iteration does not converge,
+ * are solved with Karney's algorithm (see geodesic.js).
+ * 
  * @param {number} lat1 - Start latitude in degrees
  * @param {number} lon1 - Start longitude in degrees
  * @param {number} lat2 - End latitude in degrees
@@ -554,8 +1168,12 @@ export function vincentyDistance(lat1, lon1, lat2, lon2, ellipsoid = ELLIPSOIDS.
   } while (Math.abs(lambda - lambdaP) > 1e-12 && --iterLimit > 0);
   
   if (iterLimit === 0) {
-    console.warn('Vincenty formula failed to converge');
-    return null;
+    const geodesic = geodesicInverse(lat1, lon1, lat2, lon2, ellipsoid);
+    return {
+      distance: geodesic.distance,
+      azimuth12: geodesic.azimuth1,
+      azimuth21: geodesic.azimuth2
+    };
   }
   
   const uSq = cos2Alpha * (a * a - b * b) / (b * b);
@@ -591,14 +1209,20 @@ export function vincentyDistance(lat1, lon1, lat2, lon2, ellipsoid = ELLIPSOIDS.
 }
 
 /**
- * Get UTM zone from longitude
- * @param {number} longitude - Longitude in degrees
- * @returns {number} - UTM zone number
+ * Convert a date to a decimal year (e.g. 2026.795)
+ * @param {Date} date - Date to convert (default: now)
+ * @returns {number} - Decimal year
  */
-export function getUTMZone(longitude) {
-  return Math.floor((longitude + 180) / 6) + 1;
+export function toDecimalYear(date = new Date()) {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
 }
 
+// UTM zone selection (with the Norway / Svalbard exceptions) lives in projections.js
+export { getUTMZone } from './projections';
+
 /**
  * Get UTM EPSG code
  * @param {number} zone - UTM zone number
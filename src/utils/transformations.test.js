@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import {
+  transformDatum,
+  compareDatumMethods,
+  helmertTransformation,
+  molodenskyBadekasTransformation,
+  DATUM_METHODS
+} from './transformations';
+
+// Horizontal and vertical distance (m) between two geographic results
+const distance = (a, b) => {
+  const north = (a.lat - b.lat) * 111195;
+  const east = (a.lon - b.lon) * 111195 * Math.cos(a.lat * Math.PI / 180);
+  return { horizontal: Math.hypot(north, east), up: Math.abs(a.h - b.h) };
+};
+
+const POINTS = [
+  { lat: 41, lon: 29, h: 100 },
+  { lat: 60, lon: 10, h: 500 },
+  { lat: 36, lon: -5, h: 0 }
+];
+
+describe('Molodensky methods', () => {
+  // ED50 → WGS84 is a translation-only set, so Helmert is the exact reference
+
+  it('standard Molodensky agrees with Helmert to a centimetre', () => {
+    for (const point of POINTS) {
+      const helmert = transformDatum(point, 'ED50', 'WGS84', 'geographic', { method: 'helmert' });
+      const molodensky = transformDatum(point, 'ED50', 'WGS84', 'geographic', { method: 'molodensky' });
+      const { horizontal, up } = distance(molodensky, helmert);
+      expect(horizontal).toBeLessThan(0.01);
+      expect(up).toBeLessThan(0.01);
+    }
+  });
+
+  it('abridged Molodensky agrees with Helmert to half a metre', () => {
+    for (const point of POINTS) {
+      const helmert = transformDatum(point, 'ED50', 'WGS84', 'geographic', { method: 'helmert' });
+      const abridged = transformDatum(point, 'ED50', 'WGS84', 'geographic', { method: 'abridged' });
+      const { horizontal, up } = distance(abridged, helmert);
+      expect(horizontal).toBeLessThan(0.5);
+      expect(up).toBeLessThan(0.5);
+    }
+  });
+
+  it('refuses a parameter set whose rotations and scale matter', () => {
+    const london = { lat: 51.5, lon: -0.1, h: 0 };
+    expect(() => transformDatum(london, 'WGS84', 'OSGB36', 'geographic', { method: 'molodensky' }))
+      .toThrow(/rotations \/ scale/);
+    expect(compareDatumMethods(london, 'WGS84', 'OSGB36').every(row => !row.error)).toBe(true);
+  });
+
+  it('compares every method', () => {
+    const rows = compareDatumMethods(POINTS[0], 'ED50', 'WGS84');
+    expect(rows.map(row => row.method)).toEqual(Object.keys(DATUM_METHODS));
+  });
+
+  it('Molodensky-Badekas about the geocentre is the Helmert transformation', () => {
+    const xyz = { x: 4208830, y: 2334850, z: 4171260 };
+    const params = { tx: 1, ty: 2, tz: 3, rx: 0.5, ry: -0.3, rz: 0.8, s: 2 };
+    const badekas = molodenskyBadekasTransformation(xyz, params, { x: 0, y: 0, z: 0 });
+    const helmert = helmertTransformation(xyz, params);
+    expect(Math.hypot(badekas.x - helmert.x, badekas.y - helmert.y, badekas.z - helmert.z)).toBeLessThan(1e-6);
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * Native Transverse Mercator (Krüger series)
+ *
+ * Forward and inverse TM with Krüger's series carried to sixth order in
+ * the third flattening n, as given by Karney (2011). Errors stay below
+ * 5 nm within 3900 km of the central meridian, so the engine can be used
+ * to audit proj4 on wide zones and 3° sheets.
+ *
+ * The engine is registered with proj4 as `+proj=kruger`, so a TM CRS can
+ * be switched to it per projection (see toKrugerCRS) and everything that
+ * takes a proj4 CRS - single points, batch workers, vector files, grid
+ * factors - uses it unchanged.
+ *
+ * Reference: C. F. F. Karney, Transverse Mercator with an accuracy of a
+ * few nanometers, J. Geodesy 85, 475-485 (2011)
+ */
+
+import proj4 from 'proj4';
+import { radiusOfCurvatureM, radiusOfCurvatureN } from './ellipsoids';
+
+const STORAGE_KEY = 'datumx.tmEngines';
+
+const DEG2RAD = Math.PI / 180;
+
+// TM engines selectable per projection
+export const TM_ENGINES = {
+  proj4: 'proj4 (etmerc)',
+  kruger: 'Native Krüger (6th order)'
+};
+
+// proj4 projection names that are transverse Mercator
+const TM_PROJECTION_NAMES = [
+  'tmerc', 'etmerc', 'utm', 'kruger',
+  'Transverse_Mercator', 'Transverse Mercator',
+  'Extended_Transverse_Mercator', 'Extended Transverse Mercator',
+  'Gauss_Kruger', 'Gauss Kruger',
+  'Fast_Transverse_Mercator', 'Fast Transverse Mercator',
+  'Universal Transverse Mercator System'
+];
+
+// ============================================================
+// SERIES
+// ============================================================
+
+/**
+ * Series coefficients of an ellipsoid, Karney (2011) eqs. (14), (35), (36)
+ * @param {number} f - Flattening
+ * @returns {Object} - {n, e, A (rectifying radius / a), alpha, beta}
+ */
+function krugerCoefficients(f) {
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  const n5 = n4 * n;
+  const n6 = n5 * n;
+
+  return {
+    n,
+    e: Math.sqrt(f * (2 - f)),
+    A: (1 + n2 / 4 + n4 / 64 + n6 / 256) / (1 + n),
+    alpha: [
+      n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180 - 127 * n5 / 288 + 7891 * n6 / 37800,
+      13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440 + 281 * n5 / 630 - 1983433 * n6 / 1935360,
+      61 * n3 / 240 - 103 * n4 / 140 + 15061 * n5 / 26880 + 167603 * n6 / 181440,
+      49561 * n4 / 161280 - 179 * n5 / 168 + 6601661 * n6 / 7257600,
+      34729 * n5 / 80640 - 3418889 * n6 / 1995840,
+      212378941 * n6 / 319334400
+    ],
+    beta: [
+      n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360 - 81 * n5 / 512 + 96199 * n6 / 604800,
+      n2 / 48 + n3 / 15 - 437 * n4 / 1440 + 46 * n5 / 105 - 1118711 * n6 / 3870720,
+      17 * n3 / 480 - 37 * n4 / 840 - 209 * n5 / 4480 + 5569 * n6 / 90720,
+      4397 * n4 / 161280 - 11 * n5 / 504 - 830251 * n6 / 7257600,
+      4583 * n5 / 161280 - 108847 * n6 / 3991680,
+      20648693 * n6 / 638668800
+    ]
+  };
+}
+
+// Tangent of the conformal latitude τ' from τ = tan φ, eq. (7)
+function conformalTangent(tau, e) {
+  const sigma = Math.sinh(e * Math.atanh(e * tau / Math.hypot(1, tau)));
+  return tau * Math.hypot(1, sigma) - sigma * Math.hypot(1, tau);
+}
+
+// Inverse of conformalTangent by Newton's method, eqs. (19)-(21)
+function geographicTangent(taup, e) {
+  const e2m = 1 - e * e;
+  let tau = taup / e2m;
+  for (let i = 0; i < 10; i++) {
+    const taupa = conformalTangent(tau, e);
+    const dtau = (taup - taupa) * (1 + e2m * tau * tau) /
+      (e2m * Math.hypot(1, tau) * Math.hypot(1, taupa));
+    tau += dtau;
+    if (!(Math.abs(dtau) >= 1e-14 * Math.max(1, Math.abs(tau)))) break;
+  }
+  return tau;
+}
+
+const normalizeLongitude = (lon) => {
+  const x = (lon + Math.PI) % (2 * Math.PI);
+  return (x < 0 ? x + 2 * Math.PI : x) - Math.PI;
+};
+
+// ============================================================
+// ENGINE
+// ============================================================
+
+/**
+ * Create a transverse Mercator projection
+ *
+ * Convergence is the bearing of grid north clockwise from true north.
+ *
+ * @param {Object} params - {a, f, lat0, lon0 (degrees), k0, x0, y0}
+ * @returns {Object} - {forward(lat, lon) → {easting, northing, convergence, scale},
+ *   inverse(easting, northing) → {lat, lon}}
+ */
+export function createTransverseMercator({ a, f, lat0 = 0, lon0 = 0, k0 = 1, x0 = 0, y0 = 0 }) {
+  const { e, A, alpha, beta } = krugerCoefficients(f);
+  const scale = k0 * a * A;
+  const lam0 = lon0 * DEG2RAD;
+
+  // ξ on the central meridian at the latitude of origin
+  const chi0 = Math.atan(conformalTangent(Math.tan(lat0 * DEG2RAD), e));
+  const xi0 = chi0 + alpha.reduce((sum, al, j) => sum + al * Math.sin(2 * (j + 1) * chi0), 0);
+
+  const forward = (lat, lon) => {
+    const phi = lat * DEG2RAD;
+    const lam = normalizeLongitude(lon * DEG2RAD - lam0);
+    const cosLam = Math.cos(lam);
+    const sinLam = Math.sin(lam);
+    const tau = Math.abs(lat) === 90 ? Math.sign(lat) * Infinity : Math.tan(phi);
+    const taup = Number.isFinite(tau) ? conformalTangent(tau, e) : tau;
+
+    // Spherical TM on the conformal sphere, eq. (10)
+    const xip = Number.isFinite(taup) ? Math.atan2(taup, cosLam) : Math.sign(taup) * Math.PI / 2;
+    const etap = Number.isFinite(taup) ? Math.asinh(sinLam / Math.hypot(taup, cosLam)) : 0;
+
+    let xi = xip;
+    let eta = etap;
+    let p = 1;
+    let q = 0;
+    alpha.forEach((al, j) => {
+      const k = 2 * (j + 1);
+      xi += al * Math.sin(k * xip) * Math.cosh(k * etap);
+      eta += al * Math.cos(k * xip) * Math.sinh(k * etap);
+      p += k * al * Math.cos(k * xip) * Math.cosh(k * etap);
+      q += k * al * Math.sin(k * xip) * Math.sinh(k * etap);
+    });
+
+    // Convergence and scale, eqs. (11)-(12), (27)-(28)
+    let gamma;
+    let k;
+    if (Number.isFinite(taup)) {
+      gamma = Math.atan2(taup * sinLam, Math.hypot(1, taup) * cosLam) + Math.atan2(q, p);
+      k = Math.sqrt(1 - e * e * Math.sin(phi) ** 2) * Math.hypot(1, tau) /
+        Math.hypot(taup, cosLam) * A * Math.hypot(p, q);
+    } else {
+      gamma = Math.sign(lat) * lam;
+      k = A * Math.sqrt(Math.pow(1 + e, 1 + e) * Math.pow(1 - e, 1 - e)) * Math.hypot(p, q);
+    }
+
+    return {
+      easting: x0 + scale * eta,
+      northing: y0 + scale * (xi - xi0),
+      convergence: gamma / DEG2RAD,
+      scale: k0 * k
+    };
+  };
+
+  const inverse = (easting, northing) => {
+    const xi = (northing - y0) / scale + xi0;
+    const eta = (easting - x0) / scale;
+
+    let xip = xi;
+    let etap = eta;
+    beta.forEach((be, j) => {
+      const k = 2 * (j + 1);
+      xip -= be * Math.sin(k * xi) * Math.cosh(k * eta);
+      etap -= be * Math.cos(k * xi) * Math.sinh(k * eta);
+    });
+
+    const taup = Math.sin(xip) / Math.hypot(Math.sinh(etap), Math.cos(xip));
+    const lam = Math.atan2(Math.sinh(etap), Math.cos(xip));
+    const tau = geographicTangent(taup, e);
+
+    return {
+      lat: Math.atan(tau) / DEG2RAD,
+      lon: normalizeLongitude(lam + lam0) / DEG2RAD
+    };
+  };
+
+  return { forward, inverse };
+}
+
+// proj4 projection backed by the engine (+proj=kruger)
+proj4.Proj.projections.add({
+  names: ['kruger', 'Kruger_Transverse_Mercator'],
+  init() {
+    const f = 1 - Math.sqrt(1 - (this.es || 0));
+    this.tm = createTransverseMercator({
+      a: this.a,
+      f,
+      lat0: (this.lat0 || 0) / DEG2RAD,
+      lon0: (this.long0 || 0) / DEG2RAD,
+      k0: this.k0 ?? 1,
+      x0: this.x0 || 0,
+      y0: this.y0 || 0
+    });
+  },
+  forward(p) {
+    const result = this.tm.forward(p.y / DEG2RAD, p.x / DEG2RAD);
+    p.x = result.easting;
+    p.y = result.northing;
+    return p;
+  },
+  inverse(p) {
+    const result = this.tm.inverse(p.x, p.y);
+    p.x = result.lon * DEG2RAD;
+    p.y = result.lat * DEG2RAD;
+    return p;
+  }
+});
+
+// ============================================================
+// CRS PARAMETERS
+// ============================================================
+
+/**
+ * TM parameters of a proj4 CRS
+ * @param {string} crs - proj4 code or definition
+ * @returns {Object|null} - {a, f, lat0, lon0, k0, x0, y0, toMeter, engine}
+ *   or null when the CRS is not transverse Mercator
+ */
+export function getTMParameters(crs) {
+  let projection;
+  try {
+    projection = proj4.Proj(crs);
+  } catch {
+    return null;
+  }
+  if (!TM_PROJECTION_NAMES.includes(projection.projName)) return null;
+
+  const a = projection.a;
+  const b = projection.b ?? a * Math.sqrt(1 - projection.es);
+  return {
+    a,
+    f: (a - b) / a,
+    lat0: (projection.lat0 || 0) / DEG2RAD,
+    lon0: (projection.long0 || 0) / DEG2RAD,
+    k0: projection.k0 ?? 1,
+    x0: projection.x0 || 0,
+    y0: projection.y0 || 0,
+    toMeter: projection.to_meter || 1,
+    engine: projection.projName === 'kruger' ? 'kruger' : 'proj4'
+  };
+}
+
+/**
+ * Definition of a TM CRS on the native Krüger engine
+ * @param {string} crs - proj4 code or definition of a TM CRS
+ * @returns {string} - `+proj=kruger` definition with the same parameters
+ * @throws {Error} - When the CRS is not transverse Mercator
+ */
+export function toKrugerCRS(crs) {
+  const params = getTMParameters(crs);
+  if (!params) {
+    throw new Error('The Krüger engine only applies to transverse Mercator projections');
+  }
+  const b = params.a * (1 - params.f);
+  const units = params.toMeter === 1 ? '+units=m' : `+to_meter=${params.toMeter}`;
+  return `+proj=kruger +lat_0=${params.lat0} +lon_0=${params.lon0} +k_0=${params.k0} ` +
+    `+x_0=${params.x0} +y_0=${params.y0} +a=${params.a} +b=${b} ${units} +no_defs`;
+}
+
+// ============================================================
+// DIAGNOSTICS
+// ============================================================
+
+/**
+ * Compare the native engine with proj4 at a point
+ *
+ * Round trips are forward then inverse, as a distance on the ellipsoid
+ * in metres; the difference is native minus proj4 in grid metres.
+ *
+ * @param {number} lat - Latitude in degrees (on the projection's datum)
+ * @param {number} lon - Longitude in degrees
+ * @param {string} crs - TM CRS (proj4 code or definition)
+ * @returns {Object} - {native, proj4, difference, distanceFromCM, params}
+ * @throws {Error} - When the CRS is not transverse Mercator
+ */
+export function compareTMEngines(lat, lon, crs) {
+  const params = getTMParameters(crs);
+  if (!params) {
+    throw new Error('Not a transverse Mercator projection');
+  }
+  const tm = createTransverseMercator(params);
+  const ellipsoid = { a: params.a, f: params.f };
+  const phi = lat * DEG2RAD;
+  const M = radiusOfCurvatureM(phi, ellipsoid);
+  const N = radiusOfCurvatureN(phi, ellipsoid);
+  const groundOffset = (back) => Math.hypot(
+    (back.lat - lat) * DEG2RAD * M,
+    normalizeLongitude((back.lon - lon) * DEG2RAD) * N * Math.cos(phi)
+  );
+
+  const native = tm.forward(lat, lon);
+  native.roundTrip = groundOffset(tm.inverse(native.easting, native.northing));
+
+  // proj4's own TM (etmerc) with the same parameters
+  const reference = params.engine === 'kruger'
+    ? toProj4TM(params)
+    : crs;
+  const [easting, northing] = proj4('EPSG:4326', reference, [lon, lat]);
+  const [backLon, backLat] = proj4(reference, 'EPSG:4326', [easting, northing]);
+  const proj4Result = {
+    easting: easting * params.toMeter,
+    northing: northing * params.toMeter,
+    roundTrip: groundOffset({ lat: backLat, lon: backLon })
+  };
+
+  const dE = native.easting - proj4Result.easting;
+  const dN = native.northing - proj4Result.northing;
+  return {
+    native,
+    proj4: proj4Result,
+    difference: { easting: dE, northing: dN, total: Math.hypot(dE, dN) },
+    distanceFromCM: Math.abs(native.easting - params.x0) / 1000,
+    params
+  };
+}
+
+// etmerc definition of TM parameters
+function toProj4TM(params) {
+  const b = params.a * (1 - params.f);
+  return `+proj=tmerc +lat_0=${params.lat0} +lon_0=${params.lon0} +k_0=${params.k0} ` +
+    `+x_0=${params.x0} +y_0=${params.y0} +a=${params.a} +b=${b} +to_meter=${params.toMeter} +no_defs`;
+}
+
+// ============================================================
+// ENGINE SELECTION
+// ============================================================
+
+// Engine per projection option (UTM, TM33, custom CRS code, ...)
+const tmEngines = new Map();
+
+function saveTMEngines() {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(tmEngines)));
+}
+
+/**
+ * TM engine selected for a projection
+ * @param {string} projection - Projection option value
+ * @returns {string} - Key in TM_ENGINES
+ */
+export function getTMEngine(projection) {
+  return tmEngines.get(projection) || 'proj4';
+}
+
+/**
+ * Engines selected per projection
+ * @returns {Object} - {projection: engine} for non-default engines
+ */
+export function getTMEngines() {
+  return Object.fromEntries(tmEngines);
+}
+
+/**
+ * Select the TM engine of a projection
+ * @param {string} projection - Projection option value
+ * @param {string} engine - Key in TM_ENGINES
+ * @param {boolean} persist - Save to local storage
+ */
+export function setTMEngine(projection, engine, persist = true) {
+  if (!TM_ENGINES[engine]) {
+    throw new Error(`Unknown TM engine: ${engine}`);
+  }
+  if (engine === 'proj4') {
+    tmEngines.delete(projection);
+  } else {
+    tmEngines.set(projection, engine);
+  }
+  if (persist) saveTMEngines();
+}
+
+/**
+ * Restore engine selections saved in local storage
+ * @returns {Object} - Restored selections
+ */
+export function loadStoredTMEngines() {
+  if (typeof localStorage === 'undefined') return {};
+
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+
+  Object.entries(stored).forEach(([projection, engine]) => {
+    if (TM_ENGINES[engine]) tmEngines.set(projection, engine);
+  });
+  return getTMEngines();
+}
+
+loadStoredTMEngines();
+
+export default createTransverseMercator;
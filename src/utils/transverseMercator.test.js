@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { createTransverseMercator, compareTMEngines } from './transverseMercator';
+
+const UTM_35N = '+proj=utm +zone=35 +datum=WGS84 +units=m +no_defs';
+
+// Points across UTM zone 35 and well beyond its edges (up to ~420 km from the CM)
+const POINTS = [
+  [41.0082, 28.9784],
+  [70, 30],
+  [-35, 24],
+  [41, 32]
+];
+
+describe('createTransverseMercator', () => {
+  it('matches proj4 etmerc to the nanometre level', () => {
+    for (const [lat, lon] of POINTS) {
+      const { difference } = compareTMEngines(lat, lon, UTM_35N);
+      expect(difference.total).toBeLessThan(1e-8);
+    }
+  });
+
+  it('is exact on the central meridian', () => {
+    const { native } = compareTMEngines(0, 27, UTM_35N);
+    expect(native.easting).toBeCloseTo(500000, 9);
+    expect(native.northing).toBeCloseTo(0, 9);
+    expect(native.convergence).toBeCloseTo(0, 12);
+    expect(native.scale).toBeCloseTo(0.9996, 12);
+  });
+
+  it('round-trips forward and inverse', () => {
+    const tm = createTransverseMercator({
+      a: 6378137, f: 1 / 298.257223563, lon0: 27, k0: 0.9996, x0: 500000
+    });
+    for (const [lat, lon] of POINTS) {
+      const { easting, northing } = tm.forward(lat, lon);
+      const back = tm.inverse(easting, northing);
+      expect(back.lat).toBeCloseTo(lat, 11);
+      expect(back.lon).toBeCloseTo(lon, 11);
+    }
+  });
+});
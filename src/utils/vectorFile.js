@@ -0,0 +1,592 @@
+/**
+ * Vector File Transformation
+ *
+ * Reads vector datasets into GeoJSON and reprojects every vertex through
+ * the datum / projection pipeline:
+ * - GeoJSON  (.geojson / .json; CRS from the `crs` member, CRS84 otherwise)
+ * - Shapefile (.shp + .dbf + .prj, or all of them in a .zip)
+ * - KML      (.kml; always WGS84)
+ *
+ * A CRS is described as {type: 'geographic'|'projected', datum, crs},
+ * where `crs` is the proj4 definition of a projected CRS on its datum's
+ * ellipsoid (see getProjectionCRS in the panel and resolveFileCRS).
+ */
+
+import { coordEach, clone, booleanPointInPolygon, polygon } from '@turf/turf';
+import { resolveFileCRS } from './crs';
+import { getGeoJSONCRS } from './pointExport';
+import {
+  transformDatum,
+  projectCoordinates,
+  unprojectCoordinates
+} from './transformations';
+
+export const VECTOR_EXTENSIONS = '.geojson,.json,.kml,.zip,.shp,.dbf,.prj,.cpg';
+
+const SHAPE_TYPES = {
+  0: 'Null',
+  1: 'Point', 11: 'Point', 21: 'Point',
+  3: 'PolyLine', 13: 'PolyLine', 23: 'PolyLine',
+  5: 'Polygon', 15: 'Polygon', 25: 'Polygon',
+  8: 'MultiPoint', 18: 'MultiPoint', 28: 'MultiPoint'
+};
+
+// Shape types with a Z block
+const SHAPE_TYPES_Z = [11, 13, 15, 18];
+
+let fileCRSCount = 0;
+
+// ============================================================
+// GEOJSON
+// ============================================================
+
+/**
+ * CRS definition of a GeoJSON `crs` member
+ * @param {Object|undefined} crs - Named CRS member
+ * @returns {string} - EPSG code (EPSG:4326 when absent or CRS84)
+ */
+function readGeoJSONCRS(crs) {
+  const name = crs?.properties?.name;
+  if (!name || /CRS84$/i.test(name)) return 'EPSG:4326';
+  const code = /EPSG:{1,2}(\d+)$/i.exec(name)?.[1];
+  if (!code) {
+    throw new Error(`Unsupported GeoJSON CRS: ${name}`);
+  }
+  return `EPSG:${code}`;
+}
+
+/**
+ * Normalize any GeoJSON object to a FeatureCollection
+ */
+function toFeatureCollection(data) {
+  if (data.type === 'FeatureCollection') return data;
+  if (data.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+  return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+}
+
+// ============================================================
+// KML
+// ============================================================
+
+// Child elements by local name, ignoring namespaces
+function children(element, name) {
+  return Array.from(element.children).filter(child => child.localName === name);
+}
+
+function descendants(element, name) {
+  return Array.from(element.getElementsByTagNameNS('*', name));
+}
+
+function childText(element, name) {
+  return children(element, name)[0]?.textContent.trim() ?? null;
+}
+
+function readKMLCoordinates(element) {
+  const text = descendants(element, 'coordinates')[0]?.textContent || '';
+  return text.trim().split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').map(Number));
+}
+
+function readKMLGeometry(element) {
+  switch (element.localName) {
+    case 'Point':
+      return { type: 'Point', coordinates: readKMLCoordinates(element)[0] };
+    case 'LineString':
+      return { type: 'LineString', coordinates: readKMLCoordinates(element) };
+    case 'LinearRing':
+      return { type: 'Polygon', coordinates: [readKMLCoordinates(element)] };
+    case 'Polygon': {
+      const outer = children(element, 'outerBoundaryIs').map(readKMLCoordinates);
+      const inner = children(element, 'innerBoundaryIs').map(readKMLCoordinates);
+      return { type: 'Polygon', coordinates: [...outer, ...inner] };
+    }
+    case 'MultiGeometry':
+      return {
+        type: 'GeometryCollection',
+        geometries: Array.from(element.children).map(readKMLGeometry).filter(Boolean)
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read KML Placemarks as GeoJSON features
+ * @param {string} text - KML document
+ * @returns {Object} - FeatureCollection
+ */
+export function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid KML document');
+  }
+
+  const features = descendants(doc, 'Placemark').flatMap(placemark => {
+    const geometryElement = Array.from(placemark.children).find(child =>
+      ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'].includes(child.localName));
+    const geometry = geometryElement && readKMLGeometry(geometryElement);
+    if (!geometry) return [];
+
+    const properties = {};
+    const name = childText(placemark, 'name');
+    const description = childText(placemark, 'description');
+    if (name !== null) properties.name = name;
+    if (description !== null) properties.description = description;
+    descendants(placemark, 'Data').forEach(data => {
+      properties[data.getAttribute('name')] = childText(data, 'value');
+    });
+    descendants(placemark, 'SimpleData').forEach(data => {
+      properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+
+    return [{ type: 'Feature', properties, geometry }];
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+// ============================================================
+// SHAPEFILE
+// ============================================================
+
+// Signed area of a ring; negative for clockwise rings (shapefile outers)
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return area / 2;
+}
+
+/**
+ * Group shapefile rings into polygons
+ *
+ * Clockwise rings are outer boundaries and counter-clockwise rings are
+ * holes; each hole goes to the outer ring that contains it.
+ */
+function ringsToPolygons(rings) {
+  const outers = [];
+  const holes = [];
+  rings.forEach(ring => (ringArea(ring) <= 0 ? outers : holes).push(ring));
+  if (outers.length === 0) return holes.map(ring => [ring]);
+
+  const polygons = outers.map(ring => [ring]);
+  holes.forEach(hole => {
+    const owner = polygons.find(rings => booleanPointInPolygon(hole[0], polygon([rings[0]])));
+    (owner || polygons[polygons.length - 1]).push(hole);
+  });
+  return polygons;
+}
+
+/**
+ * Read the geometries of a .shp file
+ * @param {ArrayBuffer} buffer - .shp contents
+ * @returns {Array<Object|null>} - GeoJSON geometry per record
+ */
+export function parseSHP(buffer) {
+  const view = new DataView(buffer);
+  if (view.getInt32(0, false) !== 9994) {
+    throw new Error('Not a shapefile (.shp)');
+  }
+
+  const fileLength = view.getInt32(24, false) * 2;
+  const geometries = [];
+  let offset = 100;
+
+  while (offset + 8 <= fileLength) {
+    const contentLength = view.getInt32(offset + 4, false) * 2;
+    const start = offset + 8;
+    const shapeType = view.getInt32(start, true);
+    const kind = SHAPE_TYPES[shapeType];
+    if (kind === undefined) {
+      throw new Error(`Unsupported shape type ${shapeType}`);
+    }
+
+    const point = (at) => [view.getFloat64(at, true), view.getFloat64(at + 8, true)];
+
+    if (kind === 'Null') {
+      geometries.push(null);
+    } else if (kind === 'Point') {
+      const coordinates = point(start + 4);
+      if (SHAPE_TYPES_Z.includes(shapeType)) coordinates.push(view.getFloat64(start + 20, true));
+      geometries.push({ type: 'Point', coordinates });
+    } else {
+      const isMultiPoint = kind === 'MultiPoint';
+      const numParts = isMultiPoint ? 0 : view.getInt32(start + 36, true);
+      const numPoints = view.getInt32(start + (isMultiPoint ? 36 : 40), true);
+      const partsAt = start + 44;
+      const pointsAt = isMultiPoint ? start + 40 : partsAt + numParts * 4;
+
+      const points = Array.from({ length: numPoints }, (_, i) => point(pointsAt + i * 16));
+      if (SHAPE_TYPES_Z.includes(shapeType)) {
+        const zAt = pointsAt + numPoints * 16 + 16;
+        points.forEach((p, i) => p.push(view.getFloat64(zAt + i * 8, true)));
+      }
+
+      if (isMultiPoint) {
+        geometries.push({ type: 'MultiPoint', coordinates: points });
+      } else {
+        const parts = Array.from({ length: numParts }, (_, i) => view.getInt32(partsAt + i * 4, true));
+        const rings = parts.map((first, i) => points.slice(first, parts[i + 1] ?? numPoints));
+        if (kind === 'PolyLine') {
+          geometries.push(rings.length === 1
+            ? { type: 'LineString', coordinates: rings[0] }
+            : { type: 'MultiLineString', coordinates: rings });
+        } else {
+          const polygons = ringsToPolygons(rings);
+          geometries.push(polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons });
+        }
+      }
+    }
+
+    offset = start + contentLength;
+  }
+
+  return geometries;
+}
+
+/**
+ * Read the attribute table of a .dbf file
+ * @param {ArrayBuffer} buffer - .dbf contents
+ * @param {string} encoding - Text encoding (from the .cpg file)
+ * @returns {Array<Object>} - Properties per record
+ */
+export function parseDBF(buffer, encoding = 'utf-8') {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder(encoding);
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0D; offset += 32) {
+    fields.push({
+      name: decoder.decode(bytes.subarray(offset, offset + 11)).replace(/\0.*$/, ''),
+      type: String.fromCharCode(bytes[offset + 11]),
+      length: bytes[offset + 16]
+    });
+  }
+
+  const records = [];
+  for (let i = 0; i < recordCount; i++) {
+    let offset = headerLength + i * recordLength + 1;
+    const properties = {};
+    fields.forEach(field => {
+      const text = decoder.decode(bytes.subarray(offset, offset + field.length)).trim();
+      offset += field.length;
+      if (field.type === 'N' || field.type === 'F') {
+        properties[field.name] = text === '' ? null : Number(text);
+      } else if (field.type === 'L') {
+        properties[field.name] = /^[TY]$/i.test(text) ? true : /^[FN]$/i.test(text) ? false : null;
+      } else {
+        properties[field.name] = text;
+      }
+    });
+    records.push(properties);
+  }
+  return records;
+}
+
+/**
+ * Read the files of a ZIP archive (stored or deflated entries)
+ * @param {ArrayBuffer} buffer - Archive contents
+ * @returns {Promise<Map<string, ArrayBuffer>>} - Contents by file name
+ */
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    const dataAt = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const data = buffer.slice(dataAt, dataAt + compressedSize);
+
+    if (method === 0) {
+      files.set(name, data);
+    } else if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files.set(name, await new Response(stream).arrayBuffer());
+    } else {
+      throw new Error(`${name}: unsupported ZIP compression method ${method}`);
+    }
+  }
+  return files;
+}
+
+/**
+ * Shapefile parts (by extension) to a layer
+ */
+function readShapefile(name, parts) {
+  if (!parts.shp) {
+    throw new Error(`${name}: the .shp file is missing`);
+  }
+  const geometries = parseSHP(parts.shp);
+  const encoding = parts.cpg ? new TextDecoder().decode(parts.cpg).trim() || 'utf-8' : 'utf-8';
+  const attributes = parts.dbf ? parseDBF(parts.dbf, /^\d+$/.test(encoding) ? `windows-${encoding}` : encoding) : [];
+
+  return {
+    name,
+    format: 'Shapefile',
+    data: {
+      type: 'FeatureCollection',
+      features: geometries.flatMap((geometry, i) => (geometry
+        ? [{ type: 'Feature', properties: attributes[i] || {}, geometry }]
+        : []))
+    },
+    crsDefinition: parts.prj ? new TextDecoder().decode(parts.prj).trim() : null
+  };
+}
+
+// ============================================================
+// READING
+// ============================================================
+
+const baseName = (name) => name.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
+const extension = (name) => (/\.([^.]+)$/.exec(name)?.[1] || '').toLowerCase();
+
+/**
+ * Read vector files chosen in a file picker
+ *
+ * Shapefile parts are matched by base name; a .zip may hold several
+ * shapefiles. `crsDefinition` is the file's own CRS (WKT or EPSG code)
+ * or null when it has none (shapefile without .prj).
+ *
+ * @param {FileList|Array<File>} files - Selected files
+ * @returns {Promise<Array>} - Layers [{name, format, data, crsDefinition}]
+ */
+export async function readVectorFiles(files) {
+  const layers = [];
+  const shapefiles = {};
+  const addPart = (name, buffer) => {
+    const key = baseName(name);
+    shapefiles[key] = { ...shapefiles[key], [extension(name)]: buffer };
+  };
+
+  for (const file of Array.from(files)) {
+    const type = extension(file.name);
+    if (type === 'geojson' || type === 'json') {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (err) {
+        throw new Error(`${file.name}: invalid JSON (${err.message})`);
+      }
+      layers.push({
+        name: baseName(file.name),
+        format: 'GeoJSON',
+        data: toFeatureCollection(data),
+        crsDefinition: readGeoJSONCRS(data.crs)
+      });
+    } else if (type === 'kml') {
+      layers.push({
+        name: baseName(file.name),
+        format: 'KML',
+        data: parseKML(await file.text()),
+        crsDefinition: 'EPSG:4326'
+      });
+    } else if (type === 'zip') {
+      const entries = await readZip(await file.arrayBuffer());
+      entries.forEach((buffer, name) => addPart(name, buffer));
+    } else if (['shp', 'dbf', 'prj', 'cpg'].includes(type)) {
+      addPart(file.name, await file.arrayBuffer());
+    } else {
+      throw new Error(`${file.name}: unsupported file type`);
+    }
+  }
+
+  Object.entries(shapefiles)
+    .filter(([, parts]) => parts.shp || parts.dbf)
+    .forEach(([name, parts]) => layers.push(readShapefile(name, parts)));
+
+  if (layers.length === 0) {
+    throw new Error('No vector layers found');
+  }
+  return layers;
+}
+
+/**
+ * CRS of a layer from its definition
+ * @param {string} definition - WKT or EPSG code
+ * @returns {Object} - {type, datum, crs, name}
+ */
+export function resolveLayerCRS(definition) {
+  fileCRSCount += 1;
+  return resolveFileCRS(definition, `FILE_CRS_${fileCRSCount}`);
+}
+
+// ============================================================
+// TRANSFORMATION
+// ============================================================
+
+/**
+ * Count the vertices of a dataset
+ * @param {Object} data - GeoJSON
+ * @returns {number}
+ */
+export function countVertices(data) {
+  let count = 0;
+  coordEach(data, () => { count += 1; });
+  return count;
+}
+
+/**
+ * Reproject every vertex of a dataset
+ *
+ * Heights are kept (as ellipsoidal heights) when vertices have them.
+ * The WGS84 copy is for display on the map.
+ *
+ * @param {Object} data - GeoJSON in the source CRS
+ * @param {Object} source - {type, datum, crs}
+ * @param {Object} target - {type, datum, crs}
+ * @param {Object} options - transformDatum options
+ * @returns {Object} - {data, display, vertices}
+ * @throws {Error} - With the feature index of the first vertex that fails
+ */
+export function transformVectorData(data, source, target, options = {}) {
+  const output = clone(data);
+  const display = clone(data);
+  const wgs84 = [];
+
+  coordEach(output, (coord, coordIndex, featureIndex) => {
+    const [x, y, z] = coord;
+    const geo = source.type === 'geographic'
+      ? { lat: y, lon: x }
+      : unprojectCoordinates(x, y, source.crs);
+    const sourceGeo = { lat: geo.lat, lon: geo.lon, h: z ?? 0 };
+
+    const result = transformDatum(sourceGeo, source.datum, target.datum, 'geographic', options);
+    const height = coord.length > 2 ? [result.h] : [];
+    let transformed;
+    if (target.type === 'geographic') {
+      transformed = [result.lon, result.lat, ...height];
+    } else {
+      const projected = projectCoordinates(result.lat, result.lon, target.crs);
+      transformed = [projected.easting, projected.northing, ...height];
+    }
+    if (!transformed.every(Number.isFinite)) {
+      throw new Error(`Feature ${featureIndex + 1}: vertex (${x}, ${y}) could not be transformed`);
+    }
+    coord.splice(0, coord.length, ...transformed);
+
+    const display84 = source.datum === 'WGS84'
+      ? sourceGeo
+      : target.datum === 'WGS84'
+        ? result
+        : transformDatum(sourceGeo, source.datum, 'WGS84', 'geographic', options);
+    wgs84.push([display84.lon, display84.lat]);
+  });
+
+  let index = 0;
+  coordEach(display, (coord) => {
+    coord.splice(0, coord.length, ...wgs84[index++]);
+  });
+
+  return { data: output, display, vertices: index };
+}
+
+// ============================================================
+// WRITING
+// ============================================================
+
+/**
+ * Transformed dataset as GeoJSON with the target's named CRS member
+ * @param {Object} data - FeatureCollection in the target CRS
+ * @param {Object} crs - Target {type, datum, projection, zone, hemisphere}
+ * @returns {string}
+ */
+export function vectorToGeoJSON(data, crs) {
+  const member = getGeoJSONCRS(crs);
+  const { crs: _crs, ...collection } = data;
+  return JSON.stringify(member ? { type: collection.type, crs: member, ...collection } : collection);
+}
+
+function kmlCoordinates(coordinates) {
+  return coordinates.map(coord => coord.join(',')).join(' ');
+}
+
+function kmlGeometry(geometry) {
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${geometry.coordinates.join(',')}</coordinates></Point>`;
+    case 'LineString':
+      return `<LineString><coordinates>${kmlCoordinates(geometry.coordinates)}</coordinates></LineString>`;
+    case 'Polygon':
+      return '<Polygon>' + geometry.coordinates.map((ring, i) => {
+        const boundary = i === 0 ? 'outerBoundaryIs' : 'innerBoundaryIs';
+        return `<${boundary}><LinearRing><coordinates>${kmlCoordinates(ring)}</coordinates></LinearRing></${boundary}>`;
+      }).join('') + '</Polygon>';
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+      return '<MultiGeometry>' + geometry.coordinates.map(coordinates =>
+        kmlGeometry({ type: geometry.type.slice(5), coordinates })).join('') + '</MultiGeometry>';
+    case 'GeometryCollection':
+      return '<MultiGeometry>' + geometry.geometries.map(kmlGeometry).join('') + '</MultiGeometry>';
+    default:
+      return '';
+  }
+}
+
+const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * WGS84 dataset as KML
+ * @param {Object} display - FeatureCollection in WGS84 longitude / latitude
+ * @param {string} name - Document name
+ * @returns {string}
+ */
+export function vectorToKML(display, name) {
+  const placemarks = display.features.filter(feature => feature.geometry).map(feature => {
+    const properties = Object.entries(feature.properties || {});
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXML(feature.properties?.name ?? feature.id ?? '')}</name>`,
+      '      <ExtendedData>',
+      ...properties.map(([key, value]) =>
+        `        <Data name="${escapeXML(key)}"><value>${escapeXML(value ?? '')}</value></Data>`),
+      '      </ExtendedData>',
+      `      ${kmlGeometry(feature.geometry)}`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXML(name)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+export default readVectorFiles;
@@ -0,0 +1,247 @@
+/**
+ * Station Velocities and Plate Motion Model
+ * 
+ * Coordinates in a global frame (ITRF) change with time because the
+ * tectonic plates move. A coordinate known at epoch t₀ can be carried
+ * to another epoch t with a velocity:
+ * 
+ * X(t) = X(t₀) + V × (t - t₀)
+ * 
+ * Velocities come either from a station solution (entered by hand) or
+ * from a rigid plate-rotation model. For a plate rotating with angular
+ * velocity ω about the Earth's centre, the velocity of a point X is:
+ * 
+ * V = ω × X
+ * 
+ * Reference: Altamimi et al. (2017) ITRF2014 plate motion model,
+ *            Reilinger et al. (2006) for the Anatolian block
+ */
+
+// Milli-arc-seconds per year to radians per year
+const MAS2RAD = Math.PI / (180 * 3600 * 1000);
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * Rigid plate rotation rates with respect to ITRF2014
+ * 
+ * omega: Cartesian angular velocity {x, y, z} in milli-arc-seconds/year
+ */
+export const PLATE_MODELS = {
+  EURA: {
+    name: 'Eurasia',
+    omega: { x: -0.085, y: -0.531, z: 0.770 },
+    source: 'ITRF2014-PMM'
+  },
+  ANAT: {
+    name: 'Anatolia',
+    // Reilinger et al. (2006) Anatolia-Eurasia pole (30.8°N, 32.1°E, 1.2°/Myr)
+    // combined with the ITRF2014 Eurasia rotation
+    omega: { x: 3.059, y: 1.441, z: 2.982 },
+    source: 'Reilinger et al. (2006) + ITRF2014-PMM'
+  },
+  ARAB: {
+    name: 'Arabia',
+    omega: { x: 1.154, y: -0.136, z: 1.444 },
+    source: 'ITRF2014-PMM'
+  },
+  NUBI: {
+    name: 'Nubia (Africa)',
+    omega: { x: 0.099, y: -0.614, z: 0.733 },
+    source: 'ITRF2014-PMM'
+  },
+  SOMA: {
+    name: 'Somalia',
+    omega: { x: -0.121, y: -0.794, z: 0.884 },
+    source: 'ITRF2014-PMM'
+  },
+  INDI: {
+    name: 'India',
+    omega: { x: 1.154, y: -0.005, z: 1.454 },
+    source: 'ITRF2014-PMM'
+  },
+  NOAM: {
+    name: 'North America',
+    omega: { x: 0.024, y: -0.694, z: -0.063 },
+    source: 'ITRF2014-PMM'
+  },
+  SOAM: {
+    name: 'South America',
+    omega: { x: -0.270, y: -0.301, z: -0.140 },
+    source: 'ITRF2014-PMM'
+  },
+  PCFC: {
+    name: 'Pacific',
+    omega: { x: -0.409, y: 1.047, z: -2.169 },
+    source: 'ITRF2014-PMM'
+  },
+  AUST: {
+    name: 'Australia',
+    omega: { x: 1.510, y: 1.182, z: 1.215 },
+    source: 'ITRF2014-PMM'
+  },
+  NAZC: {
+    name: 'Nazca',
+    omega: { x: -0.333, y: -1.544, z: 1.623 },
+    source: 'ITRF2014-PMM'
+  },
+  ANTA: {
+    name: 'Antarctica',
+    omega: { x: -0.248, y: -0.324, z: 0.675 },
+    source: 'ITRF2014-PMM'
+  }
+};
+
+/**
+ * Get the Euler pole of a plate
+ * @param {string} plateKey - Key in PLATE_MODELS
+ * @returns {Object} - {lat, lon} in degrees, rate in degrees/Myr
+ */
+export function getEulerPole(plateKey) {
+  const plate = PLATE_MODELS[plateKey];
+  if (!plate) return null;
+
+  const { x, y, z } = plate.omega;
+  const magnitude = Math.sqrt(x * x + y * y + z * z);
+
+  return {
+    lat: Math.atan2(z, Math.sqrt(x * x + y * y)) / DEG2RAD,
+    lon: Math.atan2(y, x) / DEG2RAD,
+    // mas/yr → °/Myr
+    rate: magnitude / 3600 / 1000 * 1e6
+  };
+}
+
+/**
+ * Predict the velocity of a point from a rigid plate rotation
+ * 
+ * V = ω × X
+ * 
+ * @param {Object} xyz - {x, y, z} ECEF position in meters
+ * @param {string} plateKey - Key in PLATE_MODELS
+ * @param {string} relativeTo - Optional plate key for plate-fixed frames
+ * @returns {Object} - {vx, vy, vz} in meters/year
+ */
+export function plateVelocity(xyz, plateKey, relativeTo = null) {
+  const plate = PLATE_MODELS[plateKey];
+  if (!plate) {
+    throw new Error(`Unknown plate: ${plateKey}`);
+  }
+
+  let { x: wx, y: wy, z: wz } = plate.omega;
+
+  if (relativeTo) {
+    const reference = PLATE_MODELS[relativeTo];
+    wx -= reference.omega.x;
+    wy -= reference.omega.y;
+    wz -= reference.omega.z;
+  }
+
+  wx *= MAS2RAD;
+  wy *= MAS2RAD;
+  wz *= MAS2RAD;
+
+  return {
+    vx: wy * xyz.z - wz * xyz.y,
+    vy: wz * xyz.x - wx * xyz.z,
+    vz: wx * xyz.y - wy * xyz.x
+  };
+}
+
+/**
+ * Convert a local (East, North, Up) velocity to ECEF
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Object} enu - {ve, vn, vu} in meters/year
+ * @returns {Object} - {vx, vy, vz} in meters/year
+ */
+export function enuToEcefVelocity(lat, lon, { ve = 0, vn = 0, vu = 0 }) {
+  const sinPhi = Math.sin(lat * DEG2RAD);
+  const cosPhi = Math.cos(lat * DEG2RAD);
+  const sinLambda = Math.sin(lon * DEG2RAD);
+  const cosLambda = Math.cos(lon * DEG2RAD);
+
+  return {
+    vx: -sinLambda * ve - sinPhi * cosLambda * vn + cosPhi * cosLambda * vu,
+    vy: cosLambda * ve - sinPhi * sinLambda * vn + cosPhi * sinLambda * vu,
+    vz: cosPhi * vn + sinPhi * vu
+  };
+}
+
+/**
+ * Convert an ECEF velocity to local (East, North, Up)
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {Object} ecef - {vx, vy, vz} in meters/year
+ * @returns {Object} - {ve, vn, vu} in meters/year
+ */
+export function ecefToEnuVelocity(lat, lon, { vx, vy, vz }) {
+  const sinPhi = Math.sin(lat * DEG2RAD);
+  const cosPhi = Math.cos(lat * DEG2RAD);
+  const sinLambda = Math.sin(lon * DEG2RAD);
+  const cosLambda = Math.cos(lon * DEG2RAD);
+
+  return {
+    ve: -sinLambda * vx + cosLambda * vy,
+    vn: -sinPhi * cosLambda * vx - sinPhi * sinLambda * vy + cosPhi * vz,
+    vu: cosPhi * cosLambda * vx + cosPhi * sinLambda * vy + sinPhi * vz
+  };
+}
+
+/**
+ * Resolve a velocity specification to an ECEF velocity
+ * 
+ * Accepted forms:
+ * - {plate: 'ANAT'}          rigid plate model
+ * - {ve, vn, vu}             station velocity in local components
+ * - {vx, vy, vz}             station velocity in ECEF components
+ * 
+ * @param {Object} velocity - Velocity specification (m/yr)
+ * @param {Object} xyz - {x, y, z} ECEF position in meters
+ * @param {Object} geo - {lat, lon} of the same point in degrees
+ * @param {string} fixedPlate - Plate the frame is fixed to, if any
+ * @returns {Object} - {vx, vy, vz, ve, vn, vu, source}
+ */
+export function resolveVelocity(velocity, xyz, geo, fixedPlate = null) {
+  let ecef;
+  let source;
+
+  if (velocity.plate) {
+    ecef = plateVelocity(xyz, velocity.plate, fixedPlate);
+    source = `${PLATE_MODELS[velocity.plate].name} plate model`;
+  } else if (velocity.vx !== undefined) {
+    ecef = { vx: velocity.vx, vy: velocity.vy || 0, vz: velocity.vz || 0 };
+    source = 'Station velocity (XYZ)';
+  } else {
+    ecef = enuToEcefVelocity(geo.lat, geo.lon, velocity);
+    source = 'Station velocity (ENU)';
+  }
+
+  return {
+    ...ecef,
+    ...ecefToEnuVelocity(geo.lat, geo.lon, ecef),
+    source
+  };
+}
+
+/**
+ * Propagate a position between epochs with a constant velocity
+ * 
+ * X(t) = X(t₀) + V × (t - t₀)
+ * 
+ * @param {Object} xyz - {x, y, z} ECEF position in meters
+ * @param {Object} velocity - {vx, vy, vz} in meters/year
+ * @param {number} fromEpoch - t₀ in decimal years
+ * @param {number} toEpoch - t in decimal years
+ * @returns {Object} - {x, y, z} at the new epoch
+ */
+export function propagatePosition(xyz, velocity, fromEpoch, toEpoch) {
+  const dt = toEpoch - fromEpoch;
+
+  return {
+    x: xyz.x + velocity.vx * dt,
+    y: xyz.y + velocity.vy * dt,
+    z: xyz.z + velocity.vz * dt
+  };
+}
+
+export default PLATE_MODELS;